@@ -11,6 +11,43 @@
  * - PRO: Same as Growth (all platforms, full metrics)
  */
 
+/**
+ * API key scopes
+ * Each scope unlocks a group of read/write endpoints for programmatic access.
+ */
+export const API_KEY_SCOPES = {
+  'seo:read': 'Health scores, Search Console, Analytics, Lighthouse and quick wins',
+  'social:read': 'Facebook, Instagram and LinkedIn metrics',
+  'competitors:read': 'Saved competitors and competitor analysis history',
+  'insights:read': 'Generated AI insights',
+  'reports:read': 'List saved reports',
+  'reports:write': 'Generate and delete reports'
+};
+
+/**
+ * Rate limit windows per budget class
+ * Per-plan request budgets live in PLAN_FEATURES[plan].rateLimits.
+ */
+export const RATE_LIMIT_WINDOWS = {
+  general: 15 * 60 * 1000,           // 15 minutes
+  competitorAnalysis: 60 * 60 * 1000, // 1 hour
+  aiInsights: 60 * 60 * 1000,
+  chat: 60 * 60 * 1000,
+  pdf: 60 * 60 * 1000
+};
+
+/**
+ * Features metered in the usage ledger (services/usageService.js) and the
+ * PLAN_FEATURES path of their per-billing-period quota (null = tracked, not capped)
+ */
+export const USAGE_QUOTAS = {
+  reports: 'reports.maxPerMonth',
+  aiInsights: 'aiInsights.maxPerMonth',
+  competitorAnalysis: null,
+  chat: null,
+  pdf: null
+};
+
 export const PLAN_FEATURES = {
   starter: {
     name: 'Starter',
@@ -25,6 +62,8 @@ export const PLAN_FEATURES = {
       // Search Console & Traffic
       topPages: 2,              // Only top 2 pages
       topQueries: 2,            // Only top 2 search queries
+      trackedKeywords: 10,      // Pinned keywords with daily rank history
+      crawlPages: 50,           // Pages per site crawl
       trafficAnalytics: true,   // Basic traffic data
       
       // Lighthouse & Performance
@@ -79,6 +118,19 @@ export const PLAN_FEATURES = {
       enabled: false,      // 🔒 Locked for starter
       maxPerMonth: 0,
       optimizations: 0     // No AI optimizations
+    },
+    apiKeys: {
+      enabled: true,
+      maxKeys: 1,
+      requestsPerMinute: 30,
+      scopes: ['seo:read', 'social:read', 'reports:read']
+    },
+    rateLimits: {
+      general: 600,           // Requests per 15 minutes (all API routes)
+      competitorAnalysis: 5,  // Competitor analyses per hour
+      aiInsights: 3,          // AI insight generations per hour
+      chat: 30,               // Chat messages per hour
+      pdf: 5                  // PDF exports per hour
     }
   },
   
@@ -95,6 +147,8 @@ export const PLAN_FEATURES = {
       // Search Console & Traffic
       topPages: 10,             // Top 10 pages
       topQueries: 10,           // Top 10 search queries
+      trackedKeywords: 50,      // Pinned keywords with daily rank history
+      crawlPages: 250,          // Pages per site crawl
       trafficAnalytics: true,   // Advanced traffic data
       
       // Lighthouse & Performance
@@ -149,6 +203,19 @@ export const PLAN_FEATURES = {
       enabled: true,       // ✅ Enabled for growth
       maxPerMonth: 50,
       optimizations: 3     // 3 AI optimizations
+    },
+    apiKeys: {
+      enabled: true,
+      maxKeys: 5,
+      requestsPerMinute: 120,
+      scopes: ['seo:read', 'social:read', 'competitors:read', 'insights:read', 'reports:read', 'reports:write']
+    },
+    rateLimits: {
+      general: 1500,          // Requests per 15 minutes (all API routes)
+      competitorAnalysis: 20, // Competitor analyses per hour
+      aiInsights: 10,         // AI insight generations per hour
+      chat: 100,              // Chat messages per hour
+      pdf: 20                 // PDF exports per hour
     }
   },
   
@@ -165,6 +232,8 @@ export const PLAN_FEATURES = {
       // Search Console & Traffic
       topPages: -1,             // Unlimited pages
       topQueries: -1,           // Unlimited queries
+      trackedKeywords: 250,     // Pinned keywords (capped to keep the daily GSC job bounded)
+      crawlPages: 1000,         // Pages per site crawl (capped to keep a crawl job bounded)
       trafficAnalytics: true,
       
       // Lighthouse & Performance
@@ -219,6 +288,19 @@ export const PLAN_FEATURES = {
       enabled: true,            // ✅ Enabled for pro
       maxPerMonth: -1,          // Unlimited
       optimizations: 5          // 5 AI optimizations
+    },
+    apiKeys: {
+      enabled: true,
+      maxKeys: 20,
+      requestsPerMinute: 600,
+      scopes: ['seo:read', 'social:read', 'competitors:read', 'insights:read', 'reports:read', 'reports:write']
+    },
+    rateLimits: {
+      general: 5000,          // Requests per 15 minutes (all API routes)
+      competitorAnalysis: 60, // Competitor analyses per hour
+      aiInsights: 30,         // AI insight generations per hour
+      chat: 300,              // Chat messages per hour
+      pdf: 60                 // PDF exports per hour
     }
   }
 };
@@ -272,4 +354,24 @@ export function getFeatureLimit(plan, featurePath) {
   return typeof current === 'number' ? current : 0;
 }
 
+/**
+ * Get the API key scopes a plan may grant
+ * @param {string} plan - Plan name
+ * @returns {string[]} Allowed scopes (empty when API keys are disabled)
+ */
+export function getAllowedApiKeyScopes(plan) {
+  const { apiKeys } = getPlanFeatures(plan);
+  return apiKeys?.enabled ? apiKeys.scopes : [];
+}
+
+/**
+ * Get the request budget for a rate limit class
+ * @param {string} plan - Plan name
+ * @param {string} limitClass - 'general' | 'competitorAnalysis' | 'aiInsights' | 'chat' | 'pdf'
+ * @returns {number} Requests allowed per RATE_LIMIT_WINDOWS[limitClass]
+ */
+export function getRateLimit(plan, limitClass) {
+  return getPlanFeatures(plan).rateLimits?.[limitClass] ?? 0;
+}
+
 export default PLAN_FEATURES;
@@ -4,6 +4,8 @@ import analyticsService from '../services/analyticsService.js';
 import scoringService from '../services/scoringService.js';
 import searchConsoleService from '../services/searchConsoleService.js';
 import technicalSEOService from '../services/technicalSEOService.js';
+import healthScoreHistoryService from '../services/healthScoreHistoryService.js';
+import webhookService from '../services/webhookService.js';
 
 // Debug: Check if services are properly imported
 console.log('🔧 Services loaded:', {
@@ -58,6 +60,17 @@ const healthController = {
       // Calculate comprehensive health score
       const healthScore = scoringService.calculateHealthScore(processedData);
 
+      // Keep a dated snapshot for the score history (anonymous analyses aren't tracked)
+      if (email) {
+        await healthScoreHistoryService.recordSnapshot(req.businessScope || email, {
+          website: domain,
+          healthScore,
+          lighthouse: processedData.lighthouse,
+          pagespeed: processedData.pagespeed,
+          source: 'health_analysis'
+        });
+      }
+
       // Prepare response data
       const responseData = {
         domain,
@@ -86,6 +99,17 @@ const healthController = {
         quickWins: processedData.lighthouse?.opportunities?.slice(0, 10) || []
       };
 
+      if (email) {
+        webhookService.emit(req.businessScope || email, 'analysis.completed', {
+          analysisType: 'health',
+          domain,
+          overallScore: healthScore.overall,
+          breakdown: responseData.breakdown,
+          dataSources: responseData.data_sources,
+          dataQuality: healthScore.dataQuality
+        });
+      }
+
       // Save to database cache if email is provided
       if (email) {
         try {
@@ -0,0 +1,120 @@
+/**
+ * API Key Middleware
+ * Restricts requests authenticated with an API key (req.apiKey, set by authMiddleware)
+ * to the endpoints their scopes cover, rate-limits them per key and logs every call.
+ *
+ * Session-authenticated requests pass straight through.
+ */
+
+import rateLimit from 'express-rate-limit';
+import apiKeyService from '../services/apiKeyService.js';
+
+// Endpoints reachable with an API key (paths relative to /api)
+export const API_KEY_ROUTE_SCOPES = [
+  // SEO
+  { method: 'GET', pattern: /^\/health-scores?(\/|$)/, scope: 'seo:read' },
+  { method: 'GET', pattern: /^\/search-console\/(data|sites|backlinks)\/?$/, scope: 'seo:read' },
+  { method: 'GET', pattern: /^\/analytics\/(properties|data)\/?$/, scope: 'seo:read' },
+  { method: 'GET', pattern: /^\/traffic\/data\/?$/, scope: 'seo:read' },
+  { method: 'GET', pattern: /^\/lighthouse\//, scope: 'seo:read' },
+  { method: 'GET', pattern: /^\/quickwins\//, scope: 'seo:read' },
+
+  // Social
+  { method: 'GET', pattern: /^\/(facebook|instagram|linkedin)\/v2\//, scope: 'social:read' },
+  { method: 'GET', pattern: /^\/analytics\/social\/?$/, scope: 'social:read' },
+  { method: 'GET', pattern: /^\/social\/status\/?$/, scope: 'social:read' },
+  { method: 'GET', pattern: /^\/social-connections\/health\/?$/, scope: 'social:read' },
+
+  // Competitors
+  { method: 'GET', pattern: /^\/business-competitors\/?$/, scope: 'competitors:read' },
+  { method: 'GET', pattern: /^\/competitor\/history\/?$/, scope: 'competitors:read' },
+
+  // AI insights
+  { method: 'GET', pattern: /^\/ai-insights\/(latest|history|categories)\/?$/, scope: 'insights:read' },
+
+  // Reports
+  { method: 'GET', pattern: /^\/reports\/list\/?$/, scope: 'reports:read' },
+  { method: 'GET', pattern: /^\/report-schedules\/?$/, scope: 'reports:read' },
+  { method: 'POST', pattern: /^\/reports\/(seo-performance|competitor-intelligence|social-media|comprehensive|generate)\/?$/, scope: 'reports:write' },
+  { method: 'DELETE', pattern: /^\/reports\/[^/]+\/?$/, scope: 'reports:write' }
+];
+
+/**
+ * Find the scope an API key needs for a request
+ * @returns {string|null} Required scope, or null if the endpoint isn't available to API keys
+ */
+export function getRequiredScope(req) {
+  const route = API_KEY_ROUTE_SCOPES.find(r => r.method === req.method && r.pattern.test(req.path));
+  return route?.scope || null;
+}
+
+// Per-key budget comes from the owner's plan (apiKeys.requestsPerMinute)
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.requestsPerMinute,
+  keyGenerator: (req) => `api-key:${req.apiKey.id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    console.warn(`⚠️ API key rate limit reached: ${req.apiKey.prefix}`);
+    res.status(options.statusCode).json({
+      success: false,
+      error: 'rate_limit_exceeded',
+      message: `API key limit of ${req.apiKey.requestsPerMinute} requests per minute reached`
+    });
+  }
+});
+
+function logApiKeyCall(req, res) {
+  const startedAt = Date.now();
+
+  res.on('finish', () => {
+    apiKeyService.logUsage(req.apiKey.id, {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+  });
+}
+
+/**
+ * Middleware: Enforce scopes, rate limit and log API key requests
+ * Mount after authenticate().
+ */
+export function enforceApiKeyAccess(req, res, next) {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  logApiKeyCall(req, res);
+
+  const requiredScope = getRequiredScope(req);
+
+  if (!requiredScope) {
+    return res.status(403).json({
+      success: false,
+      error: 'endpoint_not_available',
+      message: 'This endpoint cannot be called with an API key'
+    });
+  }
+
+  if (!req.apiKey.scopes.includes(requiredScope)) {
+    return res.status(403).json({
+      success: false,
+      error: 'insufficient_scope',
+      message: `This API key is missing the ${requiredScope} scope (or your plan no longer includes it)`,
+      requiredScope
+    });
+  }
+
+  apiKeyLimiter(req, res, next);
+}
+
+export default {
+  enforceApiKeyAccess,
+  getRequiredScope,
+  API_KEY_ROUTE_SCOPES
+};
@@ -0,0 +1,350 @@
+/**
+ * Authentication Middleware
+ * Verifies the caller's session token and attaches a trusted identity (req.user)
+ *
+ * Accepted tokens:
+ * - Supabase-issued access tokens (verified locally with SUPABASE_JWT_SECRET when set,
+ *   otherwise through supabase.auth.getUser)
+ * - Locally signed HS256 tokens (AUTH_LOCAL_JWT_SECRET) - development only
+ * - Scoped API keys (msk_...) via Authorization: Bearer or X-API-Key; these also set
+ *   req.apiKey and are restricted by apiKeyMiddleware
+ * - Link tokens (?link_token=) on browser-redirect routes only: issued by
+ *   POST /api/user/link-token, bound to one route, valid for a minute and usable once,
+ *   so no session token ever ends up in a URL
+ *
+ * Routes keep reading `email` from query/body, but the value is always overwritten
+ * with the verified identity so a caller can no longer act as another user.
+ */
+
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import apiKeyService from '../services/apiKeyService.js';
+
+const LOCAL_TOKEN_ISSUER = 'seo-health-score-api';
+const LINK_TOKEN_PURPOSE = 'redirect';
+const LINK_TOKEN_TTL = 60;
+
+// Routes reachable without a session (relative to /api)
+const PUBLIC_ROUTES = [
+  { method: 'GET', pattern: /^\/status\/?$/ },
+  { method: 'POST', pattern: /^\/stripe\/webhook\/?$/ },
+  { method: 'GET', pattern: /^\/auth\/(google|facebook|instagram)\/callback\/?$/ }
+];
+
+// Browser redirects cannot send an Authorization header, so these routes
+// accept a link token as ?link_token= instead
+const QUERY_TOKEN_ROUTES = [
+  { method: 'GET', pattern: /^\/auth\/(google|facebook|instagram)\/?$/ }
+];
+
+// Link token ids already used (jti -> exp), kept until they expire
+const usedLinkTokens = new Map();
+
+// Initialize Supabase client lazily
+let supabase = null;
+
+function getSupabaseClient() {
+  if (!supabase && process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY) {
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+  }
+  return supabase;
+}
+
+function normalizeEmail(email) {
+  return email?.toLowerCase().trim() || '';
+}
+
+function matchesRoute(routes, req) {
+  return routes.some(route => route.method === req.method && route.pattern.test(req.path));
+}
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function signHs256(payload, secret) {
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64UrlEncode(JSON.stringify(payload));
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${header}.${body}`)
+    .digest('base64url');
+
+  return `${header}.${body}.${signature}`;
+}
+
+/**
+ * Key for link tokens - derived, so it never verifies anything but a link token
+ */
+function getLinkTokenSecret() {
+  const base = process.env.AUTH_LINK_TOKEN_SECRET || process.env.SUPABASE_SERVICE_KEY;
+  if (!base) {
+    throw new Error('AUTH_LINK_TOKEN_SECRET is not set');
+  }
+  return crypto.createHmac('sha256', base).update('link-token').digest();
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verify an HS256 JWT signature and its time claims
+ * @param {string} token - Compact JWT
+ * @param {string} secret - HMAC secret
+ * @returns {object|null} Decoded payload or null if invalid
+ */
+function verifyHs256(token, secret) {
+  const [headerSegment, payloadSegment, signatureSegment] = token.split('.');
+  if (!headerSegment || !payloadSegment || !signatureSegment) return null;
+
+  try {
+    const header = decodeSegment(headerSegment);
+    if (header.alg !== 'HS256') return null;
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${headerSegment}.${payloadSegment}`)
+      .digest();
+    const actual = Buffer.from(signatureSegment, 'base64url');
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    const payload = decodeSegment(payloadSegment);
+    const now = Math.floor(Date.now() / 1000);
+    if (payload.exp && payload.exp < now) return null;
+    if (payload.nbf && payload.nbf > now) return null;
+
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sign a local development token for the given user
+ * @param {string} email - User's email
+ * @param {object} options - { userId, expiresIn (seconds) }
+ * @returns {string} Signed JWT
+ */
+export function signLocalToken(email, { userId = null, expiresIn = 12 * 60 * 60 } = {}) {
+  const secret = process.env.AUTH_LOCAL_JWT_SECRET;
+  if (!secret) {
+    throw new Error('AUTH_LOCAL_JWT_SECRET is not set');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  return signHs256({
+    iss: LOCAL_TOKEN_ISSUER,
+    sub: userId || normalizeEmail(email),
+    email: normalizeEmail(email),
+    iat: now,
+    exp: now + expiresIn
+  }, secret);
+}
+
+/**
+ * Sign a single-use link token for one browser-redirect route
+ * @param {object} user - Verified req.user ({ id, email })
+ * @param {string} path - Route it is valid for, relative to /api (e.g. /auth/google)
+ * @returns {object} { token, expiresIn }
+ */
+export function signLinkToken(user, path) {
+  if (!QUERY_TOKEN_ROUTES.some(route => route.method === 'GET' && route.pattern.test(path))) {
+    throw new Error(`Link tokens are not accepted on ${path}`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const token = signHs256({
+    iss: LOCAL_TOKEN_ISSUER,
+    purpose: LINK_TOKEN_PURPOSE,
+    sub: user.id,
+    email: normalizeEmail(user.email),
+    path: path.replace(/\/$/, ''),
+    jti: crypto.randomBytes(16).toString('hex'),
+    iat: now,
+    exp: now + LINK_TOKEN_TTL
+  }, getLinkTokenSecret());
+
+  return { token, expiresIn: LINK_TOKEN_TTL };
+}
+
+/**
+ * Verify and consume a link token for the route it was issued for
+ * @returns {object|null} { id, email, authMethod } or null
+ */
+function verifyLinkToken(token, path) {
+  const payload = verifyHs256(token, getLinkTokenSecret());
+  if (!payload || payload.purpose !== LINK_TOKEN_PURPOSE || !payload.email || !payload.jti || !payload.exp) {
+    return null;
+  }
+  if (payload.path !== path.replace(/\/$/, '')) return null;
+
+  const now = Math.floor(Date.now() / 1000);
+  for (const [jti, exp] of usedLinkTokens) {
+    if (exp < now) usedLinkTokens.delete(jti);
+  }
+  if (usedLinkTokens.has(payload.jti)) return null;
+  usedLinkTokens.set(payload.jti, payload.exp);
+
+  return { id: payload.sub, email: normalizeEmail(payload.email), authMethod: 'link_token' };
+}
+
+/**
+ * Verify a session token and resolve the user it belongs to
+ * @param {string} token - Bearer token from the request
+ * @returns {Promise<object|null>} { id, email, authMethod } or null
+ */
+export async function verifyAccessToken(token) {
+  if (!token) return null;
+
+  // Local development tokens
+  const localSecret = process.env.AUTH_LOCAL_JWT_SECRET;
+  if (localSecret && process.env.NODE_ENV !== 'production') {
+    const payload = verifyHs256(token, localSecret);
+    if (payload?.iss === LOCAL_TOKEN_ISSUER && payload.email) {
+      return { id: payload.sub, email: normalizeEmail(payload.email), authMethod: 'local' };
+    }
+  }
+
+  // Supabase tokens - verify locally when the project JWT secret is available
+  const supabaseSecret = process.env.SUPABASE_JWT_SECRET;
+  if (supabaseSecret) {
+    const payload = verifyHs256(token, supabaseSecret);
+    if (!payload || !payload.email || payload.role === 'anon') return null;
+    return { id: payload.sub, email: normalizeEmail(payload.email), authMethod: 'supabase' };
+  }
+
+  // Fall back to asking Supabase Auth
+  const client = getSupabaseClient();
+  if (!client) {
+    console.warn('⚠️ Supabase not configured - cannot verify session token');
+    return null;
+  }
+
+  const { data, error } = await client.auth.getUser(token);
+  if (error || !data?.user?.email) return null;
+
+  return { id: data.user.id, email: normalizeEmail(data.user.email), authMethod: 'supabase' };
+}
+
+function extractToken(req) {
+  if (typeof req.headers['x-api-key'] === 'string') {
+    return req.headers['x-api-key'].trim();
+  }
+
+  const header = req.headers.authorization || '';
+  if (header.toLowerCase().startsWith('bearer ')) {
+    return header.slice(7).trim();
+  }
+
+  return null;
+}
+
+/**
+ * Overwrite caller-supplied email fields with the verified identity
+ */
+function bindVerifiedEmail(req) {
+  const email = req.user.email;
+
+  const suppliedEmail = req.query?.email || (req.body && typeof req.body === 'object' ? req.body.email : null);
+  if (suppliedEmail && normalizeEmail(suppliedEmail) !== email) {
+    console.warn(`⚠️ Ignoring caller-supplied email on ${req.method} ${req.originalUrl.split('?')[0]} - using session identity`);
+  }
+
+  if (req.query) {
+    req.query.email = email;
+  }
+  if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+    req.body.email = email;
+  }
+}
+
+/**
+ * Middleware: Require a verified session for every non-public API route
+ * Mount under /api after the body parsers.
+ */
+export async function authenticate(req, res, next) {
+  if (matchesRoute(PUBLIC_ROUTES, req)) {
+    return next();
+  }
+
+  try {
+    const token = extractToken(req);
+
+    if (!token && matchesRoute(QUERY_TOKEN_ROUTES, req) && typeof req.query.link_token === 'string') {
+      const user = verifyLinkToken(req.query.link_token, req.path);
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: 'invalid_link_token',
+          message: 'Link token is invalid, expired or already used'
+        });
+      }
+
+      req.user = user;
+      bindVerifiedEmail(req);
+      return next();
+    }
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'authentication_required',
+        message: 'A valid session token is required (Authorization: Bearer <token>)'
+      });
+    }
+
+    if (apiKeyService.isApiKey(token)) {
+      const apiKey = await apiKeyService.verifyKey(token);
+
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          error: 'invalid_api_key',
+          message: 'API key is invalid, expired or revoked'
+        });
+      }
+
+      req.apiKey = apiKey;
+      req.user = { id: `api-key:${apiKey.id}`, email: apiKey.email, authMethod: 'api_key' };
+      bindVerifiedEmail(req);
+      return next();
+    }
+
+    const user = await verifyAccessToken(token);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'invalid_token',
+        message: 'Session token is invalid or expired'
+      });
+    }
+
+    req.user = user;
+    bindVerifiedEmail(req);
+    next();
+
+  } catch (error) {
+    console.error('❌ Authentication error:', error);
+    res.status(401).json({
+      success: false,
+      error: 'authentication_failed',
+      message: 'Could not verify session token'
+    });
+  }
+}
+
+export default {
+  authenticate,
+  verifyAccessToken,
+  signLocalToken,
+  signLinkToken
+};
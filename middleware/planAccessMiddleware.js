@@ -10,11 +10,11 @@ import { getUserPlan, canAccessFeature, getUserPlanFeatures } from '../services/
  */
 export async function requireInstagram(req, res, next) {
   try {
-    const { email } = req.query || req.body;
+    const email = req.user?.email;
     
     if (!email) {
-      return res.status(400).json({
-        error: 'Email parameter is required',
+      return res.status(401).json({
+        error: 'Authentication required',
         dataAvailable: false
       });
     }
@@ -53,11 +53,11 @@ export async function requireInstagram(req, res, next) {
  */
 export async function requireLinkedIn(req, res, next) {
   try {
-    const { email } = req.query || req.body;
+    const email = req.user?.email;
     
     if (!email) {
-      return res.status(400).json({
-        error: 'Email parameter is required',
+      return res.status(401).json({
+        error: 'Authentication required',
         dataAvailable: false
       });
     }
@@ -96,11 +96,11 @@ export async function requireLinkedIn(req, res, next) {
  */
 export async function requireBacklinks(req, res, next) {
   try {
-    const { email } = req.query || req.body;
+    const email = req.user?.email;
     
     if (!email) {
-      return res.status(400).json({
-        error: 'Email parameter is required'
+      return res.status(401).json({
+        error: 'Authentication required'
       });
     }
 
@@ -133,11 +133,11 @@ export async function requireBacklinks(req, res, next) {
  */
 export async function requireOptimization(req, res, next) {
   try {
-    const { email } = req.query || req.body;
+    const email = req.user?.email;
     
     if (!email) {
-      return res.status(400).json({
-        error: 'Email parameter is required'
+      return res.status(401).json({
+        error: 'Authentication required'
       });
     }
 
@@ -170,7 +170,7 @@ export async function requireOptimization(req, res, next) {
  */
 export async function attachUserPlan(req, res, next) {
   try {
-    const { email } = req.query || req.body;
+    const email = req.user?.email;
     
     if (email) {
       req.userPlan = await getUserPlan(email);
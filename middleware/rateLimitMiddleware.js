@@ -0,0 +1,128 @@
+/**
+ * Rate Limit Middleware
+ * Per-user request budgets based on the account's plan (PLAN_FEATURES[plan].rateLimits)
+ *
+ * - general: every authenticated /api request, keyed on the session user
+ * - competitorAnalysis / aiInsights / chat / pdf: tighter budgets for endpoints that
+ *   start Lighthouse, Apify, OpenAI or Puppeteer work
+ * - Unauthenticated public routes fall back to a per-IP budget
+ *
+ * All limiters send standard RateLimit-* headers.
+ */
+
+import rateLimit from 'express-rate-limit';
+import { getUserPlan } from '../services/planAccessService.js';
+import { RATE_LIMIT_WINDOWS, getRateLimit } from '../config/planFeatures.js';
+
+// Local development gets headroom for hot reloads and repeated testing
+const BUDGET_MULTIPLIER = process.env.NODE_ENV === 'production' ? 1 : 5;
+
+const PUBLIC_LIMIT = 300;        // Per IP per 15 minutes (OAuth callbacks, webhooks, status)
+const AUTH_FAILURE_LIMIT = 50;   // Rejected tokens per IP per 15 minutes
+
+// Expensive endpoints and their budget class (paths relative to /api)
+export const EXPENSIVE_ENDPOINTS = [
+  { method: 'POST', pattern: /^\/competitor\/(analyze|compare)\/?$/, limitClass: 'competitorAnalysis' },
+  { method: 'POST', pattern: /^\/enhanced-competitor\/(analyze|compare-multiple)\/?$/, limitClass: 'competitorAnalysis' },
+  { method: 'POST', pattern: /^\/ai-insights\/generate\/?$/, limitClass: 'aiInsights' },
+  { method: 'POST', pattern: /^\/competitor\/ai-insights\/?$/, limitClass: 'aiInsights' },
+  { method: 'POST', pattern: /^\/chat\/send\/?$/, limitClass: 'chat' },
+  { method: 'POST', pattern: /^\/pdf\/competitor-report\/?$/, limitClass: 'pdf' },
+  { method: 'POST', pattern: /^\/reports\/(seo-performance|competitor-intelligence|social-media|comprehensive)\/?$/, limitClass: 'pdf' },
+  { method: 'POST', pattern: /^\/social\/report\/report\/?$/, limitClass: 'pdf' }
+];
+
+/**
+ * Find the budget class for an expensive endpoint
+ * @returns {string|null} Limit class, or null for ordinary endpoints
+ */
+export function getLimitClass(req) {
+  const endpoint = EXPENSIVE_ENDPOINTS.find(e => e.method === req.method && e.pattern.test(req.path));
+  return endpoint?.limitClass || null;
+}
+
+// The workspace owner's plan sets the budget, so teammates share their agency's tier
+async function getPlanForRequest(req) {
+  if (!req.rateLimitPlan) {
+    req.rateLimitPlan = await getUserPlan(req.businessScope?.email || req.user.email);
+  }
+  return req.rateLimitPlan;
+}
+
+function createUserLimiter(limitClass) {
+  return rateLimit({
+    windowMs: RATE_LIMIT_WINDOWS[limitClass],
+    limit: async (req) => getRateLimit(await getPlanForRequest(req), limitClass) * BUDGET_MULTIPLIER,
+    keyGenerator: (req) => `user:${req.user.email}`,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res, next, options) => {
+      console.warn(`⚠️ Rate limit reached (${limitClass}): ${req.user.email} on ${req.method} ${req.path}`);
+      res.status(options.statusCode).json({
+        success: false,
+        error: 'rate_limit_exceeded',
+        limitClass,
+        plan: req.rateLimitPlan,
+        message: limitClass === 'general'
+          ? 'Too many requests, please try again later.'
+          : `You have reached your plan's limit for this feature (${limitClass}). Please try again later or upgrade your plan.`
+      });
+    }
+  });
+}
+
+const generalLimiter = createUserLimiter('general');
+
+const classLimiters = {
+  competitorAnalysis: createUserLimiter('competitorAnalysis'),
+  aiInsights: createUserLimiter('aiInsights'),
+  chat: createUserLimiter('chat'),
+  pdf: createUserLimiter('pdf')
+};
+
+const publicLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOWS.general,
+  limit: PUBLIC_LIMIT * BUDGET_MULTIPLIER,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'rate_limit_exceeded', message: 'Too many requests from this IP, please try again later.' }
+});
+
+/**
+ * Middleware: Throttle repeated authentication failures per IP
+ * Mount before authenticate(). Only 401 responses count toward the budget.
+ */
+export const authFailureLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOWS.general,
+  limit: AUTH_FAILURE_LIMIT,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401,
+  standardHeaders: false,
+  legacyHeaders: false,
+  message: { success: false, error: 'rate_limit_exceeded', message: 'Too many failed authentication attempts, please try again later.' }
+});
+
+/**
+ * Middleware: Apply the per-user (or per-IP for public routes) budgets
+ * Mount after authenticate() and resolveBusiness().
+ */
+export function userRateLimit(req, res, next) {
+  if (!req.user) {
+    return publicLimiter(req, res, next);
+  }
+
+  generalLimiter(req, res, (err) => {
+    if (err) return next(err);
+
+    const limitClass = getLimitClass(req);
+    if (!limitClass) return next();
+
+    classLimiters[limitClass](req, res, next);
+  });
+}
+
+export default {
+  authFailureLimiter,
+  userRateLimit,
+  getLimitClass
+};
@@ -0,0 +1,71 @@
+/**
+ * Role Middleware
+ * Middleware functions to check the user's workspace role before processing requests
+ *
+ * Roles come from workspaceMiddleware.resolveBusiness (req.workspaceRole) and are
+ * ranked owner > editor > viewer - requiring a role also admits higher ones.
+ */
+
+import { WORKSPACE_ROLES } from '../services/workspaceService.js';
+
+function roleRank(role) {
+  const index = WORKSPACE_ROLES.indexOf(role);
+  return index === -1 ? -1 : WORKSPACE_ROLES.length - index;
+}
+
+/**
+ * Check whether a role satisfies a minimum role
+ * @param {string} role - User's role
+ * @param {string} minimumRole - Required role
+ * @returns {boolean}
+ */
+export function hasRole(role, minimumRole) {
+  return roleRank(role) >= roleRank(minimumRole);
+}
+
+/**
+ * Middleware factory: Require at least `minimumRole` in the active workspace
+ * @param {string} minimumRole - 'owner' | 'editor' | 'viewer'
+ */
+export function requireRole(minimumRole) {
+  return (req, res, next) => {
+    if (!req.user?.email) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const role = req.workspaceRole || 'viewer';
+
+    if (!hasRole(role, minimumRole)) {
+      console.log(`🚫 Role check failed: ${role} < ${minimumRole} (${req.method} ${req.originalUrl})`);
+      return res.status(403).json({
+        success: false,
+        error: 'insufficient_role',
+        message: `This action requires the ${minimumRole} role in this workspace`,
+        currentRole: role,
+        requiredRole: minimumRole
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware: Require editor access (connect accounts, edit competitors, clear caches)
+ */
+export const requireEditor = requireRole('editor');
+
+/**
+ * Middleware: Require owner access (billing, team management)
+ */
+export const requireOwner = requireRole('owner');
+
+export default {
+  hasRole,
+  requireRole,
+  requireEditor,
+  requireOwner
+};
@@ -2,13 +2,20 @@
  * Tier Validation Middleware
  * Enforces subscription limits on API endpoints
  * Plans: starter, growth, pro (ONLY)
+ *
+ * Monthly quotas (reports, AI insights) are counted from the usage ledger -
+ * see services/usageService.js. Limits always apply to the billed account
+ * (req.businessScope.email - the workspace owner), not to the member making
+ * the request. Errors refuse the request instead of letting it through.
  */
 
+import usageService from '../services/usageService.js';
+
 // Tier limits configuration - Unified with planFeatures.js
 const TIER_LIMITS = {
   starter: {
     competitors: 1,
-    aiInsights: 5,
+    aiInsights: 0,
     reports: 2,
     competitorAnalysis: 3,
     socialConnections: 2,
@@ -76,34 +83,77 @@ async function getUserPlan(email) {
 }
 
 /**
- * Get user's current usage from database
+ * Get user's usage in the current billing period from the usage ledger
  * @param {string} email - User email
  * @returns {Promise<object>} - Usage object
  */
 async function getUserUsage(email) {
-  // TODO: Query usage from database
-  // For now, return mock data
+  const { period, counts } = await usageService.getCounts(email);
+
   return {
-    competitors: 0,
-    aiInsightsThisMonth: 0,
-    reportsThisMonth: 0,
-    competitorAnalysisThisMonth: 0,
-    socialConnectionsThisMonth: 0
+    competitors: 0, // Saved competitors are capped where they are listed (planAccessService.filterCompetitorData)
+    aiInsightsThisMonth: counts.aiInsights,
+    reportsThisMonth: counts.reports,
+    competitorAnalysisThisMonth: counts.competitorAnalysis,
+    chatMessagesThisMonth: counts.chat,
+    pdfExportsThisMonth: counts.pdf,
+    socialConnectionsThisMonth: 0,
+    periodStart: period.start.toISOString(),
+    periodEnd: period.end.toISOString()
   };
 }
 
+/**
+ * Billed account of the request - the workspace owner when a member acts in a shared workspace
+ */
+function getAccountEmail(req) {
+  return req.businessScope?.email || null;
+}
+
+function authenticationRequired(res) {
+  return res.status(401).json({
+    error: 'Authentication required for validation',
+    tierLimited: true
+  });
+}
+
+function validationFailed(res, error) {
+  console.error('❌ Tier validation error:', error);
+  return res.status(500).json({
+    success: false,
+    error: 'Could not verify plan limits. Please try again.'
+  });
+}
+
+/**
+ * Take one unit of a monthly quota for this request
+ * The unit is given back if the request ends in an error or the client goes away first.
+ * Handlers complete it with usageService.record(..., { reservationId }).
+ */
+async function reserveQuota(req, res, feature) {
+  const reservation = await usageService.reserve(req.businessScope, feature);
+
+  if (reservation.reservationId) {
+    req.usageReservation = reservation;
+    res.on('close', () => {
+      if (res.statusCode >= 400 || !res.writableFinished) {
+        usageService.release(reservation.reservationId);
+      }
+    });
+  }
+
+  return reservation;
+}
+
 /**
  * Middleware: Check if user can add competitor
  */
 export async function validateCompetitorLimit(req, res, next) {
   try {
-    const { email } = req.body || req.query;
+    const email = getAccountEmail(req);
     
     if (!email) {
-      return res.status(400).json({ 
-        error: 'Email required for validation',
-        tierLimited: true
-      });
+      return authenticationRequired(res);
     }
     
     const plan = await getUserPlan(email);
@@ -136,8 +186,7 @@ export async function validateCompetitorLimit(req, res, next) {
     
     next();
   } catch (error) {
-    console.error('Tier validation error:', error);
-    next(); // Continue on error, don't block request
+    return validationFailed(res, error);
   }
 }
 
@@ -146,20 +195,17 @@ export async function validateCompetitorLimit(req, res, next) {
  */
 export async function validateReportLimit(req, res, next) {
   try {
-    const { email } = req.body || req.query;
+    const email = getAccountEmail(req);
     
     if (!email) {
-      return res.status(400).json({ 
-        error: 'Email required for validation',
-        tierLimited: true
-      });
+      return authenticationRequired(res);
     }
     
-    const plan = await getUserPlan(email);
-    const usage = await getUserUsage(email);
-    const limit = TIER_LIMITS[plan].reports;
+    // Counted and taken in one step so concurrent requests cannot both pass
+    const quota = await reserveQuota(req, res, 'reports');
+    const plan = quota.plan;
     
-    if (usage.reportsThisMonth >= limit) {
+    if (!quota.allowed) {
       let upgradeMessage = '';
       if (plan === 'starter') {
         upgradeMessage = '📊 Upgrade to Growth for 20 reports per month';
@@ -173,8 +219,9 @@ export async function validateReportLimit(req, res, next) {
         error: `Report limit reached. Upgrade for more reports.`,
         tierLimited: true,
         currentPlan: plan,
-        limit: limit,
-        usage: usage.reportsThisMonth,
+        limit: quota.limit,
+        usage: quota.used,
+        resetsAt: quota.resetsAt,
         upgradeMessage
       });
     }
@@ -184,8 +231,47 @@ export async function validateReportLimit(req, res, next) {
     
     next();
   } catch (error) {
-    console.error('Tier validation error:', error);
+    return validationFailed(res, error);
+  }
+}
+
+/**
+ * Middleware: Check if user can generate AI insights this month
+ */
+export async function validateAIInsightsLimit(req, res, next) {
+  try {
+    const email = getAccountEmail(req);
+    
+    if (!email) {
+      return authenticationRequired(res);
+    }
+    
+    const quota = await reserveQuota(req, res, 'aiInsights');
+    const plan = quota.plan;
+    
+    // Plans without AI insights (limit 0) get the locked insights payload from the service
+    if (!quota.allowed && quota.limit !== 0) {
+      const upgradeMessage = plan === 'growth'
+        ? '💎 Upgrade to Pro for unlimited AI insights'
+        : '🤖 Upgrade to Growth for 50 AI insight generations per month';
+      
+      return res.status(403).json({
+        error: 'AI insights limit reached. Upgrade for more AI insights.',
+        tierLimited: true,
+        currentPlan: plan,
+        limit: quota.limit,
+        usage: quota.used,
+        resetsAt: quota.resetsAt,
+        upgradeMessage
+      });
+    }
+    
+    req.userPlan = plan;
+    req.userLimits = TIER_LIMITS[plan];
+    
     next();
+  } catch (error) {
+    return validationFailed(res, error);
   }
 }
 
@@ -194,13 +280,10 @@ export async function validateReportLimit(req, res, next) {
  */
 export async function validateAdvancedFeature(req, res, next) {
   try {
-    const { email } = req.body || req.query;
+    const email = getAccountEmail(req);
     
     if (!email) {
-      return res.status(400).json({ 
-        error: 'Email required for validation',
-        tierLimited: true
-      });
+      return authenticationRequired(res);
     }
     
     const plan = await getUserPlan(email);
@@ -220,8 +303,7 @@ export async function validateAdvancedFeature(req, res, next) {
     
     next();
   } catch (error) {
-    console.error('Tier validation error:', error);
-    next();
+    return validationFailed(res, error);
   }
 }
 
@@ -230,13 +312,10 @@ export async function validateAdvancedFeature(req, res, next) {
  */
 export async function validatePDFExport(req, res, next) {
   try {
-    const { email } = req.body || req.query;
+    const email = getAccountEmail(req);
     
     if (!email) {
-      return res.status(400).json({ 
-        error: 'Email required for validation',
-        tierLimited: true
-      });
+      return authenticationRequired(res);
     }
     
     const plan = await getUserPlan(email);
@@ -256,23 +335,24 @@ export async function validatePDFExport(req, res, next) {
     
     next();
   } catch (error) {
-    console.error('Tier validation error:', error);
-    next();
+    return validationFailed(res, error);
   }
 }
 
 /**
- * Helper: Increment usage counter
+ * Helper: Record one metered action in the usage ledger
+ * @param {object|string} scopeOrEmail - Business scope or user's email
+ * @param {string} feature - 'reports' | 'aiInsights' | 'competitorAnalysis' | 'chat' | 'pdf'
+ * @param {object} details - { resourceId, metadata }
  */
-export async function incrementUsage(email, feature) {
-  // TODO: Increment usage in database
-  // UPDATE user_usage SET ${feature}_count = ${feature}_count + 1 WHERE email = ?
-  console.log(`Incrementing ${feature} usage for ${email}`);
+export async function incrementUsage(scopeOrEmail, feature, details = {}) {
+  return usageService.record(scopeOrEmail, feature, details);
 }
 
 export default {
   validateCompetitorLimit,
   validateReportLimit,
+  validateAIInsightsLimit,
   validateAdvancedFeature,
   validatePDFExport,
   incrementUsage
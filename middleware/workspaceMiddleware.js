@@ -0,0 +1,71 @@
+/**
+ * Workspace Middleware
+ * Resolves which client business a request operates on.
+ *
+ * The business is selected with the `X-Business-Id` header (or `businessId`
+ * query/body param). Without one, the user's primary business is used.
+ * Attaches:
+ * - req.business: user_business_info row (or null)
+ * - req.businessScope: { email, businessId, workspaceId } for cache/report services
+ * - req.workspaceRole: 'owner' | 'editor' | 'viewer' for the active workspace
+ */
+
+import workspaceService from '../services/workspaceService.js';
+
+function getRequestedBusinessId(req) {
+  return req.headers['x-business-id']
+    || req.query?.businessId
+    || (req.body && typeof req.body === 'object' ? req.body.businessId : null)
+    || null;
+}
+
+/**
+ * Middleware: Resolve the active business for the authenticated user
+ * Mount after authenticate().
+ */
+export async function resolveBusiness(req, res, next) {
+  // Public routes have no session - nothing to resolve
+  if (!req.user) {
+    return next();
+  }
+
+  try {
+    // API keys created for a specific business always operate on it
+    const requestedBusinessId = req.apiKey?.businessId || getRequestedBusinessId(req);
+    const { scope, business, role } = await workspaceService.resolveBusinessScope(req.user.email, requestedBusinessId);
+
+    if (!scope) {
+      return res.status(403).json({
+        success: false,
+        error: 'business_access_denied',
+        message: 'You do not have access to this business'
+      });
+    }
+
+    req.business = business;
+    req.businessScope = scope;
+    req.workspaceRole = role;
+    next();
+
+  } catch (error) {
+    // Never fall back to another scope or role here - that would grant owner access on any error
+    if (error.code === '22P02') {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_business_id',
+        message: 'Business id is not valid'
+      });
+    }
+
+    console.error('❌ Business resolution error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'business_resolution_failed',
+      message: 'Could not resolve the active business'
+    });
+  }
+}
+
+export default {
+  resolveBusiness
+};
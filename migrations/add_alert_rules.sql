@@ -0,0 +1,99 @@
+-- Migration: Metric alert rules
+-- User-defined conditions on the metrics normalized by MetricsAggregator, evaluated
+-- by the 'alerts.evaluate' job (services/alertService.js) after data refreshes.
+-- alert_rule_states holds the last seen value per rule and metric (for change
+-- conditions and de-duplication); alert_events is the alert history.
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Rules
+CREATE TABLE IF NOT EXISTS public.alert_rules (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE,
+  workspace_id uuid,
+  name text NOT NULL,
+  metric text NOT NULL,                       -- metric id, '*' wildcards allowed (e.g. competitor_*_perf)
+  operator character varying NOT NULL,
+  threshold numeric,
+  compare_metric text,                        -- for exceeds_metric / falls_below_metric
+  channels jsonb NOT NULL DEFAULT '[]'::jsonb, -- [{ type: 'email', recipients: [...] }, { type: 'webhook', subscriptionId }]
+  cooldown_minutes integer NOT NULL DEFAULT 1440,
+  enabled boolean NOT NULL DEFAULT true,
+  last_evaluated_at timestamp with time zone,
+  last_triggered_at timestamp with time zone,
+  created_by text,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT alert_rules_pkey PRIMARY KEY (id),
+  CONSTRAINT alert_rules_operator_check CHECK (operator IN (
+    'above', 'below', 'drops_by', 'rises_by', 'drops_by_percent', 'rises_by_percent',
+    'exceeds_metric', 'falls_below_metric'
+  )),
+  CONSTRAINT alert_rules_cooldown_check CHECK (cooldown_minutes >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_owner
+ON public.alert_rules(user_email, business_id)
+WHERE enabled = true;
+
+-- Step 2: Last seen value per rule and metric
+CREATE TABLE IF NOT EXISTS public.alert_rule_states (
+  rule_id uuid NOT NULL REFERENCES public.alert_rules(id) ON DELETE CASCADE,
+  metric_id text NOT NULL,
+  user_email text NOT NULL,
+  last_value numeric,
+  active boolean NOT NULL DEFAULT false,      -- condition held at the last evaluation
+  last_triggered_at timestamp with time zone,
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT alert_rule_states_pkey PRIMARY KEY (rule_id, metric_id)
+);
+
+-- Step 3: Alert history
+CREATE TABLE IF NOT EXISTS public.alert_events (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  rule_id uuid REFERENCES public.alert_rules(id) ON DELETE SET NULL,
+  user_email text NOT NULL,
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE,
+  rule_name text NOT NULL,
+  metric_id text NOT NULL,
+  metric_name text,
+  value numeric,
+  previous_value numeric,
+  compare_value numeric,
+  message text NOT NULL,
+  deliveries jsonb NOT NULL DEFAULT '[]'::jsonb, -- [{ channel, target, status, error, deliveryId }]
+  triggered_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT alert_events_pkey PRIMARY KEY (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_events_owner
+ON public.alert_events(user_email, business_id, triggered_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_alert_events_rule
+ON public.alert_events(rule_id, triggered_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE public.alert_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.alert_rule_states ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.alert_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do all" ON public.alert_rules
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "Service role can do all" ON public.alert_rule_states
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "Service role can do all" ON public.alert_events
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT r.operator, COUNT(DISTINCT r.id) AS rules, COUNT(e.id) AS alerts_sent
+FROM public.alert_rules r
+LEFT JOIN public.alert_events e ON e.rule_id = r.id
+GROUP BY r.operator;
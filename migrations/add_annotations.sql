@@ -0,0 +1,45 @@
+-- Migration: Timeline annotations
+-- Dated marketing events per business (deploys, campaigns, algorithm updates, ...).
+-- Returned with the traffic, Search Console, health-score history and follower series
+-- and drawn as markers in PDF reports (services/annotationService.js).
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Annotations
+CREATE TABLE IF NOT EXISTS public.annotations (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE,
+  workspace_id uuid,
+  date date NOT NULL,
+  end_date date,                              -- for events spanning several days (campaigns)
+  title text NOT NULL,
+  description text,
+  category character varying NOT NULL DEFAULT 'other',
+  url text,                                   -- changelog, campaign brief, announcement, ...
+  created_by text,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT annotations_pkey PRIMARY KEY (id),
+  CONSTRAINT annotations_category_check CHECK (category IN (
+    'deploy', 'campaign', 'algorithm_update', 'migration', 'content', 'outage', 'other'
+  )),
+  CONSTRAINT annotations_end_date_check CHECK (end_date IS NULL OR end_date >= date)
+);
+
+-- Step 2: Index for date-range lookups alongside time series
+CREATE INDEX IF NOT EXISTS idx_annotations_account_date
+ON public.annotations(user_email, business_id, date);
+
+-- Enable Row Level Security
+ALTER TABLE public.annotations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do all" ON public.annotations
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT category, COUNT(*) AS annotations, MIN(date) AS first, MAX(date) AS last
+FROM public.annotations
+GROUP BY category
+ORDER BY category;
@@ -0,0 +1,59 @@
+-- Migration: Traffic anomalies
+-- Days on which Search Console clicks/impressions or GA4 sessions/conversions broke away
+-- from their seasonal baseline (same weekday over the previous weeks), as found by
+-- services/anomalyDetectionService.js. One row per business, source, metric and day;
+-- re-detection updates the row in place.
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Anomalies
+CREATE TABLE IF NOT EXISTS public.anomalies (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE,
+  workspace_id uuid,
+  source character varying NOT NULL,         -- 'search_console' | 'google_analytics'
+  metric character varying NOT NULL,         -- 'clicks' | 'impressions' | 'sessions' | 'conversions'
+  resource text,                             -- GSC site URL or GA4 property id
+  date date NOT NULL,
+  value numeric NOT NULL,
+  expected numeric NOT NULL,                 -- baseline mean
+  change_percent numeric NOT NULL,
+  z_score numeric NOT NULL,
+  direction character varying NOT NULL,
+  severity character varying NOT NULL,
+  partial boolean NOT NULL DEFAULT false,    -- judged before the day's data was complete (severity discounted)
+  baseline jsonb NOT NULL DEFAULT '{}'::jsonb, -- { method, points, stdDev }
+  acknowledged_at timestamp with time zone,
+  acknowledged_by text,
+  detected_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT anomalies_pkey PRIMARY KEY (id),
+  CONSTRAINT anomalies_source_check CHECK (source IN ('search_console', 'google_analytics')),
+  CONSTRAINT anomalies_metric_check CHECK (metric IN ('clicks', 'impressions', 'sessions', 'conversions')),
+  CONSTRAINT anomalies_direction_check CHECK (direction IN ('drop', 'spike')),
+  CONSTRAINT anomalies_severity_check CHECK (severity IN ('low', 'medium', 'high', 'critical'))
+);
+
+-- Tables created before partial days were judged
+ALTER TABLE public.anomalies ADD COLUMN IF NOT EXISTS partial boolean NOT NULL DEFAULT false;
+
+-- Step 2: Indexes for the anomaly feed and per-day lookups during detection
+CREATE INDEX IF NOT EXISTS idx_anomalies_account_date
+ON public.anomalies(user_email, business_id, date DESC);
+
+CREATE INDEX IF NOT EXISTS idx_anomalies_series
+ON public.anomalies(user_email, business_id, source, metric, date);
+
+-- Enable Row Level Security
+ALTER TABLE public.anomalies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do all" ON public.anomalies
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT source, metric, severity, COUNT(*) AS anomalies
+FROM public.anomalies
+GROUP BY source, metric, severity
+ORDER BY source, metric, severity;
@@ -0,0 +1,63 @@
+-- Migration: Scoped API keys for programmatic access
+-- Keys are shown once at creation; only a SHA-256 hash is stored.
+-- Scopes (seo:read, social:read, reports:write, ...) are limited by the owner's plan
+-- (config/planFeatures.js -> apiKeys.scopes).
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: API keys
+CREATE TABLE IF NOT EXISTS public.api_keys (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE,
+  name character varying NOT NULL,
+  key_prefix character varying NOT NULL,
+  key_hash text NOT NULL,
+  scopes text[] NOT NULL DEFAULT '{}',
+  last_used_at timestamp with time zone,
+  expires_at timestamp with time zone,
+  revoked_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT api_keys_pkey PRIMARY KEY (id),
+  CONSTRAINT api_keys_key_hash_key UNIQUE (key_hash),
+  CONSTRAINT api_keys_user_email_fkey FOREIGN KEY (user_email) REFERENCES public.users_table(email) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_email
+ON public.api_keys(user_email);
+
+-- Step 2: Per-key request log
+CREATE TABLE IF NOT EXISTS public.api_key_usage_log (
+  id bigint GENERATED ALWAYS AS IDENTITY,
+  api_key_id uuid NOT NULL,
+  method character varying NOT NULL,
+  path text NOT NULL,
+  status_code integer,
+  duration_ms integer,
+  ip_address text,
+  user_agent text,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT api_key_usage_log_pkey PRIMARY KEY (id),
+  CONSTRAINT api_key_usage_log_api_key_id_fkey FOREIGN KEY (api_key_id) REFERENCES public.api_keys(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_key_usage_log_key_created
+ON public.api_key_usage_log(api_key_id, created_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE public.api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.api_key_usage_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do all" ON public.api_keys
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "Service role can do all" ON public.api_key_usage_log
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT user_email, name, key_prefix, scopes, last_used_at, revoked_at
+FROM public.api_keys
+ORDER BY created_at DESC;
@@ -0,0 +1,66 @@
+-- Migration: Append-only audit log for security-sensitive and destructive actions
+-- Records who did what, when, from which IP, with before/after values.
+-- UPDATE and DELETE are rejected by a trigger - rows can only be inserted.
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Audit log table
+CREATE TABLE IF NOT EXISTS public.audit_log (
+  id bigint GENERATED ALWAYS AS IDENTITY,
+  occurred_at timestamp with time zone NOT NULL DEFAULT now(),
+  action character varying NOT NULL,
+  account_email text NOT NULL,
+  actor_email text,
+  actor_type character varying NOT NULL DEFAULT 'user',
+  api_key_id uuid,
+  workspace_id uuid,
+  business_id uuid,
+  resource_type character varying,
+  resource_id text,
+  before_value jsonb,
+  after_value jsonb,
+  metadata jsonb DEFAULT '{}'::jsonb,
+  ip_address text,
+  user_agent text,
+  CONSTRAINT audit_log_pkey PRIMARY KEY (id),
+  CONSTRAINT audit_log_actor_type_check CHECK (actor_type IN ('user', 'api_key', 'system', 'stripe'))
+);
+
+-- Step 2: Indexes for the /api/audit filters
+CREATE INDEX IF NOT EXISTS idx_audit_log_account_occurred
+ON public.audit_log(account_email, occurred_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_action
+ON public.audit_log(action);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_email
+ON public.audit_log(actor_email);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_business_id
+ON public.audit_log(business_id);
+
+-- Step 3: Append-only enforcement
+CREATE OR REPLACE FUNCTION public.prevent_audit_log_mutation()
+RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only (% not allowed)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON public.audit_log;
+CREATE TRIGGER audit_log_append_only
+BEFORE UPDATE OR DELETE ON public.audit_log
+FOR EACH ROW EXECUTE FUNCTION public.prevent_audit_log_mutation();
+
+-- Enable Row Level Security
+ALTER TABLE public.audit_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can insert and read" ON public.audit_log
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT occurred_at, action, account_email, actor_email, ip_address
+FROM public.audit_log
+ORDER BY occurred_at DESC
+LIMIT 20;
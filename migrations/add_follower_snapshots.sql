@@ -0,0 +1,50 @@
+-- Migration: Daily follower snapshots
+-- Real follower counts for connected Facebook pages, Instagram accounts and LinkedIn
+-- organizations, plus tracked competitor handles. Written by the daily
+-- 'followers.snapshot' job (services/followerSnapshotService.js) and read by the
+-- V2 metrics services for follower history.
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Snapshots table
+CREATE TABLE IF NOT EXISTS public.follower_snapshots (
+  id bigint GENERATED ALWAYS AS IDENTITY,
+  user_email text NOT NULL,
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE,
+  platform character varying NOT NULL,
+  account_type character varying NOT NULL DEFAULT 'own',
+  account_id text NOT NULL,                 -- page id, Instagram account id, organization URN or competitor handle
+  account_name text,
+  followers integer NOT NULL,
+  source character varying NOT NULL DEFAULT 'daily_job',
+  snapshot_date date NOT NULL DEFAULT CURRENT_DATE,
+  captured_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT follower_snapshots_pkey PRIMARY KEY (id),
+  CONSTRAINT follower_snapshots_platform_check CHECK (platform IN ('facebook', 'instagram', 'linkedin')),
+  CONSTRAINT follower_snapshots_account_type_check CHECK (account_type IN ('own', 'competitor')),
+  -- One row per business account per day (NULL business = account-level); later counts on the same day replace earlier ones
+  CONSTRAINT follower_snapshots_daily_unique UNIQUE NULLS NOT DISTINCT (user_email, business_id, platform, account_type, account_id, snapshot_date)
+);
+
+-- Tables created before business_id was part of the daily key
+ALTER TABLE public.follower_snapshots DROP CONSTRAINT IF EXISTS follower_snapshots_daily_unique;
+ALTER TABLE public.follower_snapshots
+ADD CONSTRAINT follower_snapshots_daily_unique
+UNIQUE NULLS NOT DISTINCT (user_email, business_id, platform, account_type, account_id, snapshot_date);
+
+-- Step 2: Index for competitor lookups shared across accounts
+CREATE INDEX IF NOT EXISTS idx_follower_snapshots_account_date
+ON public.follower_snapshots(platform, account_type, account_id, snapshot_date);
+
+-- Enable Row Level Security
+ALTER TABLE public.follower_snapshots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do all" ON public.follower_snapshots
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT platform, account_type, COUNT(DISTINCT account_id) AS accounts,
+       MIN(snapshot_date) AS first_day, MAX(snapshot_date) AS last_day
+FROM public.follower_snapshots
+GROUP BY platform, account_type;
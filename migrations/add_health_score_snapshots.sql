@@ -0,0 +1,64 @@
+-- Migration: Health score history
+-- One immutable row per calculated health score (services/healthScoreHistoryService.js),
+-- including the Lighthouse category scores and Core Web Vitals behind it.
+-- Powers GET /api/health-score/:website/history.
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Snapshots table
+CREATE TABLE IF NOT EXISTS public.health_score_snapshots (
+  id bigint GENERATED ALWAYS AS IDENTITY,
+  user_email text NOT NULL,
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE,
+  website_url text NOT NULL,
+  overall_score numeric NOT NULL,
+  technical_score numeric,
+  user_experience_score numeric,
+  seo_health_score numeric,
+  core_vitals_score numeric,
+  performance_score numeric,
+  accessibility_score numeric,
+  best_practices_score numeric,
+  seo_score numeric,
+  lcp_ms numeric,
+  fid_ms numeric,
+  cls numeric,
+  fcp_ms numeric,
+  tbt_ms numeric,
+  data_quality jsonb,
+  source character varying NOT NULL DEFAULT 'analysis',
+  captured_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT health_score_snapshots_pkey PRIMARY KEY (id)
+);
+
+-- Step 2: Index for the history endpoint
+CREATE INDEX IF NOT EXISTS idx_health_score_snapshots_lookup
+ON public.health_score_snapshots(user_email, website_url, captured_at);
+
+-- Step 3: Snapshots can't be edited
+-- DELETE stays allowed for account erasure and business removal.
+CREATE OR REPLACE FUNCTION public.prevent_health_score_snapshot_update()
+RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'health_score_snapshots rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS health_score_snapshots_immutable ON public.health_score_snapshots;
+CREATE TRIGGER health_score_snapshots_immutable
+BEFORE UPDATE ON public.health_score_snapshots
+FOR EACH ROW EXECUTE FUNCTION public.prevent_health_score_snapshot_update();
+
+-- Enable Row Level Security
+ALTER TABLE public.health_score_snapshots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do all" ON public.health_score_snapshots
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT website_url, COUNT(*) AS snapshots,
+       MIN(captured_at) AS first_snapshot,
+       MAX(captured_at) AS latest_snapshot
+FROM public.health_score_snapshots
+GROUP BY website_url;
@@ -0,0 +1,60 @@
+-- Migration: Durable background job queue
+-- Long-running work (competitor analyses, PDF reports, AI insights, cache refreshes)
+-- is stored as rows and executed by the worker in services/jobQueueService.js.
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Jobs table
+CREATE TABLE IF NOT EXISTS public.jobs (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  type character varying NOT NULL,
+  status character varying NOT NULL DEFAULT 'queued',
+  user_email text NOT NULL,
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE,
+  workspace_id uuid,
+  payload jsonb DEFAULT '{}'::jsonb,
+  dedupe_key text,
+  progress integer DEFAULT 0,
+  progress_message text,
+  result jsonb,
+  error jsonb,
+  attempts integer NOT NULL DEFAULT 0,
+  max_attempts integer NOT NULL DEFAULT 3,
+  run_at timestamp with time zone DEFAULT now(),
+  locked_by text,
+  locked_at timestamp with time zone,
+  artifact text,                          -- base64 file output (PDF reports)
+  artifact_content_type character varying,
+  artifact_filename text,
+  created_at timestamp with time zone DEFAULT now(),
+  started_at timestamp with time zone,
+  finished_at timestamp with time zone,
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT jobs_pkey PRIMARY KEY (id),
+  CONSTRAINT jobs_status_check CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled'))
+);
+
+-- Step 2: Indexes
+-- Only one queued/running job per dedupe key; finished jobs don't block new ones
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_active_dedupe_key
+ON public.jobs(dedupe_key)
+WHERE status IN ('queued', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at
+ON public.jobs(status, run_at);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_user_email_created
+ON public.jobs(user_email, created_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE public.jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do all" ON public.jobs
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT type, status, COUNT(*) AS jobs
+FROM public.jobs
+GROUP BY type, status
+ORDER BY type, status;
@@ -0,0 +1,64 @@
+-- Migration: Keyword rank tracking
+-- Target keywords pinned per business and domain, and their daily Search Console
+-- position, clicks, impressions and CTR recorded by the 'keywords.snapshot' job
+-- (services/keywordTrackingService.js).
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Pinned keywords
+CREATE TABLE IF NOT EXISTS public.tracked_keywords (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE,
+  workspace_id uuid,
+  domain text NOT NULL,                       -- normalized, e.g. example.com
+  site_url text,                              -- GSC property (sc-domain:example.com, https://example.com/), resolved on first run
+  keyword text NOT NULL,                      -- lowercased search query
+  created_by text,
+  last_recorded_at timestamp with time zone,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT tracked_keywords_pkey PRIMARY KEY (id),
+  CONSTRAINT tracked_keywords_unique UNIQUE NULLS NOT DISTINCT (user_email, business_id, domain, keyword)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tracked_keywords_owner
+ON public.tracked_keywords(user_email, business_id, domain);
+
+-- Step 2: Daily rankings
+CREATE TABLE IF NOT EXISTS public.keyword_rankings (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  keyword_id uuid NOT NULL REFERENCES public.tracked_keywords(id) ON DELETE CASCADE,
+  user_email text NOT NULL,
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE,
+  date date NOT NULL,
+  position numeric NOT NULL,                  -- average position that day
+  clicks integer NOT NULL DEFAULT 0,
+  impressions integer NOT NULL DEFAULT 0,
+  ctr numeric NOT NULL DEFAULT 0,             -- fraction (0.05 = 5%)
+  recorded_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT keyword_rankings_pkey PRIMARY KEY (id),
+  CONSTRAINT keyword_rankings_unique UNIQUE (keyword_id, date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_keyword_rankings_keyword_date
+ON public.keyword_rankings(keyword_id, date DESC);
+
+-- Enable Row Level Security
+ALTER TABLE public.tracked_keywords ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.keyword_rankings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do all" ON public.tracked_keywords
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "Service role can do all" ON public.keyword_rankings
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT k.domain, COUNT(DISTINCT k.id) AS keywords, COUNT(r.id) AS rankings, MAX(r.date) AS latest
+FROM public.tracked_keywords k
+LEFT JOIN public.keyword_rankings r ON r.keyword_id = k.id
+GROUP BY k.domain
+ORDER BY k.domain;
@@ -0,0 +1,20 @@
+-- Migration: Envelope encryption for stored OAuth tokens
+-- access_token / refresh_token now hold vault ciphertext ("enc1:...").
+-- encrypted_data_key is the row's data key wrapped with the master key of key_version.
+-- Rows with key_version NULL are pre-vault plaintext; scripts/rotate-token-keys.js encrypts them.
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Envelope columns
+ALTER TABLE public.oauth_tokens
+ADD COLUMN IF NOT EXISTS encrypted_data_key text,
+ADD COLUMN IF NOT EXISTS key_version integer;
+
+-- Step 2: Index for finding rows still on an old key (or unencrypted)
+CREATE INDEX IF NOT EXISTS idx_oauth_tokens_key_version
+ON public.oauth_tokens(key_version);
+
+-- Verification
+SELECT key_version, COUNT(*) AS rows
+FROM public.oauth_tokens
+GROUP BY key_version
+ORDER BY key_version NULLS FIRST;
@@ -0,0 +1,58 @@
+-- Migration: Scheduled report delivery
+-- Weekly or monthly report schedules per business. The scheduler in
+-- services/reportScheduleService.js queues a 'report.scheduled' job when next_run_at
+-- passes; the job generates the report for the previous week/month, saves it to
+-- public.reports and emails the PDF to the recipients.
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Schedules table
+CREATE TABLE IF NOT EXISTS public.report_schedules (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE,
+  workspace_id uuid,
+  report_type character varying NOT NULL,
+  frequency character varying NOT NULL,
+  recipients text[] NOT NULL,
+  day_of_week smallint NOT NULL DEFAULT 1,    -- weekly: 0 = Sunday ... 6 = Saturday (UTC)
+  day_of_month smallint NOT NULL DEFAULT 1,   -- monthly: 1-28 (UTC)
+  hour_utc smallint NOT NULL DEFAULT 7,
+  enabled boolean NOT NULL DEFAULT true,
+  next_run_at timestamp with time zone NOT NULL,
+  last_run_at timestamp with time zone,
+  last_status character varying,
+  last_error text,
+  last_report_id uuid,
+  created_by text,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT report_schedules_pkey PRIMARY KEY (id),
+  CONSTRAINT report_schedules_report_type_check CHECK (report_type IN ('dashboard', 'competitor', 'social', 'seo', 'overall')),
+  CONSTRAINT report_schedules_frequency_check CHECK (frequency IN ('weekly', 'monthly')),
+  CONSTRAINT report_schedules_day_of_week_check CHECK (day_of_week BETWEEN 0 AND 6),
+  CONSTRAINT report_schedules_day_of_month_check CHECK (day_of_month BETWEEN 1 AND 28),
+  CONSTRAINT report_schedules_hour_check CHECK (hour_utc BETWEEN 0 AND 23),
+  CONSTRAINT report_schedules_recipients_check CHECK (cardinality(recipients) > 0)
+);
+
+-- Step 2: Indexes for the scheduler and per-business listing
+CREATE INDEX IF NOT EXISTS idx_report_schedules_due
+ON public.report_schedules(next_run_at)
+WHERE enabled = true;
+
+CREATE INDEX IF NOT EXISTS idx_report_schedules_owner
+ON public.report_schedules(user_email, business_id);
+
+-- Enable Row Level Security
+ALTER TABLE public.report_schedules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do all" ON public.report_schedules
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT frequency, report_type, COUNT(*) AS schedules, MIN(next_run_at) AS next_due
+FROM public.report_schedules
+WHERE enabled = true
+GROUP BY frequency, report_type;
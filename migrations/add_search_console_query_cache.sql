@@ -0,0 +1,41 @@
+-- Migration: Search Console query cache
+-- Results of POST /api/search-console/query, keyed on the full query shape (site, dates,
+-- dimensions, filters, search type, comparison, rows) - see services/searchConsoleQueryService.js.
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Cache table
+CREATE TABLE IF NOT EXISTS public.search_console_query_cache (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE,
+  cache_key text NOT NULL,                    -- sha256 of account, business and normalized query
+  site_url text NOT NULL,
+  query jsonb NOT NULL,                       -- normalized query, for debugging and cleanup
+  response jsonb NOT NULL,
+  row_count integer NOT NULL DEFAULT 0,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  expires_at timestamp with time zone NOT NULL,
+  CONSTRAINT search_console_query_cache_pkey PRIMARY KEY (id),
+  CONSTRAINT search_console_query_cache_key_unique UNIQUE (cache_key)
+);
+
+-- Step 2: Indexes for invalidation and expiry cleanup
+CREATE INDEX IF NOT EXISTS idx_search_console_query_cache_account
+ON public.search_console_query_cache(user_email, business_id);
+
+CREATE INDEX IF NOT EXISTS idx_search_console_query_cache_expires
+ON public.search_console_query_cache(expires_at);
+
+-- Enable Row Level Security
+ALTER TABLE public.search_console_query_cache ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do all" ON public.search_console_query_cache
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT site_url, COUNT(*) AS entries, SUM(row_count) AS rows, MAX(created_at) AS latest
+FROM public.search_console_query_cache
+GROUP BY site_url
+ORDER BY site_url;
@@ -0,0 +1,83 @@
+-- Migration: Site crawls
+-- Multi-page technical SEO crawls (services/siteCrawlerService.js). Each crawl is a run
+-- with one row per URL visited and the issues found on it, so runs can be diffed.
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Crawl runs
+CREATE TABLE IF NOT EXISTS public.crawl_runs (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE,
+  workspace_id uuid,
+  domain text NOT NULL,
+  start_url text NOT NULL,
+  status character varying NOT NULL DEFAULT 'queued',
+  options jsonb NOT NULL DEFAULT '{}'::jsonb,     -- { maxPages, maxDepth, concurrency, includeSitemap }
+  summary jsonb,                                 -- page counts and issue counts by type
+  pages_crawled integer NOT NULL DEFAULT 0,
+  issue_count integer NOT NULL DEFAULT 0,
+  job_id uuid,
+  error text,
+  created_by text,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  started_at timestamp with time zone,
+  finished_at timestamp with time zone,
+  CONSTRAINT crawl_runs_pkey PRIMARY KEY (id),
+  CONSTRAINT crawl_runs_status_check CHECK (status IN ('queued', 'running', 'completed', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_crawl_runs_account_domain
+ON public.crawl_runs(user_email, business_id, domain, created_at DESC);
+
+-- Step 2: Pages visited in a run
+CREATE TABLE IF NOT EXISTS public.crawl_pages (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  run_id uuid NOT NULL REFERENCES public.crawl_runs(id) ON DELETE CASCADE,
+  url text NOT NULL,
+  depth integer NOT NULL DEFAULT 0,
+  source character varying NOT NULL DEFAULT 'link',   -- start, link, sitemap, hreflang
+  status_code integer,                                 -- null when not fetched (blocked, network error)
+  error text,
+  redirect_chain jsonb NOT NULL DEFAULT '[]'::jsonb,   -- [{ url, status }] hops before final_url
+  final_url text,
+  content_type text,
+  size_bytes integer,
+  load_ms integer,
+  title text,
+  meta_description text,
+  canonical text,
+  meta_robots text,
+  x_robots_tag text,
+  indexable boolean NOT NULL DEFAULT false,
+  indexability text,                                   -- reason when not indexable
+  hreflang jsonb NOT NULL DEFAULT '[]'::jsonb,         -- [{ lang, href }]
+  inlinks integer NOT NULL DEFAULT 0,
+  outlinks integer NOT NULL DEFAULT 0,
+  issues jsonb NOT NULL DEFAULT '[]'::jsonb,           -- [{ type, severity, detail }]
+  crawled_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT crawl_pages_pkey PRIMARY KEY (id),
+  CONSTRAINT crawl_pages_run_url_unique UNIQUE (run_id, url)
+);
+
+CREATE INDEX IF NOT EXISTS idx_crawl_pages_run
+ON public.crawl_pages(run_id);
+
+-- Enable Row Level Security
+ALTER TABLE public.crawl_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.crawl_pages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do all" ON public.crawl_runs
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "Service role can do all" ON public.crawl_pages
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT domain, status, COUNT(*) AS runs, MAX(pages_crawled) AS max_pages, MAX(created_at) AS latest
+FROM public.crawl_runs
+GROUP BY domain, status
+ORDER BY domain, status;
@@ -0,0 +1,51 @@
+-- Migration: Background token refresh tracking and in-app notifications
+-- oauth_tokens records the last successful refresh and the last failure;
+-- the refresh worker (services/tokenRefreshService.js) notifies accounts whose
+-- connections can't be renewed.
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Refresh tracking on oauth_tokens
+ALTER TABLE public.oauth_tokens
+ADD COLUMN IF NOT EXISTS last_refreshed_at timestamp with time zone,
+ADD COLUMN IF NOT EXISTS refresh_failed_at timestamp with time zone,
+ADD COLUMN IF NOT EXISTS refresh_error text;
+
+CREATE INDEX IF NOT EXISTS idx_oauth_tokens_provider_expires_at
+ON public.oauth_tokens(provider, expires_at);
+
+-- Step 2: Notifications
+CREATE TABLE IF NOT EXISTS public.notifications (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE,
+  type character varying NOT NULL,
+  title text NOT NULL,
+  message text NOT NULL,
+  metadata jsonb DEFAULT '{}'::jsonb,
+  dedupe_key text,
+  read_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT notifications_pkey PRIMARY KEY (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_email_created
+ON public.notifications(user_email, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_unread_dedupe
+ON public.notifications(user_email, dedupe_key)
+WHERE read_at IS NULL;
+
+-- Enable Row Level Security
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do all" ON public.notifications
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT provider, COUNT(*) AS connections,
+       COUNT(refresh_failed_at) AS failing,
+       MAX(last_refreshed_at) AS latest_refresh
+FROM public.oauth_tokens
+GROUP BY provider;
@@ -0,0 +1,80 @@
+-- Migration: Usage ledger
+-- One row per metered action (report, AI insight generation, chat message, competitor
+-- analysis, PDF export). Monthly quotas from PLAN_FEATURES are enforced by counting the
+-- rows of the current billing period (services/usageService.js).
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Ledger
+CREATE TABLE IF NOT EXISTS public.usage_events (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,                   -- billed account
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE SET NULL,
+  workspace_id uuid,
+  feature character varying NOT NULL,
+  resource_id text,                           -- report id, job id, ... when there is one
+  metadata jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT usage_events_pkey PRIMARY KEY (id),
+  CONSTRAINT usage_events_feature_check CHECK (feature IN (
+    'reports', 'aiInsights', 'competitorAnalysis', 'chat', 'pdf'
+  ))
+);
+
+-- Step 2: Index for per-period counts
+CREATE INDEX IF NOT EXISTS idx_usage_events_account_feature
+ON public.usage_events(user_email, feature, created_at DESC);
+
+-- Step 3: Atomic quota check
+-- Counts the period's rows and inserts one only while the account is under p_limit
+-- (-1 = unlimited). The advisory lock serialises concurrent requests for the same
+-- account and feature, so they cannot both take the last unit.
+CREATE OR REPLACE FUNCTION public.consume_usage(
+  p_user_email text,
+  p_business_id uuid,
+  p_workspace_id uuid,
+  p_feature character varying,
+  p_limit integer,
+  p_period_start timestamp with time zone,
+  p_period_end timestamp with time zone,
+  p_metadata jsonb DEFAULT '{}'::jsonb
+)
+RETURNS TABLE (allowed boolean, used integer, event_id uuid) AS $$
+DECLARE
+  v_used integer;
+  v_id uuid;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('usage:' || p_user_email || ':' || p_feature));
+
+  SELECT COUNT(*) INTO v_used
+  FROM public.usage_events e
+  WHERE e.user_email = p_user_email
+    AND e.feature = p_feature
+    AND e.created_at >= p_period_start
+    AND e.created_at < p_period_end;
+
+  IF p_limit >= 0 AND v_used >= p_limit THEN
+    RETURN QUERY SELECT false, v_used, NULL::uuid;
+    RETURN;
+  END IF;
+
+  INSERT INTO public.usage_events (user_email, business_id, workspace_id, feature, metadata)
+  VALUES (p_user_email, p_business_id, p_workspace_id, p_feature, COALESCE(p_metadata, '{}'::jsonb))
+  RETURNING id INTO v_id;
+
+  RETURN QUERY SELECT true, v_used + 1, v_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Enable Row Level Security
+ALTER TABLE public.usage_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do all" ON public.usage_events
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT feature, date_trunc('month', created_at) AS month, COUNT(*) AS events
+FROM public.usage_events
+GROUP BY feature, date_trunc('month', created_at)
+ORDER BY month DESC, feature;
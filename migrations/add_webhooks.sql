@@ -0,0 +1,103 @@
+-- Migration: Outgoing webhooks
+-- Subscriptions to platform events (analysis.completed, report.generated, plan.changed, ...)
+-- delivered by the 'webhook.deliver' job (services/webhookService.js). Every delivery is
+-- signed with the subscription's secret, retried with exponential backoff and each
+-- attempt is logged so failed deliveries can be inspected and replayed.
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Subscriptions
+-- business_id NULL = account-wide (receives the events of every business)
+CREATE TABLE IF NOT EXISTS public.webhook_subscriptions (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE,
+  workspace_id uuid,
+  url text NOT NULL,
+  events text[] NOT NULL DEFAULT '{}',        -- event types, '*' = all
+  description text,
+  enabled boolean NOT NULL DEFAULT true,
+  secret text NOT NULL,                       -- signing secret, token vault ciphertext
+  encrypted_data_key text NOT NULL,
+  key_version integer NOT NULL,
+  created_by text,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT webhook_subscriptions_pkey PRIMARY KEY (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_owner
+ON public.webhook_subscriptions(user_email, business_id)
+WHERE enabled = true;
+
+-- Step 2: Deliveries (one per event and subscription; replays create a new row)
+CREATE TABLE IF NOT EXISTS public.webhook_deliveries (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  subscription_id uuid REFERENCES public.webhook_subscriptions(id) ON DELETE SET NULL,
+  user_email text NOT NULL,
+  business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE,
+  event_id text NOT NULL,
+  event_type text NOT NULL,
+  payload jsonb NOT NULL,                     -- exact event body that is signed and sent
+  status character varying NOT NULL DEFAULT 'pending',
+  attempts integer NOT NULL DEFAULT 0,
+  last_status_code integer,
+  last_error text,
+  replay_of uuid REFERENCES public.webhook_deliveries(id) ON DELETE SET NULL,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  delivered_at timestamp with time zone,
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT webhook_deliveries_pkey PRIMARY KEY (id),
+  CONSTRAINT webhook_deliveries_status_check CHECK (status IN ('pending', 'retrying', 'delivered', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_owner
+ON public.webhook_deliveries(user_email, business_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+ON public.webhook_deliveries(subscription_id, created_at DESC);
+
+-- Step 3: Attempt log
+CREATE TABLE IF NOT EXISTS public.webhook_delivery_attempts (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  delivery_id uuid NOT NULL REFERENCES public.webhook_deliveries(id) ON DELETE CASCADE,
+  user_email text NOT NULL,
+  attempt integer NOT NULL,
+  url text NOT NULL,
+  status_code integer,                        -- response bodies are never stored
+  error text,
+  duration_ms integer,
+  attempted_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT webhook_delivery_attempts_pkey PRIMARY KEY (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery
+ON public.webhook_delivery_attempts(delivery_id, attempt);
+
+-- Attempt logs created before response bodies were dropped
+ALTER TABLE public.webhook_delivery_attempts DROP COLUMN IF EXISTS response_body;
+
+-- Enable Row Level Security
+ALTER TABLE public.webhook_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.webhook_delivery_attempts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do all" ON public.webhook_subscriptions
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "Service role can do all" ON public.webhook_deliveries
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "Service role can do all" ON public.webhook_delivery_attempts
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT d.event_type, d.status, COUNT(*) AS deliveries
+FROM public.webhook_deliveries d
+GROUP BY d.event_type, d.status
+ORDER BY d.event_type, d.status;
@@ -0,0 +1,67 @@
+-- Migration: Workspace team members, invitations and roles
+-- Roles: owner (full control, billing), editor (connect accounts, edit competitors,
+-- clear caches), viewer (read-only dashboards and reports).
+-- The workspace creator (workspaces.owner_email) is always an implicit owner.
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Members
+CREATE TABLE IF NOT EXISTS public.workspace_members (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL,
+  email text NOT NULL,
+  role character varying NOT NULL DEFAULT 'viewer',
+  invited_by text,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT workspace_members_pkey PRIMARY KEY (id),
+  CONSTRAINT workspace_members_workspace_id_fkey FOREIGN KEY (workspace_id) REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  CONSTRAINT workspace_members_unique_workspace_email UNIQUE (workspace_id, email),
+  CONSTRAINT workspace_members_role_check CHECK (role IN ('owner', 'editor', 'viewer'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_members_email
+ON public.workspace_members(email);
+
+-- Step 2: Invitations (only a SHA-256 hash of the invite token is stored)
+CREATE TABLE IF NOT EXISTS public.workspace_invitations (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL,
+  email text NOT NULL,
+  role character varying NOT NULL DEFAULT 'viewer',
+  token_hash text NOT NULL,
+  invited_by text NOT NULL,
+  expires_at timestamp with time zone NOT NULL,
+  accepted_at timestamp with time zone,
+  revoked_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT workspace_invitations_pkey PRIMARY KEY (id),
+  CONSTRAINT workspace_invitations_workspace_id_fkey FOREIGN KEY (workspace_id) REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  CONSTRAINT workspace_invitations_token_hash_key UNIQUE (token_hash),
+  CONSTRAINT workspace_invitations_role_check CHECK (role IN ('owner', 'editor', 'viewer'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_invitations_workspace_id
+ON public.workspace_invitations(workspace_id);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_invitations_email
+ON public.workspace_invitations(email);
+
+-- Enable Row Level Security
+ALTER TABLE public.workspace_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.workspace_invitations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do all" ON public.workspace_members
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+CREATE POLICY "Service role can do all" ON public.workspace_invitations
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT w.name, m.email, m.role
+FROM public.workspace_members m
+JOIN public.workspaces w ON w.id = m.workspace_id
+ORDER BY w.created_at, m.created_at;
@@ -0,0 +1,136 @@
+-- Migration: Agency workspaces with multiple client businesses per account
+-- One account (owner) owns one or more workspaces; each workspace holds several
+-- business profiles (user_business_info rows). Caches, OAuth connections, AI insights
+-- and reports are scoped to a business via a nullable business_id column.
+-- Rows with business_id = NULL are account-level (pre-workspace) data.
+-- Run this SQL in your Supabase SQL Editor
+
+-- Step 1: Workspaces
+CREATE TABLE IF NOT EXISTS public.workspaces (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  name character varying NOT NULL,
+  owner_email text NOT NULL,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT workspaces_pkey PRIMARY KEY (id),
+  CONSTRAINT workspaces_owner_email_fkey FOREIGN KEY (owner_email) REFERENCES public.users_table(email) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspaces_owner_email
+ON public.workspaces(owner_email);
+
+-- Step 2: Several businesses per account
+ALTER TABLE public.user_business_info
+DROP CONSTRAINT IF EXISTS user_business_info_user_email_key;
+
+ALTER TABLE public.user_business_info
+ADD COLUMN IF NOT EXISTS workspace_id uuid REFERENCES public.workspaces(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_user_business_info_user_email
+ON public.user_business_info(user_email);
+
+CREATE INDEX IF NOT EXISTS idx_user_business_info_workspace_id
+ON public.user_business_info(workspace_id);
+
+-- Step 3: Backfill - one default workspace per existing business owner
+INSERT INTO public.workspaces (name, owner_email)
+SELECT COALESCE(MAX(ubi.business_name), 'My Workspace'), ubi.user_email
+FROM public.user_business_info ubi
+WHERE NOT EXISTS (SELECT 1 FROM public.workspaces w WHERE w.owner_email = ubi.user_email)
+GROUP BY ubi.user_email;
+
+UPDATE public.user_business_info ubi
+SET workspace_id = w.id
+FROM public.workspaces w
+WHERE ubi.workspace_id IS NULL AND w.owner_email = ubi.user_email;
+
+-- Step 4: business_id on every business-scoped table
+ALTER TABLE public.search_console_cache ADD COLUMN IF NOT EXISTS business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE;
+ALTER TABLE public.google_analytics_cache ADD COLUMN IF NOT EXISTS business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE;
+ALTER TABLE public.lighthouse_cache ADD COLUMN IF NOT EXISTS business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE;
+ALTER TABLE public.se_ranking_cache ADD COLUMN IF NOT EXISTS business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE;
+ALTER TABLE public.competitor_cache ADD COLUMN IF NOT EXISTS business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE;
+ALTER TABLE public.social_media_cache ADD COLUMN IF NOT EXISTS business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE;
+ALTER TABLE public.ai_insights ADD COLUMN IF NOT EXISTS business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE;
+ALTER TABLE public.reports ADD COLUMN IF NOT EXISTS business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE;
+ALTER TABLE public.oauth_tokens ADD COLUMN IF NOT EXISTS business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE;
+ALTER TABLE public.social_connections_v2 ADD COLUMN IF NOT EXISTS business_id uuid REFERENCES public.user_business_info(id) ON DELETE CASCADE;
+
+-- Step 5: Backfill - existing rows belong to the owner's (single) business
+UPDATE public.social_media_cache t SET business_id = ubi.id
+FROM public.user_business_info ubi WHERE t.business_id IS NULL AND ubi.user_email = t.user_email;
+UPDATE public.ai_insights t SET business_id = ubi.id
+FROM public.user_business_info ubi WHERE t.business_id IS NULL AND ubi.user_email = t.user_email;
+UPDATE public.reports t SET business_id = ubi.id
+FROM public.user_business_info ubi WHERE t.business_id IS NULL AND ubi.user_email = t.user_email;
+UPDATE public.oauth_tokens t SET business_id = ubi.id
+FROM public.user_business_info ubi WHERE t.business_id IS NULL AND ubi.user_email = t.user_email;
+UPDATE public.social_connections_v2 t SET business_id = ubi.id
+FROM public.user_business_info ubi WHERE t.business_id IS NULL AND ubi.user_email = t.user_email;
+
+UPDATE public.search_console_cache t SET business_id = ubi.id
+FROM public.users_table u JOIN public.user_business_info ubi ON ubi.user_email = u.email
+WHERE t.business_id IS NULL AND u.id = t.user_id;
+UPDATE public.google_analytics_cache t SET business_id = ubi.id
+FROM public.users_table u JOIN public.user_business_info ubi ON ubi.user_email = u.email
+WHERE t.business_id IS NULL AND u.id = t.user_id;
+UPDATE public.lighthouse_cache t SET business_id = ubi.id
+FROM public.users_table u JOIN public.user_business_info ubi ON ubi.user_email = u.email
+WHERE t.business_id IS NULL AND u.id = t.user_id;
+UPDATE public.competitor_cache t SET business_id = ubi.id
+FROM public.users_table u JOIN public.user_business_info ubi ON ubi.user_email = u.email
+WHERE t.business_id IS NULL AND u.id = t.user_id;
+UPDATE public.se_ranking_cache t SET business_id = ubi.id
+FROM public.users_table u JOIN public.user_business_info ubi ON ubi.user_email = u.email
+WHERE t.business_id IS NULL AND u.id::text = t.user_id::text;
+
+-- Step 6: Unique keys now include the business (NULL = account-level row)
+ALTER TABLE public.search_console_cache DROP CONSTRAINT IF EXISTS search_console_cache_user_id_key;
+ALTER TABLE public.search_console_cache
+ADD CONSTRAINT search_console_cache_unique_user_business UNIQUE NULLS NOT DISTINCT (user_id, business_id);
+
+ALTER TABLE public.google_analytics_cache DROP CONSTRAINT IF EXISTS google_analytics_cache_user_id_key;
+ALTER TABLE public.google_analytics_cache
+ADD CONSTRAINT google_analytics_cache_unique_user_business UNIQUE NULLS NOT DISTINCT (user_id, business_id);
+
+-- linkedin_company_id keeps one row per LinkedIn organization (NULL for Facebook/Instagram)
+ALTER TABLE public.social_media_cache DROP CONSTRAINT IF EXISTS social_media_cache_unique_user_platform_period;
+ALTER TABLE public.social_media_cache
+ADD CONSTRAINT social_media_cache_unique_user_business_platform_period
+UNIQUE NULLS NOT DISTINCT (user_email, business_id, platform, period, linkedin_company_id);
+
+ALTER TABLE public.competitor_cache DROP CONSTRAINT IF EXISTS competitor_cache_unique_user_domains;
+ALTER TABLE public.competitor_cache
+ADD CONSTRAINT competitor_cache_unique_user_business_domains UNIQUE NULLS NOT DISTINCT (user_id, business_id, user_domain, competitor_domain);
+
+-- competitorCacheService upserts on the social-handle variant of the key
+CREATE UNIQUE INDEX IF NOT EXISTS idx_competitor_cache_unique_user_business_handles
+ON public.competitor_cache (user_id, business_id, user_domain, competitor_domain, user_instagram, user_facebook, competitor_instagram, competitor_facebook)
+NULLS NOT DISTINCT;
+
+-- Step 7: Indexes for business-scoped lookups
+CREATE INDEX IF NOT EXISTS idx_search_console_cache_business_id ON public.search_console_cache(business_id);
+CREATE INDEX IF NOT EXISTS idx_google_analytics_cache_business_id ON public.google_analytics_cache(business_id);
+CREATE INDEX IF NOT EXISTS idx_lighthouse_cache_business_id ON public.lighthouse_cache(business_id);
+CREATE INDEX IF NOT EXISTS idx_se_ranking_cache_business_id ON public.se_ranking_cache(business_id);
+CREATE INDEX IF NOT EXISTS idx_competitor_cache_business_id ON public.competitor_cache(business_id);
+CREATE INDEX IF NOT EXISTS idx_social_media_cache_business_id ON public.social_media_cache(business_id);
+CREATE INDEX IF NOT EXISTS idx_ai_insights_business_id ON public.ai_insights(business_id);
+CREATE INDEX IF NOT EXISTS idx_reports_business_id ON public.reports(business_id);
+CREATE INDEX IF NOT EXISTS idx_oauth_tokens_business_id ON public.oauth_tokens(business_id);
+CREATE INDEX IF NOT EXISTS idx_social_connections_v2_business_id ON public.social_connections_v2(business_id);
+
+-- Enable Row Level Security
+ALTER TABLE public.workspaces ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can do all" ON public.workspaces
+FOR ALL
+USING (true)
+WITH CHECK (true);
+
+-- Verification
+SELECT w.name, w.owner_email, COUNT(ubi.id) AS businesses
+FROM public.workspaces w
+LEFT JOIN public.user_business_info ubi ON ubi.workspace_id = w.id
+GROUP BY w.id
+ORDER BY w.created_at;
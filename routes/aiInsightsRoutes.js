@@ -1,13 +1,24 @@
 import express from 'express';
 import aiInsightsService from '../services/aiInsightsService.js';
+import jobQueueService, { scopedDedupeKey } from '../services/jobQueueService.js';
+import usageService from '../services/usageService.js';
+import { validateAIInsightsLimit } from '../middleware/tierValidation.js';
 
 const router = express.Router();
 
+jobQueueService.registerHandler('ai-insights.generate', async (payload, { scope, progress }) => {
+  await progress(10, 'Gathering metrics');
+  return aiInsightsService.generateInsights(scope, 'all', { usageReservationId: payload.usageReservationId });
+}, { timeoutMs: 5 * 60 * 1000 });
+
 /**
  * POST /api/ai-insights/generate
- * Generate new unified AI insights (3-5 total recommendations)
+ * Queue generation of unified AI insights (3-5 total recommendations)
+ * Responds 202 with a job id; the insights are the job result at GET /api/jobs/:id.
+ * Refused with 403 once the plan's monthly AI insights quota is used up
+ * (only freshly generated insights count, not cached ones).
  */
-router.post('/generate', async (req, res) => {
+router.post('/generate', validateAIInsightsLimit, async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -18,11 +29,25 @@ router.post('/generate', async (req, res) => {
       });
     }
 
-    console.log(`🤖 Generating unified AI insights for: ${email}`);
+    console.log(`🤖 Queueing unified AI insights for: ${email}`);
+
+    const usageReservationId = req.usageReservation?.reservationId || null;
+    const { job, deduplicated } = await jobQueueService.enqueue('ai-insights.generate', { usageReservationId }, {
+      scope: req.businessScope,
+      dedupeKey: scopedDedupeKey('ai-insights.generate', req.businessScope)
+    });
 
-    const result = await aiInsightsService.generateInsights(email);
+    // The job already queued carries its own reservation
+    if (deduplicated) {
+      await usageService.release(usageReservationId);
+    }
 
-    return res.json(result);
+    return res.status(202).json({
+      success: true,
+      jobId: job.id,
+      deduplicated,
+      job: jobQueueService.toResponse(job)
+    });
 
   } catch (error) {
     console.error('❌ Error generating AI insights:', error);
@@ -48,7 +73,7 @@ router.get('/latest', async (req, res) => {
       });
     }
 
-    const insights = await aiInsightsService.getLatestInsights(email);
+    const insights = await aiInsightsService.getLatestInsights(req.businessScope);
 
     if (!insights) {
       return res.json({
@@ -90,7 +115,7 @@ router.get('/history', async (req, res) => {
       });
     }
 
-    const history = await aiInsightsService.getInsightsHistory(email, limit);
+    const history = await aiInsightsService.getInsightsHistory(req.businessScope, limit);
 
     return res.json({
       success: true,
@@ -123,7 +148,7 @@ router.get('/categories', async (req, res) => {
     }
 
     // Get latest insights to check what's available
-    const latestInsights = await aiInsightsService.getLatestInsights(email);
+    const latestInsights = await aiInsightsService.getLatestInsights(req.businessScope);
 
     const categories = {
       seo: {
@@ -176,7 +201,7 @@ router.delete('/cleanup', async (req, res) => {
       });
     }
 
-    await aiInsightsService.cleanupOldInsights(email, daysToKeep);
+    await aiInsightsService.cleanupOldInsights(req.businessScope, daysToKeep);
 
     return res.json({
       success: true,
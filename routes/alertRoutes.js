@@ -0,0 +1,173 @@
+import express from 'express';
+import alertService, { ALERT_OPERATORS, ALERT_CHANNEL_TYPES } from '../services/alertService.js';
+import metricsAggregator from '../services/analytics/MetricsAggregator.js';
+import jobQueueService from '../services/jobQueueService.js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/alerts/metrics
+ * Metrics currently available for rules (ids, names and values), plus the supported operators
+ */
+router.get('/metrics', async (req, res) => {
+  try {
+    const aggregated = await metricsAggregator.aggregateAll(req.businessScope);
+
+    res.json({
+      success: true,
+      operators: ALERT_OPERATORS,
+      channelTypes: ALERT_CHANNEL_TYPES,
+      metrics: (aggregated.allMetrics || []).map(metric => ({
+        id: metric.id,
+        name: metric.name,
+        category: metric.category,
+        value: metric.value,
+        unit: metric.unit || null
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error listing alert metrics:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/alerts/rules
+ * Alert rules for the selected business
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await alertService.listRules(req.businessScope);
+
+    res.json({ success: true, rules: rules.map(rule => alertService.toResponse(rule)) });
+  } catch (error) {
+    console.error('❌ Error listing alert rules:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/alerts/rules
+ * Create a rule
+ * Body: { name, metric, operator, threshold | compareMetric, channels, cooldownMinutes, enabled }
+ * e.g. { name: 'Health score drop', metric: 'seo_health_score', operator: 'drops_by', threshold: 10,
+ *        channels: [{ type: 'email', recipients: ['me@example.com'] }] }
+ * Webhook channels name one of the business's webhooks: { type: 'webhook', subscriptionId }
+ */
+router.post('/rules', requireEditor, async (req, res) => {
+  try {
+    const rule = await alertService.createRule(req.businessScope, req.body, req.user.email);
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.ALERT_RULE_UPDATED,
+      resourceType: 'alert_rule',
+      resourceId: rule.id,
+      after: alertService.toResponse(rule),
+      metadata: { operation: 'create' }
+    });
+
+    res.status(201).json({ success: true, rule: alertService.toResponse(rule) });
+  } catch (error) {
+    console.error('❌ Error creating alert rule:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/alerts/rules/:id
+ * Change a rule; omitted fields keep their current values
+ */
+router.patch('/rules/:id', requireEditor, async (req, res) => {
+  try {
+    const updated = await alertService.updateRule(req.params.id, req.businessScope, req.body);
+
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.ALERT_RULE_UPDATED,
+      resourceType: 'alert_rule',
+      resourceId: updated.after.id,
+      before: alertService.toResponse(updated.before),
+      after: alertService.toResponse(updated.after),
+      metadata: { operation: 'update' }
+    });
+
+    res.json({ success: true, rule: alertService.toResponse(updated.after) });
+  } catch (error) {
+    console.error('❌ Error updating alert rule:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/alerts/rules/:id
+ * Remove a rule (its alert history is kept)
+ */
+router.delete('/rules/:id', requireEditor, async (req, res) => {
+  try {
+    const deleted = await alertService.deleteRule(req.params.id, req.businessScope);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.ALERT_RULE_UPDATED,
+      resourceType: 'alert_rule',
+      resourceId: deleted.id,
+      before: alertService.toResponse(deleted),
+      metadata: { operation: 'delete' }
+    });
+
+    res.json({ success: true, message: 'Alert rule deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting alert rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/alerts/history
+ * Alerts sent for the selected business, newest first
+ * Query: ruleId, limit (max 200)
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const { ruleId, limit } = req.query;
+    const alerts = await alertService.getHistory(req.businessScope, { ruleId, limit });
+
+    res.json({ success: true, alerts });
+  } catch (error) {
+    console.error('❌ Error fetching alert history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/alerts/evaluate
+ * Evaluate the rules now instead of waiting for the next data refresh
+ */
+router.post('/evaluate', requireEditor, async (req, res) => {
+  try {
+    const job = await alertService.requestEvaluation(req.businessScope, { delayMs: 0 });
+
+    if (!job) {
+      return res.status(400).json({ success: false, error: 'No enabled alert rules to evaluate' });
+    }
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job: jobQueueService.toResponse(job)
+    });
+  } catch (error) {
+    console.error('❌ Error queueing alert evaluation:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
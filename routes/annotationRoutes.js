@@ -0,0 +1,115 @@
+import express from 'express';
+import annotationService, { ANNOTATION_CATEGORIES } from '../services/annotationService.js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * GET /api/annotations
+ * Annotations for the selected business, oldest first
+ * Query: from, to (YYYY-MM-DD, events overlapping the range), category, limit (max 500)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { from, to, category, limit } = req.query;
+
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({ success: false, error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+
+    const annotations = await annotationService.listAnnotations(req.businessScope, { from, to, category, limit });
+
+    res.json({
+      success: true,
+      annotations: annotations.map(annotation => annotationService.toResponse(annotation)),
+      categories: ANNOTATION_CATEGORIES
+    });
+  } catch (error) {
+    console.error('❌ Error listing annotations:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/annotations
+ * Record an event
+ * Body: { date, endDate, title, description, category, url }
+ * e.g. { date: '2026-03-02', title: 'Spring campaign launch', category: 'campaign', endDate: '2026-03-16' }
+ */
+router.post('/', requireEditor, async (req, res) => {
+  try {
+    const annotation = await annotationService.createAnnotation(req.businessScope, req.body, req.user.email);
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.ANNOTATION_UPDATED,
+      resourceType: 'annotation',
+      resourceId: annotation.id,
+      after: annotationService.toResponse(annotation),
+      metadata: { operation: 'create' }
+    });
+
+    res.status(201).json({ success: true, annotation: annotationService.toResponse(annotation) });
+  } catch (error) {
+    console.error('❌ Error creating annotation:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/annotations/:id
+ * Change an annotation; omitted fields keep their current values (null clears optional ones)
+ */
+router.patch('/:id', requireEditor, async (req, res) => {
+  try {
+    const updated = await annotationService.updateAnnotation(req.params.id, req.businessScope, req.body);
+
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Annotation not found' });
+    }
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.ANNOTATION_UPDATED,
+      resourceType: 'annotation',
+      resourceId: updated.after.id,
+      before: annotationService.toResponse(updated.before),
+      after: annotationService.toResponse(updated.after),
+      metadata: { operation: 'update' }
+    });
+
+    res.json({ success: true, annotation: annotationService.toResponse(updated.after) });
+  } catch (error) {
+    console.error('❌ Error updating annotation:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/annotations/:id
+ */
+router.delete('/:id', requireEditor, async (req, res) => {
+  try {
+    const deleted = await annotationService.deleteAnnotation(req.params.id, req.businessScope);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Annotation not found' });
+    }
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.ANNOTATION_UPDATED,
+      resourceType: 'annotation',
+      resourceId: deleted.id,
+      before: annotationService.toResponse(deleted),
+      metadata: { operation: 'delete' }
+    });
+
+    res.json({ success: true, message: 'Annotation deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting annotation:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
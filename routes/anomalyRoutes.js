@@ -0,0 +1,70 @@
+import express from 'express';
+import anomalyDetectionService, { ANOMALY_METRICS, ANOMALY_SEVERITIES, ANOMALY_SOURCES } from '../services/anomalyDetectionService.js';
+import jobQueueService from '../services/jobQueueService.js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/anomalies
+ * Detected anomalies for the selected business, newest day first
+ * Query: source, metric, severity (minimum, e.g. 'high' returns high and critical),
+ *        since (YYYY-MM-DD), status ('open' | 'acknowledged'), limit (max 500)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { source, metric, severity, since, status, limit } = req.query;
+    const anomalies = await anomalyDetectionService.listAnomalies(req.businessScope, { source, metric, severity, since, status, limit });
+
+    res.json({
+      success: true,
+      anomalies: anomalies.map(anomaly => anomalyDetectionService.toResponse(anomaly)),
+      sources: ANOMALY_SOURCES,
+      metrics: Object.keys(ANOMALY_METRICS),
+      severities: ANOMALY_SEVERITIES
+    });
+  } catch (error) {
+    console.error('❌ Error listing anomalies:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/anomalies/detect
+ * Run detection now instead of waiting for the schedule
+ */
+router.post('/detect', requireEditor, async (req, res) => {
+  try {
+    const job = await anomalyDetectionService.requestDetection(req.businessScope, { delayMs: 0, force: true });
+
+    if (!job) {
+      return res.status(500).json({ success: false, error: 'Could not queue anomaly detection' });
+    }
+
+    res.status(202).json({ success: true, jobId: job.id, job: jobQueueService.toResponse(job) });
+  } catch (error) {
+    console.error('❌ Error queueing anomaly detection:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/anomalies/:id/acknowledge
+ * Mark an anomaly as seen (acknowledged anomalies are kept even if later data smooths them out)
+ */
+router.post('/:id/acknowledge', requireEditor, async (req, res) => {
+  try {
+    const result = await anomalyDetectionService.acknowledge(req.params.id, req.businessScope, req.user.email);
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Anomaly not found' });
+    }
+
+    res.json({ success: true, anomaly: anomalyDetectionService.toResponse(result.after) });
+  } catch (error) {
+    console.error('❌ Error acknowledging anomaly:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,135 @@
+import express from 'express';
+import apiKeyService from '../services/apiKeyService.js';
+import { getUserPlan } from '../services/planAccessService.js';
+import { API_KEY_SCOPES, getPlanFeatures, getAllowedApiKeyScopes } from '../config/planFeatures.js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/keys
+ * List the user's active API keys (secrets are never returned)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys(req.user.email);
+
+    res.json({ success: true, keys });
+  } catch (error) {
+    console.error('❌ Error listing API keys:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/keys/scopes
+ * Scopes the user's plan allows, with descriptions
+ */
+router.get('/scopes', async (req, res) => {
+  try {
+    const plan = await getUserPlan(req.user.email);
+    const allowed = getAllowedApiKeyScopes(plan);
+
+    res.json({
+      success: true,
+      plan,
+      limits: getPlanFeatures(plan).apiKeys,
+      scopes: Object.entries(API_KEY_SCOPES).map(([scope, description]) => ({
+        scope,
+        description,
+        allowed: allowed.includes(scope)
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error listing API key scopes:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/keys
+ * Create an API key. The key is returned once - store it securely.
+ * Body: { name, scopes: ['seo:read', ...], expiresInDays }
+ * Send X-Business-Id to bind the key to one business; otherwise it follows the primary business.
+ * Viewers cannot create keys - a key's write scopes would exceed their role.
+ */
+router.post('/', requireEditor, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !Array.isArray(scopes)) {
+      return res.status(400).json({
+        success: false,
+        error: 'name and scopes array are required'
+      });
+    }
+
+    if (expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays <= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresInDays must be a positive integer'
+      });
+    }
+
+    const businessSelected = !!(req.headers['x-business-id'] || req.body.businessId);
+
+    const { apiKey, key } = await apiKeyService.createKey(
+      {
+        email: req.user.email,
+        businessId: businessSelected ? req.businessScope?.businessId : null
+      },
+      { name, scopes, expiresInDays }
+    );
+
+    res.status(201).json({
+      success: true,
+      apiKey,
+      key,
+      message: 'Copy this key now - it will not be shown again'
+    });
+  } catch (error) {
+    console.error('❌ Error creating API key:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/keys/:keyId/usage
+ * Recent calls made with a key
+ */
+router.get('/:keyId/usage', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const usage = await apiKeyService.getUsage(req.user.email, req.params.keyId, limit);
+
+    if (!usage) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+
+    res.json({ success: true, usage });
+  } catch (error) {
+    console.error('❌ Error fetching API key usage:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/keys/:keyId
+ * Revoke an API key
+ */
+router.delete('/:keyId', async (req, res) => {
+  try {
+    const revoked = await apiKeyService.revokeKey(req.user.email, req.params.keyId);
+
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+
+    res.json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    console.error('❌ Error revoking API key:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
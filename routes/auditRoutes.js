@@ -0,0 +1,53 @@
+import express from 'express';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
+import { requireOwner } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+function isValidDate(value) {
+  return !value || !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * GET /api/audit
+ * Paginated audit log for the active workspace's account (owners only)
+ * Query: action (exact or "plan.*"), actorEmail, businessId, resourceType, from, to, page, pageSize
+ */
+router.get('/', requireOwner, async (req, res) => {
+  try {
+    const { action, actorEmail, businessId, resourceType, from, to, page, pageSize } = req.query;
+
+    if (!isValidDate(from) || !isValidDate(to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates (ISO 8601)'
+      });
+    }
+
+    const result = await auditLogService.getEntries(req.businessScope.email, {
+      action,
+      actorEmail,
+      businessId,
+      resourceType,
+      from,
+      to,
+      page,
+      pageSize
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error fetching audit log:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/audit/actions
+ * Actions that can appear in the audit log (for filter dropdowns)
+ */
+router.get('/actions', requireOwner, (req, res) => {
+  res.json({ success: true, actions: Object.values(AUDIT_ACTIONS) });
+});
+
+export default router;
@@ -1,5 +1,7 @@
 import express from 'express';
 import userBusinessInfoService from '../services/userBusinessInfoService.js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
 
 const router = express.Router();
 
@@ -21,7 +23,7 @@ router.get('/', async (req, res) => {
     console.log(`📋 Fetching competitors for: ${email}`);
 
     // Get business info including competitors
-    const businessInfo = await userBusinessInfoService.getUserBusinessInfo(email);
+    const businessInfo = await userBusinessInfoService.getUserBusinessInfo(req.businessScope);
 
     if (!businessInfo) {
       return res.json({
@@ -59,7 +61,7 @@ router.get('/', async (req, res) => {
  * POST /api/business-competitors
  * Add competitor to business settings
  */
-router.post('/', async (req, res) => {
+router.post('/', requireEditor, async (req, res) => {
   try {
     const { email, competitor } = req.body;
 
@@ -72,8 +74,19 @@ router.post('/', async (req, res) => {
 
     console.log(`➕ Adding competitor for: ${email}`);
 
+    const before = await userBusinessInfoService.getCompetitors(req.businessScope);
+
     // Add competitor through business info service
-    const updatedInfo = await userBusinessInfoService.addCompetitor(email, competitor);
+    const updatedInfo = await userBusinessInfoService.addCompetitor(req.businessScope, competitor);
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.COMPETITORS_UPDATED,
+      resourceType: 'competitors',
+      resourceId: competitor.domain,
+      before: { competitors: before },
+      after: { competitors: updatedInfo.competitors || [] },
+      metadata: { operation: 'add' }
+    });
 
     return res.json({
       success: true,
@@ -102,7 +115,7 @@ router.post('/', async (req, res) => {
  * DELETE /api/business-competitors/:competitorId
  * Remove competitor from business settings
  */
-router.delete('/:competitorId', async (req, res) => {
+router.delete('/:competitorId', requireEditor, async (req, res) => {
   try {
     const { competitorId } = req.params;
     const { email } = req.query;
@@ -116,7 +129,17 @@ router.delete('/:competitorId', async (req, res) => {
 
     console.log(`🗑️ Removing competitor ${competitorId} for: ${email}`);
 
-    const updatedInfo = await userBusinessInfoService.removeCompetitor(email, competitorId);
+    const before = await userBusinessInfoService.getCompetitors(req.businessScope);
+    const updatedInfo = await userBusinessInfoService.removeCompetitor(req.businessScope, competitorId);
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.COMPETITORS_UPDATED,
+      resourceType: 'competitors',
+      resourceId: competitorId,
+      before: { competitors: before },
+      after: { competitors: updatedInfo.competitors || [] },
+      metadata: { operation: 'remove' }
+    });
 
     return res.json({
       success: true,
@@ -2,6 +2,8 @@ import express from 'express';
 import userBusinessInfoService from '../services/userBusinessInfoService.js';
 import oauthTokenService from '../services/oauthTokenService.js';
 import { google } from 'googleapis';
+import { requireEditor } from '../middleware/roleMiddleware.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
 
 const router = express.Router();
 
@@ -22,28 +24,28 @@ router.get('/', async (req, res) => {
 
     console.log(`📊 Fetching business info for: ${email}`);
 
-    const businessInfo = await userBusinessInfoService.getUserBusinessInfo(email);
+    const businessInfo = await userBusinessInfoService.getUserBusinessInfo(req.businessScope);
 
     // Check GA/GSC connection status
     let gaGscConnected = false;
     try {
-      const oauth2Client = await oauthTokenService.getOAuthClient(email);
+      const oauth2Client = await oauthTokenService.getOAuthClient(req.businessScope);
       gaGscConnected = oauth2Client !== null;
     } catch (err) {
       console.log('⚠️ Could not check GA/GSC connection status');
     }
 
     // Check Instagram with Facebook fallback (Instagram uses Facebook OAuth)
-    let instagramConnected = await oauthTokenService.isConnected(email, 'instagram');
+    let instagramConnected = await oauthTokenService.isConnected(req.businessScope, 'instagram');
     if (!instagramConnected) {
-      instagramConnected = await oauthTokenService.isConnected(email, 'facebook');
+      instagramConnected = await oauthTokenService.isConnected(req.businessScope, 'facebook');
     }
 
     // Check social media connections and fetch actual profile info
     const socialConnections = {
-      facebook: await oauthTokenService.isConnected(email, 'facebook'),
+      facebook: await oauthTokenService.isConnected(req.businessScope, 'facebook'),
       instagram: instagramConnected,
-      linkedin: await oauthTokenService.isConnected(email, 'linkedin')
+      linkedin: await oauthTokenService.isConnected(req.businessScope, 'linkedin')
     };
 
     console.log(`📱 Social: FB=${socialConnections.facebook ? '✓' : '✗'} IG=${socialConnections.instagram ? '✓' : '✗'} LI=${socialConnections.linkedin ? '✓' : '✗'}`);
@@ -95,7 +97,7 @@ router.get('/', async (req, res) => {
     // Get Instagram username
     if (socialConnections.instagram) {
       try {
-        const tokens = await oauthTokenService.getTokens(email, 'instagram');
+        const tokens = await oauthTokenService.getTokens(req.businessScope, 'instagram');
         console.log(`   🔍 Fetching Instagram account details...`);
         if (tokens && tokens.access_token) {
           const instagramServiceV2 = (await import('../services/instagramMetricsServiceV2.js')).default;
@@ -121,7 +123,7 @@ router.get('/', async (req, res) => {
     // Get Facebook page name
     if (socialConnections.facebook) {
       try {
-        const tokens = await oauthTokenService.getTokens(email, 'facebook');
+        const tokens = await oauthTokenService.getTokens(req.businessScope, 'facebook');
         if (tokens && tokens.access_token) {
           const facebookServiceV2 = (await import('../services/facebookMetricsServiceV2.js')).default;
           const pages = await facebookServiceV2.getUserPages(tokens.access_token);
@@ -152,7 +154,7 @@ router.get('/', async (req, res) => {
     // Update database if we fetched newer handles
     if (shouldUpdateDatabase && businessInfo) {
       try {
-        await userBusinessInfoService.upsertBusinessInfo(email, {
+        await userBusinessInfoService.upsertBusinessInfo(req.businessScope, {
           ...businessInfo,
           ...socialProfiles
         });
@@ -220,7 +222,7 @@ router.get('/', async (req, res) => {
  * POST /api/business-info
  * Create or update user's business information
  */
-router.post('/', async (req, res) => {
+router.post('/', requireEditor, async (req, res) => {
   try {
     const { email, ...businessInfo } = req.body;
 
@@ -241,7 +243,7 @@ router.post('/', async (req, res) => {
 
     console.log(`💾 Saving business info for: ${email}`);
 
-    const result = await userBusinessInfoService.upsertBusinessInfo(email, businessInfo);
+    const result = await userBusinessInfoService.upsertBusinessInfo(req.businessScope, businessInfo);
 
     // ===== NEW: Pre-warm Puppeteer cache in background if domain is provided =====
     if (businessInfo.business_domain) {
@@ -287,7 +289,7 @@ router.get('/competitors', async (req, res) => {
 
     console.log(`📊 Fetching competitors for: ${email}`);
 
-    const competitors = await userBusinessInfoService.getCompetitors(email);
+    const competitors = await userBusinessInfoService.getCompetitors(req.businessScope);
 
     res.json({
       success: true,
@@ -307,7 +309,7 @@ router.get('/competitors', async (req, res) => {
  * POST /api/business-info/competitors
  * Add a new competitor
  */
-router.post('/competitors', async (req, res) => {
+router.post('/competitors', requireEditor, async (req, res) => {
   try {
     const { email, competitor } = req.body;
 
@@ -327,7 +329,17 @@ router.post('/competitors', async (req, res) => {
 
     console.log(`➕ Adding competitor for: ${email}`);
 
-    const result = await userBusinessInfoService.addCompetitor(email, competitor);
+    const before = await userBusinessInfoService.getCompetitors(req.businessScope);
+    const result = await userBusinessInfoService.addCompetitor(req.businessScope, competitor);
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.COMPETITORS_UPDATED,
+      resourceType: 'competitors',
+      resourceId: competitor.domain,
+      before: { competitors: before },
+      after: { competitors: result.competitors || [] },
+      metadata: { operation: 'add' }
+    });
 
     res.json({
       success: true,
@@ -346,7 +358,7 @@ router.post('/competitors', async (req, res) => {
  * PUT /api/business-info/competitors
  * Update all competitors
  */
-router.put('/competitors', async (req, res) => {
+router.put('/competitors', requireEditor, async (req, res) => {
   try {
     const { email, competitors } = req.body;
 
@@ -366,7 +378,17 @@ router.put('/competitors', async (req, res) => {
 
     console.log(`🔄 Updating competitors for: ${email}`);
 
-    const result = await userBusinessInfoService.updateCompetitors(email, competitors);
+    const before = await userBusinessInfoService.getCompetitors(req.businessScope);
+    const result = await userBusinessInfoService.updateCompetitors(req.businessScope, competitors);
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.COMPETITORS_UPDATED,
+      resourceType: 'competitors',
+      resourceId: null,
+      before: { competitors: before },
+      after: { competitors: result.competitors || [] },
+      metadata: { operation: 'replace' }
+    });
 
     res.json({
       success: true,
@@ -385,7 +407,7 @@ router.put('/competitors', async (req, res) => {
  * DELETE /api/business-info/competitors/:competitorId
  * Remove a competitor
  */
-router.delete('/competitors/:competitorId', async (req, res) => {
+router.delete('/competitors/:competitorId', requireEditor, async (req, res) => {
   try {
     const { email } = req.query;
     const { competitorId } = req.params;
@@ -399,7 +421,17 @@ router.delete('/competitors/:competitorId', async (req, res) => {
 
     console.log(`🗑️  Removing competitor ${competitorId} for: ${email}`);
 
-    const result = await userBusinessInfoService.removeCompetitor(email, competitorId);
+    const before = await userBusinessInfoService.getCompetitors(req.businessScope);
+    const result = await userBusinessInfoService.removeCompetitor(req.businessScope, competitorId);
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.COMPETITORS_UPDATED,
+      resourceType: 'competitors',
+      resourceId: competitorId,
+      before: { competitors: before },
+      after: { competitors: result.competitors || [] },
+      metadata: { operation: 'remove' }
+    });
 
     res.json({
       success: true,
@@ -429,7 +461,7 @@ router.get('/setup-status', async (req, res) => {
       });
     }
 
-    const isCompleted = await userBusinessInfoService.isSetupCompleted(email);
+    const isCompleted = await userBusinessInfoService.isSetupCompleted(req.businessScope);
 
     res.json({
       success: true,
@@ -448,7 +480,7 @@ router.get('/setup-status', async (req, res) => {
  * POST /api/business-info/complete-setup
  * Mark business setup as completed
  */
-router.post('/complete-setup', async (req, res) => {
+router.post('/complete-setup', requireEditor, async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -461,7 +493,7 @@ router.post('/complete-setup', async (req, res) => {
 
     console.log(`✅ Completing setup for: ${email}`);
 
-    const result = await userBusinessInfoService.markSetupCompleted(email);
+    const result = await userBusinessInfoService.markSetupCompleted(req.businessScope);
 
     res.json({
       success: true,
@@ -499,7 +531,7 @@ router.post('/sync-domain-from-gsc', async (req, res) => {
 
 
     // Check if user has GA/GSC connected
-    const oauth2Client = await oauthTokenService.getOAuthClient(email);
+    const oauth2Client = await oauthTokenService.getOAuthClient(req.businessScope);
 
     if (!oauth2Client) {
       return res.status(400).json({
@@ -554,7 +586,7 @@ router.post('/sync-domain-from-gsc', async (req, res) => {
 
 
     // Get existing business info or create new
-    let businessInfo = await userBusinessInfoService.getUserBusinessInfo(email);
+    let businessInfo = await userBusinessInfoService.getUserBusinessInfo(req.businessScope);
 
     const businessData = {
       business_domain: domain,
@@ -569,7 +601,7 @@ router.post('/sync-domain-from-gsc', async (req, res) => {
     };
 
     // Update or create business info with the domain from GSC
-    const result = await userBusinessInfoService.upsertBusinessInfo(email, businessData);
+    const result = await userBusinessInfoService.upsertBusinessInfo(req.businessScope, businessData);
 
     res.json({
       success: true,
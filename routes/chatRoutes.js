@@ -1,5 +1,6 @@
 import express from 'express';
 import chatService from '../services/chatService.js';
+import { incrementUsage } from '../middleware/tierValidation.js';
 
 const router = express.Router();
 
@@ -29,6 +30,7 @@ router.post('/send', async (req, res) => {
         console.log(`💬 Chat request from ${email}: "${message.substring(0, 50)}..."`);
 
         const response = await chatService.chat(email, message, conversationHistory);
+        await incrementUsage(req.businessScope, 'chat');
 
         return res.json({
             success: true,
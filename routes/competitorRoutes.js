@@ -4,6 +4,10 @@ import openaiService from '../services/openaiService.js';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import { validateCompetitorLimit, incrementUsage } from '../middleware/tierValidation.js';
+import { applyBusinessScope } from '../services/workspaceService.js';
+import jobQueueService, { PermanentJobError, scopedDedupeKey } from '../services/jobQueueService.js';
+import userBusinessInfoService from '../services/userBusinessInfoService.js';
+import webhookService from '../services/webhookService.js';
 
 dotenv.config();
 
@@ -19,9 +23,6 @@ const analysisRateLimitMap = new Map();
 const ANALYSIS_RATE_LIMIT_WINDOW = 5 * 60 * 1000; // 5 minutes
 const MAX_ANALYSIS_PER_WINDOW = 3; // Max 3 analyses per 5 minutes per user
 
-// Smart duplicate prevention - allows retries after 5 minutes or on error
-const activeAnalysis = new Map(); // Track in-flight analyses with timestamps
-
 const checkAnalysisRateLimit = (email) => {
   const now = Date.now();
   const userRequests = analysisRateLimitMap.get(email) || [];
@@ -49,89 +50,43 @@ setInterval(() => {
 }, 10 * 60 * 1000);
 
 /**
- * Comprehensive competitor analysis - ROBUST & FAST VERSION
- * POST /api/competitor/analyze
- * Body: { email, yourSite, competitorSite, competitorInstagram, competitorFacebook, forceRefresh }
- * 
- * Optimizations & Improvements:
- * - ✅ Graceful degradation: Returns partial results if some services fail
- * - ✅ Parallel processing: Non-Chrome services run concurrently
- * - ✅ Smart timeouts: 45s for Facebook, 60s for Instagram, 90s for Lighthouse
- * - ✅ Non-blocking scrapers: Social media failures don't crash entire analysis
- * - ✅ Comprehensive error handling: Each service wrapped in try-catch
- * - ✅ No duplicate check: Allows retries if previous analysis failed
- * - ✅ Rate limiting: 3 analyses per 5 minutes (prevents abuse but allows retries)
- * - ✅ Cache-first approach: Uses cached data when available for speed
+ * Run a comprehensive competitor analysis (job handler for 'competitor.analyze')
+ *
+ * - Graceful degradation: Returns partial results if some services fail
+ * - Parallel processing: Non-Chrome services run concurrently
+ * - Smart timeouts: 45s for Facebook, 60s for Instagram, 90s for Lighthouse
+ * - Non-blocking scrapers: Social media failures don't crash entire analysis
+ * - Cache-first approach: Uses cached data when available for speed
+ *
+ * @param {object} payload - Request body saved with the job
+ * @param {object} context - { scope, progress } from the job worker
+ * @returns {Promise<object>} Analysis response (stored as the job result)
  */
-router.post('/analyze', validateCompetitorLimit, async (req, res) => {
-  try {
-    const {
-      email,
-      yourSite,
-      competitorSite,
-      competitorInstagram,
-      competitorFacebook,
-      facebookCompetitorData,
-      forceRefresh = false,
-      refreshSection = null,  // 'seo' | 'technical' | 'content' | 'social' | null (null = full refresh)
-      linkedinOrganizationId = null  // Selected LinkedIn organization from Social Dashboard
-    } = req.body;
-
-    if (!email || !yourSite || !competitorSite) {
-      return res.status(400).json({
-        success: false,
-        error: 'email, yourSite, and competitorSite are required'
-      });
-    }
-
-    // Smart duplicate check - allow retry if >5 min old or if force refresh
-    const analysisKey = `${email}:${yourSite}:${competitorSite}`;
-    const existingAnalysis = activeAnalysis.get(analysisKey);
-
-    if (existingAnalysis && !forceRefresh) {
-      const ageMs = Date.now() - existingAnalysis;
-      const ageMinutes = Math.floor(ageMs / 60000);
-
-      // Allow retry after 5 minutes (analysis might have failed)
-      if (ageMs < 300000) { // 5 minutes
-        console.log(`⚠️ Duplicate request - analysis in progress (${ageMinutes} min old)`);
-        return res.status(409).json({
-          success: false,
-          error: 'ANALYSIS_IN_PROGRESS',
-          message: `Analysis already running. Started ${ageMinutes} minute(s) ago. Please wait or try force refresh in ${5 - ageMinutes} minutes.`,
-          retryAfter: 300 - Math.floor(ageMs / 1000)
-        });
-      } else {
-        console.log(`🔄 Previous analysis stale (${ageMinutes} min) - allowing retry`);
-        activeAnalysis.delete(analysisKey);
-      }
-    }
-
-    // Mark analysis as active
-    activeAnalysis.set(analysisKey, Date.now());
-
-    // Check rate limit (unless forceRefresh is explicitly requested)
-    if (!forceRefresh && !checkAnalysisRateLimit(email)) {
-      activeAnalysis.delete(analysisKey); // Clean up on rate limit
-      console.log(`⚠️ Rate limit exceeded for user: ${email}`);
-      return res.status(429).json({
-        success: false,
-        error: 'Too many analysis requests',
-        message: 'Please wait 5 minutes before running another competitor analysis',
-        retryAfter: 300
-      });
-    }
+async function runCompetitorAnalysis(payload, { scope: businessScope, progress }) {
+  const {
+    email,
+    yourSite,
+    competitorSite,
+    competitorInstagram,
+    competitorFacebook,
+    facebookCompetitorData,
+    forceRefresh = false,
+    refreshSection = null,
+    linkedinOrganizationId = null
+  } = payload;
 
+  try {
     console.log(`🔍 Analyzing competitor: ${competitorSite} for ${email}`);
     console.log(`🔗 LinkedIn organization ID from request: ${linkedinOrganizationId || 'NOT PROVIDED'}`);
 
     // STEP 1: Validate GA/GSC connection (required for domain data)
+    await progress(5, 'Checking connections');
     console.log('🔐 Step 1: Validating GA/GSC connection...');
     const oauthTokenService = (await import('../services/oauthTokenService.js')).default;
-    const gaConnected = await oauthTokenService.isConnected(email, 'google');
+    const gaConnected = await oauthTokenService.isConnected(businessScope, 'google');
 
     if (!gaConnected) {
-      return res.status(400).json({
+      throw new PermanentJobError('Please connect Google Analytics and Google Search Console first', {
         success: false,
         error: 'GA_NOT_CONNECTED',
         message: 'Please connect Google Analytics and Google Search Console first',
@@ -146,14 +101,15 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
     console.log('✅ GA/GSC connected');
 
     // STEP 2: Check social media connections and fetch/cache if needed
+    await progress(10, 'Loading social media data');
     console.log('📦 Step 2: Checking social media connections...');
     const socialMediaCacheService = (await import('../services/socialMediaCacheService.js')).default;
 
     // Check which platforms are connected
     // Note: Instagram uses Facebook's OAuth token via Meta Graph API, so it's connected if Facebook is connected
     const [fbConnected, liConnected] = await Promise.all([
-      oauthTokenService.isConnected(email, 'facebook'),
-      oauthTokenService.isConnected(email, 'linkedin')
+      oauthTokenService.isConnected(businessScope, 'facebook'),
+      oauthTokenService.isConnected(businessScope, 'linkedin')
     ]);
     // Instagram is connected if Facebook is connected (Meta Graph API)
     const igConnected = fbConnected;
@@ -190,9 +146,9 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
     // User should refresh their social data from Social Dashboard if needed
     // We allow expired cache (ignoreExpiration=true) because it's better to show old data than nothing
     let [fbCache, igCache, liCache] = await Promise.all([
-      fbConnected ? socialMediaCacheService.getCachedMetrics(email, 'facebook', 'month', true) : null,
-      igConnected ? socialMediaCacheService.getCachedMetrics(email, 'instagram', 'month', true) : null,
-      liConnected ? socialMediaCacheService.getCachedMetrics(email, 'linkedin', 'month', true, linkedinOrganizationId) : null
+      fbConnected ? socialMediaCacheService.getCachedMetrics(businessScope, 'facebook', 'month', true) : null,
+      igConnected ? socialMediaCacheService.getCachedMetrics(businessScope, 'instagram', 'month', true) : null,
+      liConnected ? socialMediaCacheService.getCachedMetrics(businessScope, 'linkedin', 'month', true, linkedinOrganizationId) : null
     ]);
 
     // Log available social media data (no re-fetching)
@@ -235,7 +191,7 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
       .single();
 
     if (!userData) {
-      return res.status(404).json({
+      throw new PermanentJobError('User not found', {
         success: false,
         error: 'User not found'
       });
@@ -255,17 +211,12 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
 
     // Try to get competitor LinkedIn from business info
     try {
-      const businessInfoResponse = await fetch(`${process.env.BACKEND_URL || 'https://saas-wets.onrender.com'}/api/business-info?email=${encodeURIComponent(email)}`);
-      if (businessInfoResponse.ok) {
-        const businessData = await businessInfoResponse.json();
-        if (businessData.success && businessData.data?.competitors) {
-          const competitor = businessData.data.competitors.find(c => c.domain === competitorSite);
-          if (competitor) {
-            compInstagram = compInstagram || competitor.instagram || null;
-            compFacebook = compFacebook || competitor.facebook || null;
-            compLinkedIn = competitor.linkedin || null;
-          }
-        }
+      const competitors = await userBusinessInfoService.getCompetitors(businessScope);
+      const competitor = competitors.find(c => c.domain === competitorSite);
+      if (competitor) {
+        compInstagram = compInstagram || competitor.instagram || null;
+        compFacebook = compFacebook || competitor.facebook || null;
+        compLinkedIn = competitor.linkedin || null;
       }
     } catch (err) {
       console.log('⚠️ Could not fetch competitor handles from business info');
@@ -278,10 +229,13 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
     // Check cache first (unless forceRefresh is true)
     // Valid cache = domains match + ALL social handles match
     if (!forceRefresh) {
-      const { data: cachedData } = await supabase
-        .from('competitor_cache')
-        .select('*')
-        .eq('user_id', userId)
+      const { data: cachedData } = await applyBusinessScope(
+        supabase
+          .from('competitor_cache')
+          .select('*')
+          .eq('user_id', userId),
+        businessScope
+      )
         .eq('user_domain', yourSite)
         .eq('competitor_domain', competitorSite)
         .gt('expires_at', new Date().toISOString())
@@ -317,13 +271,13 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
           if (!cachedResult.yourSite || !cachedResult.competitorSite || !cachedResult.comparison) {
             console.log('⚠️ Cached data has old structure, will fetch fresh data');
           } else {
-            return res.json({
+            return {
               success: true,
               cached: true,
               data: cachedResult,
               cachedAt: cachedData.created_at,
               cacheAge: Math.round((Date.now() - new Date(cachedData.created_at).getTime()) / (1000 * 60 * 60))
-            });
+            };
           }
         } else {
           console.log(`❌ Cache MISS - Social media handles changed`);
@@ -349,14 +303,18 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
 
     // PER-SECTION REFRESH: Only refresh specific section if requested
     if (refreshSection) {
+      await progress(20, `Refreshing ${refreshSection} section`);
       console.log(`🔍 [DEBUG] refreshSection received: "${refreshSection}"`);
       console.log(`🔍 [DEBUG] Valid sections: seo, technical, content, social`);
 
       // Get cached data first to use as base (ignore expiration for base data)
-      const { data: cachedData, error: cacheError } = await supabase
-        .from('competitor_cache')
-        .select('*')
-        .eq('user_id', userId)
+      const { data: cachedData, error: cacheError } = await applyBusinessScope(
+        supabase
+          .from('competitor_cache')
+          .select('*')
+          .eq('user_id', userId),
+        businessScope
+      )
         .eq('user_domain', yourSite)
         .eq('competitor_domain', competitorSite)
         .order('created_at', { ascending: false })
@@ -441,8 +399,8 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
           // Update user social data from fresh cache (try to get latest even if we didn't fetch it above)
           // We re-fetch these to ensure we have the latest user data to pair with new competitor data
           const [freshFbCache, freshIgCache] = await Promise.all([
-            socialMediaCacheService.getCachedMetrics(email, 'facebook', 'month', true),
-            socialMediaCacheService.getCachedMetrics(email, 'instagram', 'month', true)
+            socialMediaCacheService.getCachedMetrics(businessScope, 'facebook', 'month', true),
+            socialMediaCacheService.getCachedMetrics(businessScope, 'instagram', 'month', true)
           ]);
 
           if (freshFbCache && freshFbCache.dataAvailable) {
@@ -489,27 +447,27 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
           console.log(`✅ Social media refresh complete`);
 
           // Update cache with new data
-          await supabase
-            .from('competitor_cache')
-            .update({
-              full_result: result,
-              updated_at: new Date().toISOString()
-            })
-            .eq('user_id', userId)
-            .eq('user_domain', yourSite)
-            .eq('competitor_domain', competitorSite);
-
-          // Clear active analysis lock
-          activeAnalysis.delete(analysisKey);
-
-          return res.json({
+          await applyBusinessScope(
+            supabase
+              .from('competitor_cache')
+              .update({
+                full_result: result,
+                updated_at: new Date().toISOString()
+              })
+              .eq('user_id', userId)
+              .eq('user_domain', yourSite)
+              .eq('competitor_domain', competitorSite),
+            businessScope
+          );
+
+          return {
             success: true,
             cached: false,
             partialRefresh: refreshSection,
             yourSite: result.yourSite,
             competitorSite: result.competitorSite,
             comparison: result.comparison
-          });
+          };
         }
         // SEO SECTION REFRESH: Lighthouse + PageSpeed + Backlinks
         if (refreshSection === 'seo') {
@@ -522,7 +480,7 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
 
           // TRY TO USE CACHED USER SEO DATA FROM SEO DASHBOARD
           console.log(`   📦 Checking for cached user SEO data...`);
-          const cachedUserSEO = await seoCacheService.getSearchConsoleCache(email, true); // ignoreExpiry=true for fallback
+          const cachedUserSEO = await seoCacheService.getSearchConsoleCache(businessScope, true); // ignoreExpiry=true for fallback
 
           let yourLighthouse, yourPagespeed, yourBacklinks;
 
@@ -579,28 +537,28 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
           result.comparison = competitorService.generateComparison(result.yourSite, result.competitorSite);
 
           // Update cache with new data
-          await supabase
-            .from('competitor_cache')
-            .update({
-              full_result: result,
-              updated_at: new Date().toISOString()
-            })
-            .eq('user_id', userId)
-            .eq('user_domain', yourSite)
-            .eq('competitor_domain', competitorSite);
-
-          // Clear active analysis lock
-          activeAnalysis.delete(analysisKey);
+          await applyBusinessScope(
+            supabase
+              .from('competitor_cache')
+              .update({
+                full_result: result,
+                updated_at: new Date().toISOString()
+              })
+              .eq('user_id', userId)
+              .eq('user_domain', yourSite)
+              .eq('competitor_domain', competitorSite),
+            businessScope
+          );
 
           console.log(`✅ [DEBUG] SEO section refresh COMPLETE - returning response now (NO social media fetched)`);
-          return res.json({
+          return {
             success: true,
             cached: false,
             partialRefresh: refreshSection,
             yourSite: result.yourSite,
             competitorSite: result.competitorSite,
             comparison: result.comparison
-          });
+          };
         }
 
         // TECHNICAL SECTION REFRESH: robots.txt, sitemap, SSL, meta tags
@@ -612,7 +570,7 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
 
           // TRY TO USE CACHED USER TECHNICAL SEO DATA FROM SEO DASHBOARD
           console.log(`   📦 Checking for cached user technical SEO data...`);
-          const cachedUserSEO = await seoCacheService.getSearchConsoleCache(email, true);
+          const cachedUserSEO = await seoCacheService.getSearchConsoleCache(businessScope, true);
 
           let yourTechnicalSEO;
 
@@ -649,28 +607,28 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
           result.comparison = competitorService.generateComparison(result.yourSite, result.competitorSite);
 
           // Update cache with new data
-          await supabase
-            .from('competitor_cache')
-            .update({
-              full_result: result,
-              updated_at: new Date().toISOString()
-            })
-            .eq('user_id', userId)
-            .eq('user_domain', yourSite)
-            .eq('competitor_domain', competitorSite);
-
-          // Clear active analysis lock
-          activeAnalysis.delete(analysisKey);
+          await applyBusinessScope(
+            supabase
+              .from('competitor_cache')
+              .update({
+                full_result: result,
+                updated_at: new Date().toISOString()
+              })
+              .eq('user_id', userId)
+              .eq('user_domain', yourSite)
+              .eq('competitor_domain', competitorSite),
+            businessScope
+          );
 
           console.log(`✅ [DEBUG] TECHNICAL section refresh COMPLETE - returning response now (NO social media fetched)`);
-          return res.json({
+          return {
             success: true,
             cached: false,
             partialRefresh: refreshSection,
             yourSite: result.yourSite,
             competitorSite: result.competitorSite,
             comparison: result.comparison
-          });
+          };
         }
 
         // CONTENT SECTION REFRESH: RSS feeds, sitemap updates
@@ -702,28 +660,28 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
           result.comparison = competitorService.generateComparison(result.yourSite, result.competitorSite);
 
           // Update cache with new data
-          await supabase
-            .from('competitor_cache')
-            .update({
-              full_result: result,
-              updated_at: new Date().toISOString()
-            })
-            .eq('user_id', userId)
-            .eq('user_domain', yourSite)
-            .eq('competitor_domain', competitorSite);
-
-          // Clear active analysis lock
-          activeAnalysis.delete(analysisKey);
+          await applyBusinessScope(
+            supabase
+              .from('competitor_cache')
+              .update({
+                full_result: result,
+                updated_at: new Date().toISOString()
+              })
+              .eq('user_id', userId)
+              .eq('user_domain', yourSite)
+              .eq('competitor_domain', competitorSite),
+            businessScope
+          );
 
           console.log(`✅ [DEBUG] CONTENT section refresh COMPLETE - returning response now (NO social media fetched)`);
-          return res.json({
+          return {
             success: true,
             cached: false,
             partialRefresh: refreshSection,
             yourSite: result.yourSite,
             competitorSite: result.competitorSite,
             comparison: result.comparison
-          });
+          };
         }
       } else {
         console.log(`⚠️ No cached data available to update - falling back to full analysis`);
@@ -743,6 +701,7 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
 
     // 🚀 PHASE 1: START ALL TASKS IN PARALLEL (no waiting!)
     const parallelStartTime = Date.now();
+    await progress(25, 'Analyzing websites and social profiles');
 
     // Get competitor social handles
     let compFbHandle = competitorFacebook || compFacebook;
@@ -887,6 +846,7 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
     ]);
 
     console.log(`⚡ ALL PARALLEL TASKS COMPLETE (${Date.now() - parallelStartTime}ms)`);
+    await progress(80, 'Building comparison');
     console.log(`   ✅ Main Analysis: ${analysisResult.status}`);
     console.log(`   ✅ Facebook: ${compFacebookResult.status}`);
     console.log(`   ✅ Instagram: ${compInstagramResult.status}`);
@@ -908,12 +868,8 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
       if (!analysisData.yourSite && !analysisData.competitorSite) {
         // Complete failure - absolutely no data
         console.error('❌ Complete failure - no data from either site');
-        return res.status(500).json({
-          success: false,
-          error: 'ANALYSIS_FAILED',
-          message: `Competitor analysis completely failed: ${error}`,
-          details: error
-        });
+        // Thrown as a plain error so the job is retried with backoff
+        throw new Error(`Competitor analysis completely failed: ${error}`);
       }
 
       console.log('✅ Partial data available - continuing with what we have...');
@@ -1119,21 +1075,19 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
     // Get competitor's LinkedIn handle from business settings
     let competitorLinkedIn = null;
     try {
-      const businessInfoResponse = await fetch(`${process.env.BACKEND_URL || 'https://saas-wets.onrender.com'}/api/business-info?email=${encodeURIComponent(email)}`);
-      if (businessInfoResponse.ok) {
-        const businessData = await businessInfoResponse.json();
-        if (businessData.success && businessData.data?.competitors) {
-          const competitor = businessData.data.competitors.find(c => c.domain === competitorSite);
-          competitorLinkedIn = competitor?.linkedin || null;
-        }
-      }
+      const competitors = await userBusinessInfoService.getCompetitors(businessScope);
+      const competitor = competitors.find(c => c.domain === competitorSite);
+      competitorLinkedIn = competitor?.linkedin || null;
     } catch (err) {
       console.log('⚠️ Could not fetch competitor LinkedIn handle for cache');
     }
 
+    await progress(95, 'Saving results');
+
     // Store in cache with social media handles as part of the cache key
     const cacheData = {
       user_id: userId,
+      business_id: businessScope?.businessId || null,
       user_domain: yourSite,
       competitor_domain: competitorSite,
       user_instagram_handle: userInstagram,
@@ -1159,7 +1113,7 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
     const { error: cacheError } = await supabase
       .from('competitor_cache')
       .upsert(cacheData, {
-        onConflict: 'user_id,user_domain,competitor_domain'
+        onConflict: 'user_id,business_id,user_domain,competitor_domain'
       });
 
     if (cacheError) {
@@ -1172,9 +1126,18 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
 
     console.log(`✅ Analysis complete for ${competitorSite}`);
 
-    // Clear active analysis lock
-    activeAnalysis.delete(analysisKey);
-    console.log('📤 Sending response to frontend...');
+    await incrementUsage(businessScope || email, 'competitorAnalysis', {
+      metadata: { yourSite, competitorSite, refreshSection }
+    });
+
+    webhookService.emit(businessScope || email, 'analysis.completed', {
+      analysisType: 'competitor',
+      yourSite,
+      competitorSite,
+      partialFailure: result.partialFailure || false,
+      failedMetrics: result.failedMetrics || []
+    });
+    console.log('📤 Preparing job result...');
     console.log(`   ✅ yourSite data keys: ${Object.keys(result.yourSite || {}).join(', ')}`);
     console.log(`   ✅ competitorSite data keys: ${Object.keys(result.competitorSite || {}).join(', ')}`);
 
@@ -1211,23 +1174,104 @@ router.post('/analyze', validateCompetitorLimit, async (req, res) => {
       hasCompetitorSite: !!response.competitorSite
     }));
 
-    res.json(response);
+    return response;
 
   } catch (error) {
-    console.error('❌ Error in analyze route:', error);
+    if (!(error instanceof PermanentJobError)) {
+      console.error('❌ Error in competitor analysis job:', error);
+    }
+    throw error;
+  }
+}
 
-    // Clear active analysis lock on error
-    const analysisKey = `${req.body.email}:${req.body.yourSite}:${req.body.competitorSite}`;
-    activeAnalysis.delete(analysisKey);
+jobQueueService.registerHandler('competitor.analyze', runCompetitorAnalysis, {
+  maxAttempts: 2,
+  timeoutMs: 10 * 60 * 1000
+});
 
+/**
+ * Queue a comprehensive competitor analysis
+ * POST /api/competitor/analyze
+ * Body: { email, yourSite, competitorSite, competitorInstagram, competitorFacebook, forceRefresh, refreshSection, linkedinOrganizationId }
+ *
+ * Responds 202 with a job id; poll GET /api/jobs/:id for progress and the result.
+ * An identical request while one is queued or running returns the existing job.
+ * Rate limited to 3 analyses per 5 minutes (forceRefresh bypasses the limit).
+ */
+router.post('/analyze', validateCompetitorLimit, async (req, res) => {
+  try {
+    const {
+      email,
+      yourSite,
+      competitorSite,
+      competitorInstagram,
+      competitorFacebook,
+      facebookCompetitorData,
+      forceRefresh = false,
+      refreshSection = null,  // 'seo' | 'technical' | 'content' | 'social' | null (null = full refresh)
+      linkedinOrganizationId = null  // Selected LinkedIn organization from Social Dashboard
+    } = req.body;
+
+    if (!email || !yourSite || !competitorSite) {
+      return res.status(400).json({
+        success: false,
+        error: 'email, yourSite, and competitorSite are required'
+      });
+    }
+
+    const dedupeKey = scopedDedupeKey(
+      'competitor.analyze',
+      req.businessScope,
+      yourSite,
+      competitorSite,
+      refreshSection || 'full',
+      forceRefresh ? 'force' : 'cached'
+    );
+
+    const existing = await jobQueueService.findActiveByDedupeKey(dedupeKey);
+
+    // Joining a running analysis doesn't count against the rate limit
+    if (!existing && !forceRefresh && !checkAnalysisRateLimit(email)) {
+      console.log(`⚠️ Rate limit exceeded for user: ${email}`);
+      return res.status(429).json({
+        success: false,
+        error: 'Too many analysis requests',
+        message: 'Please wait 5 minutes before running another competitor analysis',
+        retryAfter: 300
+      });
+    }
+
+    const { job, deduplicated } = existing
+      ? { job: existing, deduplicated: true }
+      : await jobQueueService.enqueue('competitor.analyze', {
+          email,
+          yourSite,
+          competitorSite,
+          competitorInstagram,
+          competitorFacebook,
+          facebookCompetitorData,
+          forceRefresh,
+          refreshSection,
+          linkedinOrganizationId
+        }, { scope: req.businessScope, dedupeKey });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      deduplicated,
+      job: jobQueueService.toResponse(job)
+    });
+
+  } catch (error) {
+    console.error('❌ Error queueing competitor analysis:', error);
     res.status(500).json({
       success: false,
-      error: error.message,
-      details: error.stack
+      error: error.message
     });
   }
 });
 
+
 /**
  * Get competitor metrics for a single Facebook page
  * GET /api/competitor/facebook?url=https://www.facebook.com/page
@@ -1368,10 +1412,13 @@ router.get('/history', async (req, res) => {
 
     // Fetch all cached competitor analyses for this user
     // We select specific fields to keep the payload light
-    const { data: history, error } = await supabase
-      .from('competitor_cache')
-      .select('*')
-      .eq('user_id', userData.id)
+    const { data: history, error } = await applyBusinessScope(
+      supabase
+        .from('competitor_cache')
+        .select('*')
+        .eq('user_id', userData.id),
+      req.businessScope
+    )
       .order('updated_at', { ascending: false });
 
     if (error) {
@@ -0,0 +1,156 @@
+import express from 'express';
+import siteCrawlerService from '../services/siteCrawlerService.js';
+import jobQueueService from '../services/jobQueueService.js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/crawls
+ * Start a technical SEO crawl of a site
+ * Body: { domain, maxPages, maxDepth, concurrency, includeSitemap }
+ * maxPages is capped by the plan. Responds 202 with the run and its job (GET /api/jobs/:id);
+ * a crawl already queued or running for the domain is returned instead of starting another.
+ */
+router.post('/', requireEditor, async (req, res) => {
+  try {
+    const { run, job, deduplicated } = await siteCrawlerService.startCrawl(req.businessScope, req.body || {}, req.user.email);
+
+    if (!deduplicated) {
+      await auditLogService.recordRequest(req, {
+        action: AUDIT_ACTIONS.CRAWLS_UPDATED,
+        resourceType: 'crawl_run',
+        resourceId: run.id,
+        after: { domain: run.domain, options: run.options },
+        metadata: { operation: 'start' }
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      run: siteCrawlerService.toResponse(run),
+      jobId: job.id,
+      deduplicated,
+      job: jobQueueService.toResponse(job)
+    });
+  } catch (error) {
+    console.error('❌ Error starting crawl:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/crawls
+ * Crawl runs of the selected business, newest first
+ * Query: domain, limit (default 20, max 100)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const runs = await siteCrawlerService.listRuns(req.businessScope, req.query);
+
+    res.json({ success: true, runs: runs.map(run => siteCrawlerService.toResponse(run)) });
+  } catch (error) {
+    console.error('❌ Error listing crawls:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/crawls/:id
+ * One run with its issues grouped by type
+ * Query: type, severity (error, warning, notice)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const run = await siteCrawlerService.getRun(req.params.id, req.businessScope);
+
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Crawl not found' });
+    }
+
+    const issues = run.status === 'completed'
+      ? await siteCrawlerService.getIssues(run.id, { type: req.query.type, severity: req.query.severity })
+      : {};
+
+    res.json({ success: true, run: siteCrawlerService.toResponse(run), issues });
+  } catch (error) {
+    console.error('❌ Error loading crawl:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/crawls/:id/pages
+ * Crawled URLs with their status, redirect chain, SEO tags and issues
+ * Query: issueType, indexable (true/false), limit (default 100, max 500), offset
+ */
+router.get('/:id/pages', async (req, res) => {
+  try {
+    const run = await siteCrawlerService.getRun(req.params.id, req.businessScope);
+
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Crawl not found' });
+    }
+
+    const { pages, total } = await siteCrawlerService.getPages(run.id, req.query);
+
+    res.json({
+      success: true,
+      pages: pages.map(page => siteCrawlerService.pageToResponse(page)),
+      total
+    });
+  } catch (error) {
+    console.error('❌ Error loading crawl pages:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/crawls/:id/diff
+ * Issues introduced and resolved since an earlier run, plus added/removed pages and status changes
+ * Query: against (run id; default the previous completed run of the same domain)
+ */
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const diff = await siteCrawlerService.diffRuns(req.businessScope, req.params.id, req.query.against || null);
+
+    if (!diff) {
+      return res.status(404).json({ success: false, error: 'No earlier crawl to compare with' });
+    }
+
+    res.json({ success: true, ...diff });
+  } catch (error) {
+    console.error('❌ Error diffing crawls:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/crawls/:id
+ * Delete a run and its pages
+ */
+router.delete('/:id', requireEditor, async (req, res) => {
+  try {
+    const deleted = await siteCrawlerService.deleteRun(req.params.id, req.businessScope);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Crawl not found' });
+    }
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.CRAWLS_UPDATED,
+      resourceType: 'crawl_run',
+      resourceId: deleted.id,
+      before: siteCrawlerService.toResponse(deleted),
+      metadata: { operation: 'delete' }
+    });
+
+    res.json({ success: true, message: 'Crawl deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting crawl:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -1,5 +1,7 @@
 import express from 'express';
 import competitorCacheService from '../services/competitorCacheService.js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
 
 const router = express.Router();
 
@@ -23,7 +25,7 @@ router.get('/cache-status', async (req, res) => {
     console.log(`   Your Site: ${yourSite}`);
     console.log(`   Competitor: ${competitorSite}`);
 
-    const cachedData = await competitorCacheService.getCompetitorCache(email, yourSite, competitorSite);
+    const cachedData = await competitorCacheService.getCompetitorCache(req.businessScope, yourSite, competitorSite);
 
     if (cachedData) {
       res.json({
@@ -57,7 +59,7 @@ router.get('/cache-status', async (req, res) => {
  * DELETE /api/debug/clear-cache
  * Clear cache for a specific competitor analysis
  */
-router.delete('/clear-cache', async (req, res) => {
+router.delete('/clear-cache', requireEditor, async (req, res) => {
   try {
     const { email, yourSite, competitorSite } = req.body;
 
@@ -73,7 +75,15 @@ router.delete('/clear-cache', async (req, res) => {
     console.log(`   Your Site: ${yourSite}`);
     console.log(`   Competitor: ${competitorSite}`);
 
-    const deleted = await competitorCacheService.deleteCache(email, yourSite, competitorSite);
+    const deleted = await competitorCacheService.deleteCache(req.businessScope, yourSite, competitorSite);
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.CACHE_CLEARED,
+      resourceType: 'competitor_cache',
+      resourceId: `${yourSite}:${competitorSite}`,
+      after: { deleted },
+      metadata: { source: 'debug_clear_cache', yourSite, competitorSite }
+    });
 
     res.json({
       success: true,
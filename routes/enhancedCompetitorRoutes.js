@@ -28,7 +28,7 @@ router.post('/analyze', async (req, res) => {
     console.log(`   Force Refresh: ${forceRefresh}\n`);
 
     const result = await enhancedCompetitorIntelligenceService.analyzeCompetitor(
-      email,
+      req.businessScope,
       competitorDomain,
       { forceRefresh }
     );
@@ -61,7 +61,7 @@ router.get('/suggestions', async (req, res) => {
     }
 
     // Get competitors from business info
-    const businessInfo = await userBusinessInfoService.getUserBusinessInfo(email);
+    const businessInfo = await userBusinessInfoService.getUserBusinessInfo(req.businessScope);
     const competitors = businessInfo?.competitors || [];
 
     res.json({
@@ -111,7 +111,7 @@ router.post('/compare-multiple', async (req, res) => {
     const results = await Promise.all(
       competitorDomains.map(domain =>
         enhancedCompetitorIntelligenceService.analyzeCompetitor(
-          email,
+          req.businessScope,
           domain,
           { forceRefresh }
         ).catch(error => ({
@@ -161,7 +161,7 @@ router.get('/cached', async (req, res) => {
     }
 
     // Get business info for cache key
-    const businessInfo = await userBusinessInfoService.getUserBusinessInfo(email);
+    const businessInfo = await userBusinessInfoService.getUserBusinessInfo(req.businessScope);
     if (!businessInfo) {
       return res.status(404).json({
         success: false,
@@ -178,7 +178,7 @@ router.get('/cached', async (req, res) => {
     const competitorCacheService = (await import('../services/competitorCacheService.js')).default;
     
     const cachedData = await competitorCacheService.getCompetitorCache(
-      email,
+      req.businessScope,
       businessInfo.business_domain,
       competitorDomain,
       {
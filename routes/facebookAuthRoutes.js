@@ -6,6 +6,8 @@ import crypto from 'crypto';
 import axios from 'axios';
 import oauthTokenService from '../services/oauthTokenService.js';
 import { createClient } from '@supabase/supabase-js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
 
 const router = express.Router();
 
@@ -63,7 +65,7 @@ router.get('/auth/facebook/debug', (req, res) => {
 });
 
 // Initiate Facebook OAuth flow
-router.get('/auth/facebook', (req, res) => {
+router.get('/auth/facebook', requireEditor, (req, res) => {
   try {
     const { email, returnUrl } = req.query;
 
@@ -79,9 +81,10 @@ router.get('/auth/facebook', (req, res) => {
     // Generate secure state parameter
     const state = crypto.randomBytes(32).toString('hex');
 
-    // Store state with email, returnUrl, and timestamp
+    // Store state with email, target business, returnUrl, and timestamp
     oauthStates.set(state, {
-      email,
+      email: req.businessScope?.email || email,
+      businessId: req.businessScope?.businessId || null,
       returnUrl: returnUrl || null,
       timestamp: Date.now()
     });
@@ -167,7 +170,7 @@ router.get('/auth/facebook/callback', async (req, res) => {
 
     // Remove used state
     oauthStates.delete(state);
-    const { email, returnUrl } = stateData;
+    const { email, businessId, returnUrl } = stateData;
 
     console.log('✅ Valid state found for:', email);
     if (returnUrl) {
@@ -245,10 +248,10 @@ router.get('/auth/facebook/callback', async (req, res) => {
     };
 
     // Store for Facebook
-    const storedFacebook = await oauthTokenService.storeTokens(email, tokens, 'facebook');
+    const storedFacebook = await oauthTokenService.storeTokens({ email, businessId }, tokens, 'facebook');
 
     // Also store for Instagram since it uses the same OAuth token
-    const storedInstagram = await oauthTokenService.storeTokens(email, tokens, 'instagram');
+    const storedInstagram = await oauthTokenService.storeTokens({ email, businessId }, tokens, 'instagram');
 
     if (!storedFacebook || !storedInstagram) {
       throw new Error('Failed to store Facebook/Instagram tokens');
@@ -289,38 +292,27 @@ router.get('/auth/facebook/callback', async (req, res) => {
         };
 
         // Update stored tokens with Page Access Token
-        await oauthTokenService.storeTokens(email, pageTokens, 'facebook');
-        await oauthTokenService.storeTokens(email, pageTokens, 'instagram');
+        await oauthTokenService.storeTokens({ email, businessId }, pageTokens, 'facebook');
+        await oauthTokenService.storeTokens({ email, businessId }, pageTokens, 'instagram');
         console.log(`✅ Updated tokens with Page Access Token`);
 
-        // Update business settings with Facebook page username
-        if (supabase) {
-          const { data: existing } = await supabase
+        // Save the page username on the business this connection was made for (never another one)
+        if (supabase && businessId) {
+          const { error: handleError } = await supabase
             .from('user_business_info')
-            .select('*')
-            .eq('user_email', email)
-            .single();
-
-          if (existing) {
-            await supabase
-              .from('user_business_info')
-              .update({
-                facebook_handle: pageUsername,
-                updated_at: new Date().toISOString()
-              })
-              .eq('user_email', email);
-            console.log(`✅ Updated business settings with Facebook page username`);
+            .update({
+              facebook_handle: pageUsername,
+              updated_at: new Date().toISOString()
+            })
+            .eq('id', businessId);
+
+          if (handleError) {
+            console.warn('⚠️ Could not save Facebook page username:', handleError.message);
           } else {
-            await supabase
-              .from('user_business_info')
-              .insert({
-                user_email: email,
-                facebook_handle: pageUsername,
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-              });
-            console.log(`✅ Created business settings with Facebook page username`);
+            console.log(`✅ Updated business settings with Facebook page username`);
           }
+        } else if (!businessId) {
+          console.log('ℹ️ No business selected - Facebook page username not saved');
         } else {
           console.warn('⚠️ Supabase not configured - business settings not updated');
         }
@@ -376,7 +368,7 @@ router.get('/auth/facebook/status', async (req, res) => {
 
     console.log('🔍 Checking Facebook connection status for:', email);
 
-    const isConnected = await oauthTokenService.isConnected(email, 'facebook');
+    const isConnected = await oauthTokenService.isConnected(req.businessScope || email, 'facebook');
 
     console.log('✅ Facebook connection status:', isConnected);
 
@@ -395,7 +387,7 @@ router.get('/auth/facebook/status', async (req, res) => {
 });
 
 // Disconnect Facebook account
-router.post('/auth/facebook/disconnect', async (req, res) => {
+router.post('/auth/facebook/disconnect', requireEditor, async (req, res) => {
   try {
     const { email } = req.query;
 
@@ -408,9 +400,14 @@ router.post('/auth/facebook/disconnect', async (req, res) => {
 
     console.log('🔌 Disconnecting Facebook account for:', email);
 
+    const before = {
+      facebook: await oauthTokenService.isConnected(req.businessScope || email, 'facebook'),
+      instagram: await oauthTokenService.isConnected(req.businessScope || email, 'instagram')
+    };
+
     // Delete both Facebook and Instagram tokens since they share the same OAuth
-    const deletedFacebook = await oauthTokenService.deleteTokens(email, 'facebook');
-    const deletedInstagram = await oauthTokenService.deleteTokens(email, 'instagram');
+    const deletedFacebook = await oauthTokenService.deleteTokens(req.businessScope || email, 'facebook');
+    const deletedInstagram = await oauthTokenService.deleteTokens(req.businessScope || email, 'instagram');
 
     if (!deletedFacebook && !deletedInstagram) {
       throw new Error('Failed to delete Facebook/Instagram tokens');
@@ -418,6 +415,14 @@ router.post('/auth/facebook/disconnect', async (req, res) => {
 
     console.log('✅ Facebook & Instagram accounts disconnected for:', email);
 
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.OAUTH_DISCONNECTED,
+      resourceType: 'oauth_connection',
+      resourceId: 'facebook',
+      before,
+      after: { facebook: false, instagram: false }
+    });
+
     res.json({
       success: true,
       message: 'Facebook and Instagram accounts disconnected successfully'
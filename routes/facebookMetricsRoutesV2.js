@@ -1,6 +1,7 @@
 import express from 'express';
 import facebookMetricsServiceV2 from '../services/facebookMetricsServiceV2.js';
 import socialMediaCacheService from '../services/socialMediaCacheService.js';
+import annotationService from '../services/annotationService.js';
 import { filterSocialData } from '../services/planAccessService.js';
 
 const router = express.Router();
@@ -34,7 +35,7 @@ router.get('/metrics', async (req, res) => {
 
     // Check cache first unless force refresh
     if (!forceRefresh) {
-      const cachedData = await socialMediaCacheService.getCachedMetrics(email, 'facebook');
+      const cachedData = await socialMediaCacheService.getCachedMetrics(req.businessScope, 'facebook');
       if (cachedData) {
         console.log(`✅ Returning cached data (${cachedData.cacheAge} min old)`);
         // Filter cached data based on user's plan
@@ -42,12 +43,13 @@ router.get('/metrics', async (req, res) => {
         return res.json({
           success: true,
           ...filteredData,
+          annotations: await annotationService.forFollowerGrowth(req.businessScope, filteredData),
           cached: true
         });
       }
     } else {
       console.log('🗑️ Force refresh - invalidating cache...');
-      await socialMediaCacheService.invalidateCache(email, 'facebook');
+      await socialMediaCacheService.invalidateCache(req.businessScope, 'facebook');
     }
 
     // Use V2 service (Official API only)
@@ -65,7 +67,7 @@ router.get('/metrics', async (req, res) => {
     }
 
     // Cache the result (unfiltered)
-    await socialMediaCacheService.cacheMetrics(email, 'facebook', result);
+    await socialMediaCacheService.cacheMetrics(req.businessScope, 'facebook', result);
     console.log('💾 Metrics cached successfully');
 
     // Filter result based on user's plan before sending
@@ -82,6 +84,7 @@ router.get('/metrics', async (req, res) => {
     res.json({
       success: true,
       ...filteredResult,
+      annotations: await annotationService.forFollowerGrowth(req.businessScope, filteredResult),
       cached: false
     });
     console.log('[OK] Response sent successfully\n');
@@ -4,9 +4,10 @@ dotenv.config();
 import express from 'express';
 import { google } from 'googleapis';
 import crypto from 'crypto';
-import fs from 'fs/promises';
-import path from 'path';
 import oauthTokenService from '../services/oauthTokenService.js';
+import { fileTokenStorage } from '../services/fileTokenStorage.js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
 
 const router = express.Router();
 
@@ -61,67 +62,6 @@ const cleanupExpiredStates = () => {
 // Run cleanup every 5 minutes
 setInterval(cleanupExpiredStates, 5 * 60 * 1000);
 
-// File-based token storage functions
-const getTokensFilePath = () => path.join(process.cwd(), 'data', 'oauth_tokens.json');
-
-const ensureDataDirectory = async () => {
-  const dataDir = path.join(process.cwd(), 'data');
-  try {
-    await fs.access(dataDir);
-  } catch {
-    await fs.mkdir(dataDir, { recursive: true });
-  }
-};
-
-const saveTokensToFile = async (email, tokens) => {
-  // Bug #1 Fix: Normalize email for file storage too
-  email = normalizeEmail(email);
-  await ensureDataDirectory();
-  const filePath = getTokensFilePath();
-
-  let allTokens = {};
-  try {
-    const data = await fs.readFile(filePath, 'utf-8');
-    allTokens = JSON.parse(data);
-  } catch {
-    // File doesn't exist, start with empty object
-  }
-
-  allTokens[email] = {
-    ...tokens,
-    updated_at: new Date().toISOString()
-  };
-
-  await fs.writeFile(filePath, JSON.stringify(allTokens, null, 2));
-};
-
-const getTokensFromFile = async (email) => {
-  // Bug #1 Fix: Normalize email
-  email = normalizeEmail(email);
-  try {
-    const filePath = getTokensFilePath();
-    const data = await fs.readFile(filePath, 'utf-8');
-    const allTokens = JSON.parse(data);
-    return allTokens[email] || null;
-  } catch {
-    return null;
-  }
-};
-
-const deleteTokensFromFile = async (email) => {
-  // Bug #1 Fix: Normalize email
-  email = normalizeEmail(email);
-  try {
-    const filePath = getTokensFilePath();
-    const data = await fs.readFile(filePath, 'utf-8');
-    const allTokens = JSON.parse(data);
-    delete allTokens[email];
-    await fs.writeFile(filePath, JSON.stringify(allTokens, null, 2));
-  } catch {
-    // Ignore errors
-  }
-};
-
 // Debug route
 router.get('/auth/google/debug', (req, res) => {
   res.json({
@@ -135,7 +75,7 @@ router.get('/auth/google/debug', (req, res) => {
 });
 
 // Initiate OAuth flow
-router.get('/auth/google', (req, res) => {
+router.get('/auth/google', requireEditor, (req, res) => {
   try {
     let { email } = req.query;
 
@@ -151,9 +91,11 @@ router.get('/auth/google', (req, res) => {
     // Generate secure state parameter
     const state = crypto.randomBytes(32).toString('hex');
 
-    // Store state with normalized email and timestamp
+    // Store state with normalized email, target business and timestamp
     oauthStates.set(state, {
-      email,
+      // Tokens belong to the business owner's account (teammates connect on their behalf)
+      email: req.businessScope?.email || email,
+      businessId: req.businessScope?.businessId || null,
       timestamp: Date.now()
     });
 
@@ -231,7 +173,7 @@ router.get('/auth/google/callback', async (req, res) => {
     console.log('✅ State parameter validated and consumed');
 
     // Process tokens with normalized email
-    await processOAuthTokens(code, stateData.email, res, frontendUrl);
+    await processOAuthTokens(code, stateData.email, res, frontendUrl, stateData.businessId);
 
   } catch (error) {
     console.error('❌ Error in OAuth callback:', error);
@@ -241,7 +183,7 @@ router.get('/auth/google/callback', async (req, res) => {
 });
 
 // Helper function to process OAuth tokens
-async function processOAuthTokens(code, email, res, frontendUrl) {
+async function processOAuthTokens(code, email, res, frontendUrl, businessId = null) {
   try {
     // Bug #1 Fix: Normalize email
     email = normalizeEmail(email);
@@ -272,20 +214,15 @@ async function processOAuthTokens(code, email, res, frontendUrl) {
     });
 
     // Save tokens to database (persistent storage) with normalized email
-    const saved = await oauthTokenService.storeTokens(email, tokens);
+    const saved = await oauthTokenService.storeTokens({ email, businessId }, tokens);
 
     if (saved) {
       console.log('💾 ✅ Tokens saved to database for:', email);
     } else {
       console.warn('⚠️ Failed to save tokens to database, using file fallback');
-      // Fallback to file storage
-      await saveTokensToFile(email, {
-        access_token: tokens.access_token,
-        refresh_token: tokens.refresh_token,
-        expires_at: tokens.expiry_date,
-        scope: tokens.scope,
-        user_info: userInfo.data
-      });
+      // Fallback to file storage (encrypted by the token vault like the database copy)
+      const fileUserId = await fileTokenStorage.getUserIdFromEmail(email);
+      await fileTokenStorage.storeGoogleTokens(fileUserId, tokens);
     }
 
     console.log('🎉 OAuth connection established successfully for:', email);
@@ -314,7 +251,7 @@ router.get('/auth/google/status', async (req, res) => {
     console.log('🔍 Checking OAuth status for:', email);
 
     // Get connection status from database (now auto-refreshes if expired)
-    const status = await oauthTokenService.getConnectionStatus(email);
+    const status = await oauthTokenService.getConnectionStatus(req.businessScope || email);
 
     res.json({
       ...status,
@@ -328,7 +265,7 @@ router.get('/auth/google/status', async (req, res) => {
 });
 
 // Disconnect OAuth
-router.post('/auth/google/disconnect', async (req, res) => {
+router.post('/auth/google/disconnect', requireEditor, async (req, res) => {
   try {
     let { email } = req.query;
 
@@ -341,11 +278,20 @@ router.post('/auth/google/disconnect', async (req, res) => {
 
     console.log('🔌 Disconnecting OAuth for:', email);
 
+    const wasConnected = await oauthTokenService.isConnected(req.businessScope || email, 'google');
+
     // Disconnect from database
-    const disconnected = await oauthTokenService.disconnect(email);
+    const disconnected = await oauthTokenService.disconnect(req.businessScope || email);
 
     if (disconnected) {
       console.log('✅ Successfully disconnected OAuth for:', email);
+      await auditLogService.recordRequest(req, {
+        action: AUDIT_ACTIONS.OAUTH_DISCONNECTED,
+        resourceType: 'oauth_connection',
+        resourceId: 'google',
+        before: { google: wasConnected },
+        after: { google: false }
+      });
       res.json({ success: true, message: 'Successfully disconnected from Google' });
     } else {
       throw new Error('Failed to disconnect');
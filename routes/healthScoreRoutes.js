@@ -1,5 +1,9 @@
 import express from 'express';
 import { createClient } from '@supabase/supabase-js';
+import healthScoreHistoryService, { HISTORY_PERIODS } from '../services/healthScoreHistoryService.js';
+import annotationService from '../services/annotationService.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
 const router = express.Router();
 
 const supabase = createClient(
@@ -58,6 +62,43 @@ router.get('/health-score/:website', async (req, res) => {
     }
 });
 
+// Get health score trend for a website from recorded snapshots
+// Query: period = daily | weekly | monthly (default daily), months = 1-24 (default 12)
+router.get('/health-score/:website/history', async (req, res) => {
+    try {
+        const userEmail = req.user?.email;
+
+        if (!userEmail) {
+            return res.status(401).json({ error: 'User not authenticated' });
+        }
+
+        const { period = 'daily', months = 12 } = req.query;
+
+        if (!HISTORY_PERIODS.includes(period)) {
+            return res.status(400).json({
+                error: `period must be one of: ${HISTORY_PERIODS.join(', ')}`
+            });
+        }
+
+        const websiteUrl = decodeURIComponent(req.params.website);
+        const scope = req.businessScope || userEmail;
+        const history = await healthScoreHistoryService.getHistory(scope, websiteUrl, {
+            period,
+            months
+        });
+
+        res.json({
+            success: true,
+            data: history,
+            annotations: await annotationService.forRange(scope, history.from, history.to)
+        });
+
+    } catch (error) {
+        console.error('Health score history error:', error);
+        res.status(500).json({ error: 'Failed to fetch health score history' });
+    }
+});
+
 // Get all health scores for a user
 router.get('/health-scores', async (req, res) => {
     try {
@@ -380,11 +421,11 @@ router.post('/health-score/analyze', async (req, res) => {
     }
 });
 
-// Delete health score cache for a website
-router.delete('/health-score/:website', async (req, res) => {
+// Delete health score cache for a website (the cache belongs to the workspace owner's account)
+router.delete('/health-score/:website', requireEditor, async (req, res) => {
     try {
         const { website } = req.params;
-        const userEmail = req.user?.email;
+        const userEmail = req.businessScope?.email;
 
         if (!userEmail) {
             return res.status(401).json({ error: 'User not authenticated' });
@@ -403,6 +444,13 @@ router.delete('/health-score/:website', async (req, res) => {
             return res.status(500).json({ error: 'Failed to delete health score' });
         }
 
+        await auditLogService.recordRequest(req, {
+            action: AUDIT_ACTIONS.CACHE_CLEARED,
+            resourceType: 'health_score_cache',
+            resourceId: websiteUrl,
+            metadata: { source: 'health_score_delete' }
+        });
+
         res.json({
             success: true,
             message: 'Health score cache deleted'
@@ -5,6 +5,8 @@ import express from 'express';
 import crypto from 'crypto';
 import axios from 'axios';
 import oauthTokenService from '../services/oauthTokenService.js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
 
 const router = express.Router();
 
@@ -66,7 +68,7 @@ router.get('/auth/instagram/debug', (req, res) => {
 });
 
 // Initiate Instagram OAuth flow (via Facebook)
-router.get('/auth/instagram', (req, res) => {
+router.get('/auth/instagram', requireEditor, (req, res) => {
   try {
     const { email, returnUrl } = req.query;
 
@@ -82,9 +84,10 @@ router.get('/auth/instagram', (req, res) => {
     // Generate secure state parameter
     const state = crypto.randomBytes(32).toString('hex');
 
-    // Store state with email, returnUrl, and timestamp
+    // Store state with email, target business, returnUrl, and timestamp
     oauthStates.set(state, {
-      email,
+      email: req.businessScope?.email || email,
+      businessId: req.businessScope?.businessId || null,
       returnUrl: returnUrl || null,
       timestamp: Date.now()
     });
@@ -170,7 +173,7 @@ router.get('/auth/instagram/callback', async (req, res) => {
 
     // Remove used state
     oauthStates.delete(state);
-    const { email, returnUrl } = stateData;
+    const { email, businessId, returnUrl } = stateData;
 
     console.log('✅ Valid state found for:', email);
     if (returnUrl) {
@@ -246,10 +249,10 @@ router.get('/auth/instagram/callback', async (req, res) => {
     };
 
     // Store for Instagram
-    const storedInstagram = await oauthTokenService.storeTokens(email, tokens, 'instagram');
+    const storedInstagram = await oauthTokenService.storeTokens({ email, businessId }, tokens, 'instagram');
 
     // Also store for Facebook since it's the same OAuth token
-    const storedFacebook = await oauthTokenService.storeTokens(email, tokens, 'facebook');
+    const storedFacebook = await oauthTokenService.storeTokens({ email, businessId }, tokens, 'facebook');
 
     if (!storedInstagram || !storedFacebook) {
       throw new Error('Failed to store Instagram/Facebook tokens');
@@ -306,8 +309,8 @@ router.get('/auth/instagram/callback', async (req, res) => {
           page_name: page.name
         };
 
-        await oauthTokenService.storeTokens(email, pageTokens, 'facebook');
-        await oauthTokenService.storeTokens(email, pageTokens, 'instagram');
+        await oauthTokenService.storeTokens({ email, businessId }, pageTokens, 'facebook');
+        await oauthTokenService.storeTokens({ email, businessId }, pageTokens, 'instagram');
         console.log(`✅ Updated tokens with Page Access Token`);
 
         // Update business settings with Instagram and Facebook usernames
@@ -322,27 +325,20 @@ router.get('/auth/instagram/callback', async (req, res) => {
           updateData.facebook_handle = page.username || page.name;
         }
 
-        const { data: existing } = await supabase
-          .from('user_business_info')
-          .select('*')
-          .eq('user_email', email)
-          .single();
-
-        if (existing) {
-          await supabase
+        // Only the business this connection was made for gets the usernames
+        if (businessId) {
+          const { error: handleError } = await supabase
             .from('user_business_info')
             .update(updateData)
-            .eq('user_email', email);
-          console.log(`✅ Updated business settings with Instagram/Facebook usernames`);
+            .eq('id', businessId);
+
+          if (handleError) {
+            console.warn('⚠️ Could not save Instagram/Facebook usernames:', handleError.message);
+          } else {
+            console.log(`✅ Updated business settings with Instagram/Facebook usernames`);
+          }
         } else {
-          await supabase
-            .from('user_business_info')
-            .insert({
-              user_email: email,
-              ...updateData,
-              created_at: new Date().toISOString()
-            });
-          console.log(`✅ Created business settings with Instagram/Facebook usernames`);
+          console.log('ℹ️ No business selected - Instagram/Facebook usernames not saved');
         }
       }
     } catch (pageError) {
@@ -403,11 +399,11 @@ router.get('/auth/instagram/status', async (req, res) => {
     console.log('🔍 Checking Instagram connection status for:', email);
 
     // Check if Facebook is connected (Instagram uses Facebook OAuth)
-    let isConnected = await oauthTokenService.isConnected(email, 'instagram');
+    let isConnected = await oauthTokenService.isConnected(req.businessScope || email, 'instagram');
 
     // Fallback to Facebook token
     if (!isConnected) {
-      isConnected = await oauthTokenService.isConnected(email, 'facebook');
+      isConnected = await oauthTokenService.isConnected(req.businessScope || email, 'facebook');
     }
 
     console.log('✅ Instagram connection status:', isConnected);
@@ -428,7 +424,7 @@ router.get('/auth/instagram/status', async (req, res) => {
 });
 
 // Disconnect Instagram account
-router.post('/auth/instagram/disconnect', async (req, res) => {
+router.post('/auth/instagram/disconnect', requireEditor, async (req, res) => {
   try {
     const { email } = req.query;
 
@@ -441,9 +437,14 @@ router.post('/auth/instagram/disconnect', async (req, res) => {
 
     console.log('🔌 Disconnecting Instagram account for:', email);
 
+    const before = {
+      facebook: await oauthTokenService.isConnected(req.businessScope || email, 'facebook'),
+      instagram: await oauthTokenService.isConnected(req.businessScope || email, 'instagram')
+    };
+
     // Delete both Instagram and Facebook tokens since they share the same OAuth
-    const deletedInstagram = await oauthTokenService.deleteTokens(email, 'instagram');
-    const deletedFacebook = await oauthTokenService.deleteTokens(email, 'facebook');
+    const deletedInstagram = await oauthTokenService.deleteTokens(req.businessScope || email, 'instagram');
+    const deletedFacebook = await oauthTokenService.deleteTokens(req.businessScope || email, 'facebook');
 
     if (!deletedInstagram && !deletedFacebook) {
       throw new Error('Failed to delete Instagram/Facebook tokens');
@@ -451,6 +452,14 @@ router.post('/auth/instagram/disconnect', async (req, res) => {
 
     console.log('✅ Instagram & Facebook accounts disconnected for:', email);
 
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.OAUTH_DISCONNECTED,
+      resourceType: 'oauth_connection',
+      resourceId: 'instagram',
+      before,
+      after: { facebook: false, instagram: false }
+    });
+
     res.json({
       success: true,
       message: 'Instagram and Facebook accounts disconnected successfully'
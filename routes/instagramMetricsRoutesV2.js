@@ -1,6 +1,7 @@
 import express from 'express';
 import instagramMetricsServiceV2 from '../services/instagramMetricsServiceV2.js';
 import socialMediaCacheService from '../services/socialMediaCacheService.js';
+import annotationService from '../services/annotationService.js';
 
 const router = express.Router();
 
@@ -27,18 +28,19 @@ router.get('/metrics', async (req, res) => {
 
     // Check cache first unless force refresh
     if (!forceRefresh) {
-      const cachedData = await socialMediaCacheService.getCachedMetrics(userEmail, 'instagram');
+      const cachedData = await socialMediaCacheService.getCachedMetrics(req.businessScope, 'instagram');
       if (cachedData) {
         console.log(`✅ Returning cached data (${cachedData.cacheAge} min old)`);
         return res.json({
           success: true,
           ...cachedData,
+          annotations: await annotationService.forFollowerGrowth(req.businessScope, cachedData),
           cached: true
         });
       }
     } else {
       console.log('🗑️ Force refresh - invalidating cache...');
-      await socialMediaCacheService.invalidateCache(userEmail, 'instagram');
+      await socialMediaCacheService.invalidateCache(req.businessScope, 'instagram');
     }
 
     console.log(`🔄 Calling instagramMetricsServiceV2.getComprehensiveMetrics...`);
@@ -57,7 +59,7 @@ router.get('/metrics', async (req, res) => {
     }
 
     // Cache the successful result
-    await socialMediaCacheService.cacheMetrics(userEmail, 'instagram', result);
+    await socialMediaCacheService.cacheMetrics(req.businessScope, 'instagram', result);
     console.log('[CACHE] Metrics cached successfully');
 
     console.log(`[>>] Sending response to frontend...`);
@@ -69,6 +71,7 @@ router.get('/metrics', async (req, res) => {
     res.json({
       success: true,
       ...result,
+      annotations: await annotationService.forFollowerGrowth(req.businessScope, result),
       cached: false
     });
     console.log(`[OK] Response sent successfully\n`);
@@ -0,0 +1,94 @@
+import express from 'express';
+import jobQueueService, { JOB_STATUS } from '../services/jobQueueService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs
+ * Recent background jobs for the selected business
+ * Query: type, status, limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { type, status, limit } = req.query;
+
+    if (status && !Object.values(JOB_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${Object.values(JOB_STATUS).join(', ')}`
+      });
+    }
+
+    const jobs = await jobQueueService.listJobs(req.businessScope, { type, status, limit });
+
+    res.json({ success: true, jobs });
+  } catch (error) {
+    console.error('❌ Error listing jobs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Job status, progress and (once finished) result or error
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await jobQueueService.getJob(req.params.id, req.businessScope);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.json({ success: true, job: jobQueueService.toResponse(job) });
+  } catch (error) {
+    console.error('❌ Error fetching job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/jobs/:id/download
+ * File produced by a finished job (e.g. a PDF report)
+ */
+router.get('/:id/download', async (req, res) => {
+  try {
+    const artifact = await jobQueueService.getArtifact(req.params.id, req.businessScope);
+
+    if (!artifact) {
+      return res.status(404).json({ success: false, error: 'No file available for this job' });
+    }
+
+    res.setHeader('Content-Type', artifact.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${artifact.filename}"`);
+    res.setHeader('Content-Length', artifact.buffer.length);
+    res.send(artifact.buffer);
+  } catch (error) {
+    console.error('❌ Error downloading job output:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a job that hasn't started yet
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const cancelled = await jobQueueService.cancel(req.params.id, req.businessScope);
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Only queued jobs can be cancelled'
+      });
+    }
+
+    res.json({ success: true, message: 'Job cancelled' });
+  } catch (error) {
+    console.error('❌ Error cancelling job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
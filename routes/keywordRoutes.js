@@ -0,0 +1,173 @@
+import express from 'express';
+import keywordTrackingService, { normalizeDomain } from '../services/keywordTrackingService.js';
+import annotationService from '../services/annotationService.js';
+import jobQueueService from '../services/jobQueueService.js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/keywords
+ * Tracked keywords of the selected business with their latest day and period-over-period change
+ * Query: domain, days (period length, default 7)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { domain, days } = req.query;
+    if (domain && !normalizeDomain(domain)) {
+      return res.status(400).json({ success: false, error: 'domain must be a domain name, e.g. example.com' });
+    }
+
+    const result = await keywordTrackingService.listKeywords(req.businessScope, { domain, days });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error listing tracked keywords:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/keywords/movers
+ * Biggest position gains and losses, plus keywords that started or stopped ranking
+ * Query: domain, days (default 7), limit (default 10)
+ */
+router.get('/movers', async (req, res) => {
+  try {
+    const { domain, days, limit } = req.query;
+    if (domain && !normalizeDomain(domain)) {
+      return res.status(400).json({ success: false, error: 'domain must be a domain name, e.g. example.com' });
+    }
+
+    const movers = await keywordTrackingService.getMovers(req.businessScope, { domain, days, limit });
+
+    res.json({ success: true, ...movers });
+  } catch (error) {
+    console.error('❌ Error loading keyword movers:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/keywords
+ * Pin keywords for a domain; the last 90 days are backfilled from Search Console
+ * Body: { domain, keywords } keywords as an array or a comma/newline separated string
+ * Refused with 403 when the plan's tracked keyword limit leaves room for none of them.
+ */
+router.post('/', requireEditor, async (req, res) => {
+  try {
+    const { added, skipped, rejected, limit } = await keywordTrackingService.addKeywords(
+      req.businessScope,
+      req.body,
+      req.user.email
+    );
+
+    if (added.length === 0 && rejected.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Tracked keyword limit reached. Upgrade to track more keywords.',
+        tierLimited: true,
+        limit,
+        rejected
+      });
+    }
+
+    if (added.length > 0) {
+      await auditLogService.recordRequest(req, {
+        action: AUDIT_ACTIONS.KEYWORDS_UPDATED,
+        resourceType: 'tracked_keyword',
+        resourceId: added[0].domain,
+        after: { domain: added[0].domain, keywords: added.map(row => row.keyword) },
+        metadata: { operation: 'add' }
+      });
+    }
+
+    res.status(added.length > 0 ? 201 : 200).json({
+      success: true,
+      added: added.map(row => keywordTrackingService.toResponse(row)),
+      skipped,
+      rejected,
+      limit
+    });
+  } catch (error) {
+    console.error('❌ Error adding tracked keywords:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/keywords/refresh
+ * Queue a ranking snapshot now instead of waiting for the daily run
+ * Responds 202 with a job id (GET /api/jobs/:id)
+ */
+router.post('/refresh', requireEditor, async (req, res) => {
+  try {
+    const { job, deduplicated } = await keywordTrackingService.requestSnapshot(req.businessScope, { delayMs: 0 });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      deduplicated,
+      job: jobQueueService.toResponse(job)
+    });
+  } catch (error) {
+    console.error('❌ Error queueing keyword snapshot:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/keywords/:id/history
+ * Daily position, clicks, impressions and CTR of one keyword, oldest first, with the
+ * annotations in that range
+ * Query: days (default 90, max 480)
+ */
+router.get('/:id/history', async (req, res) => {
+  try {
+    const result = await keywordTrackingService.getHistory(req.params.id, req.businessScope, { days: req.query.days });
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Keyword not found' });
+    }
+
+    res.json({
+      success: true,
+      keyword: keywordTrackingService.toResponse(result.keyword),
+      history: result.history,
+      annotations: await annotationService.forSeries(req.businessScope, result.history)
+    });
+  } catch (error) {
+    console.error('❌ Error loading keyword history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/keywords/:id
+ * Stop tracking a keyword; its ranking history is deleted with it
+ */
+router.delete('/:id', requireEditor, async (req, res) => {
+  try {
+    const deleted = await keywordTrackingService.removeKeyword(req.params.id, req.businessScope);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Keyword not found' });
+    }
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.KEYWORDS_UPDATED,
+      resourceType: 'tracked_keyword',
+      resourceId: deleted.id,
+      before: keywordTrackingService.toResponse(deleted),
+      metadata: { operation: 'remove' }
+    });
+
+    res.json({ success: true, message: 'Keyword removed' });
+  } catch (error) {
+    console.error('❌ Error removing tracked keyword:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -145,9 +145,10 @@ router.get('/lighthouse/:domain', async (req, res) => {
 });
 
 // Get user's last analyzed domain
+// The :email segment is kept for backward compatibility - the session identity is used
 router.get('/lighthouse/last-domain/:email', async (req, res) => {
   try {
-    const { email } = req.params;
+    const email = req.user?.email;
 
     if (!email) {
       return res.status(400).json({ error: 'Email parameter is required' });
@@ -171,9 +172,11 @@ router.get('/lighthouse/last-domain/:email', async (req, res) => {
 });
 
 // Get cached analysis for a domain
+// The :email segment is kept for backward compatibility - the session identity is used
 router.get('/lighthouse/cache/:email/:domain', async (req, res) => {
   try {
-    const { email, domain } = req.params;
+    const email = req.user?.email;
+    const { domain } = req.params;
 
     if (!email || !domain) {
       return res.status(400).json({ error: 'Email and domain parameters are required' });
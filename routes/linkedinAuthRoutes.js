@@ -3,6 +3,8 @@ import axios from 'axios';
 import oauthTokenService from '../services/oauthTokenService.js';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { requireEditor } from '../middleware/roleMiddleware.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
 
 dotenv.config();
 
@@ -37,7 +39,7 @@ function normalizeEmail(email) {
  * POST /api/auth/linkedin/callback
  * Body: { code, email, state }
  */
-router.post('/callback', async (req, res) => {
+router.post('/callback', requireEditor, async (req, res) => {
     try {
         let { code, email, state } = req.body;
 
@@ -81,7 +83,7 @@ router.post('/callback', async (req, res) => {
         }
 
         // Check if user already has tokens for this provider
-        const existingTokens = await oauthTokenService.getTokens(email, 'linkedin');
+        const existingTokens = await oauthTokenService.getTokens(req.businessScope || email, 'linkedin');
         if (existingTokens) {
             // Instead of checking last_code (which doesn't exist), just check token validity
             const isExpired = existingTokens.expires_at ? existingTokens.expires_at < Date.now() : false;
@@ -169,7 +171,7 @@ router.post('/callback', async (req, res) => {
 
         // Bug #14 Fix: Removed last_code field (doesn't exist in schema)
         // Bug #11 Fix: Added provider user fields
-        await oauthTokenService.storeTokens(email, {
+        await oauthTokenService.storeTokens(req.businessScope || email, {
             access_token,
             refresh_token: refresh_token || null,
             expires_in,
@@ -251,7 +253,7 @@ router.get('/status', async (req, res) => {
         // Bug #1 Fix: Normalize email
         email = normalizeEmail(email);
 
-        const isConnected = await oauthTokenService.isConnected(email, 'linkedin');
+        const isConnected = await oauthTokenService.isConnected(req.businessScope || email, 'linkedin');
 
         if (!isConnected) {
             return res.json({
@@ -261,7 +263,7 @@ router.get('/status', async (req, res) => {
             });
         }
 
-        const tokens = await oauthTokenService.getTokens(email, 'linkedin');
+        const tokens = await oauthTokenService.getTokens(req.businessScope || email, 'linkedin');
         const isExpired = tokens.expires_at ? tokens.expires_at < Date.now() : false;
 
         return res.json({
@@ -290,7 +292,7 @@ router.get('/status', async (req, res) => {
  * Disconnect LinkedIn account
  * DELETE /api/auth/linkedin/disconnect?email=user@example.com
  */
-router.delete('/disconnect', async (req, res) => {
+router.delete('/disconnect', requireEditor, async (req, res) => {
     try {
         let { email } = req.query;
 
@@ -306,9 +308,18 @@ router.delete('/disconnect', async (req, res) => {
         email = normalizeEmail(email);
 
         console.log(`🔌 Disconnecting LinkedIn account for: ${email}`);
-        await oauthTokenService.deleteTokens(email, 'linkedin');
+        const wasConnected = await oauthTokenService.isConnected(req.businessScope || email, 'linkedin');
+        await oauthTokenService.deleteTokens(req.businessScope || email, 'linkedin');
         console.log('✅ LinkedIn account disconnected');
 
+        await auditLogService.recordRequest(req, {
+            action: AUDIT_ACTIONS.OAUTH_DISCONNECTED,
+            resourceType: 'oauth_connection',
+            resourceId: 'linkedin',
+            before: { linkedin: wasConnected },
+            after: { linkedin: false }
+        });
+
         return res.json({
             success: true,
             message: 'LinkedIn account disconnected successfully'
@@ -344,43 +355,23 @@ router.post('/refresh', async (req, res) => {
         // Bug #1 Fix: Normalize email
         email = normalizeEmail(email);
 
-        const tokens = await oauthTokenService.getTokens(email, 'linkedin');
-
-        if (!tokens || !tokens.refresh_token) {
-            return res.status(401).json({
-                success: false,
-                error: 'no_refresh_token',
-                message: 'No refresh token available. Please reconnect your LinkedIn account.'
-            });
-        }
-
         console.log('🔄 Refreshing LinkedIn access token...');
 
-        const tokenResponse = await axios.post(
-            'https://www.linkedin.com/oauth/v2/accessToken',
-            new URLSearchParams({
-                grant_type: 'refresh_token',
-                refresh_token: tokens.refresh_token,
-                client_id: LINKEDIN_CLIENT_ID,
-                client_secret: LINKEDIN_CLIENT_SECRET
-            }),
-            {
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
+        let refreshed;
+        try {
+            refreshed = await oauthTokenService.refreshProviderTokens(req.businessScope || email, 'linkedin');
+        } catch (refreshError) {
+            if (refreshError.code === 'no_refresh_token') {
+                return res.status(401).json({
+                    success: false,
+                    error: 'no_refresh_token',
+                    message: 'No refresh token available. Please reconnect your LinkedIn account.'
+                });
             }
-        );
-
-        const { access_token, expires_in, refresh_token } = tokenResponse.data;
-        const expiresAt = Date.now() + (expires_in * 1000);
+            throw refreshError;
+        }
 
-        await oauthTokenService.storeTokens(email, {
-            ...tokens,
-            access_token,
-            refresh_token: refresh_token || tokens.refresh_token,
-            expires_in,
-            expires_at: expiresAt
-        }, 'linkedin');
+        const { expires_in, expires_at: expiresAt } = refreshed;
 
         console.log('✅ Access token refreshed successfully');
 
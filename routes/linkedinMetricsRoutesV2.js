@@ -1,5 +1,6 @@
 import express from 'express';
 import socialMediaCacheService from '../services/socialMediaCacheService.js';
+import annotationService from '../services/annotationService.js';
 import linkedinMetricsServiceV2 from '../services/linkedinMetricsServiceV2.js';
 import { filterSocialData } from '../services/planAccessService.js';
 import { requireLinkedIn } from '../middleware/planAccessMiddleware.js';
@@ -38,7 +39,7 @@ router.get('/metrics', requireLinkedIn, async (req, res) => {
     // If no organizationId provided, try to find the best cached org (one with actual data)
     let effectiveOrgId = organizationId;
     if (!effectiveOrgId) {
-      const cachedOrgs = await socialMediaCacheService.getCachedOrganizations(email);
+      const cachedOrgs = await socialMediaCacheService.getCachedOrganizations(req.businessScope);
       if (cachedOrgs && cachedOrgs.length > 0) {
         // Find an org that has actual post data (not personal profile)
         for (const org of cachedOrgs) {
@@ -54,7 +55,7 @@ router.get('/metrics', requireLinkedIn, async (req, res) => {
     // Check cache first unless force refresh
     if (!forceRefresh) {
       // Pass organizationId to getCachedMetrics to find specific org cache
-      const cachedData = await socialMediaCacheService.getCachedMetrics(email, 'linkedin', 'month', false, effectiveOrgId);
+      const cachedData = await socialMediaCacheService.getCachedMetrics(req.businessScope, 'linkedin', 'month', false, effectiveOrgId);
 
       if (cachedData) {
         console.log(`✅ Returning cached data (${cachedData.cacheAge} min old)`);
@@ -62,7 +63,7 @@ router.get('/metrics', requireLinkedIn, async (req, res) => {
         // Double check org ID match just in case (though service query handles it)
         if (!effectiveOrgId || (cachedData.organizationInfo && cachedData.organizationInfo.id === effectiveOrgId) || (cachedData.linkedin_company_id === effectiveOrgId)) {
           // Also fetch cached personal analytics to include profile data
-          const cachedPersonal = await socialMediaCacheService.getCachedPersonalAnalytics(email, false);
+          const cachedPersonal = await socialMediaCacheService.getCachedPersonalAnalytics(req.businessScope, false);
           if (cachedPersonal) {
             console.log(`   👤 Attaching personal profile: ${cachedPersonal.profile?.name}`);
             cachedData.profile = cachedPersonal.profile;
@@ -73,6 +74,7 @@ router.get('/metrics', requireLinkedIn, async (req, res) => {
           return res.json({
             success: true,
             ...filteredData,
+            annotations: await annotationService.forFollowerGrowth(req.businessScope, filteredData),
             cached: true
           });
         }
@@ -80,7 +82,7 @@ router.get('/metrics', requireLinkedIn, async (req, res) => {
       }
     } else {
       console.log('🗑️ Force refresh - invalidating cache...');
-      await socialMediaCacheService.invalidateCache(email, 'linkedin');
+      await socialMediaCacheService.invalidateCache(req.businessScope, 'linkedin');
     }
 
     console.log('📡 Fetching fresh data from LinkedIn...');
@@ -95,7 +97,7 @@ router.get('/metrics', requireLinkedIn, async (req, res) => {
     const hasNoGrowth = !result.followerGrowth || result.followerGrowth.length === 0;
 
     // Always check expired cache first to compare data quality
-    const expiredCacheData = await socialMediaCacheService.getCachedMetrics(email, 'linkedin', 'month', true, effectiveOrgId);
+    const expiredCacheData = await socialMediaCacheService.getCachedMetrics(req.businessScope, 'linkedin', 'month', true, effectiveOrgId);
     const cacheHasBetterData = expiredCacheData && (
       (expiredCacheData.topPosts?.length > 0 && hasNoPosts) ||
       (expiredCacheData.followerGrowth?.length > 0 && hasNoGrowth)
@@ -111,7 +113,7 @@ router.get('/metrics', requireLinkedIn, async (req, res) => {
         console.log(`✅ Returning expired cache data (${expiredCacheData.cacheAge} min old) - has better/more complete data`);
 
         // Also try to get cached personal analytics
-        const cachedPersonal = await socialMediaCacheService.getCachedPersonalAnalytics(email, true);
+        const cachedPersonal = await socialMediaCacheService.getCachedPersonalAnalytics(req.businessScope, true);
         if (cachedPersonal) {
           expiredCacheData.profile = cachedPersonal.profile;
           expiredCacheData.personalAnalytics = cachedPersonal.personalAnalytics;
@@ -121,6 +123,7 @@ router.get('/metrics', requireLinkedIn, async (req, res) => {
         return res.json({
           success: true,
           ...filteredData,
+          annotations: await annotationService.forFollowerGrowth(req.businessScope, filteredData),
           cached: true,
           cacheExpired: true,
           rateLimited: isRateLimited,
@@ -139,12 +142,12 @@ router.get('/metrics', requireLinkedIn, async (req, res) => {
     }
 
     // Cache the successful result (unfiltered)
-    await socialMediaCacheService.cacheMetrics(email, 'linkedin', result);
+    await socialMediaCacheService.cacheMetrics(req.businessScope, 'linkedin', result);
     console.log('💾 Metrics cached successfully');
 
     // Also cache personal analytics separately (user-level, not org-level)
     if (result.profile || result.personalAnalytics) {
-      await socialMediaCacheService.cachePersonalAnalytics(email, {
+      await socialMediaCacheService.cachePersonalAnalytics(req.businessScope, {
         profile: result.profile,
         personalAnalytics: result.personalAnalytics
       });
@@ -166,6 +169,7 @@ router.get('/metrics', requireLinkedIn, async (req, res) => {
     res.json({
       success: true,
       ...filteredResult,
+      annotations: await annotationService.forFollowerGrowth(req.businessScope, filteredResult),
       cached: false
     });
 
@@ -177,7 +181,7 @@ router.get('/metrics', requireLinkedIn, async (req, res) => {
     let errorOrgId = req.query.organizationId;
     if (!errorOrgId) {
       // Try to find a real org (not personal) from cache
-      const cachedOrgs = await socialMediaCacheService.getCachedOrganizations(email);
+      const cachedOrgs = await socialMediaCacheService.getCachedOrganizations(req.businessScope);
       if (cachedOrgs && cachedOrgs.length > 0) {
         for (const org of cachedOrgs) {
           if (org.id !== 'personal') {
@@ -187,13 +191,13 @@ router.get('/metrics', requireLinkedIn, async (req, res) => {
         }
       }
     }
-    const expiredCacheData = await socialMediaCacheService.getCachedMetrics(email, 'linkedin', 'month', true, errorOrgId);
+    const expiredCacheData = await socialMediaCacheService.getCachedMetrics(req.businessScope, 'linkedin', 'month', true, errorOrgId);
 
     if (expiredCacheData && (expiredCacheData.companyFollowers > 0 || expiredCacheData.topPosts?.length > 0)) {
       console.log(`✅ Returning expired cache on error (${expiredCacheData.cacheAge} min old)`);
 
       // Also try to get cached personal analytics
-      const cachedPersonal = await socialMediaCacheService.getCachedPersonalAnalytics(email, true);
+      const cachedPersonal = await socialMediaCacheService.getCachedPersonalAnalytics(req.businessScope, true);
       if (cachedPersonal) {
         expiredCacheData.profile = cachedPersonal.profile;
         expiredCacheData.personalAnalytics = cachedPersonal.personalAnalytics;
@@ -203,6 +207,7 @@ router.get('/metrics', requireLinkedIn, async (req, res) => {
       return res.json({
         success: true,
         ...filteredData,
+        annotations: await annotationService.forFollowerGrowth(req.businessScope, filteredData),
         cached: true,
         cacheExpired: true,
         errorFallback: true,
@@ -249,7 +254,7 @@ router.get('/organizations', requireLinkedIn, async (req, res) => {
     // If live API returned empty or failed, fallback to cached organizations
     if (!organizations || organizations.length === 0) {
       console.log('📦 Falling back to cached organizations...');
-      organizations = await socialMediaCacheService.getCachedOrganizations(email);
+      organizations = await socialMediaCacheService.getCachedOrganizations(req.businessScope);
       fromCache = organizations.length > 0;
     }
 
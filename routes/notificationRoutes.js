@@ -0,0 +1,62 @@
+import express from 'express';
+import notificationService from '../services/notificationService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/notifications
+ * Notifications for the signed-in user, newest first
+ * Query: unread=true, limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const notifications = await notificationService.list(req.user.email, {
+      unreadOnly: req.query.unread === 'true',
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount: notifications.filter(n => !n.read_at).length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching notifications:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/notifications/read-all
+ * Mark every notification as read
+ */
+router.post('/read-all', async (req, res) => {
+  try {
+    const updated = await notificationService.markRead(req.user.email);
+    res.json({ success: true, updated });
+  } catch (error) {
+    console.error('❌ Error marking notifications as read:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/notifications/:id/read
+ * Mark one notification as read
+ */
+router.post('/:id/read', async (req, res) => {
+  try {
+    const updated = await notificationService.markRead(req.user.email, req.params.id);
+
+    if (updated === 0) {
+      return res.status(404).json({ success: false, error: 'Notification not found or already read' });
+    }
+
+    res.json({ success: true, updated });
+  } catch (error) {
+    console.error('❌ Error marking notification as read:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -1,11 +1,49 @@
 import express from 'express';
+import crypto from 'crypto';
 import pdfReportService from '../services/pdfReportService.js';
+import jobQueueService, { scopedDedupeKey } from '../services/jobQueueService.js';
+import { incrementUsage } from '../middleware/tierValidation.js';
 
 const router = express.Router();
 
+/**
+ * Render the competitor report (job handler for 'pdf.competitor-report')
+ * The PDF is returned as the job artifact and served by GET /api/jobs/:id/download.
+ */
+async function generateCompetitorReportJob({ data }, { job, scope, progress }) {
+  console.log('📊 PDF Data received:', {
+    hasYourSite: !!data.yourSite,
+    hasCompetitorSite: !!data.competitorSite,
+    hasComparison: !!data.comparison,
+    yourSiteKeys: data.yourSite ? Object.keys(data.yourSite) : [],
+    competitorSiteKeys: data.competitorSite ? Object.keys(data.competitorSite) : [],
+    comparisonKeys: data.comparison ? Object.keys(data.comparison) : []
+  });
+
+  console.log('📊 Generating PDF report...');
+  await progress(10, 'Rendering PDF');
+
+  const pdfBuffer = await pdfReportService.generateCompetitorReport(data);
+  const filename = `competitor-analysis-${Date.now()}.pdf`;
+
+  console.log(`✅ PDF report generated successfully: ${filename}`);
+  await incrementUsage(scope, 'pdf', { resourceId: job.id, metadata: { report: 'competitor-analysis' } });
+
+  return {
+    filename,
+    size: pdfBuffer.length,
+    artifact: { buffer: pdfBuffer, contentType: 'application/pdf', filename }
+  };
+}
+
+jobQueueService.registerHandler('pdf.competitor-report', generateCompetitorReportJob, {
+  timeoutMs: 5 * 60 * 1000
+});
+
 /**
  * POST /api/pdf/competitor-report
- * Generate and download competitor analysis PDF report
+ * Queue a competitor analysis PDF report
+ * Responds 202 with a job id; the PDF is downloaded from /api/jobs/:id/download when done.
  */
 router.post('/competitor-report', async (req, res) => {
   try {
@@ -20,37 +58,26 @@ router.post('/competitor-report', async (req, res) => {
       });
     }
 
-    console.log('📊 PDF Data received:', {
-      hasYourSite: !!data.yourSite,
-      hasCompetitorSite: !!data.competitorSite,
-      hasComparison: !!data.comparison,
-      yourSiteKeys: data.yourSite ? Object.keys(data.yourSite) : [],
-      competitorSiteKeys: data.competitorSite ? Object.keys(data.competitorSite) : [],
-      comparisonKeys: data.comparison ? Object.keys(data.comparison) : []
-    });
-
-    console.log('📊 Generating PDF report...');
-
-    // Generate PDF buffer
-    const pdfBuffer = await pdfReportService.generateCompetitorReport(data);
+    // Same report data for the same business = same PDF
+    const dataHash = crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex').slice(0, 32);
 
-    // Set response headers for PDF download
-    const filename = `competitor-analysis-${Date.now()}.pdf`;
-
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Length', pdfBuffer.length);
-
-    console.log(`✅ PDF report generated successfully: ${filename}`);
+    const { job, deduplicated } = await jobQueueService.enqueue('pdf.competitor-report', { data }, {
+      scope: req.businessScope,
+      dedupeKey: scopedDedupeKey('pdf.competitor-report', req.businessScope, dataHash)
+    });
 
-    // Send PDF buffer
-    res.send(pdfBuffer);
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      deduplicated,
+      job: jobQueueService.toResponse(job)
+    });
 
   } catch (error) {
     console.error('❌ PDF generation error:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to generate PDF report'
+      error: error.message || 'Failed to queue PDF report'
     });
   }
 });
@@ -4,6 +4,9 @@ import seoCacheService from '../services/seoCacheService.js';
 import socialMediaCacheService from '../services/socialMediaCacheService.js';
 import smartCacheService from '../services/smartCacheService.js';
 import { createClient } from '@supabase/supabase-js';
+import { requireEditor, requireOwner } from '../middleware/roleMiddleware.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
+import webhookService from '../services/webhookService.js';
 
 const router = express.Router();
 
@@ -17,7 +20,7 @@ const supabase = createClient(
  * Handle plan upgrade and clear all relevant caches
  * This ensures user immediately sees new features after upgrade
  */
-router.post('/upgrade', async (req, res) => {
+router.post('/upgrade', requireOwner, async (req, res) => {
   try {
     const { email, newPlan } = req.body;
 
@@ -68,6 +71,19 @@ router.post('/upgrade', async (req, res) => {
 
     console.log('✅ Plan updated in database');
 
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.PLAN_CHANGED,
+      resourceType: 'plan',
+      resourceId: email,
+      before: { plan: oldPlan },
+      after: { plan: newPlan },
+      metadata: { source: 'plan_change_route' }
+    });
+
+    if (oldPlan !== newPlan) {
+      webhookService.emit(email, 'plan.changed', { plan: newPlan, previousPlan: oldPlan, source: 'plan_change' });
+    }
+
     // 3. IMMEDIATELY mark plan as recently updated (bypasses cache for 60s)
     markPlanAsRecentlyUpdated(email);
     console.log('✅ Plan marked as recently updated - cache will be bypassed');
@@ -147,7 +163,7 @@ router.post('/mark-updated', async (req, res) => {
  * Smart mode: Only clears caches for newly unlocked features
  * Full mode: Clears all caches (use for manual refresh button)
  */
-router.post('/clear-cache', async (req, res) => {
+router.post('/clear-cache', requireEditor, async (req, res) => {
   try {
     // Support both body and query params
     const email = req.body?.email || req.query?.email;
@@ -183,6 +199,14 @@ router.post('/clear-cache', async (req, res) => {
 
     console.log('✅ Cache clearing complete:', cacheResults);
 
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.CACHE_CLEARED,
+      resourceType: 'cache',
+      resourceId: mode,
+      after: cacheResults,
+      metadata: { source: 'plan_clear_cache', mode, fromPlan: fromPlan || null, toPlan: toPlan || null }
+    });
+
     res.json({
       success: true,
       message: `Cache cleared successfully (${mode} mode)`,
@@ -231,10 +255,10 @@ router.get('/status', async (req, res) => {
     }
 
     // Check if caches exist
-    const seoCache = await seoCacheService.getSearchConsoleCache(email);
-    const fbCache = await socialMediaCacheService.getCachedMetrics(email, 'facebook');
-    const igCache = await socialMediaCacheService.getCachedMetrics(email, 'instagram');
-    const liCache = await socialMediaCacheService.getCachedMetrics(email, 'linkedin');
+    const seoCache = await seoCacheService.getSearchConsoleCache(req.businessScope);
+    const fbCache = await socialMediaCacheService.getCachedMetrics(req.businessScope, 'facebook');
+    const igCache = await socialMediaCacheService.getCachedMetrics(req.businessScope, 'instagram');
+    const liCache = await socialMediaCacheService.getCachedMetrics(req.businessScope, 'linkedin');
 
     res.json({
       success: true,
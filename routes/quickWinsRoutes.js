@@ -1,6 +1,7 @@
 import express from 'express';
 import quickWinsService from '../services/quickWinsService.js';
 import { requireOptimization } from '../middleware/planAccessMiddleware.js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
 
 const router = express.Router();
 
@@ -31,7 +32,8 @@ router.get('/data', requireOptimization, async (req, res) => {
     const quickWinsData = await quickWinsService.getQuickWinsData(
       email, 
       cleanDomain, 
-      forceRefresh === 'true'
+      forceRefresh === 'true',
+      req.businessScope
     );
 
     res.json({
@@ -58,7 +60,7 @@ router.get('/categories/:domain', async (req, res) => {
     const { domain } = req.params;
     const { email } = req.query;
     
-    const quickWinsData = await quickWinsService.getQuickWinsData(email, domain);
+    const quickWinsData = await quickWinsService.getQuickWinsData(email, domain, false, req.businessScope);
     
     res.json({
       success: true,
@@ -89,7 +91,7 @@ router.get('/top/:count', async (req, res) => {
       return res.status(400).json({ error: 'Domain parameter is required' });
     }
     
-    const quickWinsData = await quickWinsService.getQuickWinsData(email, domain);
+    const quickWinsData = await quickWinsService.getQuickWinsData(email, domain, false, req.businessScope);
     const topOpportunities = quickWinsData.opportunities
       .sort((a, b) => b.priority - a.priority)
       .slice(0, parseInt(count) || 10);
@@ -113,11 +115,11 @@ router.get('/top/:count', async (req, res) => {
 
 /**
  * POST /api/quickwins/refresh
- * Force refresh of Quick Wins data
+ * Force refresh of Quick Wins data for the active business (editors and owners only)
  */
-router.post('/refresh', async (req, res) => {
+router.post('/refresh', requireEditor, async (req, res) => {
   try {
-    const { email, domain } = req.body;
+    const { domain } = req.body;
     
     if (!domain) {
       return res.status(400).json({ error: 'Domain is required' });
@@ -126,9 +128,10 @@ router.post('/refresh', async (req, res) => {
     console.log(`🔄 Force refreshing Quick Wins for ${domain}...`);
     
     const quickWinsData = await quickWinsService.getQuickWinsData(
-      email, 
+      req.businessScope.email,
       domain, 
-      true // Force refresh
+      true, // Force refresh
+      req.businessScope
     );
     
     res.json({
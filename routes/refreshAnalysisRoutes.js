@@ -1,6 +1,9 @@
 import express from 'express';
 import seoCacheService from '../services/seoCacheService.js';
 import { createClient } from '@supabase/supabase-js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
+import jobQueueService, { PermanentJobError, scopedDedupeKey } from '../services/jobQueueService.js';
 
 const router = express.Router();
 
@@ -9,12 +12,100 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
+/**
+ * Clear a user's SEO caches (job handler for 'cache.refresh')
+ * @param {object} payload - { domain } limits Lighthouse/SE Ranking clearing to one domain
+ */
+async function clearAnalysisCaches({ domain = null }, { scope }) {
+  const userId = await seoCacheService.getUserIdByEmail(scope.email);
+  if (!userId) {
+    throw new PermanentJobError('User not found', { success: false, error: 'User not found' });
+  }
+
+  const clearedCaches = [];
+
+  // Clear Search Console cache
+  try {
+    await supabase
+      .from('search_console_cache')
+      .delete()
+      .eq('user_id', userId);
+    clearedCaches.push('Search Console');
+    console.log('✅ Search Console cache cleared');
+  } catch (err) {
+    console.error('❌ Error clearing Search Console cache:', err);
+  }
+
+  // Clear Google Analytics cache
+  try {
+    await supabase
+      .from('google_analytics_cache')
+      .delete()
+      .eq('user_id', userId);
+    clearedCaches.push('Google Analytics');
+    console.log('✅ Google Analytics cache cleared');
+  } catch (err) {
+    console.error('❌ Error clearing Google Analytics cache:', err);
+  }
+
+  // Clear Lighthouse cache (all domains or specific domain)
+  try {
+    let query = supabase
+      .from('lighthouse_cache')
+      .delete()
+      .eq('user_id', userId);
+
+    if (domain) {
+      query = query.eq('domain', domain);
+    }
+
+    await query;
+    clearedCaches.push('Lighthouse');
+    console.log('✅ Lighthouse cache cleared');
+  } catch (err) {
+    console.error('❌ Error clearing Lighthouse cache:', err);
+  }
+
+  // Clear SE Ranking backlinks cache (all domains or specific domain)
+  try {
+    let query = supabase
+      .from('se_ranking_cache')
+      .delete()
+      .eq('user_id', userId);
+
+    if (domain) {
+      query = query.eq('domain', domain);
+    }
+
+    await query;
+    clearedCaches.push('SE Ranking (Backlinks)');
+    console.log('✅ SE Ranking cache cleared');
+  } catch (err) {
+    console.error('❌ Error clearing SE Ranking cache:', err);
+  }
+
+  // Note: Social media caches (Facebook, Instagram, LinkedIn) are NOT cleared here
+  // They have their own refresh mechanism in the Social Dashboard
+
+  console.log(`✅ Refresh Analysis complete. Cleared SEO caches: ${clearedCaches.join(', ')}`);
+
+  return {
+    success: true,
+    message: 'All caches cleared successfully. Fresh data will be fetched on next request.',
+    clearedCaches,
+    timestamp: new Date().toISOString()
+  };
+}
+
+jobQueueService.registerHandler('cache.refresh', clearAnalysisCaches, { timeoutMs: 2 * 60 * 1000 });
+
 /**
  * Clear all caches for a user and force fresh data fetch
  * POST /api/refresh-analysis
  * Query params: email, domain (optional)
+ * Responds 202 with a job id; the cleared caches are the job result at GET /api/jobs/:id.
  */
-router.post('/refresh-analysis', async (req, res) => {
+router.post('/refresh-analysis', requireEditor, async (req, res) => {
   try {
     const { email, domain } = req.query;
 
@@ -36,78 +127,26 @@ router.post('/refresh-analysis', async (req, res) => {
       });
     }
 
-    const clearedCaches = [];
-
-    // Clear Search Console cache
-    try {
-      await supabase
-        .from('search_console_cache')
-        .delete()
-        .eq('user_id', userId);
-      clearedCaches.push('Search Console');
-      console.log('✅ Search Console cache cleared');
-    } catch (err) {
-      console.error('❌ Error clearing Search Console cache:', err);
-    }
-
-    // Clear Google Analytics cache
-    try {
-      await supabase
-        .from('google_analytics_cache')
-        .delete()
-        .eq('user_id', userId);
-      clearedCaches.push('Google Analytics');
-      console.log('✅ Google Analytics cache cleared');
-    } catch (err) {
-      console.error('❌ Error clearing Google Analytics cache:', err);
-    }
-
-    // Clear Lighthouse cache (all domains or specific domain)
-    try {
-      let query = supabase
-        .from('lighthouse_cache')
-        .delete()
-        .eq('user_id', userId);
-
-      if (domain) {
-        query = query.eq('domain', domain);
-      }
-
-      await query;
-      clearedCaches.push('Lighthouse');
-      console.log('✅ Lighthouse cache cleared');
-    } catch (err) {
-      console.error('❌ Error clearing Lighthouse cache:', err);
-    }
+    const { job, deduplicated } = await jobQueueService.enqueue('cache.refresh', { domain: domain || null }, {
+      scope: req.businessScope,
+      dedupeKey: scopedDedupeKey('cache.refresh', req.businessScope, domain || 'all')
+    });
 
-    // Clear SE Ranking backlinks cache (all domains or specific domain)
-    try {
-      let query = supabase
-        .from('se_ranking_cache')
-        .delete()
-        .eq('user_id', userId);
-
-      if (domain) {
-        query = query.eq('domain', domain);
-      }
-
-      await query;
-      clearedCaches.push('SE Ranking (Backlinks)');
-      console.log('✅ SE Ranking cache cleared');
-    } catch (err) {
-      console.error('❌ Error clearing SE Ranking cache:', err);
+    if (!deduplicated) {
+      await auditLogService.recordRequest(req, {
+        action: AUDIT_ACTIONS.ANALYSIS_REFRESHED,
+        resourceType: 'cache',
+        resourceId: domain || 'all',
+        metadata: { source: 'refresh_analysis', domain: domain || null, jobId: job.id }
+      });
     }
 
-    // Note: Social media caches (Facebook, Instagram, LinkedIn) are NOT cleared here
-    // They have their own refresh mechanism in the Social Dashboard
-
-    console.log(`✅ Refresh Analysis complete. Cleared SEO caches: ${clearedCaches.join(', ')}`);
-
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'All caches cleared successfully. Fresh data will be fetched on next request.',
-      clearedCaches,
-      timestamp: new Date().toISOString()
+      message: 'Cache refresh queued. Fresh data will be fetched on the next request once it completes.',
+      jobId: job.id,
+      deduplicated,
+      job: jobQueueService.toResponse(job)
     });
 
   } catch (error) {
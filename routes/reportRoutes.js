@@ -7,12 +7,40 @@ import lighthouseService from '../services/lighthouseService.js';
 import pagespeedService from '../services/pagespeedService.js';
 import technicalSEOService from '../services/technicalSEOService.js';
 import competitorCacheService from '../services/competitorCacheService.js';
-import reportGenerationService from '../services/reportGenerationService.js';
+import reportGenerationService, { REPORT_TYPES } from '../services/reportGenerationService.js';
 import websiteAnalysisCacheService from '../services/websiteAnalysisCacheService.js';
 import scoringService from '../services/scoringService.js';
+import healthScoreHistoryService from '../services/healthScoreHistoryService.js';
+import annotationService from '../services/annotationService.js';
+import { validateReportLimit, incrementUsage } from '../middleware/tierValidation.js';
 
 const router = express.Router();
 
+const TIMELINE_MONTHS = 3;
+
+/**
+ * Recent health score history and the annotations in the same window, for report charts
+ * @returns {Promise<object>} { healthHistory, annotations }
+ */
+async function loadHealthTimeline(scope, domain) {
+  let healthHistory = null;
+  try {
+    healthHistory = await healthScoreHistoryService.getHistory(scope, domain, { period: 'daily', months: TIMELINE_MONTHS });
+  } catch (error) {
+    console.warn('⚠️ Health score history unavailable:', error.message);
+  }
+
+  const from = new Date();
+  from.setUTCMonth(from.getUTCMonth() - TIMELINE_MONTHS);
+  const annotations = await annotationService.forRange(
+    scope,
+    healthHistory?.from || from.toISOString(),
+    healthHistory?.to || new Date().toISOString()
+  );
+
+  return { healthHistory, annotations };
+}
+
 /**
  * POST /api/reports/seo-performance
  * Generate SEO & Website Performance PDF Report
@@ -56,12 +84,12 @@ router.post('/seo-performance', async (req, res) => {
     if (!lighthouse) {
       console.log('🔄 No cache found, fetching fresh data...');
       // Try legacy cache
-      lighthouse = await seoCacheService.getLighthouseCache(email, domain);
+      lighthouse = await seoCacheService.getLighthouseCache(req.businessScope, domain);
 
       if (!lighthouse) {
         lighthouse = await lighthouseService.analyzeSite(domain);
         if (lighthouse) {
-          await seoCacheService.saveLighthouseCache(email, domain, lighthouse);
+          await seoCacheService.saveLighthouseCache(req.businessScope, domain, lighthouse);
         }
       }
     }
@@ -91,6 +119,14 @@ router.post('/seo-performance', async (req, res) => {
         pagespeed,
         technicalSEO
       });
+
+      await healthScoreHistoryService.recordSnapshot(req.businessScope, {
+        website: domain,
+        healthScore,
+        lighthouse,
+        pagespeed,
+        source: 'seo_report'
+      });
     }
 
     const reportData = {
@@ -99,6 +135,7 @@ router.post('/seo-performance', async (req, res) => {
       pagespeed,
       technicalSEO,
       healthScore,
+      ...await loadHealthTimeline(req.businessScope, domain),
       generatedAt: new Date().toISOString()
     };
 
@@ -112,6 +149,7 @@ router.post('/seo-performance', async (req, res) => {
     res.setHeader('Content-Length', pdfBuffer.length);
 
     console.log(`✅ SEO Performance Report generated: ${filename}`);
+    await incrementUsage(req.businessScope, 'pdf', { metadata: { report: 'seo-performance' } });
     res.send(pdfBuffer);
 
   } catch (error) {
@@ -166,6 +204,7 @@ router.post('/competitor-intelligence', async (req, res) => {
     res.setHeader('Content-Length', pdfBuffer.length);
 
     console.log(`✅ Competitor Intelligence Report generated: ${filename}`);
+    await incrementUsage(req.businessScope, 'pdf', { metadata: { report: 'competitor-intelligence' } });
     res.send(pdfBuffer);
 
   } catch (error) {
@@ -196,11 +235,19 @@ router.post('/social-media', async (req, res) => {
 
     console.log('📊 Fetching social media data...');
 
+    const timelineDays = parseInt(timeframe) || 30;
+    const timelineRange = {
+      from: new Date(Date.now() - timelineDays * 24 * 60 * 60 * 1000).toISOString(),
+      to: new Date().toISOString()
+    };
+
     // Fetch social media data from cache or API
     // This would integrate with your existing social media services
     const socialData = {
       platform,
       timeframe: timeframe || '30d',
+      timelineRange,
+      annotations: await annotationService.forRange(req.businessScope, timelineRange.from, timelineRange.to),
       companyName: 'Your Company',
       generatedAt: new Date().toISOString(),
       data: {
@@ -234,6 +281,7 @@ router.post('/social-media', async (req, res) => {
     res.setHeader('Content-Length', pdfBuffer.length);
 
     console.log(`✅ Social Media Report generated: ${filename}`);
+    await incrementUsage(req.businessScope, 'pdf', { metadata: { report: 'social-media' } });
     res.send(pdfBuffer);
 
   } catch (error) {
@@ -265,7 +313,7 @@ router.post('/comprehensive', async (req, res) => {
     console.log('📊 Fetching all data sources...');
 
     // Fetch SEO data
-    let lighthouse = await seoCacheService.getLighthouseCache(email, domain);
+    let lighthouse = await seoCacheService.getLighthouseCache(req.businessScope, domain);
     if (!lighthouse) {
       lighthouse = await lighthouseService.analyzeSite(domain);
     }
@@ -295,6 +343,7 @@ router.post('/comprehensive', async (req, res) => {
     const reportData = {
       companyName: 'Your Business',
       domain,
+      ...await loadHealthTimeline(req.businessScope, domain),
       generatedAt: new Date().toISOString(),
       seo: {
         lighthouse,
@@ -325,6 +374,7 @@ router.post('/comprehensive', async (req, res) => {
     res.setHeader('Content-Length', pdfBuffer.length);
 
     console.log(`✅ Comprehensive Business Report generated: ${filename}`);
+    await incrementUsage(req.businessScope, 'pdf', { metadata: { report: 'comprehensive' } });
     res.send(pdfBuffer);
 
   } catch (error) {
@@ -357,8 +407,9 @@ router.get('/health', (req, res) => {
 /**
  * POST /api/reports/generate
  * Generate a new report (dashboard, competitor, social, seo, or overall)
+ * Counts towards the plan's monthly report quota (403 once it is used up).
  */
-router.post('/generate', async (req, res) => {
+router.post('/generate', validateReportLimit, async (req, res) => {
   try {
     const { email, reportType, periodStart, periodEnd } = req.body;
 
@@ -372,31 +423,17 @@ router.post('/generate', async (req, res) => {
     const start = periodStart || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(); // Default: 30 days ago
     const end = periodEnd || new Date().toISOString();
 
-    let report;
-
-    switch (reportType) {
-      case 'dashboard':
-        report = await reportGenerationService.generateDashboardReport(email, start, end);
-        break;
-      case 'competitor':
-        report = await reportGenerationService.generateCompetitorReport(email, start, end);
-        break;
-      case 'social':
-        report = await reportGenerationService.generateSocialReport(email, start, end);
-        break;
-      case 'seo':
-        report = await reportGenerationService.generateSEOReport(email, start, end);
-        break;
-      case 'overall':
-        report = await reportGenerationService.generateOverallReport(email, start, end);
-        break;
-      default:
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid report type. Must be: dashboard, competitor, social, seo, or overall'
-        });
+    if (!REPORT_TYPES.includes(reportType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid report type. Must be: ${REPORT_TYPES.join(', ')}`
+      });
     }
 
+    const report = await reportGenerationService.generateReport(reportType, req.businessScope, start, end, {
+      usageReservationId: req.usageReservation?.reservationId
+    });
+
     return res.json({
       success: true,
       report
@@ -426,7 +463,7 @@ router.get('/list', async (req, res) => {
       });
     }
 
-    const reports = await reportGenerationService.getUserReports(email, reportType || null);
+    const reports = await reportGenerationService.getUserReports(req.businessScope, reportType || null);
 
     return res.json({
       success: true,
@@ -458,7 +495,7 @@ router.delete('/:reportId', async (req, res) => {
       });
     }
 
-    await reportGenerationService.deleteReport(reportId, email);
+    await reportGenerationService.deleteReport(reportId, req.businessScope);
 
     return res.json({
       success: true,
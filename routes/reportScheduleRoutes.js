@@ -0,0 +1,139 @@
+import express from 'express';
+import reportScheduleService from '../services/reportScheduleService.js';
+import jobQueueService from '../services/jobQueueService.js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/report-schedules
+ * Report schedules for the selected business
+ */
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await reportScheduleService.listSchedules(req.businessScope);
+
+    res.json({
+      success: true,
+      schedules: schedules.map(schedule => reportScheduleService.toResponse(schedule))
+    });
+  } catch (error) {
+    console.error('❌ Error listing report schedules:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/report-schedules
+ * Create a schedule
+ * Body: { reportType, frequency: 'weekly'|'monthly', recipients: [email],
+ *         dayOfWeek (0-6, default Monday), dayOfMonth (1-28), hourUtc (default 7), enabled }
+ * Recipients default to the signed-in user.
+ */
+router.post('/', requireEditor, async (req, res) => {
+  try {
+    const input = {
+      ...req.body,
+      recipients: req.body.recipients ?? [req.user.email]
+    };
+
+    const schedule = await reportScheduleService.createSchedule(req.businessScope, input, req.user.email);
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.REPORT_SCHEDULE_UPDATED,
+      resourceType: 'report_schedule',
+      resourceId: schedule.id,
+      after: reportScheduleService.toResponse(schedule),
+      metadata: { operation: 'create' }
+    });
+
+    res.status(201).json({ success: true, schedule: reportScheduleService.toResponse(schedule) });
+  } catch (error) {
+    console.error('❌ Error creating report schedule:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/report-schedules/:id
+ * Change a schedule; omitted fields keep their current values
+ */
+router.patch('/:id', requireEditor, async (req, res) => {
+  try {
+    const updated = await reportScheduleService.updateSchedule(req.params.id, req.businessScope, req.body);
+
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Report schedule not found' });
+    }
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.REPORT_SCHEDULE_UPDATED,
+      resourceType: 'report_schedule',
+      resourceId: updated.after.id,
+      before: reportScheduleService.toResponse(updated.before),
+      after: reportScheduleService.toResponse(updated.after),
+      metadata: { operation: 'update' }
+    });
+
+    res.json({ success: true, schedule: reportScheduleService.toResponse(updated.after) });
+  } catch (error) {
+    console.error('❌ Error updating report schedule:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/report-schedules/:id
+ * Remove a schedule
+ */
+router.delete('/:id', requireEditor, async (req, res) => {
+  try {
+    const deleted = await reportScheduleService.deleteSchedule(req.params.id, req.businessScope);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Report schedule not found' });
+    }
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.REPORT_SCHEDULE_UPDATED,
+      resourceType: 'report_schedule',
+      resourceId: deleted.id,
+      before: reportScheduleService.toResponse(deleted),
+      metadata: { operation: 'delete' }
+    });
+
+    res.json({ success: true, message: 'Report schedule deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting report schedule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/report-schedules/:id/send
+ * Send the report for the last completed period now (runs as a background job)
+ */
+router.post('/:id/send', requireEditor, async (req, res) => {
+  try {
+    const schedule = await reportScheduleService.getSchedule(req.params.id, req.businessScope);
+
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Report schedule not found' });
+    }
+
+    const { job, deduplicated } = await reportScheduleService.enqueueRun(schedule);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      deduplicated,
+      job: jobQueueService.toResponse(job)
+    });
+  } catch (error) {
+    console.error('❌ Error sending scheduled report:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -5,6 +5,12 @@ import gscBacklinksScraper from '../services/gscBacklinksScraper.js';
 import seoCacheService from '../services/seoCacheService.js';
 import seRankingService from '../services/seRankingService.js';
 import oauthTokenService from '../services/oauthTokenService.js';
+import annotationService from '../services/annotationService.js';
+import searchConsoleQueryService from '../services/searchConsoleQueryService.js';
+import cannibalizationService from '../services/cannibalizationService.js';
+import sitemapCoverageService from '../services/sitemapCoverageService.js';
+import jobQueueService from '../services/jobQueueService.js';
+import { validateAdvancedFeature } from '../middleware/tierValidation.js';
 import { getUserPlan, shouldCallAPI, filterSEOData } from '../services/planAccessService.js';
 
 const router = express.Router();
@@ -28,7 +34,7 @@ router.get('/search-console/data', async (req, res) => {
 
     // Check cache first (unless forceRefresh is true)
     if (forceRefresh !== 'true') {
-      const cachedData = await seoCacheService.getSearchConsoleCache(email, daysToFetch);
+      const cachedData = await seoCacheService.getSearchConsoleCache(req.businessScope, daysToFetch);
       if (cachedData) {
         // Check if lighthouse data is missing - if so, try to get it
         if (!cachedData.lighthouse) {
@@ -36,7 +42,7 @@ router.get('/search-console/data', async (req, res) => {
           const domain = cachedData.domain || (siteUrl ? siteUrl.replace(/^(sc-domain:|https?:\/\/)/, '').replace(/\/$/, '') : null);
           if (domain) {
             // Try to get lighthouse from separate cache or fetch fresh
-            let lighthouseData = await seoCacheService.getLighthouseCache(email, domain);
+            let lighthouseData = await seoCacheService.getLighthouseCache(req.businessScope, domain);
             if (!lighthouseData) {
               // Fetch fresh lighthouse data with 30s timeout
               console.log(`   ⏱️ Lighthouse: Fetching with 30s timeout...`);
@@ -48,7 +54,7 @@ router.get('/search-console/data', async (req, res) => {
                 lighthouseData = await Promise.race([lighthousePromise, timeoutPromise]);
                 if (lighthouseData) {
                   console.log(`   ✅ Lighthouse: Fetched - Performance ${lighthouseData.categoryScores?.performance || 'N/A'}%`);
-                  await seoCacheService.saveLighthouseCache(email, domain, lighthouseData);
+                  await seoCacheService.saveLighthouseCache(req.businessScope, domain, lighthouseData);
                 }
               } catch (err) {
                 console.log(`   ⚠️ Lighthouse fetch failed: ${err.message}`);
@@ -64,7 +70,8 @@ router.get('/search-console/data', async (req, res) => {
 
         // Filter cached data based on user's plan
         const filteredData = await filterSEOData(cachedData, email);
-        return res.json(filteredData);
+        const annotations = await annotationService.forSeries(req.businessScope, cachedData.dailyData);
+        return res.json({ ...filteredData, annotations });
       }
     } else {
       console.log('🔄 Force refresh requested, skipping cache');
@@ -75,7 +82,7 @@ router.get('/search-console/data', async (req, res) => {
     console.log('📡 Fetching fresh data from Google Search Console...');
 
     // Get OAuth client with auto-refresh from oauthTokenService
-    const oauth2Client = await oauthTokenService.getOAuthClient(email);
+    const oauth2Client = await oauthTokenService.getOAuthClient(req.businessScope);
 
     if (!oauth2Client) {
       console.log('❌ User not authenticated or token refresh failed');
@@ -107,7 +114,7 @@ router.get('/search-console/data', async (req, res) => {
       // Check if it's an auth error
       if (error.message?.includes('invalid_grant') || error.message?.includes('expired')) {
         console.log('🔄 Token expired, attempting refresh...');
-        const refreshed = await oauthTokenService.refreshTokens(email);
+        const refreshed = await oauthTokenService.refreshTokens(req.businessScope);
         if (!refreshed) {
           return res.json({
             dataAvailable: false,
@@ -328,7 +335,7 @@ router.get('/search-console/data', async (req, res) => {
     }
 
     // Check SE Ranking cache first
-    const cachedBacklinks = await seoCacheService.getSERankingCache(email, domain);
+    const cachedBacklinks = await seoCacheService.getSERankingCache(req.businessScope, domain);
 
     // ===== CHECK PLAN BEFORE CALLING SE RANKING API =====
     const userPlan = await getUserPlan(email);
@@ -370,7 +377,7 @@ router.get('/search-console/data', async (req, res) => {
           console.log(`✅ SE Ranking: ${backlinksResult.totalBacklinks} backlinks from ${backlinksResult.totalRefDomains} domains`);
 
           // Cache the successful response (48 hours - 2 days)
-          await seoCacheService.saveSERankingCache(email, domain, backlinksResult, 48);
+          await seoCacheService.saveSERankingCache(req.businessScope, domain, backlinksResult, 48);
         } else {
           backlinksResult.note = seRankingData?.reason || 'Backlink data not available from SE Ranking API';
           console.log('⚠️ SE Ranking API returned no data');
@@ -380,7 +387,7 @@ router.get('/search-console/data', async (req, res) => {
         backlinksResult.note = `SE Ranking API error: ${err.message}`;
 
         // Try to use expired cache as fallback
-        const expiredCache = await seoCacheService.getSERankingCache(email, domain, true);
+        const expiredCache = await seoCacheService.getSERankingCache(req.businessScope, domain, true);
         if (expiredCache) {
           console.log('📦 Using expired SE Ranking cache as fallback');
           backlinksResult = expiredCache;
@@ -424,14 +431,14 @@ router.get('/search-console/data', async (req, res) => {
 
     try {
       // Always try to get cached data first (even with forceRefresh)
-      const cachedLighthouse = await seoCacheService.getLighthouseCache(email, domain);
+      const cachedLighthouse = await seoCacheService.getLighthouseCache(req.businessScope, domain);
 
       if (cachedLighthouse) {
         console.log(`   ✅ Lighthouse: Using cached data`);
         lighthouseData = cachedLighthouse;
       } else {
         // Try expired cache as fallback
-        const expiredCache = await seoCacheService.getLighthouseCache(email, domain, true);
+        const expiredCache = await seoCacheService.getLighthouseCache(req.businessScope, domain, true);
         if (expiredCache) {
           console.log(`   ✅ Lighthouse: Using expired cache (better than nothing)`);
           lighthouseData = expiredCache;
@@ -451,7 +458,7 @@ router.get('/search-console/data', async (req, res) => {
 
             if (lighthouseData) {
               console.log(`   ✅ Lighthouse: Fresh data fetched - Performance ${lighthouseData.categoryScores.performance}%`);
-              await seoCacheService.saveLighthouseCache(email, domain, lighthouseData);
+              await seoCacheService.saveLighthouseCache(req.businessScope, domain, lighthouseData);
             }
           } catch (timeoutErr) {
             console.log(`   ⏱️ Lighthouse: Timed out after ${timeoutMs / 1000}s`);
@@ -467,7 +474,7 @@ router.get('/search-console/data', async (req, res) => {
             const freshLighthouse = await lighthouseService.analyzeSite(domain);
             if (freshLighthouse) {
               console.log(`   ✅ Lighthouse: Background refresh completed - Performance ${freshLighthouse.categoryScores.performance}%`);
-              await seoCacheService.saveLighthouseCache(email, domain, freshLighthouse);
+              await seoCacheService.saveLighthouseCache(req.businessScope, domain, freshLighthouse);
             } else {
               console.log(`   ⚠️ Lighthouse: Background refresh returned no data`);
             }
@@ -526,12 +533,15 @@ router.get('/search-console/data', async (req, res) => {
     const filteredData = await filterSEOData(responseData, email);
 
     // Save to cache asynchronously (save unfiltered data)
-    seoCacheService.saveSearchConsoleCache(email, responseData).catch(err => {
+    seoCacheService.saveSearchConsoleCache(req.businessScope, responseData).catch(err => {
       console.error('⚠️ Failed to save cache:', err);
     });
 
+    // Annotations aren't cached - they can change between refreshes
+    const annotations = await annotationService.forSeries(req.businessScope, dailyData);
+
     // Return filtered data based on user's plan
-    res.json(filteredData);
+    res.json({ ...filteredData, annotations });
 
   } catch (error) {
     console.error('❌ Error fetching Search Console data:', error);
@@ -569,7 +579,7 @@ router.get('/search-console/sites', async (req, res) => {
     }
 
     // Get OAuth client with auto-refresh
-    const oauth2Client = await oauthTokenService.getOAuthClient(email);
+    const oauth2Client = await oauthTokenService.getOAuthClient(req.businessScope);
 
     if (!oauth2Client) {
       return res.json({
@@ -613,6 +623,192 @@ router.get('/search-console/sites', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/search-console/query
+ * Free-form Search Analytics query (Growth and Pro plans)
+ * Body: { siteUrl, dimensions: ['query', 'page', 'country', 'device', 'searchAppearance', 'date'],
+ *         filters: [{ dimension, operator: 'contains'|'equals'|'regex'|..., expression }],
+ *         startDate, endDate (or days), type, aggregationType, dataState,
+ *         rowLimit (max 50000), startRow, compare: 'previous'|'year' (or compareStartDate/compareEndDate),
+ *         forceRefresh }
+ * e.g. { siteUrl: 'sc-domain:example.com', dimensions: ['query', 'page'],
+ *        filters: [{ dimension: 'country', operator: 'equals', expression: 'usa' }], days: 28, compare: 'previous' }
+ * More rows: repeat with startRow = nextStartRow while hasMore is true.
+ */
+router.post('/search-console/query', validateAdvancedFeature, async (req, res) => {
+  let query;
+  try {
+    query = searchConsoleQueryService.normalizeQuery(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const oauth2Client = await oauthTokenService.getOAuthClient(req.businessScope);
+    if (!oauth2Client) {
+      return res.json({
+        success: false,
+        dataAvailable: false,
+        reason: 'Google account not connected or authentication expired. Please reconnect.',
+        needsReconnect: true
+      });
+    }
+
+    const result = await searchConsoleQueryService.runQuery(req.businessScope, oauth2Client, query, {
+      forceRefresh: req.body.forceRefresh === true || req.body.forceRefresh === 'true'
+    });
+
+    res.json({ success: true, dataAvailable: true, ...result });
+  } catch (error) {
+    console.error('❌ Error running Search Console query:', error.message);
+
+    // Google rejects some dimension/filter/type combinations (e.g. query with discover)
+    if (error.code === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    if (error.code === 403) {
+      return res.status(403).json({
+        success: false,
+        error: 'No access to this Search Console property. Check the siteUrl or reconnect your Google account.'
+      });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/search-console/cannibalization
+ * Queries for which several pages of the property compete, ranked by estimated lost clicks
+ * and ranking volatility, each with a recommended primary page (Growth and Pro plans)
+ * Query: siteUrl (or domain to look the property up), days (default 28), limit (default 25),
+ *        minImpressions (per competing page, default 10), forceRefresh
+ */
+router.get('/search-console/cannibalization', validateAdvancedFeature, async (req, res) => {
+  try {
+    const { siteUrl, domain, days, limit, minImpressions, forceRefresh } = req.query;
+
+    if (!siteUrl && !domain) {
+      return res.status(400).json({ success: false, error: 'siteUrl or domain is required' });
+    }
+
+    const oauth2Client = await oauthTokenService.getOAuthClient(req.businessScope);
+    if (!oauth2Client) {
+      return res.json({
+        success: false,
+        dataAvailable: false,
+        reason: 'Google account not connected or authentication expired. Please reconnect.',
+        needsReconnect: true
+      });
+    }
+
+    const resolvedSiteUrl = siteUrl
+      || await searchConsoleQueryService.resolveSiteUrl(oauth2Client, domain.replace(/^https?:\/\//, '').split('/')[0]);
+    if (!resolvedSiteUrl) {
+      return res.status(404).json({ success: false, error: `No Search Console property found for ${domain}` });
+    }
+
+    const analysis = await cannibalizationService.analyze(req.businessScope, oauth2Client, {
+      siteUrl: resolvedSiteUrl,
+      days,
+      limit,
+      minImpressions,
+      forceRefresh: forceRefresh === 'true'
+    });
+
+    res.json({ success: true, dataAvailable: true, ...analysis });
+  } catch (error) {
+    console.error('❌ Error analyzing keyword cannibalization:', error.message);
+
+    if (error.code === 403) {
+      return res.status(403).json({
+        success: false,
+        error: 'No access to this Search Console property. Check the siteUrl or reconnect your Google account.'
+      });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/search-console/sitemap-coverage
+ * Queue a sitemap coverage report (Growth and Pro plans): every sitemap URL is fetched and
+ * checked for status, canonical and robots directives, then compared with the pages Search
+ * Console reports for the period
+ * Body: { siteUrl (or domain to look the property up), days (default 28) }
+ * Responds 202 with a job id; the report is the job result at GET /api/jobs/:id.
+ */
+router.post('/search-console/sitemap-coverage', validateAdvancedFeature, async (req, res) => {
+  try {
+    const { siteUrl, domain, days } = req.body || {};
+
+    if (!siteUrl && !domain) {
+      return res.status(400).json({ success: false, error: 'siteUrl or domain is required' });
+    }
+
+    const oauth2Client = await oauthTokenService.getOAuthClient(req.businessScope);
+    if (!oauth2Client) {
+      return res.json({
+        success: false,
+        dataAvailable: false,
+        reason: 'Google account not connected or authentication expired. Please reconnect.',
+        needsReconnect: true
+      });
+    }
+
+    const resolvedSiteUrl = siteUrl
+      || await searchConsoleQueryService.resolveSiteUrl(oauth2Client, domain.replace(/^https?:\/\//, '').split('/')[0]);
+    if (!resolvedSiteUrl) {
+      return res.status(404).json({ success: false, error: `No Search Console property found for ${domain}` });
+    }
+
+    let queued;
+    try {
+      queued = await sitemapCoverageService.requestReport(req.businessScope, { siteUrl: resolvedSiteUrl, days });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.status(202).json({
+      success: true,
+      siteUrl: resolvedSiteUrl,
+      jobId: queued.job.id,
+      deduplicated: queued.deduplicated,
+      job: jobQueueService.toResponse(queued.job)
+    });
+  } catch (error) {
+    console.error('❌ Error queueing sitemap coverage report:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/search-console/sitemap-coverage
+ * Latest sitemap coverage report job of a property, with the report once it has finished
+ * Query: siteUrl
+ */
+router.get('/search-console/sitemap-coverage', validateAdvancedFeature, async (req, res) => {
+  try {
+    const { siteUrl } = req.query;
+
+    if (!siteUrl) {
+      return res.status(400).json({ success: false, error: 'siteUrl is required' });
+    }
+
+    const job = await sitemapCoverageService.getLatest(req.businessScope, siteUrl);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'No sitemap coverage report for this property yet' });
+    }
+
+    res.json({ success: true, job: jobQueueService.toResponse(job) });
+  } catch (error) {
+    console.error('❌ Error loading sitemap coverage report:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Get backlinks data
 router.get('/search-console/backlinks', async (req, res) => {
   try {
@@ -623,7 +819,7 @@ router.get('/search-console/backlinks', async (req, res) => {
     }
 
     // Get OAuth client with auto-refresh
-    const oauth2Client = await oauthTokenService.getOAuthClient(email);
+    const oauth2Client = await oauthTokenService.getOAuthClient(req.businessScope);
 
     if (!oauth2Client) {
       return res.json({
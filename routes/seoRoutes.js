@@ -0,0 +1,25 @@
+import express from 'express';
+import robotsTestService from '../services/robotsTestService.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/seo/robots/test
+ * Whether URLs may be crawled by Googlebot, Bingbot and AI crawlers under a site's robots.txt,
+ * with the deciding rule for each; also warns when top Search Console pages are blocked
+ * Body: { domain, urls (array or comma/newline separated; paths or absolute URLs, max 100),
+ *         robotsTxt (optional draft content to test instead of the live file),
+ *         crawlers (optional product tokens), checkTopPages (default true) }
+ */
+router.post('/robots/test', async (req, res) => {
+  try {
+    const result = await robotsTestService.run(req.businessScope, req.body || {});
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error testing robots.txt:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -1,5 +1,9 @@
 import express from 'express';
 import socialConnectionService from '../services/socialConnectionService.js';
+import tokenRefreshService from '../services/tokenRefreshService.js';
+import oauthTokenService from '../services/oauthTokenService.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
 
 const router = express.Router();
 
@@ -65,24 +69,51 @@ router.get('/status', async (req, res) => {
   }
 });
 
+/**
+ * Token health for each provider of the active business
+ * GET /api/social-connections/health
+ * Returns expiry, last successful refresh and whether a reconnect is needed
+ */
+router.get('/health', async (req, res) => {
+  try {
+    const providers = await tokenRefreshService.getConnectionHealth(req.businessScope);
+
+    res.json({
+      success: true,
+      providers,
+      reconnectRequired: Object.entries(providers)
+        .filter(([, health]) => health.reconnectRequired)
+        .map(([provider]) => provider),
+      scheduler: tokenRefreshService.getStatus()
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting connection health:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Update connection after OAuth
  * POST /api/social-connections/update
- * Body: { email, platform, connectionData }
+ * Body: { platform, connectionData } - applies to the active business; editors and owners only
  */
-router.post('/update', async (req, res) => {
+router.post('/update', requireEditor, async (req, res) => {
   try {
-    const { email, platform, connectionData } = req.body;
+    const { platform, connectionData } = req.body;
 
-    if (!email || !platform || !connectionData) {
+    if (!platform || !connectionData) {
       return res.status(400).json({
         success: false,
-        error: 'email, platform, and connectionData are required'
+        error: 'platform and connectionData are required'
       });
     }
 
     const result = await socialConnectionService.updateConnection(
-      email,
+      req.businessScope,
       platform,
       connectionData
     );
@@ -111,22 +142,31 @@ router.post('/update', async (req, res) => {
 /**
  * Disconnect a platform
  * POST /api/social-connections/disconnect
- * Body: { email, platform }
+ * Body: { platform } - disconnects it from the active business; editors and owners only
  */
-router.post('/disconnect', async (req, res) => {
+router.post('/disconnect', requireEditor, async (req, res) => {
   try {
-    const { email, platform } = req.body;
+    const { platform } = req.body;
 
-    if (!email || !platform) {
+    if (!platform) {
       return res.status(400).json({
         success: false,
-        error: 'email and platform are required'
+        error: 'platform is required'
       });
     }
 
-    const result = await socialConnectionService.disconnectPlatform(email, platform);
+    const wasConnected = await oauthTokenService.isConnected(req.businessScope, platform);
+    const result = await socialConnectionService.disconnectPlatform(req.businessScope, platform);
 
     if (result) {
+      await auditLogService.recordRequest(req, {
+        action: AUDIT_ACTIONS.OAUTH_DISCONNECTED,
+        resourceType: 'oauth_connection',
+        resourceId: platform,
+        before: { [platform]: wasConnected },
+        after: { [platform]: false }
+      });
+
       res.json({
         success: true,
         message: `${platform} disconnected successfully`
@@ -1,6 +1,8 @@
 import express from 'express';
 import socialMetricsWithCache from '../services/socialMetricsWithCache.js';
 import socialMediaCacheService from '../services/socialMediaCacheService.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
 
 const router = express.Router();
 
@@ -71,22 +73,31 @@ router.get('/cache-stats', async (req, res) => {
 /**
  * Invalidate cache for a platform
  * POST /api/social/invalidate-cache
- * Body: { email, platform }
+ * Body: { platform } - the active business's cache; editors and owners only
  */
-router.post('/invalidate-cache', async (req, res) => {
+router.post('/invalidate-cache', requireEditor, async (req, res) => {
   try {
-    const { email, platform } = req.body;
+    const { platform } = req.body;
 
-    if (!email || !platform) {
+    if (!platform) {
       return res.status(400).json({
         success: false,
-        error: 'Email and platform parameters are required'
+        error: 'Platform parameter is required'
       });
     }
 
-    console.log(`🗑️  Invalidating cache for ${platform} (${email})`);
+    console.log(`🗑️  Invalidating cache for ${platform} (${req.businessScope.email})`);
+
+    const success = await socialMetricsWithCache.invalidateCache(req.businessScope, platform);
 
-    const success = await socialMetricsWithCache.invalidateCache(email, platform);
+    if (success) {
+      await auditLogService.recordRequest(req, {
+        action: AUDIT_ACTIONS.CACHE_CLEARED,
+        resourceType: 'social_media_cache',
+        resourceId: platform,
+        metadata: { source: 'social_invalidate_cache' }
+      });
+    }
 
     res.json({
       success: success,
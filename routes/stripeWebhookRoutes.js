@@ -3,6 +3,9 @@ import { createClient } from '@supabase/supabase-js';
 import { clearPlanCache } from '../services/planAccessService.js';
 import seoCacheService from '../services/seoCacheService.js';
 import socialMediaCacheService from '../services/socialMediaCacheService.js';
+import { requireOwner } from '../middleware/roleMiddleware.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
+import webhookService from '../services/webhookService.js';
 
 const router = express.Router();
 
@@ -93,6 +96,12 @@ async function handleCheckoutCompleted(session) {
     plan = getPlanFromPriceId(subscription.items.data[0].price.id);
   }
 
+  const { data: previous } = await supabase
+    .from('users_table')
+    .select('plan, subscription_status')
+    .eq('email', customerEmail)
+    .maybeSingle();
+
   // Update user in Supabase
   const { data, error } = await supabase
     .from('users_table')
@@ -111,6 +120,25 @@ async function handleCheckoutCompleted(session) {
   } else {
     console.log(`✅ User ${customerEmail} upgraded to ${plan}`);
 
+    await auditLogService.record({
+      action: AUDIT_ACTIONS.PLAN_CHANGED,
+      accountEmail: customerEmail,
+      actorType: 'stripe',
+      resourceType: 'plan',
+      resourceId: subscriptionId,
+      before: { plan: previous?.plan || null, subscription_status: previous?.subscription_status || null },
+      after: { plan, subscription_status: 'active' },
+      metadata: { source: 'stripe_webhook', event: 'checkout.session.completed', stripeCustomerId, checkoutSessionId: session.id }
+    });
+
+    webhookService.emit(customerEmail, 'plan.changed', {
+      plan,
+      previousPlan: previous?.plan || null,
+      subscriptionStatus: 'active',
+      previousSubscriptionStatus: previous?.subscription_status || null,
+      source: 'checkout'
+    });
+
     // Clear all caches so user immediately sees new features
     console.log(`🗑️ Clearing caches for ${customerEmail}...`);
     clearPlanCache(customerEmail);
@@ -133,7 +161,7 @@ async function handleSubscriptionUpdate(subscription) {
   // Find user by stripe customer ID
   const { data: users, error: findError } = await supabase
     .from('users_table')
-    .select('email')
+    .select('email, plan, subscription_status')
     .eq('stripe_id', stripeCustomerId)
     .single();
 
@@ -161,6 +189,27 @@ async function handleSubscriptionUpdate(subscription) {
   } else {
     console.log(`✅ Subscription updated for ${customerEmail}: ${plan} (${status})`);
 
+    await auditLogService.record({
+      action: AUDIT_ACTIONS.PLAN_CHANGED,
+      accountEmail: customerEmail,
+      actorType: 'stripe',
+      resourceType: 'plan',
+      resourceId: subscription.id,
+      before: { plan: users.plan, subscription_status: users.subscription_status },
+      after: { plan, subscription_status: status },
+      metadata: { source: 'stripe_webhook', stripeCustomerId }
+    });
+
+    if (users.plan !== plan || users.subscription_status !== status) {
+      webhookService.emit(customerEmail, 'plan.changed', {
+        plan,
+        previousPlan: users.plan,
+        subscriptionStatus: status,
+        previousSubscriptionStatus: users.subscription_status,
+        source: 'subscription_update'
+      });
+    }
+
     // Clear all caches when plan changes
     console.log(`🗑️ Clearing caches for ${customerEmail}...`);
     clearPlanCache(customerEmail);
@@ -178,6 +227,12 @@ async function handleSubscriptionCancelled(subscription) {
 
   const stripeCustomerId = subscription.customer;
 
+  const { data: previous } = await supabase
+    .from('users_table')
+    .select('email, plan, subscription_status')
+    .eq('stripe_id', stripeCustomerId)
+    .maybeSingle();
+
   const { error } = await supabase
     .from('users_table')
     .update({
@@ -192,6 +247,27 @@ async function handleSubscriptionCancelled(subscription) {
     console.error('❌ Error cancelling subscription:', error);
   } else {
     console.log('✅ Subscription cancelled, user downgraded to free');
+
+    if (previous?.email) {
+      await auditLogService.record({
+        action: AUDIT_ACTIONS.SUBSCRIPTION_CANCELLED,
+        accountEmail: previous.email,
+        actorType: 'stripe',
+        resourceType: 'plan',
+        resourceId: subscription.id,
+        before: { plan: previous.plan, subscription_status: previous.subscription_status },
+        after: { plan: 'free', subscription_status: 'cancelled' },
+        metadata: { source: 'stripe_webhook', event: 'customer.subscription.deleted', stripeCustomerId }
+      });
+
+      webhookService.emit(previous.email, 'plan.changed', {
+        plan: 'free',
+        previousPlan: previous.plan,
+        subscriptionStatus: 'cancelled',
+        previousSubscriptionStatus: previous.subscription_status,
+        source: 'subscription_cancelled'
+      });
+    }
   }
 }
 
@@ -285,7 +361,7 @@ router.get('/subscription-status', async (req, res) => {
 });
 
 // Create checkout session
-router.post('/create-checkout-session', async (req, res) => {
+router.post('/create-checkout-session', requireOwner, async (req, res) => {
   const { email, priceId, successUrl, cancelUrl } = req.body;
 
   if (!email || !priceId) {
@@ -346,7 +422,7 @@ router.post('/create-checkout-session', async (req, res) => {
 });
 
 // Create customer portal session
-router.post('/create-portal-session', async (req, res) => {
+router.post('/create-portal-session', requireOwner, async (req, res) => {
   const { email } = req.body;
 
   if (!email) {
@@ -1,5 +1,6 @@
 import express from 'express';
 import trafficService from '../services/trafficService.js';
+import annotationService from '../services/annotationService.js';
 
 const router = express.Router();
 
@@ -35,7 +36,8 @@ router.get('/traffic/data', async (req, res) => {
     res.json({
       success: true,
       domain: cleanDomain,
-      ...trafficData
+      ...trafficData,
+      annotations: await annotationService.forSeries(req.businessScope, trafficData.data)
     });
 
   } catch (error) {
@@ -81,7 +83,8 @@ router.post('/traffic/analyze', async (req, res) => {
     res.json({
       success: true,
       domain: cleanDomain,
-      ...trafficData
+      ...trafficData,
+      annotations: await annotationService.forSeries(req.businessScope, trafficData.data)
     });
 
   } catch (error) {
@@ -37,7 +37,7 @@ router.get('/analytics/data', async (req, res) => {
     // For non-30-day requests, skip cache for now (or add date-aware cache logic)
     const isDefaultRange = dateRange === '30days';
     if (forceRefresh !== 'true' && dateRange !== 'realtime' && isDefaultRange) {
-      const cachedData = await seoCacheService.getGoogleAnalyticsCache(email);
+      const cachedData = await seoCacheService.getGoogleAnalyticsCache(req.businessScope);
       if (cachedData) {
         console.log('✅ Returning cached Google Analytics data');
         cachedData.dateRange = dateRange; // Add dateRange to response
@@ -66,7 +66,7 @@ router.get('/analytics/data', async (req, res) => {
 
         // Only cache default 30-day data
         if (isDefaultRange) {
-          seoCacheService.saveGoogleAnalyticsCache(email, data).catch(err => {
+          seoCacheService.saveGoogleAnalyticsCache(req.businessScope, data).catch(err => {
             console.error('⚠️ Failed to save GA cache:', err);
           });
         }
@@ -92,7 +92,7 @@ router.get('/analytics/social', async (req, res) => {
 
     // Check cache first (unless forceRefresh is true)
     if (forceRefresh !== 'true') {
-      const cachedData = await seoCacheService.getSocialMediaCache(email);
+      const cachedData = await seoCacheService.getSocialMediaCache(req.businessScope);
       if (cachedData) {
         console.log('✅ Returning cached Social Media data');
         return res.json(cachedData);
@@ -112,7 +112,7 @@ router.get('/analytics/social', async (req, res) => {
       const gaData = await userAnalyticsService.getUserAnalyticsData(email);
       const mergedData = { ...gaData, ...data };
 
-      seoCacheService.saveGoogleAnalyticsCache(email, mergedData).catch(err => {
+      seoCacheService.saveGoogleAnalyticsCache(req.businessScope, mergedData).catch(err => {
         console.error('⚠️ Failed to save social media cache:', err);
       });
     }
@@ -1,6 +1,10 @@
 import express from 'express';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import accountDataService from '../services/accountDataService.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
+import usageService from '../services/usageService.js';
+import { signLinkToken } from '../middleware/authMiddleware.js';
 
 dotenv.config();
 
@@ -69,4 +73,116 @@ router.get('/plan', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/user/usage
+ * Metered usage in the current billing period and what is left of each quota
+ * Usage is counted per account (the workspace owner's), across all its businesses.
+ * Response: { plan, period: { start, end }, usage: { reports: { used, limit, remaining, unlimited }, ... } }
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const email = req.businessScope?.email || req.user.email;
+    const summary = await usageService.getSummary(email);
+
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('❌ Error fetching usage:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/user/link-token
+ * Single-use token for a browser redirect that cannot send the Authorization header
+ * (e.g. GET /api/auth/google?link_token=...). Valid for one minute on that route only.
+ * Body: { path } - route relative to /api, e.g. /auth/google
+ * Response: { token, expiresIn }
+ */
+router.post('/link-token', (req, res) => {
+  try {
+    if (req.apiKey) {
+      return res.status(403).json({ success: false, error: 'Link tokens require a signed-in session' });
+    }
+
+    const { token, expiresIn } = signLinkToken(req.user, String(req.body?.path || ''));
+
+    res.json({ success: true, token, expiresIn });
+  } catch (error) {
+    console.error('❌ Error issuing link token:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/user/data-export
+ * Download everything stored for the signed-in account as a ZIP of JSON files
+ */
+router.get('/data-export', async (req, res) => {
+  try {
+    const email = req.user.email;
+    const archive = await accountDataService.exportAccountData(email);
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.ACCOUNT_EXPORTED,
+      resourceType: 'account',
+      resourceId: email,
+      scope: email,
+      metadata: { bytes: archive.length }
+    });
+
+    const filename = `account-data-${new Date().toISOString().split('T')[0]}.zip`;
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', archive.length);
+    res.send(archive);
+  } catch (error) {
+    console.error('❌ Error building data export:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/user/account
+ * Permanently erase the signed-in account: revokes Google/Meta/LinkedIn grants,
+ * deletes all stored data and the sign-in account itself.
+ * Body: { confirmEmail } - must match the signed-in email
+ */
+router.delete('/account', async (req, res) => {
+  try {
+    const email = req.user.email;
+    const { confirmEmail } = req.body || {};
+
+    if (!confirmEmail || confirmEmail.toLowerCase().trim() !== email.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        error: 'confirmation_required',
+        message: 'Send confirmEmail matching your account email to erase the account'
+      });
+    }
+
+    // Written before erasure so the IP/user agent of the request are kept with it
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.ACCOUNT_ERASED,
+      resourceType: 'account',
+      resourceId: email,
+      scope: email
+    });
+
+    const summary = await accountDataService.eraseAccount(email, {
+      authUserId: req.user.authMethod === 'supabase' ? req.user.id : null
+    });
+
+    res.json({
+      success: summary.failed.length === 0,
+      message: summary.failed.length === 0
+        ? 'Account and all associated data erased'
+        : 'Account erased with some failures - see failed',
+      ...summary
+    });
+  } catch (error) {
+    console.error('❌ Error erasing account:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,225 @@
+import express from 'express';
+import webhookService, { WEBHOOK_EVENTS, DELIVERY_STATUS } from '../services/webhookService.js';
+import jobQueueService from '../services/jobQueueService.js';
+import { requireEditor } from '../middleware/roleMiddleware.js';
+import auditLogService, { AUDIT_ACTIONS } from '../services/auditLogService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/webhooks/events
+ * Event types a subscription can receive
+ */
+router.get('/events', (req, res) => {
+  res.json({ success: true, events: WEBHOOK_EVENTS, deliveryStatuses: Object.values(DELIVERY_STATUS) });
+});
+
+/**
+ * GET /api/webhooks/deliveries
+ * Delivery log for the selected business, newest first
+ * Query: subscriptionId, status, eventType, limit (max 200)
+ */
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { subscriptionId, status, eventType, limit } = req.query;
+    const deliveries = await webhookService.listDeliveries(req.businessScope, { subscriptionId, status, eventType, limit });
+
+    res.json({ success: true, deliveries: deliveries.map(delivery => webhookService.deliveryToResponse(delivery)) });
+  } catch (error) {
+    console.error('❌ Error listing webhook deliveries:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries/:id
+ * One delivery with its payload and every attempt (target URL, status code, error, duration, time)
+ */
+router.get('/deliveries/:id', async (req, res) => {
+  try {
+    const delivery = await webhookService.getDelivery(req.params.id, req.businessScope);
+
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Webhook delivery not found' });
+    }
+
+    res.json({ success: true, delivery: webhookService.deliveryToResponse(delivery) });
+  } catch (error) {
+    console.error('❌ Error fetching webhook delivery:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:id/replay
+ * Send a logged event again (same event id and payload, new delivery)
+ */
+router.post('/deliveries/:id/replay', requireEditor, async (req, res) => {
+  try {
+    const replay = await webhookService.replayDelivery(req.params.id, req.businessScope);
+
+    if (!replay) {
+      return res.status(404).json({ success: false, error: 'Webhook delivery not found' });
+    }
+
+    res.status(202).json({
+      success: true,
+      delivery: webhookService.deliveryToResponse(replay.delivery),
+      jobId: replay.job.id,
+      job: jobQueueService.toResponse(replay.job)
+    });
+  } catch (error) {
+    console.error('❌ Error replaying webhook delivery:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/webhooks
+ * Webhook subscriptions for the selected business
+ */
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await webhookService.listSubscriptions(req.businessScope);
+
+    res.json({ success: true, subscriptions: subscriptions.map(subscription => webhookService.toResponse(subscription)) });
+  } catch (error) {
+    console.error('❌ Error listing webhook subscriptions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Create a subscription
+ * Body: { url, events: ['analysis.completed', ...] or ['*'], description, enabled }
+ * The signing secret is only returned in this response (and when rotated).
+ */
+router.post('/', requireEditor, async (req, res) => {
+  try {
+    const { subscription, secret } = await webhookService.createSubscription(req.businessScope, req.body, req.user.email);
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.WEBHOOK_UPDATED,
+      resourceType: 'webhook_subscription',
+      resourceId: subscription.id,
+      after: webhookService.toResponse(subscription),
+      metadata: { operation: 'create' }
+    });
+
+    res.status(201).json({ success: true, subscription: webhookService.toResponse(subscription), secret });
+  } catch (error) {
+    console.error('❌ Error creating webhook subscription:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:id
+ * Change a subscription; omitted fields keep their current values
+ */
+router.patch('/:id', requireEditor, async (req, res) => {
+  try {
+    const updated = await webhookService.updateSubscription(req.params.id, req.businessScope, req.body);
+
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.WEBHOOK_UPDATED,
+      resourceType: 'webhook_subscription',
+      resourceId: updated.after.id,
+      before: webhookService.toResponse(updated.before),
+      after: webhookService.toResponse(updated.after),
+      metadata: { operation: 'update' }
+    });
+
+    res.json({ success: true, subscription: webhookService.toResponse(updated.after) });
+  } catch (error) {
+    console.error('❌ Error updating webhook subscription:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Remove a subscription (its delivery log is kept)
+ */
+router.delete('/:id', requireEditor, async (req, res) => {
+  try {
+    const deleted = await webhookService.deleteSubscription(req.params.id, req.businessScope);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.WEBHOOK_UPDATED,
+      resourceType: 'webhook_subscription',
+      resourceId: deleted.id,
+      before: webhookService.toResponse(deleted),
+      metadata: { operation: 'delete' }
+    });
+
+    res.json({ success: true, message: 'Webhook subscription deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting webhook subscription:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Replace the signing secret; the new secret is returned once
+ */
+router.post('/:id/rotate-secret', requireEditor, async (req, res) => {
+  try {
+    const rotated = await webhookService.rotateSecret(req.params.id, req.businessScope);
+
+    if (!rotated) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+
+    await auditLogService.recordRequest(req, {
+      action: AUDIT_ACTIONS.WEBHOOK_UPDATED,
+      resourceType: 'webhook_subscription',
+      resourceId: rotated.subscription.id,
+      after: webhookService.toResponse(rotated.subscription),
+      metadata: { operation: 'rotate_secret' }
+    });
+
+    res.json({ success: true, subscription: webhookService.toResponse(rotated.subscription), secret: rotated.secret });
+  } catch (error) {
+    console.error('❌ Error rotating webhook secret:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send a webhook.test event to the subscription's endpoint
+ */
+router.post('/:id/test', requireEditor, async (req, res) => {
+  try {
+    const subscription = await webhookService.getSubscription(req.params.id, req.businessScope);
+
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+
+    const { delivery, job } = await webhookService.sendTest(subscription);
+
+    res.status(202).json({
+      success: true,
+      delivery: webhookService.deliveryToResponse(delivery),
+      jobId: job.id,
+      job: jobQueueService.toResponse(job)
+    });
+  } catch (error) {
+    console.error('❌ Error sending test webhook:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
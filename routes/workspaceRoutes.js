@@ -0,0 +1,327 @@
+import express from 'express';
+import workspaceService, { WORKSPACE_ROLES } from '../services/workspaceService.js';
+import { hasRole } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * Middleware factory: Ensure the session user has at least `minimumRole` in :workspaceId
+ * Attaches req.workspaceAccessRole.
+ */
+function requireWorkspaceRole(minimumRole) {
+  return async (req, res, next) => {
+    try {
+      const role = await workspaceService.getWorkspaceRole(req.user.email, req.params.workspaceId);
+
+      if (!role) {
+        return res.status(403).json({
+          success: false,
+          error: 'workspace_access_denied',
+          message: 'You do not have access to this workspace'
+        });
+      }
+
+      if (!hasRole(role, minimumRole)) {
+        return res.status(403).json({
+          success: false,
+          error: 'insufficient_role',
+          message: `This action requires the ${minimumRole} role in this workspace`,
+          currentRole: role,
+          requiredRole: minimumRole
+        });
+      }
+
+      req.workspaceAccessRole = role;
+      next();
+    } catch (error) {
+      console.error('❌ Error checking workspace access:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+/**
+ * GET /api/workspaces
+ * List the user's workspaces with their client businesses
+ */
+router.get('/', async (req, res) => {
+  try {
+    // Make sure every account has at least one workspace to add businesses to
+    await workspaceService.getOrCreateDefaultWorkspace(req.user.email);
+
+    const workspaces = await workspaceService.getWorkspacesForUser(req.user.email);
+
+    res.json({
+      success: true,
+      workspaces,
+      activeBusinessId: req.businessScope?.businessId || null
+    });
+  } catch (error) {
+    console.error('❌ Error listing workspaces:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/workspaces
+ * Create a workspace
+ * Body: { name }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    const workspace = await workspaceService.createWorkspace(req.user.email, name);
+
+    res.status(201).json({ success: true, workspace });
+  } catch (error) {
+    console.error('❌ Error creating workspace:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/workspaces/:workspaceId/businesses
+ * List client businesses in a workspace
+ */
+router.get('/:workspaceId/businesses', requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const businesses = await workspaceService.getBusinesses(req.params.workspaceId);
+
+    res.json({ success: true, businesses });
+  } catch (error) {
+    console.error('❌ Error listing businesses:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/workspaces/:workspaceId/businesses
+ * Add a client business to a workspace
+ * Body: { business_domain, business_name, business_description, business_industry, facebook_handle, instagram_handle, linkedin_handle }
+ */
+router.post('/:workspaceId/businesses', requireWorkspaceRole('editor'), async (req, res) => {
+  try {
+    const { business_domain } = req.body;
+
+    if (!business_domain) {
+      return res.status(400).json({
+        success: false,
+        error: 'business_domain is required'
+      });
+    }
+
+    const business = await workspaceService.createBusiness(req.params.workspaceId, req.body);
+
+    res.status(201).json({ success: true, business });
+  } catch (error) {
+    console.error('❌ Error creating business:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:workspaceId/businesses/:businessId
+ * Remove a client business and all of its cached data, insights and reports
+ */
+router.delete('/:workspaceId/businesses/:businessId', requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const { workspaceId, businessId } = req.params;
+
+    const business = await workspaceService.getBusiness(businessId);
+    if (!business || business.workspace_id !== workspaceId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Business not found in this workspace'
+      });
+    }
+
+    await workspaceService.deleteBusiness(workspaceId, businessId);
+
+    console.log(`🗑️ Business removed from workspace: ${business.business_domain}`);
+    res.json({ success: true, message: 'Business deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting business:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/workspaces/invitations/accept
+ * Join a workspace with an invite token (must be signed in as the invited email)
+ * Body: { token }
+ */
+router.post('/invitations/accept', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'token is required'
+      });
+    }
+
+    const { member, workspace } = await workspaceService.acceptInvitation(token, req.user.email);
+
+    res.json({ success: true, member, workspace });
+  } catch (error) {
+    console.error('❌ Error accepting invitation:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/workspaces/:workspaceId/members
+ * List team members and their roles
+ */
+router.get('/:workspaceId/members', requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const members = await workspaceService.getMembers(req.params.workspaceId);
+
+    res.json({ success: true, members, currentRole: req.workspaceAccessRole });
+  } catch (error) {
+    console.error('❌ Error listing members:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/workspaces/:workspaceId/members/:memberEmail
+ * Change a member's role
+ * Body: { role }
+ */
+router.patch('/:workspaceId/members/:memberEmail', requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${WORKSPACE_ROLES.join(', ')}`
+      });
+    }
+
+    const member = await workspaceService.updateMemberRole(req.params.workspaceId, req.params.memberEmail, role);
+
+    if (!member) {
+      return res.status(404).json({ success: false, error: 'Member not found' });
+    }
+
+    res.json({ success: true, member });
+  } catch (error) {
+    console.error('❌ Error updating member role:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:workspaceId/members/:memberEmail
+ * Remove a member (owners remove anyone, members can remove themselves)
+ */
+router.delete('/:workspaceId/members/:memberEmail', requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const { workspaceId, memberEmail } = req.params;
+    const isSelf = memberEmail.toLowerCase().trim() === req.user.email;
+
+    if (!isSelf && req.workspaceAccessRole !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        error: 'insufficient_role',
+        message: 'Only owners can remove other members'
+      });
+    }
+
+    const removed = await workspaceService.removeMember(workspaceId, memberEmail);
+
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Member not found' });
+    }
+
+    res.json({ success: true, message: 'Member removed' });
+  } catch (error) {
+    console.error('❌ Error removing member:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/workspaces/:workspaceId/invitations
+ * List pending invitations
+ */
+router.get('/:workspaceId/invitations', requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const invitations = await workspaceService.getPendingInvitations(req.params.workspaceId);
+
+    res.json({ success: true, invitations });
+  } catch (error) {
+    console.error('❌ Error listing invitations:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/workspaces/:workspaceId/invitations
+ * Invite a teammate
+ * Body: { inviteeEmail, role }
+ * (`email` is reserved for the session identity by authMiddleware)
+ * The invite link is returned once - share it with the invitee.
+ */
+router.post('/:workspaceId/invitations', requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const { inviteeEmail, role = 'viewer' } = req.body;
+
+    if (!inviteeEmail) {
+      return res.status(400).json({
+        success: false,
+        error: 'inviteeEmail is required'
+      });
+    }
+
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${WORKSPACE_ROLES.join(', ')}`
+      });
+    }
+
+    const { invitation, token } = await workspaceService.createInvitation(
+      req.params.workspaceId,
+      inviteeEmail,
+      role,
+      req.user.email
+    );
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    res.status(201).json({
+      success: true,
+      invitation,
+      inviteUrl: `${frontendUrl}/invite?token=${encodeURIComponent(token)}`
+    });
+  } catch (error) {
+    console.error('❌ Error creating invitation:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:workspaceId/invitations/:invitationId
+ * Revoke a pending invitation
+ */
+router.delete('/:workspaceId/invitations/:invitationId', requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const revoked = await workspaceService.revokeInvitation(req.params.workspaceId, req.params.invitationId);
+
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'Invitation not found' });
+    }
+
+    res.json({ success: true, message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('❌ Error revoking invitation:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,28 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const { signLocalToken } = await import('../middleware/authMiddleware.js');
+
+// Usage: node scripts/issue-dev-token.js user@example.com [hours]
+const email = process.argv[2];
+const hours = Number(process.argv[3]) || 12;
+
+if (!email) {
+    console.error('Usage: node scripts/issue-dev-token.js <email> [hours]');
+    process.exit(1);
+}
+
+if (process.env.NODE_ENV === 'production') {
+    console.error('❌ Local tokens are not accepted in production');
+    process.exit(1);
+}
+
+const token = signLocalToken(email, { expiresIn: hours * 60 * 60 });
+console.log(`✅ Local token for ${email} (valid ${hours}h):\n`);
+console.log(token);
+console.log(`\nUse it as: Authorization: Bearer <token>`);
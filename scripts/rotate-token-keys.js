@@ -0,0 +1,44 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const { default: tokenVault } = await import('../services/tokenVault.js');
+const { default: oauthTokenService } = await import('../services/oauthTokenService.js');
+const { fileTokenStorage } = await import('../services/fileTokenStorage.js');
+const { default: webhookService } = await import('../services/webhookService.js');
+
+// Usage: node scripts/rotate-token-keys.js [batchSize]
+// Re-wraps every stored OAuth token and webhook signing secret onto
+// TOKEN_VAULT_KEY_VERSION (and encrypts pre-vault plaintext token rows).
+// Safe to run while the server is up.
+const batchSize = Number(process.argv[2]) || 100;
+
+const status = tokenVault.getStatus();
+if (!status.configured) {
+    console.error('❌ TOKEN_VAULT_MASTER_KEY is not set');
+    process.exit(1);
+}
+
+console.log(`🔐 Rotating OAuth tokens to key version ${status.activeVersion} (keys available: ${status.availableVersions.join(', ')})`);
+
+const database = await oauthTokenService.reencryptAll({ batchSize });
+console.log(`✅ oauth_tokens: ${database.rotated} re-encrypted, ${database.skipped} updated concurrently, ${database.failed} failed`);
+
+const file = await fileTokenStorage.reencryptAll();
+console.log(`✅ data/oauth_tokens.json: ${file.rotated} re-encrypted, ${file.failed} failed`);
+
+const webhooks = await webhookService.reencryptAll({ batchSize });
+console.log(`✅ webhook_subscriptions: ${webhooks.rotated} re-encrypted, ${webhooks.skipped} updated concurrently, ${webhooks.failed} failed`);
+
+const remaining = database.remaining + webhooks.remaining;
+if (remaining > 0 || database.failed > 0 || file.failed > 0 || webhooks.failed > 0) {
+    console.warn(`⚠️ ${remaining} row(s) are still on an older key - keep TOKEN_VAULT_PREVIOUS_KEYS until they are rotated`);
+    process.exit(1);
+}
+
+console.log('🎉 All tokens are on the current key - retired keys can be removed from TOKEN_VAULT_PREVIOUS_KEYS');
+process.exit(0);
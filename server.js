@@ -5,7 +5,10 @@ dotenv.config();
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import rateLimit from 'express-rate-limit';
+import { authenticate } from './middleware/authMiddleware.js';
+import { resolveBusiness } from './middleware/workspaceMiddleware.js';
+import { enforceApiKeyAccess } from './middleware/apiKeyMiddleware.js';
+import { authFailureLimiter, userRateLimit } from './middleware/rateLimitMiddleware.js';
 
 import healthRoutes from './routes/healthRoutes.js';
 import googleAuthRoutes from './routes/googleAuthRoutes.js';
@@ -44,6 +47,25 @@ import stripeTestRoutes from './routes/stripeTestRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import planChangeRoutes from './routes/planChangeRoutes.js';
 import refreshAnalysisRoutes from './routes/refreshAnalysisRoutes.js';
+import workspaceRoutes from './routes/workspaceRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import tokenRefreshService from './services/tokenRefreshService.js';
+import jobRoutes from './routes/jobRoutes.js';
+import jobQueueService from './services/jobQueueService.js';
+import followerSnapshotService from './services/followerSnapshotService.js';
+import reportScheduleRoutes from './routes/reportScheduleRoutes.js';
+import reportScheduleService from './services/reportScheduleService.js';
+import alertRoutes from './routes/alertRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import anomalyRoutes from './routes/anomalyRoutes.js';
+import annotationRoutes from './routes/annotationRoutes.js';
+import keywordRoutes from './routes/keywordRoutes.js';
+import crawlRoutes from './routes/crawlRoutes.js';
+import seoRoutes from './routes/seoRoutes.js';
+import anomalyDetectionService from './services/anomalyDetectionService.js';
+import keywordTrackingService from './services/keywordTrackingService.js';
 
 const app = express();
 const PORT = process.env.PORT || 3010;
@@ -84,17 +106,8 @@ app.use(cors({
   credentials: true
 }));
 
-// Rate limiting - prevent abuse
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: process.env.NODE_ENV === 'production' ? 1000 : 5000, // Limit each IP to 100 requests per windowMs in production
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// Apply rate limiting to all API routes
-app.use('/api/', limiter);
+// Throttle repeated authentication failures per IP (per-user budgets apply after auth)
+app.use('/api/', authFailureLimiter);
 
 // Middleware with size limits to prevent memory issues
 app.use(helmet());
@@ -134,6 +147,19 @@ setInterval(() => {
   }
 }, 30000); // Check every 30 seconds
 
+// Authentication - every API route (except public ones) requires a verified session.
+// Caller-supplied `email` params are replaced with the session identity.
+app.use('/api', authenticate);
+
+// Business scope - which client business (X-Business-Id) the request operates on
+app.use('/api', resolveBusiness);
+
+// API keys - scope checks, per-key rate limit and request log
+app.use('/api', enforceApiKeyAccess);
+
+// Rate limiting - per-user budgets from the plan, tighter for expensive endpoints
+app.use('/api', userRateLimit);
+
 // Routes
 app.use('/api/health', healthRoutes);
 app.use('/api/user', userRoutes);
@@ -173,6 +199,19 @@ app.use('/api/stripe', stripeWebhookRoutes);
 app.use('/api/stripe-test', stripeTestRoutes); // Test endpoints (dev only)
 app.use('/api/plan', planChangeRoutes); // Plan upgrade and cache management
 app.use('/api', refreshAnalysisRoutes); // Refresh analysis - clear all caches
+app.use('/api/workspaces', workspaceRoutes); // Agency workspaces and client businesses
+app.use('/api/keys', apiKeyRoutes); // Scoped API keys for programmatic access
+app.use('/api/audit', auditRoutes); // Audit log (workspace owners)
+app.use('/api/notifications', notificationRoutes); // In-app notifications (reconnect prompts)
+app.use('/api/jobs', jobRoutes); // Background job status, results and downloads
+app.use('/api/report-schedules', reportScheduleRoutes); // Weekly/monthly reports by email
+app.use('/api/alerts', alertRoutes); // Metric alert rules and alert history
+app.use('/api/webhooks', webhookRoutes); // Outgoing webhook subscriptions and delivery log
+app.use('/api/anomalies', anomalyRoutes); // Traffic anomalies from GSC and GA4 series
+app.use('/api/annotations', annotationRoutes); // Dated marketing events shown on time series
+app.use('/api/keywords', keywordRoutes); // Pinned keywords with daily GSC rank history
+app.use('/api/crawls', crawlRoutes); // Technical SEO site crawls and run diffs
+app.use('/api/seo', seoRoutes); // Technical SEO tools (robots.txt tester)
 
 // Health check endpoint (for monitoring and load balancers)
 app.get('/health', (req, res) => {
@@ -229,12 +268,44 @@ const server = app.listen(PORT, () => {
   console.log(`🏆 Competitor: http://localhost:${PORT}/api/competitor`);
   console.log(`📱 Facebook Metrics: http://localhost:${PORT}/api/facebook`);
   console.log(`🏢 Business Info: http://localhost:${PORT}/api/business-info`);
+  console.log(`🗂️ Workspaces: http://localhost:${PORT}/api/workspaces`);
+  console.log(`🔑 API Keys: http://localhost:${PORT}/api/keys`);
   console.log(`🚀 Quick Wins: http://localhost:${PORT}/api/quickwins`);
+
+  if (process.env.TOKEN_REFRESH_SCHEDULER !== 'false') {
+    tokenRefreshService.start();
+  }
+
+  if (process.env.JOB_WORKER !== 'false') {
+    jobQueueService.start();
+  }
+
+  if (process.env.FOLLOWER_SNAPSHOTS !== 'false') {
+    followerSnapshotService.start();
+  }
+
+  if (process.env.REPORT_SCHEDULER !== 'false') {
+    reportScheduleService.start();
+  }
+
+  if (process.env.ANOMALY_DETECTION !== 'false') {
+    anomalyDetectionService.start();
+  }
+
+  if (process.env.KEYWORD_TRACKING !== 'false') {
+    keywordTrackingService.start();
+  }
 });
 
 // Graceful shutdown handler
 const gracefulShutdown = (signal) => {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
+  tokenRefreshService.stop();
+  jobQueueService.stop();
+  followerSnapshotService.stop();
+  reportScheduleService.stop();
+  anomalyDetectionService.stop();
+  keywordTrackingService.stop();
 
   server.close(() => {
     console.log('✅ HTTP server closed');
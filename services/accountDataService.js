@@ -0,0 +1,377 @@
+/**
+ * Account Data Service
+ * GDPR data export (ZIP archive) and full account erasure
+ *
+ * Personal data lives in Supabase tables keyed by email or users_table.id, in the
+ * file-based token store (fileTokenStorage) and in chatService's in-memory history.
+ * Erasure revokes provider OAuth grants first, then deletes everything.
+ *
+ * The audit_log is append-only and is kept as a security record; the erasure
+ * itself is recorded there.
+ */
+
+import zlib from 'zlib';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import oauthTokenService from './oauthTokenService.js';
+import apiKeyService from './apiKeyService.js';
+import tokenVault from './tokenVault.js';
+import chatService from './chatService.js';
+import { fileTokenStorage } from './fileTokenStorage.js';
+import { clearPlanCache } from './planAccessService.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Tables keyed by users_table.id
+const USER_ID_TABLES = [
+  'search_console_cache',
+  'google_analytics_cache',
+  'lighthouse_cache',
+  'competitor_cache',
+  'se_ranking_cache'
+];
+
+// Tables keyed by an email column, in deletion order (users_table last)
+const EMAIL_TABLES = [
+  { table: 'ai_insights', column: 'user_email' },
+  { table: 'reports', column: 'user_email' },
+  { table: 'social_media_cache', column: 'user_email' },
+  { table: 'social_media_fetch_history', column: 'user_email' },
+  { table: 'social_media_rate_limits', column: 'user_email' },
+  { table: 'social_connections_v2', column: 'user_email' },
+  { table: 'social_connections', column: 'email' },
+  { table: 'oauth_tokens', column: 'user_email' },
+  { table: 'dashboard_cache', column: 'user_email' },
+  { table: 'website_analysis_cache', column: 'user_email' },
+  { table: 'api_keys', column: 'user_email' },
+  { table: 'notifications', column: 'user_email' },
+  { table: 'jobs', column: 'user_email' },
+  { table: 'health_score_snapshots', column: 'user_email' },
+  { table: 'follower_snapshots', column: 'user_email' },
+  { table: 'report_schedules', column: 'user_email' },
+  { table: 'alert_events', column: 'user_email' },
+  { table: 'alert_rule_states', column: 'user_email' },
+  { table: 'alert_rules', column: 'user_email' },
+  { table: 'webhook_delivery_attempts', column: 'user_email' },
+  { table: 'webhook_deliveries', column: 'user_email' },
+  { table: 'webhook_subscriptions', column: 'user_email' },
+  { table: 'usage_events', column: 'user_email' },
+  { table: 'anomalies', column: 'user_email' },
+  { table: 'annotations', column: 'user_email' },
+  { table: 'keyword_rankings', column: 'user_email' },
+  { table: 'tracked_keywords', column: 'user_email' },
+  { table: 'search_console_query_cache', column: 'user_email' },
+  { table: 'crawl_runs', column: 'user_email' },
+  { table: 'workspace_members', column: 'email' },
+  { table: 'workspace_invitations', column: 'email' },
+  { table: 'user_business_info', column: 'user_email' },
+  { table: 'workspaces', column: 'owner_email' },
+  { table: 'users_table', column: 'email' }
+];
+
+// Columns never written to an export
+const SECRET_COLUMNS = {
+  oauth_tokens: ['access_token', 'refresh_token'],
+  api_keys: ['key_hash'],
+  webhook_subscriptions: ['secret'],
+  workspace_invitations: ['token_hash'],
+  users_table: ['password', 'password_hash']
+};
+
+function redact(table, rows) {
+  const secrets = SECRET_COLUMNS[table];
+  if (!secrets) return rows;
+
+  return rows.map(row => {
+    const copy = { ...row };
+    for (const column of secrets) {
+      if (column in copy) {
+        copy[column] = copy[column] ? '[redacted]' : null;
+      }
+    }
+    return copy;
+  });
+}
+
+// CRC-32 (IEEE) lookup table - zlib.crc32 only exists from Node 20.15 / 22.2
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP archive (deflate) from in-memory files
+ * @param {Array<{name: string, content: string|Buffer}>} files
+ * @returns {Buffer}
+ */
+function buildZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);            // version needed
+    local.writeUInt16LE(0x0800, 6);        // UTF-8 names
+    local.writeUInt16LE(8, 8);             // deflate
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);          // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+class AccountDataService {
+  /**
+   * Load the users_table row for an email
+   */
+  async getUser(email) {
+    const { data, error } = await supabase
+      .from('users_table')
+      .select('*')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Collect all stored data for an account
+   * @param {string} email - User's email
+   * @returns {Object} { [section]: rows } - secrets redacted
+   */
+  async collectAccountData(email) {
+    const user = await this.getUser(email);
+    const sections = {};
+
+    for (const { table, column } of EMAIL_TABLES) {
+      sections[table] = await this.selectRows(table, column, email);
+    }
+
+    for (const table of USER_ID_TABLES) {
+      sections[table] = user ? await this.selectRows(table, 'user_id', user.id) : [];
+    }
+
+    sections.audit_log = await this.selectRows('audit_log', 'account_email', email);
+    sections.file_token_storage = await fileTokenStorage.getUserEntries(email).catch(() => []);
+    sections.chat_history = chatService.conversationHistory.get(email) || [];
+
+    return sections;
+  }
+
+  async selectRows(table, column, value) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .eq(column, value);
+
+    if (error) {
+      // Optional tables may not exist in every deployment
+      console.warn(`⚠️ Export skipped ${table}: ${error.message}`);
+      return [];
+    }
+    return redact(table, data || []);
+  }
+
+  /**
+   * Build the downloadable export archive
+   * @param {string} email - User's email
+   * @returns {Promise<Buffer>} ZIP archive with one JSON file per data source
+   */
+  async exportAccountData(email) {
+    console.log('📦 Building data export for: [USER_EMAIL]');
+
+    const sections = await this.collectAccountData(email);
+
+    const manifest = {
+      email,
+      exportedAt: new Date().toISOString(),
+      files: Object.entries(sections).map(([name, rows]) => ({
+        file: `${name}.json`,
+        records: Array.isArray(rows) ? rows.length : 0
+      })),
+      notes: [
+        'OAuth access/refresh tokens and key hashes are redacted.',
+        'chat_history contains the in-memory conversation held by the server at export time.'
+      ]
+    };
+
+    const files = [
+      { name: 'manifest.json', content: JSON.stringify(manifest, null, 2) },
+      ...Object.entries(sections).map(([name, rows]) => ({
+        name: `${name}.json`,
+        content: JSON.stringify(rows, null, 2)
+      }))
+    ];
+
+    const archive = buildZip(files);
+    console.log(`✅ Data export ready (${files.length} files, ${Math.round(archive.length / 1024)}KB)`);
+    return archive;
+  }
+
+  /**
+   * Revoke every provider OAuth grant the account holds
+   * @param {string} email - User's email
+   * @returns {Promise<Array>} [{ provider, businessId, revoked }]
+   */
+  async revokeProviderGrants(email) {
+    const results = [];
+
+    const rows = await oauthTokenService.getAllTokenRows(email);
+    for (const row of rows) {
+      let tokens;
+      try {
+        tokens = tokenVault.openTokens(row);
+      } catch (error) {
+        console.warn(`⚠️ Cannot decrypt ${row.provider} tokens for revocation:`, error.message);
+        results.push({ provider: row.provider, businessId: row.business_id || null, revoked: false });
+        continue;
+      }
+      const revoked = await oauthTokenService.revokeGrant(row.provider, tokens);
+      results.push({ provider: row.provider, businessId: row.business_id || null, revoked });
+    }
+
+    const fileTokens = await fileTokenStorage.getTokensByEmail(email).catch(() => []);
+    for (const tokens of fileTokens) {
+      if (!tokens) continue;
+      const revoked = await oauthTokenService.revokeGrant('google', tokens);
+      results.push({ provider: 'google', source: 'file_token_storage', revoked });
+    }
+
+    return results;
+  }
+
+  /**
+   * Erase an account and all of its data
+   * @param {string} email - User's email
+   * @param {object} options - { authUserId } Supabase Auth user to delete as well
+   * @returns {Object} Erasure summary
+   */
+  async eraseAccount(email, { authUserId = null } = {}) {
+    console.log('🗑️ Erasing account: [USER_EMAIL]');
+
+    const user = await this.getUser(email);
+
+    // 1. Revoke grants while we still hold the tokens
+    const revokedGrants = await this.revokeProviderGrants(email);
+
+    // 2. Stop API keys immediately (the verification cache would otherwise keep them alive briefly)
+    await apiKeyService.revokeAllKeys(email).catch(error => {
+      console.warn('⚠️ Could not revoke API keys:', error.message);
+    });
+
+    // 3. Delete rows - user_id tables first, users_table last
+    const deleted = {};
+
+    if (user) {
+      for (const table of USER_ID_TABLES) {
+        deleted[table] = await this.deleteRows(table, 'user_id', user.id);
+      }
+    }
+
+    for (const { table, column } of EMAIL_TABLES) {
+      deleted[table] = await this.deleteRows(table, column, email);
+    }
+
+    // 4. Non-database stores
+    deleted.file_token_storage = await fileTokenStorage.deleteUserByEmail(email).catch(error => {
+      console.warn('⚠️ Could not clean file token storage:', error.message);
+      return { error: error.message };
+    });
+    chatService.clearHistory(email);
+    deleted.chat_history = 'cleared';
+    clearPlanCache(email);
+
+    // 5. Sign-in account
+    if (authUserId) {
+      const { error } = await supabase.auth.admin.deleteUser(authUserId);
+      deleted.auth_user = error ? { error: error.message } : 'deleted';
+    }
+
+    const failed = Object.entries(deleted)
+      .filter(([, result]) => result && typeof result === 'object' && result.error)
+      .map(([table]) => table);
+
+    console.log(`✅ Account erased (${failed.length} failures)`);
+
+    return {
+      erasedAt: new Date().toISOString(),
+      revokedGrants,
+      deleted,
+      failed
+    };
+  }
+
+  async deleteRows(table, column, value) {
+    const { error, count } = await supabase
+      .from(table)
+      .delete({ count: 'exact' })
+      .eq(column, value);
+
+    if (error) {
+      console.warn(`⚠️ Erasure failed for ${table}: ${error.message}`);
+      return { error: error.message };
+    }
+    return count || 0;
+  }
+}
+
+export default new AccountDataService();
@@ -1,6 +1,9 @@
 import openaiService from './openaiService.js';
 import { createClient } from '@supabase/supabase-js';
 import { PLAN_FEATURES } from '../config/planFeatures.js';
+import { toBusinessScope, applyBusinessScope, describeScope } from './workspaceService.js';
+import webhookService from './webhookService.js';
+import usageService from './usageService.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -21,22 +24,28 @@ const getSupabaseClient = () => {
  * AI Insights Service
  * Generates actionable business recommendations using OpenAI
  * Analyzes metrics from: SEO & Website Performance, Competitor Intelligence, Social Media Performance
+ *
+ * Insights are stored per business; methods take a business scope or a plain email.
  */
 class AIInsightsService {
   /**
    * Get cached insights if they exist and are less than 10 hours old
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @returns {Promise<Object|null>} Cached insights or null
    */
-  async getCachedInsights(userEmail) {
+  async getCachedInsights(scopeOrEmail) {
     try {
       const supabase = getSupabaseClient();
+      const { email: userEmail } = toBusinessScope(scopeOrEmail);
       const tenHoursAgo = new Date(Date.now() - 10 * 60 * 60 * 1000); // 10 hours in milliseconds
 
-      const { data, error } = await supabase
-        .from('ai_insights')
-        .select('*')
-        .eq('user_email', userEmail)
+      const { data, error } = await applyBusinessScope(
+        supabase
+          .from('ai_insights')
+          .select('*')
+          .eq('user_email', userEmail),
+        scopeOrEmail
+      )
         .gte('created_at', tenHoursAgo.toISOString())
         .order('created_at', { ascending: false })
         .limit(1)
@@ -55,17 +64,19 @@ class AIInsightsService {
   }
 
   /**
-   * Generate AI insights for a user
-   * @param {string} userEmail - User's email
+   * Generate AI insights for a business
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {string} category - Category of insights: 'all', 'seo', 'competitor', 'social'
+   * @param {object} options - { usageReservationId } - quota unit reserved by the caller, if any
    * @returns {Promise<Object>} AI-generated insights
    */
-  async generateInsights(userEmail, category = 'all') {
+  async generateInsights(scopeOrEmail, category = 'all', { usageReservationId = null } = {}) {
+    let counted = false;
     try {
       // Check for valid cache first (within 10 hours)
-      const cached = await this.getCachedInsights(userEmail);
+      const cached = await this.getCachedInsights(scopeOrEmail);
       if (cached) {
-        console.log(`📦 Using cached AI insights for: ${userEmail} (age: ${Math.round((Date.now() - new Date(cached.created_at)) / (1000 * 60))} minutes)`);
+        console.log(`📦 Using cached AI insights for: ${describeScope(scopeOrEmail)} (age: ${Math.round((Date.now() - new Date(cached.created_at)) / (1000 * 60))} minutes)`);
         return {
           success: true,
           insights: cached.insights,
@@ -75,18 +86,30 @@ class AIInsightsService {
         };
       }
 
-      console.log(`🤖 Generating new AI insights for: ${userEmail} (no valid cache found)`);
+      console.log(`🤖 Generating new AI insights for: ${describeScope(scopeOrEmail)} (no valid cache found)`);
 
       // Gather metrics from all features
-      const metricsData = await this.gatherAllMetrics(userEmail);
+      const metricsData = await this.gatherAllMetrics(scopeOrEmail);
 
       // Always generate unified insights (3-5 total based on plan)
-      const insights = await this.generateAllInsights(userEmail, metricsData);
+      const insights = await this.generateAllInsights(toBusinessScope(scopeOrEmail).email, metricsData);
 
       // Only save to database if these are real AI-generated insights (not fallbacks)
       if (!insights.isFallback) {
-        await this.saveInsights(userEmail, insights, metricsData);
+        await this.saveInsights(scopeOrEmail, insights, metricsData);
         console.log(`✅ Generated and saved ${insights.insightCount} AI insights (${metricsData.userPlan} plan)`);
+
+        if (!insights.locked) {
+          counted = true;
+          usageService.record(scopeOrEmail, 'aiInsights', {
+            metadata: { insightCount: insights.insightCount },
+            reservationId: usageReservationId
+          });
+          webhookService.emit(scopeOrEmail, 'ai_insights.generated', {
+            insightCount: insights.insightCount,
+            plan: metricsData.userPlan
+          });
+        }
       } else {
         console.log(`⚠️ Using fallback insights (not saved to database) - no data available for AI analysis`);
       }
@@ -100,15 +123,19 @@ class AIInsightsService {
     } catch (error) {
       console.error('❌ Error generating AI insights:', error);
       throw error;
+    } finally {
+      // Cached, fallback and failed generations give the reserved unit back
+      if (!counted) usageService.release(usageReservationId);
     }
   }
 
   /**
    * Gather comprehensive metrics from all features
    */
-  async gatherAllMetrics(userEmail) {
+  async gatherAllMetrics(scopeOrEmail) {
     try {
       const supabase = getSupabaseClient();
+      const { email: userEmail } = toBusinessScope(scopeOrEmail);
 
       // Get user ID
       const { data: userData } = await supabase
@@ -126,10 +153,10 @@ class AIInsightsService {
 
       const metrics = {
         userPlan,
-        seo: await this.getSEOMetrics(userId, userEmail),
-        social: await this.getSocialMetrics(userEmail),
-        competitor: await this.getCompetitorMetrics(userId, userEmail),
-        traffic: await this.getTrafficMetrics(userId)
+        seo: await this.getSEOMetrics(userId, scopeOrEmail),
+        social: await this.getSocialMetrics(scopeOrEmail),
+        competitor: await this.getCompetitorMetrics(userId, scopeOrEmail),
+        traffic: await this.getTrafficMetrics(userId, scopeOrEmail)
       };
 
       return metrics;
@@ -148,24 +175,30 @@ class AIInsightsService {
   /**
    * Get comprehensive SEO & Website Performance metrics
    */
-  async getSEOMetrics(userId, userEmail) {
+  async getSEOMetrics(userId, scopeOrEmail) {
     try {
       const supabase = getSupabaseClient();
 
       // Fetch from search_console_cache for comprehensive SEO data
-      const { data: searchConsoleData } = await supabase
-        .from('search_console_cache')
-        .select('*')
-        .eq('user_id', userId)
+      const { data: searchConsoleData } = await applyBusinessScope(
+        supabase
+          .from('search_console_cache')
+          .select('*')
+          .eq('user_id', userId),
+        scopeOrEmail
+      )
         .order('created_at', { ascending: false })
         .limit(1)
         .single();
 
       // Fetch from lighthouse_cache for performance scores
-      const { data: lighthouseData } = await supabase
-        .from('lighthouse_cache')
-        .select('*')
-        .eq('user_id', userId)
+      const { data: lighthouseData } = await applyBusinessScope(
+        supabase
+          .from('lighthouse_cache')
+          .select('*')
+          .eq('user_id', userId),
+        scopeOrEmail
+      )
         .order('created_at', { ascending: false })
         .limit(1)
         .single();
@@ -220,14 +253,18 @@ class AIInsightsService {
   /**
    * Get Social Media Performance metrics
    */
-  async getSocialMetrics(userEmail) {
+  async getSocialMetrics(scopeOrEmail) {
     try {
       const supabase = getSupabaseClient();
-
-      const { data: socialData } = await supabase
-        .from('social_media_cache')
-        .select('*')
-        .eq('user_email', userEmail)
+      const { email: userEmail } = toBusinessScope(scopeOrEmail);
+
+      const { data: socialData } = await applyBusinessScope(
+        supabase
+          .from('social_media_cache')
+          .select('*')
+          .eq('user_email', userEmail),
+        scopeOrEmail
+      )
         .gte('created_at', new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString())
         .order('created_at', { ascending: false });
 
@@ -288,25 +325,31 @@ class AIInsightsService {
   /**
    * Get Competitor Intelligence metrics
    */
-  async getCompetitorMetrics(userId, userEmail) {
+  async getCompetitorMetrics(userId, scopeOrEmail) {
     try {
       const supabase = getSupabaseClient();
-
-      const { data: competitorData } = await supabase
-        .from('competitor_cache')
-        .select('*')
-        .eq('user_id', userId)
+      const { email: userEmail, businessId } = toBusinessScope(scopeOrEmail);
+
+      const { data: competitorData } = await applyBusinessScope(
+        supabase
+          .from('competitor_cache')
+          .select('*')
+          .eq('user_id', userId),
+        scopeOrEmail
+      )
         .order('updated_at', { ascending: false })
         .limit(10);
 
       if (!competitorData || competitorData.length === 0) return null;
 
-      // Get user's business info
-      const { data: businessInfo } = await supabase
+      // Get the business's info
+      const businessQuery = supabase
         .from('user_business_info')
-        .select('business_domain, competitors')
-        .eq('user_email', userEmail)
-        .single();
+        .select('business_domain, competitors');
+      const { data: businessInfo } = await (businessId
+        ? businessQuery.eq('id', businessId)
+        : businessQuery.eq('user_email', userEmail).order('created_at', { ascending: true }).limit(1)
+      ).maybeSingle();
 
       const competitors = competitorData.map(comp => ({
         domain: comp.competitor_domain,
@@ -364,14 +407,19 @@ class AIInsightsService {
   /**
    * Get Traffic & Analytics metrics
    */
-  async getTrafficMetrics(userId) {
+  async getTrafficMetrics(userId, scopeOrEmail = null) {
     try {
       const supabase = getSupabaseClient();
 
-      const { data: analyticsData } = await supabase
-        .from('google_analytics_cache')
-        .select('*')
-        .eq('user_id', userId)
+      const { data: analyticsData } = await applyBusinessScope(
+        supabase
+          .from('google_analytics_cache')
+          .select('*')
+          .eq('user_id', userId),
+        scopeOrEmail
+      )
+        .order('updated_at', { ascending: false })
+        .limit(1)
         .single();
 
       if (!analyticsData) return null;
@@ -1292,9 +1340,10 @@ class AIInsightsService {
    * Save insights to database
    * Schema: ai_insights (id, user_id, user_email, insights, metrics_snapshot, created_at, expires_at)
    */
-  async saveInsights(userEmail, insights, metricsData) {
+  async saveInsights(scopeOrEmail, insights, metricsData) {
     try {
       const supabase = getSupabaseClient();
+      const { email: userEmail, businessId } = toBusinessScope(scopeOrEmail);
 
       // First, try to get user_id from auth.users via the email
       // The ai_insights table has a foreign key to auth.users(id)
@@ -1318,6 +1367,7 @@ class AIInsightsService {
         .insert({
           user_id: authUser.id,
           user_email: userEmail,
+          business_id: businessId,
           insights: insights,
           metrics_snapshot: metricsData || {},
           created_at: now.toISOString(),
@@ -1339,14 +1389,18 @@ class AIInsightsService {
   /**
    * Get latest insights for user
    */
-  async getLatestInsights(userEmail, category = null) {
+  async getLatestInsights(scopeOrEmail, category = null) {
     try {
       const supabase = getSupabaseClient();
-
-      let query = supabase
-        .from('ai_insights')
-        .select('*')
-        .eq('user_email', userEmail)
+      const { email: userEmail } = toBusinessScope(scopeOrEmail);
+
+      let query = applyBusinessScope(
+        supabase
+          .from('ai_insights')
+          .select('*')
+          .eq('user_email', userEmail),
+        scopeOrEmail
+      )
         .order('created_at', { ascending: false });
 
       if (category && category !== 'all') {
@@ -1374,14 +1428,18 @@ class AIInsightsService {
   /**
    * Get insights history for user
    */
-  async getInsightsHistory(userEmail, limit = 10) {
+  async getInsightsHistory(scopeOrEmail, limit = 10) {
     try {
       const supabase = getSupabaseClient();
-
-      const { data } = await supabase
-        .from('ai_insights')
-        .select('id, created_at, insights')
-        .eq('user_email', userEmail)
+      const { email: userEmail } = toBusinessScope(scopeOrEmail);
+
+      const { data } = await applyBusinessScope(
+        supabase
+          .from('ai_insights')
+          .select('id, created_at, insights')
+          .eq('user_email', userEmail),
+        scopeOrEmail
+      )
         .order('created_at', { ascending: false })
         .limit(limit);
 
@@ -1395,17 +1453,21 @@ class AIInsightsService {
   /**
    * Delete old insights (cleanup)
    */
-  async cleanupOldInsights(userEmail, daysToKeep = 90) {
+  async cleanupOldInsights(scopeOrEmail, daysToKeep = 90) {
     try {
       const supabase = getSupabaseClient();
+      const { email: userEmail } = toBusinessScope(scopeOrEmail);
 
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
 
-      await supabase
-        .from('ai_insights')
-        .delete()
-        .eq('user_email', userEmail)
+      await applyBusinessScope(
+        supabase
+          .from('ai_insights')
+          .delete()
+          .eq('user_email', userEmail),
+        scopeOrEmail
+      )
         .lt('created_at', cutoffDate.toISOString());
 
       console.log(`🧹 Cleaned up insights older than ${daysToKeep} days`);
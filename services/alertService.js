@@ -0,0 +1,591 @@
+/**
+ * Alert Service
+ * User-defined alert rules on the metrics normalized by MetricsAggregator
+ *
+ * A rule watches one metric id (or a '*' pattern such as competitor_*_perf) and fires
+ * when its condition becomes true:
+ *   above / below                         - value crosses `threshold`
+ *   drops_by / rises_by                   - value changed by at least `threshold` since the last evaluation
+ *   drops_by_percent / rises_by_percent   - same, in percent of the previous value
+ *   exceeds_metric / falls_below_metric   - value is above/below the current value of `compare_metric`
+ *
+ * Cache writes call requestEvaluation(); the evaluation runs as an 'alerts.evaluate' job
+ * shortly afterwards so a burst of refreshes is evaluated once. An alert is sent when a
+ * condition turns true (not again while it stays true) and not within the rule's
+ * cooldown, then delivered by email and/or webhook and stored in alert_events.
+ *
+ * Webhook channels name one of the business's webhook subscriptions: alerts go out as
+ * signed 'alert.triggered' deliveries with webhookService's retries and address checks.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { toBusinessScope, applyBusinessScope, describeScope } from './workspaceService.js';
+import jobQueueService from './jobQueueService.js';
+import emailService from './emailService.js';
+import metricsAggregator from './analytics/MetricsAggregator.js';
+import { droppedQueryMetric } from './analytics/adapters/SEOMetricsAdapter.js';
+import webhookService, { ALERT_EVENT } from './webhookService.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export const ALERT_OPERATORS = [
+  'above',
+  'below',
+  'drops_by',
+  'rises_by',
+  'drops_by_percent',
+  'rises_by_percent',
+  'exceeds_metric',
+  'falls_below_metric'
+];
+
+export const ALERT_CHANNEL_TYPES = ['email', 'webhook'];
+
+const JOB_TYPE = 'alerts.evaluate';
+const EVALUATION_DELAY = 60 * 1000;
+const MAX_RECIPIENTS = 20;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const COMPARISON_OPERATORS = ['exceeds_metric', 'falls_below_metric'];
+const CHANGE_OPERATORS = ['drops_by', 'rises_by', 'drops_by_percent', 'rises_by_percent'];
+
+/**
+ * Metric ids a rule's metric pattern matches ('*' matches any run of characters)
+ */
+export function matchMetrics(pattern, metricIds) {
+  if (!pattern.includes('*')) {
+    return metricIds.filter(id => id === pattern);
+  }
+
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  const regex = new RegExp(`^${escaped.join('.*')}$`);
+  return metricIds.filter(id => regex.test(id));
+}
+
+/**
+ * Check a rule's condition for one metric value
+ * @param {object} rule - { operator, threshold }
+ * @param {number} value - Current value
+ * @param {number|null} previous - Value at the last evaluation
+ * @param {number|null} compareValue - Current value of the rule's compare_metric
+ * @returns {boolean}
+ */
+export function isConditionMet({ operator, threshold }, value, previous = null, compareValue = null) {
+  const limit = Number(threshold);
+
+  switch (operator) {
+    case 'above':
+      return value > limit;
+    case 'below':
+      return value < limit;
+    case 'drops_by':
+      return previous !== null && previous - value >= limit;
+    case 'rises_by':
+      return previous !== null && value - previous >= limit;
+    case 'drops_by_percent':
+      return previous !== null && previous > 0 && ((previous - value) / previous) * 100 >= limit;
+    case 'rises_by_percent':
+      return previous !== null && previous > 0 && ((value - previous) / previous) * 100 >= limit;
+    case 'exceeds_metric':
+      return compareValue !== null && value > compareValue;
+    case 'falls_below_metric':
+      return compareValue !== null && value < compareValue;
+    default:
+      return false;
+  }
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return value === null || value === undefined || Number.isNaN(number) ? null : number;
+}
+
+function describeCondition(rule, metric, value, previous, compareMetric) {
+  const unit = metric.unit && metric.unit !== '/100' ? ` ${metric.unit}` : '';
+
+  switch (rule.operator) {
+    case 'above':
+      return `${metric.name} is ${value}${unit}, above ${rule.threshold}`;
+    case 'below':
+      return `${metric.name} is ${value}${unit}, below ${rule.threshold}`;
+    case 'drops_by':
+    case 'drops_by_percent':
+      return `${metric.name} dropped from ${previous} to ${value}${unit}`;
+    case 'rises_by':
+    case 'rises_by_percent':
+      return `${metric.name} rose from ${previous} to ${value}${unit}`;
+    case 'exceeds_metric':
+      return `${metric.name} (${value}) is now above ${compareMetric.name} (${compareMetric.value})`;
+    case 'falls_below_metric':
+      return `${metric.name} (${value}) is now below ${compareMetric.name} (${compareMetric.value})`;
+    default:
+      return `${metric.name} is ${value}${unit}`;
+  }
+}
+
+class AlertService {
+  constructor() {
+    jobQueueService.registerHandler(JOB_TYPE, (payload, context) => this.evaluate(context.scope), {
+      maxAttempts: 2,
+      timeoutMs: 5 * 60 * 1000
+    });
+  }
+
+  /**
+   * Validate rule fields from a request body
+   * @param {object} input - { name, metric, operator, threshold, compareMetric, channels, cooldownMinutes, enabled }
+   * @param {object|null} existing - Current row when updating
+   * @param {object} scope - Business scope (webhook channels must be its subscriptions)
+   * @returns {Promise<object>} Column values
+   */
+  async validate(input, existing = null, scope = null) {
+    const values = {};
+
+    const name = (input.name ?? existing?.name ?? '').toString().trim();
+    if (!name) {
+      throw new Error('name is required');
+    }
+    values.name = name.substring(0, 200);
+
+    const metric = (input.metric ?? existing?.metric ?? '').toString().trim();
+    if (!/^[a-z0-9_*.-]+$/i.test(metric)) {
+      throw new Error('metric must be a metric id (letters, digits, _ and * wildcards)');
+    }
+    values.metric = metric;
+
+    const operator = input.operator ?? existing?.operator;
+    if (!ALERT_OPERATORS.includes(operator)) {
+      throw new Error(`operator must be one of: ${ALERT_OPERATORS.join(', ')}`);
+    }
+    values.operator = operator;
+
+    if (COMPARISON_OPERATORS.includes(operator)) {
+      const compareMetric = (input.compareMetric ?? existing?.compare_metric ?? '').toString().trim();
+      if (!compareMetric || compareMetric.includes('*')) {
+        throw new Error(`compareMetric (a single metric id) is required for ${operator}`);
+      }
+      values.compare_metric = compareMetric;
+      values.threshold = null;
+    } else {
+      const threshold = toNumber(input.threshold ?? existing?.threshold);
+      if (threshold === null || (CHANGE_OPERATORS.includes(operator) && threshold <= 0)) {
+        throw new Error(CHANGE_OPERATORS.includes(operator)
+          ? `threshold must be a positive number for ${operator}`
+          : 'threshold must be a number');
+      }
+      values.threshold = threshold;
+      values.compare_metric = null;
+    }
+
+    values.channels = await this.validateChannels(input.channels ?? existing?.channels, scope);
+
+    const cooldown = input.cooldownMinutes ?? existing?.cooldown_minutes ?? 1440;
+    if (!Number.isInteger(cooldown) || cooldown < 0) {
+      throw new Error('cooldownMinutes must be a non-negative integer');
+    }
+    values.cooldown_minutes = cooldown;
+
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+      throw new Error('enabled must be a boolean');
+    }
+    values.enabled = input.enabled ?? existing?.enabled ?? true;
+
+    return values;
+  }
+
+  async validateChannels(channels, scope) {
+    if (!Array.isArray(channels) || channels.length === 0) {
+      throw new Error('channels must be a non-empty array');
+    }
+
+    const subscriptions = channels.some(channel => channel?.type === 'webhook')
+      ? await webhookService.listSubscriptions(scope)
+      : [];
+
+    return channels.map(channel => {
+      if (!ALERT_CHANNEL_TYPES.includes(channel?.type)) {
+        throw new Error(`channel type must be one of: ${ALERT_CHANNEL_TYPES.join(', ')}`);
+      }
+
+      if (channel.type === 'email') {
+        const recipients = [...new Set((channel.recipients || []).map(r => String(r).trim().toLowerCase()))];
+        if (recipients.length === 0 || recipients.length > MAX_RECIPIENTS || recipients.some(r => !EMAIL_PATTERN.test(r))) {
+          throw new Error(`email channels need 1-${MAX_RECIPIENTS} valid recipient addresses`);
+        }
+        return { type: 'email', recipients };
+      }
+
+      // A url is accepted when it belongs to one of the business's subscriptions
+      const subscription = subscriptions.find(candidate =>
+        (channel.subscriptionId && candidate.id === channel.subscriptionId) ||
+        (!channel.subscriptionId && channel.url && candidate.url === channel.url)
+      );
+      if (!subscription) {
+        throw new Error('webhook channels need the subscriptionId of one of this business\'s webhooks (POST /api/webhooks)');
+      }
+      return { type: 'webhook', subscriptionId: subscription.id };
+    });
+  }
+
+  async listRules(scopeOrEmail) {
+    const { data, error } = await applyBusinessScope(
+      supabase
+        .from('alert_rules')
+        .select('*')
+        .eq('user_email', toBusinessScope(scopeOrEmail).email),
+      scopeOrEmail
+    )
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getRule(ruleId, scopeOrEmail) {
+    const { data, error } = await applyBusinessScope(
+      supabase
+        .from('alert_rules')
+        .select('*')
+        .eq('id', ruleId)
+        .eq('user_email', toBusinessScope(scopeOrEmail).email),
+      scopeOrEmail
+    )
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async createRule(scope, input, createdBy) {
+    const { email, businessId, workspaceId } = toBusinessScope(scope);
+    const values = await this.validate(input, null, scope);
+
+    const { data, error } = await supabase
+      .from('alert_rules')
+      .insert({
+        ...values,
+        user_email: email,
+        business_id: businessId,
+        workspace_id: workspaceId,
+        created_by: createdBy
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🔔 Alert rule created for ${describeScope(scope)}: ${data.metric} ${data.operator}`);
+    return data;
+  }
+
+  /**
+   * Update a rule. Changing the metric or condition resets its saved state.
+   * @returns {Promise<{before: object, after: object}|null>} null if not found
+   */
+  async updateRule(ruleId, scope, input) {
+    const existing = await this.getRule(ruleId, scope);
+    if (!existing) return null;
+
+    const values = await this.validate(input, existing, scope);
+
+    const { data, error } = await supabase
+      .from('alert_rules')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (values.metric !== existing.metric || values.operator !== existing.operator || values.compare_metric !== existing.compare_metric) {
+      await supabase.from('alert_rule_states').delete().eq('rule_id', existing.id);
+    }
+
+    return { before: existing, after: data };
+  }
+
+  async deleteRule(ruleId, scope) {
+    const existing = await this.getRule(ruleId, scope);
+    if (!existing) return null;
+
+    const { error } = await supabase
+      .from('alert_rules')
+      .delete()
+      .eq('id', existing.id);
+
+    if (error) throw error;
+    return existing;
+  }
+
+  /**
+   * Alert history, newest first
+   * @param {object} options - { ruleId, limit }
+   */
+  async getHistory(scopeOrEmail, { ruleId = null, limit = 50 } = {}) {
+    let query = applyBusinessScope(
+      supabase
+        .from('alert_events')
+        .select('*')
+        .eq('user_email', toBusinessScope(scopeOrEmail).email),
+      scopeOrEmail
+    );
+
+    if (ruleId) {
+      query = query.eq('rule_id', ruleId);
+    }
+
+    const { data, error } = await query
+      .order('triggered_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200));
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Ask for an evaluation after a data refresh
+   * Never throws; does nothing when the scope has no enabled rules.
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @param {object} options - { delayMs } wait before evaluating, so a burst of refreshes is evaluated once
+   * @returns {Promise<object|null>} Queued job
+   */
+  async requestEvaluation(scopeOrEmail, { delayMs = EVALUATION_DELAY } = {}) {
+    const scope = toBusinessScope(scopeOrEmail);
+    if (!scope.email) return null;
+
+    try {
+      const { data: rules, error } = await applyBusinessScope(
+        supabase
+          .from('alert_rules')
+          .select('id')
+          .eq('user_email', scope.email)
+          .eq('enabled', true),
+        scope
+      )
+        .limit(1);
+
+      if (error) throw error;
+      if (!rules || rules.length === 0) return null;
+
+      const { job } = await jobQueueService.enqueue(JOB_TYPE, {}, {
+        scope,
+        dedupeKey: `${JOB_TYPE}:${scope.email}:${scope.businessId || 'account'}`,
+        runAt: new Date(Date.now() + delayMs)
+      });
+      return job;
+    } catch (error) {
+      console.warn(`⚠️ Could not queue alert evaluation for ${describeScope(scope)}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Evaluate every enabled rule of a scope against the current metrics
+   * @returns {Promise<object>} { rulesEvaluated, metricsChecked, alertsSent }
+   */
+  async evaluate(scopeOrEmail) {
+    const scope = toBusinessScope(scopeOrEmail);
+    const rules = (await this.listRules(scope)).filter(rule => rule.enabled);
+    const summary = { rulesEvaluated: rules.length, metricsChecked: 0, alertsSent: 0 };
+    if (rules.length === 0) return summary;
+
+    const aggregated = await metricsAggregator.aggregateAll(scope);
+    if (!aggregated.success) {
+      throw new Error(`Metrics unavailable: ${aggregated.error}`);
+    }
+
+    const metrics = new Map(aggregated.allMetrics.map(metric => [metric.id, metric]));
+
+    const { data: stateRows, error } = await supabase
+      .from('alert_rule_states')
+      .select('*')
+      .in('rule_id', rules.map(rule => rule.id));
+    if (error) throw error;
+
+    // A top query that fell out of the Search Console list would otherwise just vanish;
+    // evaluating it as unranked lets "position above 10" rules fire
+    const seoDomain = aggregated.categories.seo?.domain || null;
+    for (const row of stateRows || []) {
+      if (metrics.has(row.metric_id)) continue;
+      const dropped = droppedQueryMetric(row.metric_id, seoDomain);
+      if (dropped) metrics.set(row.metric_id, dropped);
+    }
+    const metricIds = [...metrics.keys()];
+
+    const states = new Map((stateRows || []).map(row => [`${row.rule_id}:${row.metric_id}`, row]));
+    const now = new Date();
+    const stateUpdates = [];
+    const alerts = [];
+
+    for (const rule of rules) {
+      const compareMetric = rule.compare_metric ? metrics.get(rule.compare_metric) : null;
+      const compareValue = compareMetric ? toNumber(compareMetric.value) : null;
+
+      for (const metricId of matchMetrics(rule.metric, metricIds)) {
+        // A metric never triggers a comparison with itself
+        if (metricId === rule.compare_metric) continue;
+
+        const metric = metrics.get(metricId);
+        const value = toNumber(metric.value);
+        if (value === null) continue;
+        summary.metricsChecked++;
+
+        const state = states.get(`${rule.id}:${metricId}`);
+        const previous = state ? toNumber(state.last_value) : null;
+        const met = isConditionMet(rule, value, previous, compareValue);
+
+        const lastTriggered = state?.last_triggered_at ? new Date(state.last_triggered_at) : null;
+        const coolingDown = lastTriggered && now - lastTriggered < rule.cooldown_minutes * 60 * 1000;
+        const shouldAlert = met && !state?.active && !coolingDown;
+
+        if (shouldAlert) {
+          alerts.push({
+            rule,
+            metric,
+            value,
+            previous,
+            compareMetric,
+            message: describeCondition(rule, metric, value, previous, compareMetric)
+          });
+        }
+
+        stateUpdates.push({
+          rule_id: rule.id,
+          metric_id: metricId,
+          user_email: scope.email,
+          last_value: value,
+          active: met,
+          last_triggered_at: shouldAlert ? now.toISOString() : state?.last_triggered_at || null,
+          updated_at: now.toISOString()
+        });
+      }
+    }
+
+    // State is saved before anything is sent: if saving fails the job retries without
+    // having alerted, and once saved a retry sees the condition as already active
+    if (stateUpdates.length > 0) {
+      const { error: stateError } = await supabase
+        .from('alert_rule_states')
+        .upsert(stateUpdates, { onConflict: 'rule_id,metric_id' });
+      if (stateError) throw stateError;
+    }
+
+    for (const { rule, ...alert } of alerts) {
+      await this.trigger(rule, scope, alert);
+      summary.alertsSent++;
+    }
+
+    await supabase
+      .from('alert_rules')
+      .update({ last_evaluated_at: now.toISOString() })
+      .in('id', rules.map(rule => rule.id));
+
+    if (summary.alertsSent > 0) {
+      console.log(`🔔 ${summary.alertsSent} alert(s) sent for ${describeScope(scope)}`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Deliver an alert on every channel of its rule and record it in the history
+   */
+  async trigger(rule, scope, { metric, value, previous, compareMetric, message }) {
+    const event = {
+      rule_id: rule.id,
+      user_email: scope.email,
+      business_id: scope.businessId,
+      rule_name: rule.name,
+      metric_id: metric.id,
+      metric_name: metric.name,
+      value,
+      previous_value: previous,
+      compare_value: compareMetric ? toNumber(compareMetric.value) : null,
+      message,
+      triggered_at: new Date().toISOString()
+    };
+
+    const deliveries = [];
+    for (const channel of rule.channels || []) {
+      try {
+        if (channel.type === 'email') {
+          await emailService.sendMail({
+            to: channel.recipients,
+            subject: `Alert: ${rule.name}`,
+            text: `${message}.\n\n${metric.context || ''}\n\nRule: ${rule.name} (${rule.metric} ${rule.operator}${rule.threshold !== null ? ` ${rule.threshold}` : ''}${rule.compare_metric ? ` ${rule.compare_metric}` : ''})`
+          });
+          deliveries.push({ channel: 'email', target: channel.recipients.join(', '), status: 'sent' });
+        } else if (channel.type === 'webhook') {
+          // Rules saved before webhook channels referenced subscriptions only have a url
+          const subscription = channel.subscriptionId
+            ? await webhookService.getSubscription(channel.subscriptionId, scope)
+            : null;
+          if (!subscription) {
+            throw new Error(channel.subscriptionId
+              ? 'Webhook subscription was deleted'
+              : 'Webhook channel has no subscription - edit the rule to pick one of your webhooks');
+          }
+
+          const { delivery } = await webhookService.sendToSubscription(subscription, ALERT_EVENT, {
+            rule: { id: rule.id, name: rule.name, metric: rule.metric, operator: rule.operator, threshold: rule.threshold, compareMetric: rule.compare_metric },
+            metric: { id: metric.id, name: metric.name, value, previousValue: previous, unit: metric.unit || null },
+            compareMetric: compareMetric ? { id: compareMetric.id, name: compareMetric.name, value: event.compare_value } : null,
+            message,
+            triggeredAt: event.triggered_at
+          });
+          deliveries.push({ channel: 'webhook', target: subscription.url, subscriptionId: subscription.id, deliveryId: delivery.id, status: 'queued' });
+        }
+      } catch (error) {
+        console.warn(`⚠️ Alert delivery via ${channel.type} failed for rule ${rule.id}: ${error.message}`);
+        deliveries.push({
+          channel: channel.type,
+          target: channel.type === 'email' ? channel.recipients.join(', ') : (channel.subscriptionId || channel.url),
+          status: 'failed',
+          error: error.message
+        });
+      }
+    }
+
+    const { error } = await supabase
+      .from('alert_events')
+      .insert({ ...event, deliveries });
+    if (error) {
+      console.error('❌ Failed to record alert event:', error.message);
+    }
+
+    await supabase
+      .from('alert_rules')
+      .update({ last_triggered_at: event.triggered_at })
+      .eq('id', rule.id);
+  }
+
+  /**
+   * Client-facing view of a rule
+   */
+  toResponse(rule) {
+    return {
+      id: rule.id,
+      name: rule.name,
+      metric: rule.metric,
+      operator: rule.operator,
+      threshold: rule.threshold !== null ? Number(rule.threshold) : null,
+      compareMetric: rule.compare_metric,
+      channels: rule.channels,
+      cooldownMinutes: rule.cooldown_minutes,
+      enabled: rule.enabled,
+      lastEvaluatedAt: rule.last_evaluated_at,
+      lastTriggeredAt: rule.last_triggered_at,
+      createdBy: rule.created_by,
+      createdAt: rule.created_at,
+      updatedAt: rule.updated_at
+    };
+  }
+}
+
+export default new AlertService();
@@ -8,6 +8,7 @@ import SEOMetricsAdapter from './adapters/SEOMetricsAdapter.js';
 import SocialMetricsAdapter from './adapters/SocialMetricsAdapter.js';
 import CompetitorMetricsAdapter from './adapters/CompetitorMetricsAdapter.js';
 import TrafficMetricsAdapter from './adapters/TrafficMetricsAdapter.js';
+import { toBusinessScope, describeScope } from '../workspaceService.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -35,10 +36,12 @@ class MetricsAggregator {
 
     /**
      * Aggregate all metrics for a user.
-     * @param {string} userEmail - The user's email.
+     * @param {Object|string} scopeOrEmail - Business scope (metrics for that business only) or the user's email.
      * @returns {Promise<Object>} Aggregated metrics report.
      */
-    async aggregateAll(userEmail) {
+    async aggregateAll(scopeOrEmail) {
+        const { email: userEmail } = toBusinessScope(scopeOrEmail);
+
         try {
             // Get user ID
             const { data: userData, error: userError } = await this.supabase
@@ -61,14 +64,14 @@ class MetricsAggregator {
             const userId = userData.id;
             const userPlan = userData.plan || 'starter';
 
-            console.log(`📊 MetricsAggregator: Fetching metrics for ${userEmail} (${userPlan})`);
+            console.log(`📊 MetricsAggregator: Fetching metrics for ${describeScope(scopeOrEmail)} (${userPlan})`);
 
             // Fetch all metrics in parallel
             const [seoResult, socialResult, competitorResult, trafficResult] = await Promise.all([
-                this.seoAdapter.getMetrics(userId),
-                this.socialAdapter.getMetrics(userEmail),
-                this.competitorAdapter.getMetrics(userId),
-                this.trafficAdapter.getMetrics(userId)
+                this.seoAdapter.getMetrics(userId, scopeOrEmail),
+                this.socialAdapter.getMetrics(scopeOrEmail),
+                this.competitorAdapter.getMetrics(userId, scopeOrEmail),
+                this.trafficAdapter.getMetrics(userId, scopeOrEmail)
             ]);
 
             // Combine all metrics into a single array
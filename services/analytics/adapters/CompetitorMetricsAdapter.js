@@ -3,6 +3,8 @@
  * Fetches and normalizes competitor analysis data.
  */
 
+import { applyBusinessScope } from '../../workspaceService.js';
+
 class CompetitorMetricsAdapter {
     constructor(supabaseClient) {
         this.supabase = supabaseClient;
@@ -11,14 +13,18 @@ class CompetitorMetricsAdapter {
     /**
      * Fetch Competitor metrics for a user.
      * @param {string} userId - The user's ID.
+     * @param {Object|string} [scopeOrEmail] - Business scope to restrict to.
      * @returns {Promise<Object|null>} Normalized competitor metrics or null.
      */
-    async getMetrics(userId) {
+    async getMetrics(userId, scopeOrEmail = null) {
         try {
-            const { data: competitorData, error } = await this.supabase
-                .from('competitor_cache')
-                .select('*')
-                .eq('user_id', userId)
+            const { data: competitorData, error } = await applyBusinessScope(
+                this.supabase
+                    .from('competitor_cache')
+                    .select('*')
+                    .eq('user_id', userId),
+                scopeOrEmail
+            )
                 .order('updated_at', { ascending: false })
                 .limit(10);
 
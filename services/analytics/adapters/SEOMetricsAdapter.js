@@ -1,8 +1,54 @@
 /**
  * SEO Metrics Adapter
- * Fetches and normalizes SEO-related metrics from Search Console and Lighthouse caches.
+ * Fetches and normalizes SEO-related metrics from Search Console and Lighthouse caches
+ * and the latest recorded health score.
  */
 
+import { toBusinessScope, applyBusinessScope } from '../../workspaceService.js';
+
+// Position reported for a top query that has left the Search Console top list
+export const UNRANKED_POSITION = 1000;
+
+function slug(text) {
+    return String(text).toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+function queryMetricPrefix(domain) {
+    return `seo_query_${slug(domain)}_`;
+}
+
+/**
+ * Metric id of a top query's position, qualified by the site so queries of two domains never share alert state
+ */
+export function queryPositionMetricId(domain, query) {
+    return `${queryMetricPrefix(domain)}${slug(query)}_position`;
+}
+
+/**
+ * Stand-in for a query position metric seen earlier that the latest Search Console data no longer lists
+ * @param {string} metricId - Id of the missing metric
+ * @param {string|null} domain - Site of the latest Search Console data
+ * @returns {Object|null} Metric at UNRANKED_POSITION, or null when the id is not a query of that site
+ */
+export function droppedQueryMetric(metricId, domain) {
+    const prefix = domain ? queryMetricPrefix(domain) : null;
+    if (!prefix || !metricId.startsWith(prefix) || !metricId.endsWith('_position')) return null;
+
+    const query = metricId.slice(prefix.length, -'_position'.length).replace(/_/g, ' ');
+    if (!query) return null;
+
+    return {
+        id: metricId,
+        name: `"${query}" Position`,
+        category: 'SEO',
+        value: UNRANKED_POSITION,
+        unit: '',
+        status: 'critical',
+        context: `"${query}" is no longer among the top Search Console queries for ${domain} - treated as out of the ranking.`,
+        ranking: false
+    };
+}
+
 class SEOMetricsAdapter {
     constructor(supabaseClient) {
         this.supabase = supabaseClient;
@@ -11,15 +57,19 @@ class SEOMetricsAdapter {
     /**
      * Fetch SEO metrics for a user.
      * @param {string} userId - The user's ID.
+     * @param {Object|string} [scopeOrEmail] - Business scope or the user's email (restricts to one business, enables the health score).
      * @returns {Promise<Object|null>} Normalized SEO metrics or null.
      */
-    async getMetrics(userId) {
+    async getMetrics(userId, scopeOrEmail = null) {
         try {
             // Fetch from search_console_cache
-            const { data: searchConsoleData, error: scError } = await this.supabase
-                .from('search_console_cache')
-                .select('*')
-                .eq('user_id', userId)
+            const { data: searchConsoleData, error: scError } = await applyBusinessScope(
+                this.supabase
+                    .from('search_console_cache')
+                    .select('*')
+                    .eq('user_id', userId),
+                scopeOrEmail
+            )
                 .order('created_at', { ascending: false })
                 .limit(1)
                 .single();
@@ -29,10 +79,13 @@ class SEOMetricsAdapter {
             }
 
             // Fetch from lighthouse_cache
-            const { data: lighthouseData, error: lhError } = await this.supabase
-                .from('lighthouse_cache')
-                .select('*')
-                .eq('user_id', userId)
+            const { data: lighthouseData, error: lhError } = await applyBusinessScope(
+                this.supabase
+                    .from('lighthouse_cache')
+                    .select('*')
+                    .eq('user_id', userId),
+                scopeOrEmail
+            )
                 .order('created_at', { ascending: false })
                 .limit(1)
                 .single();
@@ -41,13 +94,29 @@ class SEOMetricsAdapter {
                 console.warn('SEOMetricsAdapter: Error fetching Lighthouse data:', lhError.message);
             }
 
-            if (!searchConsoleData && !lighthouseData) {
+            const healthSnapshot = await this._getLatestHealthScore(scopeOrEmail);
+
+            if (!searchConsoleData && !lighthouseData && !healthSnapshot) {
                 return null;
             }
 
             // Normalize into MetricPoints
             const metrics = [];
 
+            // Overall Health Score (latest recorded snapshot)
+            if (healthSnapshot?.overall_score !== null && healthSnapshot?.overall_score !== undefined) {
+                const healthScore = parseFloat(healthSnapshot.overall_score);
+                metrics.push({
+                    id: 'seo_health_score',
+                    name: 'Health Score',
+                    category: 'SEO',
+                    value: healthScore,
+                    unit: '/100',
+                    status: this._getScoreStatus(healthScore),
+                    context: `Overall website health score for ${healthSnapshot.website_url}.`
+                });
+            }
+
             // Performance Score (from lighthouse categoryScores)
             if (lighthouseData?.lighthouse_data?.categoryScores?.performance) {
                 metrics.push({
@@ -127,6 +196,27 @@ class SEOMetricsAdapter {
                 });
             }
 
+            // Positions of the top queries (every query the cache holds, so one slipping a few places
+            // by clicks keeps its metric); alertService evaluates queries that left the list as unranked
+            const siteDomain = searchConsoleData?.domain || searchConsoleData?.site_url || null;
+            const topQueries = Array.isArray(searchConsoleData?.top_queries) ? searchConsoleData.top_queries : [];
+            for (const row of siteDomain ? topQueries : []) {
+                if (!row?.query || row.position === undefined) continue;
+
+                const position = parseFloat(Number(row.position).toFixed(1));
+                metrics.push({
+                    id: queryPositionMetricId(siteDomain, row.query),
+                    name: `"${row.query}" Position`,
+                    category: 'SEO',
+                    value: position,
+                    unit: '',
+                    status: position <= 10 ? 'good' : position <= 20 ? 'warning' : 'critical',
+                    context: `Average Google position for the top query "${row.query}" on ${siteDomain}.`,
+                    query: row.query,
+                    ranking: true
+                });
+            }
+
             // Total Backlinks
             if (searchConsoleData?.backlinks?.total !== undefined) {
                 metrics.push({
@@ -169,7 +259,7 @@ class SEOMetricsAdapter {
             return {
                 available: true,
                 metrics,
-                domain: searchConsoleData?.domain || searchConsoleData?.site_url || null,
+                domain: siteDomain,
                 lastUpdated: searchConsoleData?.last_fetched_at || lighthouseData?.last_fetched_at || null,
                 rawData: {
                     searchConsole: searchConsoleData,
@@ -183,6 +273,28 @@ class SEOMetricsAdapter {
         }
     }
 
+    async _getLatestHealthScore(scopeOrEmail) {
+        const { email } = toBusinessScope(scopeOrEmail);
+        if (!email) return null;
+
+        const { data, error } = await applyBusinessScope(
+            this.supabase
+                .from('health_score_snapshots')
+                .select('website_url, overall_score, captured_at')
+                .eq('user_email', email),
+            scopeOrEmail
+        )
+            .order('captured_at', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            console.warn('SEOMetricsAdapter: Error fetching health score:', error.message);
+            return null;
+        }
+
+        return data?.[0] || null;
+    }
+
     _getScoreStatus(score) {
         if (score >= 90) return 'good';
         if (score >= 50) return 'warning';
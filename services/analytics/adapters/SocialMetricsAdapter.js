@@ -3,6 +3,8 @@
  * Fetches and normalizes social media metrics from the social_media_cache.
  */
 
+import { toBusinessScope, applyBusinessScope } from '../../workspaceService.js';
+
 class SocialMetricsAdapter {
     constructor(supabaseClient) {
         this.supabase = supabaseClient;
@@ -10,17 +12,20 @@ class SocialMetricsAdapter {
 
     /**
      * Fetch Social Media metrics for a user.
-     * @param {string} userEmail - The user's email.
+     * @param {Object|string} scopeOrEmail - Business scope or the user's email.
      * @returns {Promise<Object|null>} Normalized social metrics or null.
      */
-    async getMetrics(userEmail) {
+    async getMetrics(scopeOrEmail) {
         try {
             const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
 
-            const { data: socialData, error } = await this.supabase
-                .from('social_media_cache')
-                .select('*')
-                .eq('user_email', userEmail)
+            const { data: socialData, error } = await applyBusinessScope(
+                this.supabase
+                    .from('social_media_cache')
+                    .select('*')
+                    .eq('user_email', toBusinessScope(scopeOrEmail).email),
+                scopeOrEmail
+            )
                 .gte('created_at', thirtyDaysAgo)
                 .order('created_at', { ascending: false });
 
@@ -3,6 +3,8 @@
  * Fetches and normalizes Google Analytics data.
  */
 
+import { applyBusinessScope } from '../../workspaceService.js';
+
 class TrafficMetricsAdapter {
     constructor(supabaseClient) {
         this.supabase = supabaseClient;
@@ -11,14 +13,20 @@ class TrafficMetricsAdapter {
     /**
      * Fetch Traffic metrics for a user.
      * @param {string} userId - The user's ID.
+     * @param {Object|string} [scopeOrEmail] - Business scope to restrict to.
      * @returns {Promise<Object|null>} Normalized traffic metrics or null.
      */
-    async getMetrics(userId) {
+    async getMetrics(userId, scopeOrEmail = null) {
         try {
-            const { data: analyticsData, error } = await this.supabase
-                .from('google_analytics_cache')
-                .select('*')
-                .eq('user_id', userId)
+            const { data: analyticsData, error } = await applyBusinessScope(
+                this.supabase
+                    .from('google_analytics_cache')
+                    .select('*')
+                    .eq('user_id', userId),
+                scopeOrEmail
+            )
+                .order('updated_at', { ascending: false })
+                .limit(1)
                 .single();
 
             if (error && error.code !== 'PGRST116') {
@@ -0,0 +1,243 @@
+/**
+ * Annotation Service
+ * Dated marketing events (deploys, campaigns, algorithm updates, ...) recorded per business
+ *
+ * Time-series endpoints attach the annotations that fall within their date range via
+ * forSeries(), and PDF reports draw them as markers on their charts.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { toBusinessScope, applyBusinessScope, describeScope } from './workspaceService.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export const ANNOTATION_CATEGORIES = ['deploy', 'campaign', 'algorithm_update', 'migration', 'content', 'outage', 'other'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_RESULTS = 500;
+
+function parseDate(value, field) {
+  const date = String(value ?? '').trim().substring(0, 10);
+  if (!DATE_PATTERN.test(date) || Number.isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+    throw new Error(`${field} must be a date (YYYY-MM-DD)`);
+  }
+  return date;
+}
+
+class AnnotationService {
+  /**
+   * Validate annotation fields from a request body
+   * @param {object} input - { date, endDate, title, description, category, url }
+   * @param {object|null} existing - Current row when updating
+   * @returns {object} Column values
+   */
+  validate(input, existing = null) {
+    const values = {};
+
+    values.date = parseDate(input.date ?? existing?.date, 'date');
+
+    const endDate = input.endDate !== undefined ? input.endDate : existing?.end_date;
+    values.end_date = endDate ? parseDate(endDate, 'endDate') : null;
+    if (values.end_date && values.end_date < values.date) {
+      throw new Error('endDate must not be before date');
+    }
+
+    const title = (input.title ?? existing?.title ?? '').toString().trim();
+    if (!title) {
+      throw new Error('title is required');
+    }
+    values.title = title.substring(0, 200);
+
+    const description = input.description !== undefined ? input.description : existing?.description;
+    values.description = description ? String(description).trim().substring(0, 2000) : null;
+
+    const category = input.category ?? existing?.category ?? 'other';
+    if (!ANNOTATION_CATEGORIES.includes(category)) {
+      throw new Error(`category must be one of: ${ANNOTATION_CATEGORIES.join(', ')}`);
+    }
+    values.category = category;
+
+    const url = input.url !== undefined ? input.url : existing?.url;
+    if (url) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        throw new Error('url must be a valid URL');
+      }
+      if (!['https:', 'http:'].includes(parsed.protocol)) {
+        throw new Error('url must use http or https');
+      }
+      values.url = parsed.toString();
+    } else {
+      values.url = null;
+    }
+
+    return values;
+  }
+
+  /**
+   * Annotations overlapping a date range, oldest first
+   * @param {object} filters - { from, to (YYYY-MM-DD, inclusive), category, limit }
+   */
+  async listAnnotations(scopeOrEmail, { from, to, category, limit } = {}) {
+    let query = applyBusinessScope(
+      supabase
+        .from('annotations')
+        .select('*')
+        .eq('user_email', toBusinessScope(scopeOrEmail).email),
+      scopeOrEmail
+    );
+
+    // An event overlaps [from, to] if it starts by `to` and hasn't ended before `from`
+    if (to) query = query.lte('date', parseDate(to, 'to'));
+    if (from) {
+      const start = parseDate(from, 'from');
+      query = query.or(`date.gte.${start},end_date.gte.${start}`);
+    }
+    if (category) query = query.eq('category', category);
+
+    const { data, error } = await query
+      .order('date', { ascending: true })
+      .limit(Math.min(parseInt(limit) || MAX_RANGE_RESULTS, MAX_RANGE_RESULTS));
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Annotations overlapping a date range, ready for a response
+   * Never throws - annotations must not break the endpoint returning the series.
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @param {string} from - YYYY-MM-DD or ISO timestamp
+   * @param {string} to - YYYY-MM-DD or ISO timestamp
+   * @returns {Promise<Array>} Annotations in response format
+   */
+  async forRange(scopeOrEmail, from, to) {
+    try {
+      const rows = await this.listAnnotations(scopeOrEmail, {
+        from: String(from).substring(0, 10),
+        to: String(to).substring(0, 10)
+      });
+      return rows.map(row => this.toResponse(row));
+    } catch (error) {
+      console.warn(`⚠️ Could not load annotations for ${describeScope(scopeOrEmail)}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Annotations within the dates covered by a series (see forRange)
+   * @param {Array} points - Series points with a `date` (YYYY-MM-DD or ISO timestamp)
+   */
+  async forSeries(scopeOrEmail, points) {
+    const dates = (Array.isArray(points) ? points : [])
+      .map(point => String(point?.date ?? '').substring(0, 10))
+      .filter(date => DATE_PATTERN.test(date))
+      .sort();
+
+    if (dates.length === 0) return [];
+    return this.forRange(scopeOrEmail, dates[0], dates[dates.length - 1]);
+  }
+
+  /**
+   * Annotations for a social metrics response (recorded follower growth plus forecast)
+   */
+  async forFollowerGrowth(scopeOrEmail, metrics) {
+    return this.forSeries(scopeOrEmail, [...(metrics?.followerGrowth || []), ...(metrics?.followerForecast || [])]);
+  }
+
+  async getAnnotation(annotationId, scopeOrEmail) {
+    const { data, error } = await applyBusinessScope(
+      supabase
+        .from('annotations')
+        .select('*')
+        .eq('id', annotationId)
+        .eq('user_email', toBusinessScope(scopeOrEmail).email),
+      scopeOrEmail
+    )
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async createAnnotation(scope, input, createdBy) {
+    const { email, businessId, workspaceId } = toBusinessScope(scope);
+    const values = this.validate(input);
+
+    const { data, error } = await supabase
+      .from('annotations')
+      .insert({
+        ...values,
+        user_email: email,
+        business_id: businessId,
+        workspace_id: workspaceId,
+        created_by: createdBy
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`📌 Annotation added for ${describeScope(scope)}: ${data.date} ${data.title}`);
+    return data;
+  }
+
+  /**
+   * @returns {Promise<{before: object, after: object}|null>} null if not found
+   */
+  async updateAnnotation(annotationId, scope, input) {
+    const existing = await this.getAnnotation(annotationId, scope);
+    if (!existing) return null;
+
+    const values = this.validate(input, existing);
+
+    const { data, error } = await supabase
+      .from('annotations')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { before: existing, after: data };
+  }
+
+  async deleteAnnotation(annotationId, scope) {
+    const existing = await this.getAnnotation(annotationId, scope);
+    if (!existing) return null;
+
+    const { error } = await supabase
+      .from('annotations')
+      .delete()
+      .eq('id', existing.id);
+
+    if (error) throw error;
+    return existing;
+  }
+
+  toResponse(row) {
+    return {
+      id: row.id,
+      businessId: row.business_id,
+      date: row.date,
+      endDate: row.end_date,
+      title: row.title,
+      description: row.description,
+      category: row.category,
+      url: row.url,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default new AnnotationService();
@@ -0,0 +1,721 @@
+/**
+ * Anomaly Detection Service
+ * Flags days on which organic search or site traffic breaks away from its usual level
+ *
+ * Series: Search Console clicks and impressions (site from search_console_cache) and GA4
+ * sessions and conversions (property from google_analytics_cache), 90 days of daily values.
+ *
+ * Each of the last few days is compared with a seasonal baseline - the same weekday over
+ * the previous 8 weeks, or the trailing 14 days when there isn't enough weekday history.
+ * A day is an anomaly when its z-score against that baseline is at least 3 and it moved
+ * by at least 20%; severity follows the size of the move (a 40% drop is 'high').
+ *
+ * Detection runs as an 'anomalies.detect' job: every 6 hours for each Google-connected
+ * business, and shortly after fresh GSC/GA4 data is cached. Days whose data is still coming
+ * in are judged too, so a drop shows up the day it happens: Search Console is read with
+ * dataState 'all' (days from its firstIncompleteDate on are partial), GA4 days after the
+ * last one fully processed in the property's time zone are partial, and today counts once
+ * most of it has been collected, against the same share of a usual day. Traffic isn't
+ * spread evenly over a day, so partial days are stored with partial = true and one
+ * severity level lower; the row is re-judged as the data completes and the in-app
+ * notification follows if the final severity calls for one. Days that stop looking
+ * anomalous are dropped unless someone already acknowledged them.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { google } from 'googleapis';
+import dotenv from 'dotenv';
+import { toBusinessScope, applyBusinessScope, describeScope } from './workspaceService.js';
+import jobQueueService from './jobQueueService.js';
+import oauthTokenService from './oauthTokenService.js';
+import userAnalyticsService from './userAnalyticsService.js';
+import notificationService, { NOTIFICATION_TYPES } from './notificationService.js';
+import webhookService from './webhookService.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const HOUR = 60 * 60 * 1000;
+const JOB_TYPE = 'anomalies.detect';
+const SCHEDULE_HOURS = 6;
+const DETECTION_DELAY = 2 * 60 * 1000;
+const MIN_DETECTION_INTERVAL = HOUR;
+
+const HISTORY_DAYS = 90;
+const GA4_PROCESSING_HOURS = 48;
+// Search Console dates are Pacific Time; without metadata its data is final after ~2 days
+const SEARCH_CONSOLE_TIME_ZONE = 'America/Los_Angeles';
+const SEARCH_CONSOLE_FINAL_DAYS = 2;
+// Collected data trails real time by a few hours; today is judged once this share is in
+const COLLECTION_LAG_HOURS = 3;
+const MIN_TODAY_SHARE = 0.5;
+const RECENT_DAYS = 3;
+const BASELINE_WEEKS = 8;
+const MIN_SEASONAL_POINTS = 4;
+const TRAILING_DAYS = 14;
+const MIN_TRAILING_POINTS = 10;
+const Z_THRESHOLD = 3;
+const MIN_CHANGE_PERCENT = 20;
+
+export const ANOMALY_SOURCES = ['search_console', 'google_analytics'];
+
+// minBaseline: below this expected daily value a swing is noise, not news
+export const ANOMALY_METRICS = {
+  clicks: { source: 'search_console', minBaseline: 10 },
+  impressions: { source: 'search_console', minBaseline: 100 },
+  sessions: { source: 'google_analytics', minBaseline: 20 },
+  conversions: { source: 'google_analytics', minBaseline: 5 }
+};
+
+export const ANOMALY_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Minimum absolute change (percent) per severity, highest first
+const SEVERITY_THRESHOLDS = [
+  ['critical', 60],
+  ['high', 40],
+  ['medium', 25]
+];
+
+const NOTIFY_SEVERITIES = ['high', 'critical'];
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in an IANA time zone (UTC when unknown)
+ */
+function dateInTimeZone(instant, timeZone) {
+  try {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: timeZone || 'UTC' }).format(instant);
+  } catch {
+    return instant.toISOString().split('T')[0];
+  }
+}
+
+/**
+ * Hours since midnight of an instant in an IANA time zone (UTC when unknown)
+ */
+function hoursIntoDay(instant, timeZone) {
+  try {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timeZone || 'UTC',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    }).formatToParts(instant);
+    const part = type => Number(parts.find(p => p.type === type)?.value || 0);
+    return part('hour') + part('minute') / 60;
+  } catch {
+    return instant.getUTCHours() + instant.getUTCMinutes() / 60;
+  }
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Last GA4 day that has been fully processed - it ended, in the property's time zone,
+ * at least GA4_PROCESSING_HOURS ago
+ */
+function lastCompleteAnalyticsDate(timeZone, now = Date.now()) {
+  return addDays(dateInTimeZone(new Date(now - GA4_PROCESSING_HOURS * HOUR), timeZone), -1);
+}
+
+/**
+ * Which days of a series to judge
+ * Days up to completeThrough are final, later ones partial. The newest day judged is today once
+ * MIN_TODAY_SHARE of it has been collected (yesterday before that), and never past the newest
+ * reported day - a partial day without a row has not been reported yet, it is not a zero.
+ * @param {Array} dates - Dates present in the series
+ * @returns {object} { lastDate, completeThrough, lastDayShare } lastDayShare is the collected share of lastDate
+ */
+export function judgingWindow(dates, { completeThrough = null, timeZone = null, now = Date.now() } = {}) {
+  const instant = new Date(now);
+  const localToday = dateInTimeZone(instant, timeZone);
+  const todayShare = Math.max(0, hoursIntoDay(instant, timeZone) - COLLECTION_LAG_HOURS) / 24;
+  const newestAllowed = todayShare >= MIN_TODAY_SHARE ? localToday : addDays(localToday, -1);
+
+  const newestReported = dates.filter(date => date <= newestAllowed).sort().pop() || null;
+  const lastDate = [completeThrough, newestReported].filter(Boolean).sort().pop() || null;
+
+  return {
+    lastDate,
+    completeThrough,
+    lastDayShare: lastDate === localToday ? todayShare : 1
+  };
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Severity for a relative change
+ * @param {number} changePercent - Signed change against the baseline
+ */
+export function classifySeverity(changePercent) {
+  const magnitude = Math.abs(changePercent);
+  for (const [severity, threshold] of SEVERITY_THRESHOLDS) {
+    if (magnitude >= threshold) return severity;
+  }
+  return 'low';
+}
+
+/**
+ * One severity level lower - partial days are judged with less confidence
+ */
+function discountSeverity(severity) {
+  return ANOMALY_SEVERITIES[Math.max(0, ANOMALY_SEVERITIES.indexOf(severity) - 1)];
+}
+
+/**
+ * Find anomalous days at the end of a daily series
+ * Days missing between the first point and lastDate count as 0 (GSC and GA4 omit empty days).
+ * Days after completeThrough are partial: their severity is discounted one level, and lastDate
+ * is compared with lastDayShare of its baseline.
+ * @param {Array} series - [{ date: 'YYYY-MM-DD', value }]
+ * @param {object} options - { minBaseline, recentDays, lastDate, completeThrough, lastDayShare } lastDate defaults to the last point
+ * @returns {object} { evaluatedDates: [...], anomalies: [{ date, value, expected, changePercent, zScore, direction, severity, partial, baseline }] }
+ */
+export function detectSeriesAnomalies(series, {
+  minBaseline = 0,
+  recentDays = RECENT_DAYS,
+  lastDate = null,
+  completeThrough = null,
+  lastDayShare = 1
+} = {}) {
+  const points = (series || []).filter(point => point?.date).sort((a, b) => a.date.localeCompare(b.date));
+  if (points.length === 0) return { evaluatedDates: [], anomalies: [] };
+
+  const firstDate = points[0].date;
+  const endDate = lastDate || points[points.length - 1].date;
+  const values = new Map(points.map(point => [point.date, Number(point.value) || 0]));
+  const valueOn = date => (date < firstDate || date > endDate ? null : values.get(date) ?? 0);
+
+  const evaluatedDates = [];
+  const anomalies = [];
+
+  for (let offset = recentDays - 1; offset >= 0; offset--) {
+    const date = addDays(endDate, -offset);
+    const value = valueOn(date);
+    if (value === null) continue;
+
+    let method = 'same_weekday';
+    let baseline = [];
+    for (let week = 1; week <= BASELINE_WEEKS; week++) {
+      const past = valueOn(addDays(date, -7 * week));
+      if (past !== null) baseline.push(past);
+    }
+
+    if (baseline.length < MIN_SEASONAL_POINTS) {
+      method = 'trailing';
+      baseline = [];
+      for (let day = 1; day <= TRAILING_DAYS; day++) {
+        const past = valueOn(addDays(date, -day));
+        if (past !== null) baseline.push(past);
+      }
+      if (baseline.length < MIN_TRAILING_POINTS) continue;
+    }
+
+    evaluatedDates.push(date);
+
+    const mean = baseline.reduce((sum, v) => sum + v, 0) / baseline.length;
+    if (mean < minBaseline || mean === 0) continue;
+
+    const variance = baseline.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (baseline.length - 1);
+    const stdDev = Math.sqrt(variance);
+
+    const partial = completeThrough !== null && date > completeThrough;
+    const share = date === endDate ? lastDayShare : 1;
+    const expected = mean * share;
+    // A very steady baseline would turn ordinary wobble into huge z-scores
+    const spread = Math.max(stdDev * share, expected * 0.05, 1);
+
+    const zScore = (value - expected) / spread;
+    const changePercent = ((value - expected) / expected) * 100;
+    if (Math.abs(zScore) < Z_THRESHOLD || Math.abs(changePercent) < MIN_CHANGE_PERCENT) continue;
+
+    const severity = classifySeverity(changePercent);
+    anomalies.push({
+      date,
+      value,
+      expected: round(expected, 2),
+      changePercent: round(changePercent, 1),
+      zScore: round(zScore, 2),
+      direction: value < expected ? 'drop' : 'spike',
+      severity: partial ? discountSeverity(severity) : severity,
+      partial,
+      baseline: { method, points: baseline.length, stdDev: round(stdDev, 2), ...(share < 1 && { dayShare: round(share, 2) }) }
+    });
+  }
+
+  return { evaluatedDates, anomalies };
+}
+
+// Account-level scopes only match account-level rows here (applyBusinessScope would match every business)
+function matchBusiness(query, scope) {
+  return scope.businessId ? query.eq('business_id', scope.businessId) : query.is('business_id', null);
+}
+
+class AnomalyDetectionService {
+  constructor() {
+    this.timer = null;
+    this.lastRun = null;
+
+    jobQueueService.registerHandler(JOB_TYPE, (payload, context) => this.detectForBusiness(context), {
+      maxAttempts: 3,
+      timeoutMs: 5 * 60 * 1000
+    });
+  }
+
+  /**
+   * Check hourly for Google-connected businesses due for a detection run
+   */
+  start() {
+    if (this.timer) return;
+
+    console.log(`📉 Anomaly detection scheduler started (every ${SCHEDULE_HOURS}h, checked hourly)`);
+    this.timer = setInterval(() => this.enqueueDue(), HOUR);
+    this.timer.unref();
+    setTimeout(() => this.enqueueDue(), 2 * 60 * 1000).unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue this window's detection job for every Google-connected business
+   * @returns {Promise<number>} Jobs queued
+   */
+  async enqueueDue() {
+    let queued = 0;
+    const window = `${today()}:${Math.floor(new Date().getUTCHours() / SCHEDULE_HOURS)}`;
+
+    try {
+      const connections = await oauthTokenService.getConnectionsForProviders(['google']);
+      const scopes = new Map();
+      for (const row of connections) {
+        scopes.set(`${row.user_email}:${row.business_id || 'account'}`, {
+          email: row.user_email,
+          businessId: row.business_id || null
+        });
+      }
+
+      for (const [key, scope] of scopes) {
+        const dedupeKey = `${JOB_TYPE}:${key}:${window}`;
+        if (await jobQueueService.findLatestByDedupeKey(dedupeKey)) continue;
+
+        await jobQueueService.enqueue(JOB_TYPE, {}, { scope, dedupeKey });
+        queued++;
+      }
+
+      if (queued > 0) {
+        console.log(`📉 Queued ${queued} anomaly detection job(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Anomaly detection scheduling failed:', error.message);
+    } finally {
+      this.lastRun = new Date().toISOString();
+    }
+
+    return queued;
+  }
+
+  /**
+   * Queue a detection run after new data was cached
+   * Skipped while one is pending or if one finished within the last hour.
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @param {object} options - { delayMs, force } force ignores the hourly limit
+   * @returns {Promise<object|null>} Queued (or already pending) job
+   */
+  async requestDetection(scopeOrEmail, { delayMs = DETECTION_DELAY, force = false } = {}) {
+    const scope = toBusinessScope(scopeOrEmail);
+    if (!scope.email) return null;
+
+    const dedupeKey = `${JOB_TYPE}:${scope.email}:${scope.businessId || 'account'}`;
+
+    try {
+      if (!force) {
+        const latest = await jobQueueService.findLatestByDedupeKey(dedupeKey);
+        if (latest?.finished_at && Date.now() - new Date(latest.finished_at).getTime() < MIN_DETECTION_INTERVAL) {
+          return null;
+        }
+      }
+
+      const { job } = await jobQueueService.enqueue(JOB_TYPE, {}, {
+        scope,
+        dedupeKey,
+        runAt: new Date(Date.now() + delayMs)
+      });
+      return job;
+    } catch (error) {
+      console.warn(`⚠️ Could not queue anomaly detection for ${describeScope(scope)}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * GSC site and GA4 property last used by the business (from the data caches)
+   * @returns {Promise<object>} { siteUrl, propertyId }
+   */
+  async getSources(scope) {
+    const { data: user } = await supabase
+      .from('users_table')
+      .select('id')
+      .eq('email', scope.email)
+      .maybeSingle();
+    if (!user) return { siteUrl: null, propertyId: null };
+    const userId = user.id;
+
+    const [gsc, ga] = await Promise.all([
+      matchBusiness(supabase.from('search_console_cache').select('site_url').eq('user_id', userId), scope)
+        .order('updated_at', { ascending: false })
+        .limit(1),
+      matchBusiness(supabase.from('google_analytics_cache').select('property_id').eq('user_id', userId), scope)
+        .order('updated_at', { ascending: false })
+        .limit(1)
+    ]);
+
+    return {
+      siteUrl: gsc.data?.[0]?.site_url || null,
+      propertyId: ga.data?.[0]?.property_id || null
+    };
+  }
+
+  /**
+   * Daily clicks and impressions for a Search Console property, including days still being processed
+   * @returns {Promise<object>} { clicks: [{date, value}], impressions: [{date, value}], completeThrough }
+   */
+  async fetchSearchConsoleSeries(scope, siteUrl) {
+    const oauth2Client = await oauthTokenService.getOAuthClient(scope);
+    if (!oauth2Client) {
+      throw new Error('Google connection expired - reconnect to resume anomaly detection');
+    }
+
+    const searchConsole = google.searchconsole({ version: 'v1', auth: oauth2Client });
+    const response = await searchConsole.searchanalytics.query({
+      siteUrl,
+      requestBody: {
+        startDate: addDays(today(), -HISTORY_DAYS),
+        endDate: today(),
+        dimensions: ['date'],
+        rowLimit: HISTORY_DAYS + 1,
+        dataState: 'all'
+      }
+    });
+
+    const rows = response.data.rows || [];
+    const firstIncompleteDate = response.data.metadata?.firstIncompleteDate;
+    return {
+      clicks: rows.map(row => ({ date: row.keys[0], value: row.clicks || 0 })),
+      impressions: rows.map(row => ({ date: row.keys[0], value: row.impressions || 0 })),
+      completeThrough: firstIncompleteDate
+        ? addDays(firstIncompleteDate, -1)
+        : addDays(dateInTimeZone(new Date(), SEARCH_CONSOLE_TIME_ZONE), -SEARCH_CONSOLE_FINAL_DAYS)
+    };
+  }
+
+  /**
+   * Daily sessions and conversions for a GA4 property
+   * Dates are in the property's time zone, which is returned with the series.
+   * @returns {Promise<object>} { sessions: [{date, value}], conversions: [{date, value}], timeZone }
+   */
+  async fetchAnalyticsSeries(scope, propertyId) {
+    const data = await userAnalyticsService.getUserAnalyticsData(scope, propertyId, '90days');
+    if (!data?.dataAvailable) {
+      throw new Error(data?.reason || data?.error || 'Google Analytics data unavailable');
+    }
+
+    const daily = data.daily || [];
+    return {
+      sessions: daily.map(day => ({ date: day.date, value: day.sessions || 0 })),
+      conversions: daily.map(day => ({ date: day.date, value: day.conversions || 0 })),
+      timeZone: data.timeZone || null
+    };
+  }
+
+  /**
+   * Job handler: run detection over every connected series of one business
+   * @returns {Promise<object>} { checked: [...], detected, created, failed: [...] }
+   */
+  async detectForBusiness({ scope, progress }) {
+    const summary = { checked: [], detected: 0, created: 0, failed: [] };
+    const { siteUrl, propertyId } = await this.getSources(scope);
+
+    const sources = [];
+    if (siteUrl) {
+      sources.push({
+        source: 'search_console',
+        resource: siteUrl,
+        window: series => judgingWindow(series.clicks.map(point => point.date), {
+          completeThrough: series.completeThrough,
+          timeZone: SEARCH_CONSOLE_TIME_ZONE
+        }),
+        fetch: () => this.fetchSearchConsoleSeries(scope, siteUrl)
+      });
+    }
+    if (propertyId) {
+      sources.push({
+        source: 'google_analytics',
+        resource: String(propertyId),
+        // Up to the last fully processed day a missing row is a genuine zero
+        window: series => judgingWindow(series.sessions.map(point => point.date), {
+          completeThrough: lastCompleteAnalyticsDate(series.timeZone),
+          timeZone: series.timeZone
+        }),
+        fetch: () => this.fetchAnalyticsSeries(scope, propertyId)
+      });
+    }
+
+    if (sources.length === 0) {
+      return { ...summary, message: 'No Search Console site or GA4 property connected' };
+    }
+
+    for (const [index, { source, resource, window, fetch }] of sources.entries()) {
+      await progress((index / sources.length) * 100, `Checking ${source.replace('_', ' ')}`);
+
+      try {
+        const series = await fetch();
+        const { lastDate, completeThrough, lastDayShare } = window(series);
+        if (!lastDate) continue;
+
+        for (const [metric, { source: metricSource, minBaseline }] of Object.entries(ANOMALY_METRICS)) {
+          if (metricSource !== source) continue;
+
+          const { evaluatedDates, anomalies } = detectSeriesAnomalies(series[metric], {
+            minBaseline,
+            lastDate,
+            completeThrough,
+            lastDayShare
+          });
+          const { created, completed } = await this.storeAnomalies(scope, { source, metric, resource, evaluatedDates, anomalies });
+
+          summary.checked.push({ source, metric, days: evaluatedDates.length });
+          summary.detected += anomalies.length;
+          summary.created += created.length;
+
+          for (const anomaly of created) {
+            await this.announce(scope, anomaly);
+          }
+          for (const anomaly of completed) {
+            await this.notify(scope, anomaly);
+          }
+        }
+      } catch (error) {
+        console.warn(`⚠️ ${source} anomaly detection failed for ${describeScope(scope)}: ${error.message}`);
+        summary.failed.push({ source, error: error.message });
+      }
+    }
+
+    if (summary.checked.length === 0 && summary.failed.length > 0) {
+      throw new Error(`No series checked: ${summary.failed.map(f => `${f.source}: ${f.error}`).join('; ')}`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Save one series' detection results
+   * Existing rows for the evaluated days are updated; rows for days no longer anomalous are
+   * removed unless acknowledged.
+   * @returns {Promise<object>} { created, completed } newly created rows, and rows of partial days whose data is now complete
+   */
+  async storeAnomalies(scope, { source, metric, resource, evaluatedDates, anomalies }) {
+    if (evaluatedDates.length === 0) return { created: [], completed: [] };
+
+    const { data: existing, error } = await matchBusiness(
+      supabase
+        .from('anomalies')
+        .select('*')
+        .eq('user_email', scope.email)
+        .eq('source', source)
+        .eq('metric', metric)
+        .in('date', evaluatedDates),
+      scope
+    );
+    if (error) throw error;
+
+    const existingByDate = new Map((existing || []).map(row => [row.date, row]));
+    const now = new Date().toISOString();
+    const created = [];
+    const completed = [];
+
+    for (const anomaly of anomalies) {
+      const fields = {
+        resource,
+        value: anomaly.value,
+        expected: anomaly.expected,
+        change_percent: anomaly.changePercent,
+        z_score: anomaly.zScore,
+        direction: anomaly.direction,
+        severity: anomaly.severity,
+        partial: anomaly.partial,
+        baseline: anomaly.baseline,
+        updated_at: now
+      };
+
+      const current = existingByDate.get(anomaly.date);
+      if (current) {
+        const { error: updateError } = await supabase.from('anomalies').update(fields).eq('id', current.id);
+        if (updateError) throw updateError;
+        if (current.partial && !anomaly.partial) completed.push({ ...current, ...fields });
+        continue;
+      }
+
+      const { data: row, error: insertError } = await supabase
+        .from('anomalies')
+        .insert({
+          user_email: scope.email,
+          business_id: scope.businessId,
+          workspace_id: scope.workspaceId,
+          source,
+          metric,
+          date: anomaly.date,
+          ...fields
+        })
+        .select()
+        .single();
+      if (insertError) throw insertError;
+      created.push(row);
+    }
+
+    const detectedDates = new Set(anomalies.map(anomaly => anomaly.date));
+    const stale = (existing || []).filter(row => !detectedDates.has(row.date) && !row.acknowledged_at);
+    if (stale.length > 0) {
+      const { error: deleteError } = await supabase
+        .from('anomalies')
+        .delete()
+        .in('id', stale.map(row => row.id));
+      if (deleteError) throw deleteError;
+    }
+
+    return { created, completed };
+  }
+
+  /**
+   * Tell the account about a new anomaly: webhook for all, in-app notification for high/critical
+   */
+  async announce(scope, row) {
+    const anomaly = this.toResponse(row);
+    await webhookService.emit(scope, 'anomaly.detected', anomaly);
+    await this.notify(scope, row);
+  }
+
+  /**
+   * In-app notification for a high/critical anomaly - once per day and metric
+   */
+  async notify(scope, row) {
+    if (!NOTIFY_SEVERITIES.includes(row.severity)) return;
+
+    const label = row.source === 'search_console' ? 'Search Console' : 'Google Analytics';
+    const change = `${row.change_percent > 0 ? '+' : ''}${row.change_percent}%`;
+    await notificationService.notify(scope, {
+      type: NOTIFICATION_TYPES.ANOMALY_DETECTED,
+      title: `${label} ${row.metric} ${row.direction} on ${row.date}`,
+      message: `${row.metric} was ${row.value} against an expected ${Math.round(row.expected)} (${change})${row.partial ? ', with that day\'s data still coming in' : ''}.`,
+      metadata: { anomalyId: row.id, source: row.source, metric: row.metric, severity: row.severity },
+      dedupeKey: `anomaly:${row.source}:${row.metric}:${row.date}`
+    });
+  }
+
+  /**
+   * Anomalies for the selected business, newest day first
+   * @param {object} filters - { source, metric, severity (minimum), since (YYYY-MM-DD), status ('open' | 'acknowledged'), limit }
+   */
+  async listAnomalies(scopeOrEmail, { source, metric, severity, since, status, limit } = {}) {
+    const { email } = toBusinessScope(scopeOrEmail);
+
+    let query = applyBusinessScope(
+      supabase
+        .from('anomalies')
+        .select('*')
+        .eq('user_email', email),
+      scopeOrEmail
+    );
+
+    if (source) query = query.eq('source', source);
+    if (metric) query = query.eq('metric', metric);
+    if (severity && ANOMALY_SEVERITIES.includes(severity)) {
+      query = query.in('severity', ANOMALY_SEVERITIES.slice(ANOMALY_SEVERITIES.indexOf(severity)));
+    }
+    if (since) query = query.gte('date', since);
+    if (status === 'open') query = query.is('acknowledged_at', null);
+    if (status === 'acknowledged') query = query.not('acknowledged_at', 'is', null);
+
+    const { data, error } = await query
+      .order('date', { ascending: false })
+      .order('detected_at', { ascending: false })
+      .limit(Math.min(parseInt(limit) || 100, 500));
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Mark an anomaly as seen
+   * @returns {Promise<object|null>} { before, after }, or null if not found
+   */
+  async acknowledge(anomalyId, scopeOrEmail, acknowledgedBy) {
+    const { email } = toBusinessScope(scopeOrEmail);
+
+    const { data: before, error: fetchError } = await applyBusinessScope(
+      supabase
+        .from('anomalies')
+        .select('*')
+        .eq('id', anomalyId)
+        .eq('user_email', email),
+      scopeOrEmail
+    ).maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!before) return null;
+
+    const { data: after, error } = await supabase
+      .from('anomalies')
+      .update({ acknowledged_at: new Date().toISOString(), acknowledged_by: acknowledgedBy })
+      .eq('id', anomalyId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { before, after };
+  }
+
+  toResponse(row) {
+    return {
+      id: row.id,
+      businessId: row.business_id,
+      source: row.source,
+      metric: row.metric,
+      resource: row.resource,
+      date: row.date,
+      value: Number(row.value),
+      expected: Number(row.expected),
+      changePercent: Number(row.change_percent),
+      zScore: Number(row.z_score),
+      direction: row.direction,
+      severity: row.severity,
+      partial: row.partial === true,
+      baseline: row.baseline,
+      acknowledgedAt: row.acknowledged_at,
+      acknowledgedBy: row.acknowledged_by,
+      detectedAt: row.detected_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default new AnomalyDetectionService();
@@ -0,0 +1,296 @@
+/**
+ * API Key Service
+ * Creates, verifies and revokes scoped API keys, and logs calls made with them
+ *
+ * Key format: msk_<prefix>_<secret>. The full key is returned once on creation;
+ * only its SHA-256 hash and the short prefix (for display) are stored.
+ */
+
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { getUserPlan } from './planAccessService.js';
+import { API_KEY_SCOPES, getPlanFeatures, getAllowedApiKeyScopes } from '../config/planFeatures.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const KEY_PREFIX = 'msk_';
+
+// Verified keys are cached briefly so every request doesn't hit the database
+const keyCache = new Map();
+const KEY_CACHE_TTL = 60 * 1000; // 1 minute
+
+// last_used_at is written at most once per interval per key
+const LAST_USED_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+function hashKey(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+function toPublicKey(row) {
+  const { key_hash, ...rest } = row;
+  return rest;
+}
+
+class ApiKeyService {
+  /**
+   * Whether a bearer token looks like an API key (rather than a session JWT)
+   * @param {string} token - Bearer token
+   * @returns {boolean}
+   */
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Create a key for the user
+   * @param {object} scope - Business scope the key is bound to ({ email, businessId })
+   * @param {object} options - { name, scopes, expiresInDays }
+   * @returns {Object} { apiKey, key } - key is the raw secret, shown only once
+   */
+  async createKey({ email, businessId = null }, { name, scopes = [], expiresInDays = null }) {
+    const plan = await getUserPlan(email);
+    const { apiKeys: limits } = getPlanFeatures(plan);
+
+    if (!limits?.enabled) {
+      throw new Error(`API keys are not available on the ${plan} plan`);
+    }
+
+    if (scopes.length === 0) {
+      throw new Error('At least one scope is required');
+    }
+
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+    }
+
+    const allowed = getAllowedApiKeyScopes(plan);
+    const notAllowed = scopes.filter(scope => !allowed.includes(scope));
+    if (notAllowed.length > 0) {
+      throw new Error(`Your ${plan} plan does not allow these scopes: ${notAllowed.join(', ')}`);
+    }
+
+    const activeKeys = await this.listKeys(email);
+    if (limits.maxKeys !== -1 && activeKeys.length >= limits.maxKeys) {
+      throw new Error(`Your ${plan} plan allows ${limits.maxKeys} active API key(s)`);
+    }
+
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const rawKey = `${KEY_PREFIX}${prefix}_${secret}`;
+
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert({
+        user_email: email,
+        business_id: businessId,
+        name,
+        key_prefix: `${KEY_PREFIX}${prefix}`,
+        key_hash: hashKey(rawKey),
+        scopes,
+        expires_at: expiresAt
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🔑 API key created: ${data.key_prefix} (${scopes.join(', ')})`);
+    return { apiKey: toPublicKey(data), key: rawKey };
+  }
+
+  /**
+   * List the user's active keys
+   * @param {string} email - User's email
+   * @returns {Array} Keys without hashes
+   */
+  async listKeys(email) {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select('id, user_email, business_id, name, key_prefix, scopes, last_used_at, expires_at, created_at')
+      .eq('user_email', email)
+      .is('revoked_at', null)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    const now = new Date();
+    return (data || []).filter(key => !key.expires_at || new Date(key.expires_at) > now);
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} email - Owner's email
+   * @param {string} keyId - Key ID
+   * @returns {Promise<boolean>} true if a key was revoked
+   */
+  async revokeKey(email, keyId) {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', keyId)
+      .eq('user_email', email)
+      .is('revoked_at', null)
+      .select('id, key_hash');
+
+    if (error) throw error;
+
+    for (const row of data || []) {
+      keyCache.delete(row.key_hash);
+    }
+
+    if ((data || []).length > 0) {
+      console.log(`🔒 API key revoked: ${keyId}`);
+    }
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Revoke every key an account owns
+   * @param {string} email - Owner's email
+   * @returns {Promise<number>} Number of keys revoked
+   */
+  async revokeAllKeys(email) {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_email', email)
+      .is('revoked_at', null)
+      .select('id, key_hash');
+
+    if (error) throw error;
+
+    for (const row of data || []) {
+      keyCache.delete(row.key_hash);
+    }
+    return (data || []).length;
+  }
+
+  /**
+   * Verify a raw key
+   * Scopes are narrowed to what the owner's current plan allows, so a downgrade
+   * takes effect without reissuing keys.
+   * @param {string} rawKey - Key from the Authorization header
+   * @returns {Promise<object|null>} { id, email, businessId, scopes, requestsPerMinute } or null
+   */
+  async verifyKey(rawKey) {
+    if (!this.isApiKey(rawKey)) return null;
+
+    const keyHash = hashKey(rawKey);
+    const cached = keyCache.get(keyHash);
+    let row = cached && Date.now() - cached.timestamp < KEY_CACHE_TTL ? cached.row : null;
+
+    if (!row) {
+      const { data, error } = await supabase
+        .from('api_keys')
+        .select('*')
+        .eq('key_hash', keyHash)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) return null;
+
+      row = data;
+      keyCache.set(keyHash, { row, timestamp: Date.now() });
+    }
+
+    if (row.revoked_at) return null;
+    if (row.expires_at && new Date(row.expires_at) < new Date()) return null;
+
+    const plan = await getUserPlan(row.user_email);
+    const { apiKeys: limits } = getPlanFeatures(plan);
+    const allowed = getAllowedApiKeyScopes(plan);
+
+    this.touchLastUsed(row);
+
+    return {
+      id: row.id,
+      email: row.user_email,
+      businessId: row.business_id,
+      prefix: row.key_prefix,
+      scopes: (row.scopes || []).filter(scope => allowed.includes(scope)),
+      requestsPerMinute: limits?.requestsPerMinute || 0
+    };
+  }
+
+  /**
+   * Record last_used_at (throttled, fire-and-forget)
+   */
+  touchLastUsed(row) {
+    const lastUsed = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed < LAST_USED_INTERVAL) return;
+
+    row.last_used_at = new Date().toISOString();
+    supabase
+      .from('api_keys')
+      .update({ last_used_at: row.last_used_at })
+      .eq('id', row.id)
+      .then(({ error }) => {
+        if (error) console.error('⚠️ Failed to update API key last_used_at:', error.message);
+      });
+  }
+
+  /**
+   * Log a call made with a key
+   * @param {string} keyId - Key ID
+   * @param {object} entry - { method, path, statusCode, durationMs, ipAddress, userAgent }
+   */
+  async logUsage(keyId, { method, path, statusCode, durationMs, ipAddress, userAgent }) {
+    const { error } = await supabase
+      .from('api_key_usage_log')
+      .insert({
+        api_key_id: keyId,
+        method,
+        path,
+        status_code: statusCode,
+        duration_ms: durationMs,
+        ip_address: ipAddress || null,
+        user_agent: userAgent || null
+      });
+
+    if (error) {
+      console.error('⚠️ Failed to log API key usage:', error.message);
+    }
+  }
+
+  /**
+   * Recent calls made with a key
+   * @param {string} email - Owner's email
+   * @param {string} keyId - Key ID
+   * @param {number} limit - Max rows
+   * @returns {Array|null} Log rows, or null if the key doesn't belong to the user
+   */
+  async getUsage(email, keyId, limit = 100) {
+    const { data: key, error: keyError } = await supabase
+      .from('api_keys')
+      .select('id')
+      .eq('id', keyId)
+      .eq('user_email', email)
+      .maybeSingle();
+
+    if (keyError) throw keyError;
+    if (!key) return null;
+
+    const { data, error } = await supabase
+      .from('api_key_usage_log')
+      .select('method, path, status_code, duration_ms, ip_address, created_at')
+      .eq('api_key_id', keyId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+export default new ApiKeyService();
@@ -0,0 +1,172 @@
+/**
+ * Audit Log Service
+ * Append-only record of security-sensitive and destructive actions
+ *
+ * Each entry captures the action, the account whose data was affected, the actor
+ * (session user, API key, Stripe or the system), request IP/user agent and
+ * before/after values. Recording never throws - a failed audit write is logged
+ * but does not fail the action being audited.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { toBusinessScope } from './workspaceService.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export const AUDIT_ACTIONS = {
+  OAUTH_DISCONNECTED: 'oauth.disconnected',
+  PLAN_CHANGED: 'plan.changed',
+  SUBSCRIPTION_CANCELLED: 'subscription.cancelled',
+  COMPETITORS_UPDATED: 'competitors.updated',
+  CACHE_CLEARED: 'cache.cleared',
+  ANALYSIS_REFRESHED: 'analysis.refreshed',
+  REPORT_SCHEDULE_UPDATED: 'report_schedule.updated',
+  ALERT_RULE_UPDATED: 'alert_rule.updated',
+  WEBHOOK_UPDATED: 'webhook.updated',
+  ANNOTATION_UPDATED: 'annotation.updated',
+  KEYWORDS_UPDATED: 'keywords.updated',
+  CRAWLS_UPDATED: 'crawls.updated',
+  ACCOUNT_EXPORTED: 'account.exported',
+  ACCOUNT_ERASED: 'account.erased'
+};
+
+const MAX_PAGE_SIZE = 200;
+
+// req.ip honours the app's 'trust proxy' setting, so only our own proxy's X-Forwarded-For entry counts
+function getClientIp(req) {
+  return req.ip || req.socket?.remoteAddress || null;
+}
+
+class AuditLogService {
+  /**
+   * Record an action performed through an API request
+   * @param {object} req - Express request (actor, IP and business scope are taken from it)
+   * @param {object} entry - { action, resourceType, resourceId, before, after, metadata, scope }
+   */
+  async recordRequest(req, { action, resourceType = null, resourceId = null, before = null, after = null, metadata = {}, scope = null }) {
+    const { email, businessId, workspaceId } = toBusinessScope(scope || req.businessScope || req.user?.email);
+
+    return this.record({
+      action,
+      accountEmail: email,
+      actorEmail: req.user?.email || null,
+      actorType: req.apiKey ? 'api_key' : 'user',
+      apiKeyId: req.apiKey?.id || null,
+      workspaceId,
+      businessId,
+      resourceType,
+      resourceId,
+      before,
+      after,
+      metadata,
+      ipAddress: getClientIp(req),
+      userAgent: req.headers?.['user-agent'] || null
+    });
+  }
+
+  /**
+   * Record an action
+   * @param {object} entry - Audit entry fields
+   * @returns {Promise<object|null>} Inserted row, or null if the write failed
+   */
+  async record({
+    action,
+    accountEmail,
+    actorEmail = null,
+    actorType = 'system',
+    apiKeyId = null,
+    workspaceId = null,
+    businessId = null,
+    resourceType = null,
+    resourceId = null,
+    before = null,
+    after = null,
+    metadata = {},
+    ipAddress = null,
+    userAgent = null
+  }) {
+    try {
+      const { data, error } = await supabase
+        .from('audit_log')
+        .insert({
+          action,
+          account_email: accountEmail,
+          actor_email: actorEmail,
+          actor_type: actorType,
+          api_key_id: apiKeyId,
+          workspace_id: workspaceId,
+          business_id: businessId,
+          resource_type: resourceType,
+          resource_id: resourceId != null ? String(resourceId) : null,
+          before_value: before,
+          after_value: after,
+          metadata,
+          ip_address: ipAddress,
+          user_agent: userAgent
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      console.log(`📝 Audit: ${action} (${actorType}${actorEmail ? ` ${actorEmail}` : ''})`);
+      return data;
+    } catch (error) {
+      console.error(`❌ Failed to write audit entry for ${action}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Query audit entries for an account
+   * @param {string} accountEmail - Account whose log is read
+   * @param {object} filters - { action, actorEmail, businessId, resourceType, from, to, page, pageSize }
+   * @returns {Object} { entries, pagination }
+   */
+  async getEntries(accountEmail, { action, actorEmail, businessId, resourceType, from, to, page = 1, pageSize = 50 } = {}) {
+    page = Math.max(parseInt(page) || 1, 1);
+    pageSize = Math.min(Math.max(parseInt(pageSize) || 50, 1), MAX_PAGE_SIZE);
+
+    let query = supabase
+      .from('audit_log')
+      .select('*', { count: 'exact' })
+      .eq('account_email', accountEmail);
+
+    if (action) {
+      // "plan.*" matches every plan action
+      query = action.endsWith('.*')
+        ? query.like('action', `${action.slice(0, -1)}%`)
+        : query.eq('action', action);
+    }
+    if (actorEmail) query = query.eq('actor_email', actorEmail.toLowerCase().trim());
+    if (businessId) query = query.eq('business_id', businessId);
+    if (resourceType) query = query.eq('resource_type', resourceType);
+    if (from) query = query.gte('occurred_at', new Date(from).toISOString());
+    if (to) query = query.lte('occurred_at', new Date(to).toISOString());
+
+    const offset = (page - 1) * pageSize;
+    const { data, error, count } = await query
+      .order('occurred_at', { ascending: false })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) throw error;
+
+    return {
+      entries: data || [],
+      pagination: {
+        page,
+        pageSize,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / pageSize)
+      }
+    };
+  }
+}
+
+export default new AuditLogService();
@@ -0,0 +1,293 @@
+/**
+ * Cannibalization Service
+ * Finds queries for which several pages of the same property compete in Google
+ *
+ * Reads query×page rows from Search Console (through searchConsoleQueryService, so results
+ * share its cache). A query is cannibalized when at least two pages each earn a real share
+ * of its impressions. Such queries are ranked by:
+ * - estimated lost clicks: what the combined impressions would earn at the best page's
+ *   position (typical CTR curve) minus the clicks actually received
+ * - volatility: how often the top page for the query changes from day to day, and how much
+ *   its daily position moves
+ *
+ * The recommended primary page is the one earning the most clicks (then the best position).
+ */
+
+import searchConsoleQueryService from './searchConsoleQueryService.js';
+import { describeScope } from './workspaceService.js';
+
+const DEFAULT_DAYS = 28;
+const PAIR_ROW_LIMIT = 25000;
+const DAILY_ROW_LIMIT = 50000;
+const MIN_PAGE_IMPRESSIONS = 10;
+const MIN_PAGE_SHARE = 0.1;               // a page below 10% of the query's impressions isn't competing
+const VOLATILITY_QUERIES = 50;            // daily breakdown is fetched for the top candidates only
+const MAX_REGEX_LENGTH = 3500;            // under the API's 4096-character filter limit
+
+// Typical organic CTR by position (1-10); deeper positions use the last value
+const EXPECTED_CTR = [0.28, 0.15, 0.1, 0.07, 0.05, 0.04, 0.03, 0.025, 0.02, 0.018];
+const DEEP_CTR = 0.01;
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+export function expectedCtr(position) {
+  const rank = Math.max(Math.round(position), 1);
+  return rank <= EXPECTED_CTR.length ? EXPECTED_CTR[rank - 1] : DEEP_CTR;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Group query×page rows into cannibalized queries
+ * @param {Array} rows - [{ query, page, clicks, impressions, ctr, position }]
+ * @param {object} options - { minPageImpressions, minPageShare }
+ * @returns {Array} [{ query, clicks, impressions, bestPosition, estimatedLostClicks, primaryPage, pages }]
+ */
+export function findCannibalizedQueries(rows, { minPageImpressions = MIN_PAGE_IMPRESSIONS, minPageShare = MIN_PAGE_SHARE } = {}) {
+  const byQuery = new Map();
+  for (const row of rows || []) {
+    if (!row.query || !row.page) continue;
+    if (!byQuery.has(row.query)) byQuery.set(row.query, []);
+    byQuery.get(row.query).push(row);
+  }
+
+  const results = [];
+  for (const [query, pages] of byQuery) {
+    if (pages.length < 2) continue;
+
+    const impressions = pages.reduce((sum, page) => sum + page.impressions, 0);
+    const competing = pages.filter(page =>
+      page.impressions >= minPageImpressions && page.impressions / impressions >= minPageShare
+    );
+    if (competing.length < 2) continue;
+
+    const ranked = [...competing].sort((a, b) =>
+      b.clicks - a.clicks || a.position - b.position || b.impressions - a.impressions
+    );
+    const clicks = pages.reduce((sum, page) => sum + page.clicks, 0);
+    const bestPosition = Math.min(...competing.map(page => page.position));
+    const estimatedLostClicks = Math.max(Math.round(impressions * expectedCtr(bestPosition) - clicks), 0);
+
+    results.push({
+      query,
+      clicks,
+      impressions,
+      bestPosition: round(bestPosition, 1),
+      estimatedLostClicks,
+      primaryPage: ranked[0].page,
+      pages: ranked.map(page => ({
+        page: page.page,
+        clicks: page.clicks,
+        impressions: page.impressions,
+        impressionShare: round((page.impressions / impressions) * 100, 1),
+        ctr: page.ctr,
+        position: page.position
+      }))
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Day-to-day instability of a query's ranking page
+ * @param {Array} rows - query×page×date rows of one query
+ * @returns {object} { days, primarySwitches, switchRate, positionStdDev }
+ */
+export function measureVolatility(rows) {
+  const byDate = new Map();
+  for (const row of rows) {
+    const best = byDate.get(row.date);
+    // The page Google preferred that day: best position, then most impressions
+    if (!best || row.position < best.position || (row.position === best.position && row.impressions > best.impressions)) {
+      byDate.set(row.date, row);
+    }
+  }
+
+  const days = [...byDate.keys()].sort().map(date => byDate.get(date));
+  let primarySwitches = 0;
+  for (let i = 1; i < days.length; i++) {
+    if (days[i].page !== days[i - 1].page) primarySwitches++;
+  }
+
+  const positions = days.map(day => day.position);
+  const mean = positions.reduce((sum, value) => sum + value, 0) / (positions.length || 1);
+  const variance = positions.length > 1
+    ? positions.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (positions.length - 1)
+    : 0;
+
+  return {
+    days: days.length,
+    primarySwitches,
+    switchRate: days.length > 1 ? round(primarySwitches / (days.length - 1), 2) : 0,
+    positionStdDev: round(Math.sqrt(variance), 2)
+  };
+}
+
+/**
+ * 0-100 priority from lost clicks (log scale, 1000+ = full marks) and volatility
+ */
+export function scoreCannibalization(estimatedLostClicks, volatility) {
+  const lostScore = Math.min(Math.log10(estimatedLostClicks + 1) / 3, 1) * 70;
+  const volatilityScore = volatility
+    ? Math.min(volatility.switchRate, 1) * 20 + Math.min(volatility.positionStdDev / 5, 1) * 10
+    : 0;
+  return Math.round(lostScore + volatilityScore);
+}
+
+class CannibalizationService {
+  /**
+   * Analyze a Search Console property
+   * @param {object} scope - Business scope
+   * @param {object} oauth2Client - From oauthTokenService.getOAuthClient
+   * @param {object} options - { siteUrl, days, limit, minImpressions, forceRefresh }
+   * @returns {Promise<object>} { siteUrl, period, summary, queries: [...] }
+   */
+  async analyze(scope, oauth2Client, { siteUrl, days = DEFAULT_DAYS, limit = 25, minImpressions = MIN_PAGE_IMPRESSIONS, forceRefresh = false } = {}) {
+    const pairQuery = searchConsoleQueryService.normalizeQuery({
+      siteUrl,
+      days,
+      dimensions: ['query', 'page'],
+      // Page-level numbers: property-level aggregation would merge the competing URLs
+      aggregationType: 'byPage',
+      rowLimit: PAIR_ROW_LIMIT
+    });
+    const pairs = await searchConsoleQueryService.runQuery(scope, oauth2Client, pairQuery, { forceRefresh });
+
+    const candidates = findCannibalizedQueries(pairs.rows, {
+      minPageImpressions: Math.max(parseInt(minImpressions) || MIN_PAGE_IMPRESSIONS, 1)
+    }).sort((a, b) => b.estimatedLostClicks - a.estimatedLostClicks || b.impressions - a.impressions);
+
+    const volatility = await this.getVolatility(
+      scope,
+      oauth2Client,
+      pairQuery,
+      candidates.slice(0, VOLATILITY_QUERIES).map(candidate => candidate.query),
+      forceRefresh
+    );
+
+    const queries = candidates
+      .map(candidate => {
+        const measured = volatility.get(candidate.query) || null;
+        const priority = scoreCannibalization(candidate.estimatedLostClicks, measured);
+        return {
+          ...candidate,
+          volatility: measured,
+          priority,
+          severity: priority >= 60 ? 'high' : priority >= 35 ? 'medium' : 'low',
+          recommendation: this.recommend(candidate)
+        };
+      })
+      .sort((a, b) => b.priority - a.priority || b.estimatedLostClicks - a.estimatedLostClicks)
+      .slice(0, Math.min(Math.max(parseInt(limit) || 25, 1), 200));
+
+    console.log(`🔀 ${candidates.length} cannibalized quer${candidates.length === 1 ? 'y' : 'ies'} on ${pairQuery.siteUrl} for ${describeScope(scope)}`);
+
+    return {
+      siteUrl: pairQuery.siteUrl,
+      period: { startDate: pairQuery.startDate, endDate: pairQuery.endDate },
+      summary: {
+        queriesAnalyzed: new Set(pairs.rows.map(row => row.query)).size,
+        cannibalizedQueries: candidates.length,
+        estimatedLostClicks: candidates.reduce((sum, candidate) => sum + candidate.estimatedLostClicks, 0),
+        truncated: pairs.hasMore
+      },
+      queries
+    };
+  }
+
+  /**
+   * Volatility per query from query×page×date rows, fetched with exact-match regex filters
+   * in batches that fit the API's filter length
+   * @returns {Promise<Map<string, object>>}
+   */
+  async getVolatility(scope, oauth2Client, pairQuery, queries, forceRefresh) {
+    const volatility = new Map();
+    const batches = [];
+    let batch = [];
+    let length = 0;
+    for (const query of queries) {
+      const pattern = escapeRegex(query);
+      if (batch.length > 0 && length + pattern.length + 1 > MAX_REGEX_LENGTH) {
+        batches.push(batch);
+        batch = [];
+        length = 0;
+      }
+      batch.push(pattern);
+      length += pattern.length + 1;
+    }
+    if (batch.length > 0) batches.push(batch);
+
+    for (const patterns of batches) {
+      try {
+        const dailyQuery = searchConsoleQueryService.normalizeQuery({
+          siteUrl: pairQuery.siteUrl,
+          startDate: pairQuery.startDate,
+          endDate: pairQuery.endDate,
+          dimensions: ['query', 'page', 'date'],
+          filters: [{ dimension: 'query', operator: 'includingRegex', expression: `^(${patterns.join('|')})$` }],
+          aggregationType: 'byPage',
+          rowLimit: DAILY_ROW_LIMIT
+        });
+        const daily = await searchConsoleQueryService.runQuery(scope, oauth2Client, dailyQuery, { forceRefresh });
+
+        const byQuery = new Map();
+        for (const row of daily.rows) {
+          if (!byQuery.has(row.query)) byQuery.set(row.query, []);
+          byQuery.get(row.query).push(row);
+        }
+        for (const [query, rows] of byQuery) {
+          volatility.set(query, measureVolatility(rows));
+        }
+      } catch (error) {
+        // Ranking by lost clicks alone still works without the daily breakdown
+        console.warn(`⚠️ Could not measure ranking volatility for ${describeScope(scope)}: ${error.message}`);
+      }
+    }
+
+    return volatility;
+  }
+
+  /**
+   * What to do with the pages competing with the primary one
+   */
+  recommend(candidate) {
+    const [primary, ...others] = candidate.pages;
+    const actions = others.map(page => {
+      const clickShare = candidate.clicks > 0 ? page.clicks / candidate.clicks : 0;
+
+      if (clickShare >= 0.3) {
+        return {
+          page: page.page,
+          action: 'differentiate',
+          reason: 'Earns a large share of the clicks - retarget it to a distinct intent and link to the primary page for this query'
+        };
+      }
+      if (page.position - primary.position >= 10 || page.clicks === 0) {
+        return {
+          page: page.page,
+          action: 'redirect',
+          reason: 'Ranks far behind the primary page - merge its useful content into the primary page and 301 redirect it'
+        };
+      }
+      return {
+        page: page.page,
+        action: 'canonicalize',
+        reason: 'Close duplicate of the primary page - add rel="canonical" pointing to the primary page and move internal links to it'
+      };
+    });
+
+    return {
+      primaryPage: primary.page,
+      summary: `Make ${primary.page} the page for "${candidate.query}" and consolidate ${others.length} competing page${others.length === 1 ? '' : 's'}`,
+      actions
+    };
+  }
+}
+
+export default new CannibalizationService();
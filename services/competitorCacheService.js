@@ -1,5 +1,7 @@
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { toBusinessScope, applyBusinessScope } from './workspaceService.js';
+import alertService from './alertService.js';
 
 // Load environment variables
 dotenv.config();
@@ -19,13 +21,15 @@ const CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days
 
 const competitorCacheService = {
   /**
-   * Get user ID from email
+   * Get user ID from email (or business scope)
    */
-  async getUserIdByEmail(email) {
+  async getUserIdByEmail(scopeOrEmail) {
     if (!supabase) {
       throw new Error('Supabase client not initialized');
     }
 
+    const { email } = toBusinessScope(scopeOrEmail);
+
     // Lookup user by email
 
     const { data, error } = await supabase
@@ -64,7 +68,7 @@ const competitorCacheService = {
    * Get cached competitor analysis data
    * Now includes Instagram and Facebook handle matching for more accurate cache hits
    */
-  async getCompetitorCache(email, userDomain, competitorDomain, userSocialHandles = {}, competitorSocialHandles = {}, forceRefresh = false) {
+  async getCompetitorCache(scopeOrEmail, userDomain, competitorDomain, userSocialHandles = {}, competitorSocialHandles = {}, forceRefresh = false) {
     if (!supabase) {
       console.warn('⚠️ [CompetitorCache] Supabase not configured, skipping cache check');
       return null;
@@ -77,7 +81,7 @@ const competitorCacheService = {
 
     try {
       // Get user ID
-      const userId = await this.getUserIdByEmail(email);
+      const userId = await this.getUserIdByEmail(scopeOrEmail);
       if (!userId) {
         console.warn('⚠️ [CompetitorCache] User not found, cannot retrieve cache');
         return null;
@@ -104,12 +108,15 @@ const competitorCacheService = {
       console.log(`   Competitor Social: IG=${competitorInstagram || 'none'}, FB=${competitorFacebook || 'none'}`);
 
       // Query cache with domain match first
-      let query = supabase
-        .from('competitor_cache')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('user_domain', cleanUserDomain)
-        .eq('competitor_domain', cleanCompetitorDomain);
+      let query = applyBusinessScope(
+        supabase
+          .from('competitor_cache')
+          .select('*')
+          .eq('user_id', userId)
+          .eq('user_domain', cleanUserDomain)
+          .eq('competitor_domain', cleanCompetitorDomain),
+        scopeOrEmail
+      );
 
       // Add social handle matching
       if (userInstagram) {
@@ -136,7 +143,10 @@ const competitorCacheService = {
         query = query.is('competitor_facebook', null);
       }
 
-      const { data, error } = await query.maybeSingle();
+      const { data, error } = await query
+        .order('updated_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
 
       if (error) {
         console.error('❌ [CompetitorCache] Error fetching cache:', error);
@@ -215,7 +225,7 @@ const competitorCacheService = {
    * Save competitor analysis data to cache
    * Now includes Instagram and Facebook handles for accurate cache key matching
    */
-  async saveCompetitorCache(email, userDomain, competitorDomain, competitorData, userSocialHandles = {}, competitorSocialHandles = {}, cacheDurationDays = 7) {
+  async saveCompetitorCache(scopeOrEmail, userDomain, competitorDomain, competitorData, userSocialHandles = {}, competitorSocialHandles = {}, cacheDurationDays = 7) {
     if (!supabase) {
       console.warn('⚠️ [CompetitorCache] Supabase not configured, skipping cache save');
       return false;
@@ -223,7 +233,7 @@ const competitorCacheService = {
 
     try {
       // Get user ID
-      const userId = await this.getUserIdByEmail(email);
+      const userId = await this.getUserIdByEmail(scopeOrEmail);
       if (!userId) {
         console.warn('⚠️ [CompetitorCache] User not found, cannot save cache');
         return false;
@@ -270,6 +280,7 @@ const competitorCacheService = {
         .upsert(
           {
             user_id: userId,
+            business_id: toBusinessScope(scopeOrEmail).businessId,
             user_domain: cleanUserDomain,
             competitor_domain: cleanCompetitorDomain,
             // Add social handle identifiers for cache key matching
@@ -298,7 +309,7 @@ const competitorCacheService = {
             expires_at: expiresAt.toISOString()
           },
           {
-            onConflict: 'user_id,user_domain,competitor_domain,user_instagram,user_facebook,competitor_instagram,competitor_facebook',
+            onConflict: 'user_id,business_id,user_domain,competitor_domain,user_instagram,user_facebook,competitor_instagram,competitor_facebook',
             ignoreDuplicates: false
           });
 
@@ -308,6 +319,7 @@ const competitorCacheService = {
       }
 
       console.log(`✅ [CompetitorCache] Cache saved (expires in ${cacheDurationDays} days)`);
+      alertService.requestEvaluation(scopeOrEmail);
       return true;
 
     } catch (error) {
@@ -355,25 +367,28 @@ const competitorCacheService = {
   /**
    * Delete specific cache entry
    */
-  async deleteCache(email, userDomain, competitorDomain) {
+  async deleteCache(scopeOrEmail, userDomain, competitorDomain) {
     if (!supabase) {
       console.warn('⚠️ [CompetitorCache] Supabase not configured');
       return false;
     }
 
     try {
-      const userId = await this.getUserIdByEmail(email);
+      const userId = await this.getUserIdByEmail(scopeOrEmail);
       if (!userId) return false;
 
       const cleanUserDomain = this.cleanDomain(userDomain);
       const cleanCompetitorDomain = this.cleanDomain(competitorDomain);
 
-      const { error } = await supabase
-        .from('competitor_cache')
-        .delete()
-        .eq('user_id', userId)
-        .eq('user_domain', cleanUserDomain)
-        .eq('competitor_domain', cleanCompetitorDomain);
+      const { error } = await applyBusinessScope(
+        supabase
+          .from('competitor_cache')
+          .delete()
+          .eq('user_id', userId)
+          .eq('user_domain', cleanUserDomain)
+          .eq('competitor_domain', cleanCompetitorDomain),
+        scopeOrEmail
+      );
 
       if (error) {
         console.error('❌ [CompetitorCache] Error deleting cache:', error);
@@ -2,6 +2,7 @@ import competitorAnalysisService from './competitorAnalysisService.js';
 import competitorPageSpeedService from './competitorPageSpeedService.js';
 import competitorLighthouseService from './competitorLighthouseService.js';
 import technicalSEOService from './technicalSEOService.js';
+import structuredDataService from './structuredDataService.js';
 import similarWebTrafficService from './similarWebTrafficService.js';
 import trafficService from './trafficService.js';
 import userAnalyticsService from './userAnalyticsService.js';
@@ -570,6 +571,9 @@ const competitorService = {
   compareSEO(yourData, competitorData) {
     const yourSEO = yourData.puppeteer?.seo || {};
     const compSEO = competitorData.puppeteer?.seo || {};
+    // Validated schema.org entities (null for analyses cached before validation existed)
+    const yourSchema = structuredDataService.summarize(yourData.technicalSEO?.structuredData);
+    const compSchema = structuredDataService.summarize(competitorData.technicalSEO?.structuredData);
 
     const comparison = {
       metaTags: {
@@ -605,12 +609,23 @@ const competitorService = {
       structuredData: {
         your: yourSEO.schemaMarkup?.length || 0,
         competitor: compSEO.schemaMarkup?.length || 0
+      },
+      schemaValidation: {
+        your: yourSchema,
+        competitor: compSchema,
+        // Rich result types the competitor qualifies for and you don't
+        missingTypes: yourSchema && compSchema
+          ? compSchema.eligibleTypes.filter(type => !yourSchema.eligibleTypes.includes(type))
+          : [],
+        advantageTypes: yourSchema && compSchema
+          ? yourSchema.eligibleTypes.filter(type => !compSchema.eligibleTypes.includes(type))
+          : []
       }
     };
 
     // Calculate SEO score
-    const yourScore = this.calculateSEOScore(comparison.metaTags.your, comparison.headings.your, comparison.socialMedia.your, comparison.structuredData.your);
-    const compScore = this.calculateSEOScore(comparison.metaTags.competitor, comparison.headings.competitor, comparison.socialMedia.competitor, comparison.structuredData.competitor);
+    const yourScore = this.calculateSEOScore(comparison.metaTags.your, comparison.headings.your, comparison.socialMedia.your, comparison.structuredData.your, yourSchema);
+    const compScore = this.calculateSEOScore(comparison.metaTags.competitor, comparison.headings.competitor, comparison.socialMedia.competitor, comparison.structuredData.competitor, compSchema);
 
     comparison.scores = { your: yourScore, competitor: compScore };
     comparison.winner = yourScore > compScore ? 'yours' : 'competitor';
@@ -621,7 +636,7 @@ const competitorService = {
   /**
    * Calculate SEO score
    */
-  calculateSEOScore(meta, headings, social, structuredData) {
+  calculateSEOScore(meta, headings, social, structuredData, schema = null) {
     let score = 0;
 
     // Meta tags (40 points)
@@ -640,8 +655,12 @@ const competitorService = {
     if (social.hasOpenGraph) score += 10;
     if (social.hasTwitterCard) score += 10;
 
-    // Structured data (20 points)
-    if (structuredData > 0) score += 20;
+    // Structured data (20 points) - scaled by validation when available, else presence
+    if (schema) {
+      score += Math.round((schema.score / 100) * 20);
+    } else if (structuredData > 0) {
+      score += 20;
+    }
 
     return score;
   },
@@ -2,6 +2,7 @@ import PDFDocument from 'pdfkit';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { drawTimelineChart, drawAnnotationLegend } from './reportCharts.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -45,6 +46,7 @@ class ComprehensiveReportService {
         // Generate comprehensive report
         this.addCoverPage(doc, data);
         this.addExecutiveSummary(doc, data);
+        this.addHealthTrend(doc, data);
         this.addSEOSection(doc, data.seo);
         this.addCompetitorSection(doc, data.competitor);
         this.addSocialMediaSection(doc, data.socialMedia);
@@ -75,6 +77,7 @@ class ComprehensiveReportService {
 
         this.addSEOCoverPage(doc, data);
         this.addSEOExecutiveSummary(doc, data);
+        this.addHealthTrend(doc, data);
         this.addLighthouseAnalysis(doc, data.lighthouse);
         this.addCoreWebVitals(doc, data.lighthouse);
         this.addTechnicalSEO(doc, data.technicalSEO);
@@ -89,6 +92,62 @@ class ComprehensiveReportService {
     });
   }
 
+  /**
+   * Generate a PDF for a saved report (a row from the reports table)
+   * Used for scheduled email delivery.
+   * @param {object} options - { annotations } events in the report period, drawn on a timeline
+   */
+  async generateSavedReport(report, { annotations = [] } = {}) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: 'A4',
+          margins: { top: 50, bottom: 50, left: 50, right: 50 },
+          bufferPages: true
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+
+        const data = report.report_data || {};
+
+        this.addSavedReportCoverPage(doc, report);
+        this.addSectionTitle(doc, 'Summary');
+        this.addInfoBox(doc, 'Key Metrics', this.formatMetricsSummary(report.metrics_summary));
+
+        const competitor = report.report_type === 'competitor' ? data : data.competitor;
+        const social = report.report_type === 'social' ? data : data.social;
+
+        if (competitor?.summary) {
+          this.addSavedCompetitorSection(doc, competitor);
+        }
+        if (social?.platforms) {
+          this.addSavedSocialSection(doc, social);
+        }
+        if (report.report_type === 'overall' && data.summary) {
+          this.addSectionTitle(doc, 'Sections');
+          this.addInfoBox(doc, 'Report Coverage', [
+            `Sections generated: ${data.summary.reportsGenerated || 0}`,
+            `Sections unavailable: ${data.summary.reportsFailed || 0}`
+          ]);
+        }
+        if (annotations.length > 0) {
+          this.addTimeline(doc, 'Timeline', {
+            annotations,
+            from: report.report_period_start,
+            to: report.report_period_end
+          });
+        }
+
+        this.addFooter(doc);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
   // Cover Pages
   addCoverPage(doc, data) {
     // Add Claryx logo at the top center
@@ -172,6 +231,82 @@ class ComprehensiveReportService {
     doc.addPage();
   }
 
+  addSavedReportCoverPage(doc, report) {
+    try {
+      if (fs.existsSync(LOGO_PATH)) {
+        doc.image(LOGO_PATH, 240, 40, { width: 80, height: 80 });
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not load logo:', error.message);
+    }
+
+    doc.fontSize(30)
+      .fillColor(this.colors.primary)
+      .text((report.report_title || 'Report').toUpperCase(), 50, 150, { align: 'center' });
+
+    doc.fontSize(14)
+      .fillColor(this.colors.secondary)
+      .text(`${this.formatDate(report.report_period_start)} – ${this.formatDate(report.report_period_end)}`, 50, 280, { align: 'center' });
+
+    doc.fontSize(12)
+      .fillColor(this.colors.secondary)
+      .text(`Generated: ${this.formatDate(report.created_at || new Date())}`, 50, 500, { align: 'center' });
+
+    doc.rect(50, 600, 495, 2)
+      .fillColor(this.colors.accent)
+      .fill();
+
+    doc.addPage();
+  }
+
+  addSavedCompetitorSection(doc, competitor) {
+    this.addSectionTitle(doc, 'Competitor Intelligence');
+
+    this.addInfoBox(doc, 'Activity This Period', [
+      `Analyses run: ${competitor.summary.totalAnalyses || 0}`,
+      `Competitors analyzed: ${competitor.summary.uniqueCompetitors || 0}`
+    ]);
+
+    const domains = [...new Set((competitor.analyses || []).map(a => a.competitor_domain).filter(Boolean))];
+    if (domains.length > 0) {
+      this.addInfoBox(doc, 'Competitors', domains.slice(0, 15));
+    }
+  }
+
+  addSavedSocialSection(doc, social) {
+    this.addSectionTitle(doc, 'Social Media');
+
+    for (const [platform, metrics] of Object.entries(social.platforms)) {
+      if (doc.y > 650) doc.addPage();
+
+      this.addInfoBox(doc, platform.charAt(0).toUpperCase() + platform.slice(1), [
+        `Data refreshes: ${metrics.totalFetches || 0} (${metrics.successfulFetches || 0} successful)`,
+        `Records fetched: ${this.formatNumber(metrics.totalRecords || 0)}`
+      ]);
+    }
+  }
+
+  formatMetricsSummary(summary) {
+    const entries = Object.entries(summary || {});
+    if (entries.length === 0) {
+      return ['No metrics recorded for this period'];
+    }
+
+    return entries.map(([key, value]) => {
+      const label = key.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+      return `${label}: ${typeof value === 'number' ? this.formatNumber(value) : value ?? 'N/A'}`;
+    });
+  }
+
+  formatDate(value) {
+    return new Date(value).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'UTC'
+    });
+  }
+
   // Executive Summaries
   addExecutiveSummary(doc, data) {
     this.addSectionTitle(doc, 'Executive Summary');
@@ -269,6 +404,54 @@ class ComprehensiveReportService {
   }
 
   // Section Methods
+  /**
+   * Overall health score over time (data.healthHistory from healthScoreHistoryService.getHistory)
+   * with the business's annotations (data.annotations) as markers
+   */
+  addHealthTrend(doc, data) {
+    const points = (data.healthHistory?.points || [])
+      .filter(point => point.overall_score !== null && point.overall_score !== undefined)
+      .map(point => ({ date: point.date, value: point.overall_score }));
+
+    if (points.length < 2 && !(data.annotations?.length > 0)) return;
+
+    this.addTimeline(doc, 'Health Score Trend', {
+      series: points,
+      annotations: data.annotations || [],
+      from: data.healthHistory?.from,
+      to: data.healthHistory?.to
+    });
+    doc.addPage();
+  }
+
+  /**
+   * Chart with annotation markers and a numbered legend underneath
+   * @param {object} options - { series, annotations, from, to }
+   */
+  addTimeline(doc, title, { series = [], annotations = [], from = null, to = null }) {
+    this.addSectionTitle(doc, title);
+    if (doc.y > 560) {
+      doc.addPage();
+    }
+
+    const drawn = drawTimelineChart(doc, {
+      series,
+      annotations,
+      from,
+      to,
+      y: doc.y + 20,
+      colors: { line: this.colors.accent, marker: this.colors.purple, text: this.colors.secondary }
+    });
+
+    if (drawn.length > 0) {
+      drawAnnotationLegend(doc, drawn, { color: this.colors.secondary });
+    } else {
+      doc.fontSize(9)
+        .fillColor(this.colors.secondary)
+        .text('No annotations in this period.', 50, doc.y + 3);
+    }
+  }
+
   addSEOSection(doc, seoData) {
     if (!seoData) return;
 
@@ -0,0 +1,92 @@
+/**
+ * Email Service
+ * Outgoing email over SMTP (nodemailer)
+ *
+ * Configured with SMTP_HOST/SMTP_PORT/SMTP_SECURE/SMTP_USER/SMTP_PASS. Outside
+ * production an unset SMTP_HOST falls back to a local catcher such as MailHog
+ * (localhost:1025, no auth), so scheduled reports can be inspected at
+ * http://localhost:8025 without sending real mail.
+ */
+
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+function getSmtpConfig() {
+  const host = process.env.SMTP_HOST || (IS_PRODUCTION ? null : 'localhost');
+  if (!host) return null;
+
+  const port = parseInt(process.env.SMTP_PORT) || (process.env.SMTP_HOST ? 587 : 1025);
+  const config = {
+    host,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465
+  };
+
+  if (process.env.SMTP_USER) {
+    config.auth = {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    };
+  }
+
+  return config;
+}
+
+class EmailService {
+  constructor() {
+    this.transporter = null;
+    this.from = process.env.SMTP_FROM || 'Claryx Reports <reports@localhost>';
+  }
+
+  isConfigured() {
+    return !!getSmtpConfig();
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      const config = getSmtpConfig();
+      if (!config) {
+        throw new Error('SMTP is not configured (set SMTP_HOST)');
+      }
+      this.transporter = nodemailer.createTransport(config);
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Send an email
+   * @param {object} message - { to, subject, text, html, attachments }
+   *   `to` may be a single address or an array; attachments use nodemailer's
+   *   { filename, content, contentType } format
+   * @returns {Promise<object>} { messageId, accepted, rejected }
+   */
+  async sendMail({ to, subject, text, html = null, attachments = [] }) {
+    const recipients = Array.isArray(to) ? to : [to];
+    if (recipients.length === 0) {
+      throw new Error('At least one recipient is required');
+    }
+
+    const info = await this.getTransporter().sendMail({
+      from: this.from,
+      to: recipients.join(', '),
+      subject,
+      text,
+      html: html || undefined,
+      attachments
+    });
+
+    console.log(`📧 Email sent to ${recipients.length} recipient(s): ${subject}`);
+
+    return {
+      messageId: info.messageId,
+      accepted: info.accepted || [],
+      rejected: info.rejected || []
+    };
+  }
+}
+
+export default new EmailService();
@@ -14,27 +14,28 @@ import seoCacheService from './seoCacheService.js';
 import socialMediaCacheService from './socialMediaCacheService.js';
 import competitorCacheService from './competitorCacheService.js';
 import socialConnectionService from './socialConnectionService.js';
+import { describeScope } from './workspaceService.js';
 
 class EnhancedCompetitorIntelligenceService {
   /**
    * Main entry point: Analyze competitor using GA domain and cached user data
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {string} competitorDomain - Competitor domain (from GA or manual input)
    * @param {Object} options - Additional options
    * @returns {Object} Complete competitor analysis
    */
-  async analyzeCompetitor(userEmail, competitorDomain, options = {}) {
+  async analyzeCompetitor(scopeOrEmail, competitorDomain, options = {}) {
     const { forceRefresh = false } = options;
     const failedMetrics = [];
 
     try {
       console.log(`\n🎯 Starting Enhanced Competitor Intelligence Analysis`);
-      console.log(`   User: ${userEmail}`);
+      console.log(`   User: ${describeScope(scopeOrEmail)}`);
       console.log(`   Competitor: ${competitorDomain}`);
       console.log(`   Force Refresh: ${forceRefresh}\n`);
 
       // Step 1: Get user's business info (domain + social handles)
-      const userBusinessInfo = await userBusinessInfoService.getUserBusinessInfo(userEmail);
+      const userBusinessInfo = await userBusinessInfoService.getUserBusinessInfo(scopeOrEmail);
 
       if (!userBusinessInfo || !userBusinessInfo.business_domain) {
         console.warn('⚠️ User business info not found');
@@ -51,7 +52,7 @@ class EnhancedCompetitorIntelligenceService {
       // Step 1.5: Get OAuth-connected social accounts (priority over business info)
       let userSocialHandles = {};
       try {
-        userSocialHandles = await socialConnectionService.getSocialHandlesWithPriority(userEmail);
+        userSocialHandles = await socialConnectionService.getSocialHandlesWithPriority(scopeOrEmail);
         console.log(`✅ User social handles loaded (OAuth priority)`);
       } catch (err) {
         console.warn(`⚠️ Failed to get social handles: ${err.message}`);
@@ -75,7 +76,7 @@ class EnhancedCompetitorIntelligenceService {
       if (!forceRefresh) {
         try {
           const cachedData = await competitorCacheService.getCompetitorCache(
-            userEmail,
+            scopeOrEmail,
             userDomain,
             competitorDomain,
             {
@@ -97,7 +98,7 @@ class EnhancedCompetitorIntelligenceService {
 
             if (!supplementedYourSite.facebook && userSocialHandles.facebook) {
               try {
-                const fbData = await socialMediaCacheService.getCachedMetrics(userEmail, 'facebook', 'month', true);
+                const fbData = await socialMediaCacheService.getCachedMetrics(scopeOrEmail, 'facebook', 'month', true);
                 if (fbData) {
                   supplementedYourSite.facebook = {
                     ...fbData,
@@ -114,7 +115,7 @@ class EnhancedCompetitorIntelligenceService {
 
             if (!supplementedYourSite.instagram && userSocialHandles.instagram) {
               try {
-                const igData = await socialMediaCacheService.getCachedMetrics(userEmail, 'instagram', 'month', true);
+                const igData = await socialMediaCacheService.getCachedMetrics(scopeOrEmail, 'instagram', 'month', true);
                 if (igData) {
                   supplementedYourSite.instagram = {
                     ...igData,
@@ -131,7 +132,7 @@ class EnhancedCompetitorIntelligenceService {
 
             if (!supplementedYourSite.linkedin && userSocialHandles.linkedin) {
               try {
-                const liData = await socialMediaCacheService.getCachedMetrics(userEmail, 'linkedin', 'month', true);
+                const liData = await socialMediaCacheService.getCachedMetrics(scopeOrEmail, 'linkedin', 'month', true);
                 if (liData) {
                   supplementedYourSite.linkedin = {
                     ...liData,
@@ -164,7 +165,7 @@ class EnhancedCompetitorIntelligenceService {
       console.log(`\n📊 Fetching USER data from cache...`);
       let userData = {};
       try {
-        userData = await this.getUserDataFromCache(userEmail, userDomain, userBusinessInfo, userSocialHandles);
+        userData = await this.getUserDataFromCache(scopeOrEmail, userDomain, userBusinessInfo, userSocialHandles);
       } catch (err) {
         console.warn(`⚠️ Failed to fetch user data: ${err.message}`);
         failedMetrics.push({ metric: 'userData', error: err.message });
@@ -182,7 +183,7 @@ class EnhancedCompetitorIntelligenceService {
         competitorData = await this.getCompetitorData(
           competitorDomain,
           competitorInfo,
-          userEmail
+          scopeOrEmail
         );
       } catch (err) {
         console.warn(`⚠️ Failed to fetch competitor data: ${err.message}`);
@@ -223,7 +224,7 @@ class EnhancedCompetitorIntelligenceService {
       if (userData.domain && competitorData.domain) {
         try {
           await competitorCacheService.saveCompetitorCache(
-            userEmail,
+            scopeOrEmail,
             userDomain,
             competitorDomain,
             result,
@@ -262,7 +263,7 @@ class EnhancedCompetitorIntelligenceService {
    * Get user's data from cached sources
    * Uses: Search Console cache, GA cache, Social Media cache
    */
-  async getUserDataFromCache(userEmail, userDomain, businessInfo, socialHandles) {
+  async getUserDataFromCache(scopeOrEmail, userDomain, businessInfo, socialHandles) {
     const userData = {
       domain: userDomain,
       businessName: businessInfo.business_name,
@@ -283,7 +284,7 @@ class EnhancedCompetitorIntelligenceService {
     // 1. Get SEO data from Search Console cache
     try {
       console.log(`   📈 Fetching SEO data from cache...`);
-      const seoData = await seoCacheService.getSearchConsoleCache(userEmail, true);
+      const seoData = await seoCacheService.getSearchConsoleCache(scopeOrEmail, true);
       if (seoData && seoData.dataAvailable) {
         userData.seo = {
           totalClicks: seoData.totalClicks,
@@ -305,7 +306,7 @@ class EnhancedCompetitorIntelligenceService {
     // 2. Get Website Performance data from cache
     try {
       console.log(`   🚀 Fetching website performance from cache...`);
-      const lighthouseData = await seoCacheService.getLighthouseCache(userEmail, userDomain, true);
+      const lighthouseData = await seoCacheService.getLighthouseCache(scopeOrEmail, userDomain, true);
       if (lighthouseData) {
         userData.lighthouse = lighthouseData;
         userData.pagespeed = {
@@ -324,7 +325,7 @@ class EnhancedCompetitorIntelligenceService {
     // 3. Get Backlinks data from cache
     try {
       console.log(`   🔗 Fetching backlinks from cache...`);
-      const backlinksData = await seoCacheService.getSERankingCache(userEmail, userDomain, true);
+      const backlinksData = await seoCacheService.getSERankingCache(scopeOrEmail, userDomain, true);
       if (backlinksData) {
         userData.backlinks = backlinksData;
         console.log(`   ✅ Backlinks data loaded (${backlinksData.totalBacklinks || 0} backlinks)`);
@@ -336,7 +337,7 @@ class EnhancedCompetitorIntelligenceService {
     // 4. Get Google Analytics data from cache
     try {
       console.log(`   📊 Fetching GA data from cache...`);
-      const gaData = await seoCacheService.getGoogleAnalyticsCache(userEmail);
+      const gaData = await seoCacheService.getGoogleAnalyticsCache(scopeOrEmail);
       if (gaData && gaData.dataAvailable) {
         userData.analytics = {
           activeUsers: gaData.activeUsers,
@@ -360,7 +361,7 @@ class EnhancedCompetitorIntelligenceService {
 
       // Facebook (OAuth priority)
       if (socialHandles.facebook) {
-        const fbData = await socialMediaCacheService.getCachedMetrics(userEmail, 'facebook', 'month', true);
+        const fbData = await socialMediaCacheService.getCachedMetrics(scopeOrEmail, 'facebook', 'month', true);
         if (fbData) {
           userData.facebook = {
             ...fbData,
@@ -374,7 +375,7 @@ class EnhancedCompetitorIntelligenceService {
 
       // Instagram (OAuth priority)
       if (socialHandles.instagram) {
-        const igData = await socialMediaCacheService.getCachedMetrics(userEmail, 'instagram', 'month', true);
+        const igData = await socialMediaCacheService.getCachedMetrics(scopeOrEmail, 'instagram', 'month', true);
         if (igData) {
           userData.instagram = {
             ...igData,
@@ -388,7 +389,7 @@ class EnhancedCompetitorIntelligenceService {
 
       // LinkedIn (OAuth priority)
       if (socialHandles.linkedin) {
-        const liData = await socialMediaCacheService.getCachedMetrics(userEmail, 'linkedin', 'month', true);
+        const liData = await socialMediaCacheService.getCachedMetrics(scopeOrEmail, 'linkedin', 'month', true);
         if (liData) {
           userData.linkedin = {
             ...liData,
@@ -410,7 +411,7 @@ class EnhancedCompetitorIntelligenceService {
    * Get competitor's data (live fetch)
    * Fetches: SEO, Website Performance, Social Media, Ads
    */
-  async getCompetitorData(competitorDomain, competitorInfo, userEmail) {
+  async getCompetitorData(competitorDomain, competitorInfo, scopeOrEmail) {
     const competitorData = {
       domain: competitorDomain,
       name: competitorInfo?.name || competitorDomain
@@ -709,11 +710,11 @@ class EnhancedCompetitorIntelligenceService {
    * Get competitor domain from Google Analytics
    * (Helper method - can be called separately)
    */
-  async getCompetitorDomainFromGA(userEmail) {
+  async getCompetitorDomainFromGA(scopeOrEmail) {
     try {
       // This would integrate with your GA service
       // For now, return from business info competitors
-      const businessInfo = await userBusinessInfoService.getUserBusinessInfo(userEmail);
+      const businessInfo = await userBusinessInfoService.getUserBusinessInfo(scopeOrEmail);
       const competitors = businessInfo?.competitors || [];
 
       if (competitors.length === 0) {
@@ -1,7 +1,7 @@
 import axios from 'axios';
 import https from 'https';
 import oauthTokenService from './oauthTokenService.js';
-import followerGrowthForecastService from './followerGrowthForecastService.js';
+import followerHistoryService from './followerHistoryService.js';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 
@@ -496,21 +496,26 @@ class FacebookMetricsServiceV2 {
       // Get insights (impressions + follower growth)
       const insights = await this.getInsights(pageId, pageAccessToken, 30);
 
-      // Build follower time series
-      let followerGrowth = this.buildFollowerTimeSeries(insights.followerGrowth, followersCount);
-      console.log(`[Facebook] Follower growth time series: ${followerGrowth.length} data points`);
-
-      // No fallback - just log if no data
-      if (followerGrowth.length === 0) {
-        console.log('[Facebook] No follower growth data available from insights API');
-      }
-
       // Unified Formula: ((Total Engagement / Post Count) / Total Followers) * 100
       const avgEngagementPerPost = postsCount > 0 ? totalEngagement / postsCount : 0;
       const engagementRate = followersCount > 0
         ? parseFloat(((avgEngagementPerPost / followersCount) * 100).toFixed(2))
         : 0;
 
+      // Follower history from daily snapshots (insights gains only until snapshots exist)
+      const { followerGrowth, followerForecast, followerGrowthSource } = await followerHistoryService.getFollowerGrowth(userEmail, {
+        platform: 'facebook',
+        accountId: pageId,
+        accountName: pageName,
+        currentFollowers: followersCount,
+        engagementMetrics: { likes: totalLikes, comments: totalComments, shares: totalShares, engagementRate },
+        postsCount,
+        platformSeries: insights.followerGrowth.length > 0
+          ? this.buildFollowerTimeSeries(insights.followerGrowth, followersCount)
+          : []
+      });
+      console.log(`[Facebook] Follower history: ${followerGrowth.length} days (${followerGrowthSource}), forecast: ${followerForecast.length} days`);
+
       // Average per post
       const avgLikes = postsCount > 0 ? totalLikes / postsCount : 0;
       const avgComments = postsCount > 0 ? totalComments / postsCount : 0;
@@ -531,13 +536,13 @@ class FacebookMetricsServiceV2 {
         pageUsername: username,
         currentFollowers: followersCount,
         followerGrowth: followerGrowth,
+        followerForecast: followerForecast,
+        followerGrowthSource: followerGrowthSource,
         followerGrowthDeprecated: followerGrowth.length === 0,
-        followerGrowthForecasted: followerGrowth.length > 0 && followerGrowth[0].forecasted !== undefined,
-        followerGrowthNote: followerGrowth.length === 0
-          ? 'Facebook insights have a 2-day delay. We can only show current follower count.'
-          : followerGrowth.length > 0 && followerGrowth[0].forecasted !== undefined
-            ? 'Follower growth is forecasted based on current engagement metrics.'
-            : null,
+        followerGrowthForecasted: false,
+        followerGrowthNote: followerGrowth.length < 2
+          ? 'Follower history is recorded daily from today - the chart fills in as days are recorded.'
+          : null,
         topPosts: topPosts.map(post => ({
           format: post.format || 'Post',
           message: post.message.length > 100 ? post.message.substring(0, 100) + '...' : post.message,
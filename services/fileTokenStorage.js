@@ -2,6 +2,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
+import tokenVault from './tokenVault.js';
 
 const DATA_DIR = path.join(process.cwd(), 'data');
 const TOKENS_FILE = path.join(DATA_DIR, 'oauth_tokens.json');
@@ -35,19 +36,9 @@ async function writeTokensFile(tokens) {
     await fs.writeFile(TOKENS_FILE, JSON.stringify(tokens, null, 2));
 }
 
-// Bug #8 Fix: Use createCipheriv instead of deprecated createCipher
-function encryptToken(token) {
-    const algorithm = 'aes-256-cbc';
-    const key = crypto.scryptSync(process.env.GOOGLE_CLIENT_SECRET || 'default-key', 'salt', 32);
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
-    let encrypted = cipher.update(token, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return `${iv.toString('hex')}:${encrypted}`;
-}
-
-// Bug #8 Fix: Use createDecipheriv instead of deprecated createDecipher
-function decryptToken(encryptedToken) {
+// Entries written before the token vault used AES-CBC with a key derived from
+// GOOGLE_CLIENT_SECRET. Read-only: reencryptAll() moves them into the vault.
+function decryptLegacyToken(encryptedToken) {
     try {
         const algorithm = 'aes-256-cbc';
         const key = crypto.scryptSync(process.env.GOOGLE_CLIENT_SECRET || 'default-key', 'salt', 32);
@@ -62,11 +53,22 @@ function decryptToken(encryptedToken) {
         decrypted += decipher.final('utf8');
         return decrypted;
     } catch (error) {
-        console.warn('Token decryption failed, returning as-is:', error.message);
+        console.warn('Legacy token decryption failed, returning as-is:', error.message);
         return encryptedToken;
     }
 }
 
+// Decrypt a stored token entry, vault-sealed or legacy
+function openStoredTokens(tokens) {
+    if (tokenVault.isSealed(tokens)) {
+        return tokenVault.openTokens(tokens);
+    }
+    return {
+        access_token: tokens.access_token ? decryptLegacyToken(tokens.access_token) : null,
+        refresh_token: tokens.refresh_token ? decryptLegacyToken(tokens.refresh_token) : null
+    };
+}
+
 export const fileTokenStorage = {
     /**
      * Get user ID from email (create if doesn't exist)
@@ -106,8 +108,10 @@ export const fileTokenStorage = {
 
             // Encrypt sensitive token data
             const encryptedTokens = {
-                access_token: encryptToken(tokens.access_token),
-                refresh_token: tokens.refresh_token ? encryptToken(tokens.refresh_token) : null,
+                ...tokenVault.sealTokens({
+                    access_token: tokens.access_token,
+                    refresh_token: tokens.refresh_token || null
+                }),
                 token_type: tokens.token_type || 'Bearer',
                 scope: tokens.scope || '',
                 expires_at: new Date(tokens.expiry_date).toISOString(),
@@ -144,10 +148,10 @@ export const fileTokenStorage = {
             const tokens = allTokens[userId].tokens;
 
             // Decrypt tokens
+            const { encrypted_data_key, key_version, ...metadata } = tokens;
             const decryptedTokens = {
-                ...tokens,
-                access_token: decryptToken(tokens.access_token),
-                refresh_token: tokens.refresh_token ? decryptToken(tokens.refresh_token) : null
+                ...metadata,
+                ...openStoredTokens(tokens)
             };
 
             // Check if tokens are expired
@@ -177,18 +181,17 @@ export const fileTokenStorage = {
                 throw new Error(`No tokens found for user ${userId}`);
             }
 
-            // Update with new encrypted tokens
+            // Both tokens share one data key, so the pair is re-sealed together
+            const current = openStoredTokens(allTokens[userId].tokens);
             const updateData = {
-                access_token: encryptToken(newTokens.access_token),
+                ...tokenVault.sealTokens({
+                    access_token: newTokens.access_token,
+                    refresh_token: newTokens.refresh_token || current.refresh_token
+                }),
                 expires_at: newTokens.expires_at,
                 updated_at: new Date().toISOString()
             };
 
-            // Update refresh token if provided
-            if (newTokens.refresh_token) {
-                updateData.refresh_token = encryptToken(newTokens.refresh_token);
-            }
-
             allTokens[userId].tokens = {
                 ...allTokens[userId].tokens,
                 ...updateData
@@ -222,5 +225,97 @@ export const fileTokenStorage = {
             console.error('❌ Error deleting Google tokens from file:', error);
             throw error;
         }
+    },
+
+    /**
+     * Get every file entry for an email (token values are not included)
+     */
+    async getUserEntries(email) {
+        const allTokens = await readTokensFile();
+
+        return Object.entries(allTokens)
+            .filter(([, userData]) => userData.email === email)
+            .map(([userId, userData]) => ({
+                user_id: userId,
+                email: userData.email,
+                created_at: userData.created_at,
+                has_tokens: !!userData.tokens,
+                token_scope: userData.tokens?.scope || null,
+                token_expires_at: userData.tokens?.expires_at || null
+            }));
+    },
+
+    /**
+     * Get decrypted tokens for every file entry of an email (used to revoke grants)
+     */
+    async getTokensByEmail(email) {
+        const allTokens = await readTokensFile();
+        const results = [];
+
+        for (const [userId, userData] of Object.entries(allTokens)) {
+            if (userData.email === email && userData.tokens) {
+                results.push(await this.getGoogleTokens(userId));
+            }
+        }
+
+        return results;
+    },
+
+    /**
+     * Re-encrypt every entry under the current vault key version
+     * (legacy AES-CBC entries are moved into the vault)
+     */
+    async reencryptAll() {
+        const allTokens = await readTokensFile();
+        const result = { rotated: 0, failed: 0 };
+
+        for (const [userId, userData] of Object.entries(allTokens)) {
+            if (!userData.tokens || !tokenVault.needsRotation(userData.tokens)) continue;
+
+            try {
+                const record = tokenVault.isSealed(userData.tokens)
+                    ? userData.tokens
+                    : { ...userData.tokens, ...openStoredTokens(userData.tokens) };
+
+                userData.tokens = { ...userData.tokens, ...tokenVault.rotateRecord(record) };
+                result.rotated++;
+            } catch (error) {
+                console.error(`❌ Could not re-encrypt file tokens for user ${userId}:`, error.message);
+                result.failed++;
+            }
+        }
+
+        if (result.rotated > 0) {
+            await writeTokensFile(allTokens);
+        }
+
+        return result;
+    },
+
+    /**
+     * Remove every file entry for an email
+     */
+    async deleteUserByEmail(email) {
+        try {
+            const allTokens = await readTokensFile();
+            let removed = 0;
+
+            for (const [userId, userData] of Object.entries(allTokens)) {
+                if (userData.email === email) {
+                    delete allTokens[userId];
+                    removed++;
+                }
+            }
+
+            if (removed > 0) {
+                await writeTokensFile(allTokens);
+            }
+
+            console.log(`✅ Removed ${removed} file token entr${removed === 1 ? 'y' : 'ies'}`);
+            return removed;
+        } catch (error) {
+            console.error('❌ Error deleting user from token file:', error);
+            throw error;
+        }
     }
 };
@@ -1,19 +1,23 @@
 /**
  * Follower Growth Forecast Service
- * Generates realistic follower growth forecasts based on engagement metrics
- * Used when official API doesn't provide historical growth data (e.g., Facebook)
+ * Projects follower growth forward from the current count
+ *
+ * History is never generated here - it comes from the daily snapshots recorded by
+ * followerHistoryService and is passed in. When at least a week of history exists the
+ * observed growth rate drives the forecast, otherwise an engagement-based estimate.
  */
 
 class FollowerGrowthForecastService {
   /**
-   * Generate a 30-day follower growth forecast
+   * Generate a follower growth forecast that continues from recorded history
    * @param {number} currentFollowers - Current follower count
    * @param {Object} engagementMetrics - Engagement data (likes, comments, shares, reach)
    * @param {number} postsCount - Number of posts in recent period
    * @param {number} days - Number of days to forecast (default: 30)
-   * @returns {Array} Forecasted follower growth data
+   * @param {Array} history - Recorded daily follower counts [{ date, followers }] (never invented here)
+   * @returns {Array} Recorded history (forecasted: false) followed by the forecast (forecasted: true)
    */
-  generateForecast(currentFollowers, engagementMetrics = {}, postsCount = 0, days = 30) {
+  generateForecast(currentFollowers, engagementMetrics = {}, postsCount = 0, days = 30, history = []) {
     console.log(`\n📈 [Forecast Service] Generating ${days}-day follower growth forecast`);
     console.log(`   👥 Current Followers: ${currentFollowers}`);
     console.log(`   📊 Engagement Metrics:`, engagementMetrics);
@@ -24,28 +28,48 @@ class FollowerGrowthForecastService {
       return [];
     }
 
-    // Calculate growth rate based on engagement
-    const growthRate = this.calculateGrowthRate(currentFollowers, engagementMetrics, postsCount);
-    console.log(`   📈 Calculated Growth Rate: ${(growthRate * 100).toFixed(2)}% per day`);
+    // Prefer the growth actually observed; fall back to the engagement model
+    const observedRate = this.calculateObservedGrowthRate(history);
+    const growthRate = observedRate ?? this.calculateGrowthRate(currentFollowers, engagementMetrics, postsCount);
+    console.log(`   📈 ${observedRate !== null ? 'Observed' : 'Estimated'} Growth Rate: ${(growthRate * 100).toFixed(2)}% per day`);
 
-    // Generate historical data (last 30 days) - working backwards
-    const historicalData = this.generateHistoricalData(currentFollowers, growthRate, 30);
-    
-    // Generate future forecast (next 30 days)
-    const forecastData = this.generateFutureData(currentFollowers, growthRate, days);
+    const historicalData = history.map(point => ({ ...point, forecasted: false }));
+    const lastRecordedDate = historicalData[historicalData.length - 1]?.date;
+
+    // Today is already covered when a snapshot was recorded today
+    const forecastData = this.generateFutureData(currentFollowers, growthRate, days)
+      .filter(point => point.date !== lastRecordedDate);
 
-    // Combine historical + current + forecast
     const combinedData = [
       ...historicalData,
       ...forecastData
     ];
 
-    console.log(`   ✅ Generated ${combinedData.length} days of data (${historicalData.length} historical + ${forecastData.length} forecast)`);
-    console.log(`   📊 Range: ${combinedData[0].followers} → ${combinedData[combinedData.length - 1].followers} followers`);
+    console.log(`   ✅ Generated ${combinedData.length} days of data (${historicalData.length} recorded + ${forecastData.length} forecast)`);
 
     return combinedData;
   }
 
+  /**
+   * Average daily growth rate between the first and last recorded day
+   * @param {Array} history - [{ date, followers }] oldest first
+   * @returns {number|null} Daily rate, or null with less than a week of history
+   */
+  calculateObservedGrowthRate(history = []) {
+    if (history.length < 2) return null;
+
+    const first = history[0];
+    const last = history[history.length - 1];
+    const spanDays = (new Date(last.date) - new Date(first.date)) / (24 * 60 * 60 * 1000);
+
+    if (spanDays < 7 || !first.followers || first.followers <= 0) return null;
+
+    const rate = Math.pow(last.followers / first.followers, 1 / spanDays) - 1;
+
+    // Same ±1% per day cap as the engagement model
+    return Math.max(-0.01, Math.min(0.01, rate));
+  }
+
   /**
    * Calculate daily growth rate based on engagement metrics
    * @param {number} currentFollowers - Current follower count
@@ -103,76 +127,36 @@ class FollowerGrowthForecastService {
     return Math.max(minRate, Math.min(maxRate, baseRate));
   }
 
-  /**
-   * Generate historical data (working backwards from current)
-   * @param {number} currentFollowers - Current follower count
-   * @param {number} growthRate - Daily growth rate
-   * @param {number} days - Number of historical days
-   * @returns {Array} Historical follower data
-   */
-  generateHistoricalData(currentFollowers, growthRate, days) {
-    const data = [];
-    const today = new Date();
-    
-    // Work backwards from current followers
-    let followers = currentFollowers;
-    
-    for (let i = days; i > 0; i--) {
-      const date = new Date(today);
-      date.setDate(date.getDate() - i);
-      
-      // Add some realistic variance (±20% of growth rate)
-      const variance = (Math.random() - 0.5) * 0.4;
-      const dailyGrowth = Math.round(followers * growthRate * (1 + variance));
-      
-      // Calculate followers for this historical day
-      const dayFollowers = Math.round(followers - (dailyGrowth * i / days));
-      
-      data.push({
-        date: date.toISOString().split('T')[0],
-        followers: Math.max(0, dayFollowers),
-        gained: Math.max(0, dailyGrowth),
-        lost: 0, // We don't have this data
-        net: Math.max(0, dailyGrowth),
-        forecasted: false // Historical data
-      });
-    }
-
-    return data;
-  }
-
   /**
    * Generate future forecast data
    * @param {number} currentFollowers - Current follower count
-   * @param {number} growthRate - Daily growth rate
+   * @param {number} growthRate - Daily growth rate (negative for a shrinking audience)
    * @param {number} days - Number of days to forecast
-   * @returns {Array} Forecasted follower data
+   * @returns {Array} Today followed by `days` forecasted days
    */
   generateFutureData(currentFollowers, growthRate, days) {
     const data = [];
     const today = new Date();
-    
+
     let followers = currentFollowers;
-    
+
     for (let i = 0; i <= days; i++) {
       const date = new Date(today);
       date.setDate(date.getDate() + i);
-      
-      // Add realistic variance (±20% of growth rate)
-      const variance = (Math.random() - 0.5) * 0.4;
-      const dailyGrowth = Math.round(followers * growthRate * (1 + variance));
-      
+
+      const dailyGrowth = Math.round(followers * growthRate);
+
       data.push({
         date: date.toISOString().split('T')[0],
         followers: Math.round(followers),
         gained: Math.max(0, dailyGrowth),
-        lost: 0,
-        net: Math.max(0, dailyGrowth),
+        lost: Math.max(0, -dailyGrowth),
+        net: dailyGrowth,
         forecasted: i > 0 // Mark future data as forecasted
       });
-      
+
       // Update followers for next day
-      followers += dailyGrowth;
+      followers = Math.max(0, followers + dailyGrowth);
     }
 
     return data;
@@ -184,23 +168,28 @@ class FollowerGrowthForecastService {
    * @param {Object} engagementMetrics - Engagement data
    * @param {number} postsCount - Number of posts
    * @param {number} days - Number of days to forecast
+   * @param {Array} history - Recorded daily follower counts
    * @returns {Object} Forecast with confidence intervals
    */
-  generateForecastWithConfidence(currentFollowers, engagementMetrics, postsCount, days = 30) {
-    const baseGrowthRate = this.calculateGrowthRate(currentFollowers, engagementMetrics, postsCount);
-    
+  generateForecastWithConfidence(currentFollowers, engagementMetrics, postsCount, days = 30, history = []) {
+    const baseGrowthRate = this.calculateObservedGrowthRate(history)
+      ?? this.calculateGrowthRate(currentFollowers, engagementMetrics, postsCount);
+
     // Generate three scenarios: pessimistic, realistic, optimistic
-    const pessimisticRate = baseGrowthRate * 0.7;  // 30% lower
-    const optimisticRate = baseGrowthRate * 1.3;   // 30% higher
-    
-    const pessimistic = this.generateForecast(currentFollowers, engagementMetrics, postsCount, days);
-    const realistic = this.generateForecast(currentFollowers, engagementMetrics, postsCount, days);
-    const optimistic = this.generateForecast(currentFollowers, engagementMetrics, postsCount, days);
-    
+    const pessimisticRate = baseGrowthRate - Math.abs(baseGrowthRate) * 0.3;  // 30% lower
+    const optimisticRate = baseGrowthRate + Math.abs(baseGrowthRate) * 0.3;   // 30% higher
+
+    const recorded = history.map(point => ({ ...point, forecasted: false }));
+    const withHistory = rate => [
+      ...recorded,
+      ...this.generateFutureData(currentFollowers, rate, days)
+        .filter(point => point.date !== recorded[recorded.length - 1]?.date)
+    ];
+
     return {
-      realistic,
-      pessimistic,
-      optimistic,
+      realistic: withHistory(baseGrowthRate),
+      pessimistic: withHistory(pessimisticRate),
+      optimistic: withHistory(optimisticRate),
       growthRate: baseGrowthRate,
       projectedGrowth: {
         pessimistic: Math.round(currentFollowers * pessimisticRate * days),
@@ -0,0 +1,183 @@
+/**
+ * Follower History Service
+ * Daily follower-count snapshots for connected social accounts and tracked competitors
+ *
+ * One row per account per day (the latest count of the day wins). Snapshots are written
+ * by the daily job in followerSnapshotService.js and whenever the V2 metrics services
+ * fetch a live count; the V2 services read their follower history back from here.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { toBusinessScope } from './workspaceService.js';
+import followerGrowthForecastService from './followerGrowthForecastService.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export const ACCOUNT_TYPES = {
+  OWN: 'own',
+  COMPETITOR: 'competitor'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Competitor handles are stored lower-case without @ or URL so the same account matches
+ */
+export function normalizeHandle(handle) {
+  return String(handle || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\/(www\.)?(facebook|instagram|linkedin)\.com\/(company\/)?/, '')
+    .replace(/^@/, '')
+    .replace(/[/?#].*$/, '');
+}
+
+class FollowerHistoryService {
+  /**
+   * Record today's follower count for an account
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @param {object} snapshot - { platform, accountType, accountId, accountName, followers, source }
+   * @returns {Promise<object|null>} Stored row, or null if skipped/failed
+   */
+  async recordSnapshot(scopeOrEmail, { platform, accountType = ACCOUNT_TYPES.OWN, accountId, accountName = null, followers, source = 'api' }) {
+    // Several fetchers report 0 when the API call fails, so a zero is never recorded
+    if (!accountId || !Number.isFinite(Number(followers)) || Number(followers) <= 0) {
+      return null;
+    }
+
+    const { email, businessId } = toBusinessScope(scopeOrEmail);
+
+    try {
+      const { data, error } = await supabase
+        .from('follower_snapshots')
+        .upsert({
+          user_email: email,
+          business_id: businessId,
+          platform,
+          account_type: accountType,
+          account_id: String(accountId),
+          account_name: accountName,
+          followers: Math.round(Number(followers)),
+          source,
+          snapshot_date: today(),
+          captured_at: new Date().toISOString()
+        }, {
+          onConflict: 'user_email,business_id,platform,account_type,account_id,snapshot_date'
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error(`❌ Failed to record ${platform} follower snapshot:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Recorded daily follower counts, oldest first, with day-over-day changes
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @param {object} options - { platform, accountType, accountId, days }
+   * @returns {Promise<Array>} [{ date, followers, gained, lost, net }]
+   */
+  async getHistory(scopeOrEmail, { platform, accountType = ACCOUNT_TYPES.OWN, accountId, days = 30 }) {
+    const { email, businessId } = toBusinessScope(scopeOrEmail);
+    const since = new Date(Date.now() - days * DAY).toISOString().split('T')[0];
+
+    let query = supabase
+      .from('follower_snapshots')
+      .select('snapshot_date, followers')
+      .eq('user_email', email)
+      .eq('platform', platform)
+      .eq('account_type', accountType)
+      .eq('account_id', String(accountId));
+
+    query = businessId ? query.eq('business_id', businessId) : query.is('business_id', null);
+
+    const { data, error } = await query
+      .gte('snapshot_date', since)
+      .order('snapshot_date', { ascending: true });
+
+    if (error) throw error;
+
+    return (data || []).map((row, index, rows) => {
+      const net = index > 0 ? row.followers - rows[index - 1].followers : 0;
+      return {
+        date: row.snapshot_date,
+        followers: row.followers,
+        gained: Math.max(0, net),
+        lost: Math.max(0, -net),
+        net
+      };
+    });
+  }
+
+  /**
+   * Today's count for a competitor handle if any account already recorded it
+   * (competitor counts are public, so one scrape per handle per day is enough)
+   */
+  async getCompetitorCountForToday(platform, handle) {
+    const { data, error } = await supabase
+      .from('follower_snapshots')
+      .select('followers, account_name')
+      .eq('platform', platform)
+      .eq('account_type', ACCOUNT_TYPES.COMPETITOR)
+      .eq('account_id', normalizeHandle(handle))
+      .eq('snapshot_date', today())
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  /**
+   * Follower growth for a V2 metrics response: record today's count, then return
+   * the recorded history plus a forward-only forecast
+   * Until two days have been recorded, the platform's own insights series (if any)
+   * is used as history instead.
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @param {object} account - { platform, accountId, accountName, currentFollowers, engagementMetrics, postsCount, platformSeries }
+   * @returns {Promise<object>} { followerGrowth, followerForecast, followerGrowthSource, followerHistoryDays }
+   */
+  async getFollowerGrowth(scopeOrEmail, { platform, accountId, accountName = null, currentFollowers, engagementMetrics = {}, postsCount = 0, platformSeries = [] }) {
+    await this.recordSnapshot(scopeOrEmail, {
+      platform,
+      accountId,
+      accountName,
+      followers: currentFollowers,
+      source: 'metrics_fetch'
+    });
+
+    let history = [];
+    try {
+      history = await this.getHistory(scopeOrEmail, { platform, accountId, days: 30 });
+    } catch (error) {
+      console.error(`❌ Failed to load ${platform} follower history:`, error.message);
+    }
+
+    const useSnapshots = history.length >= 2 || !platformSeries?.length;
+    const recorded = useSnapshots ? history : platformSeries;
+
+    const combined = followerGrowthForecastService.generateForecast(currentFollowers, engagementMetrics, postsCount, 30, recorded);
+
+    return {
+      followerGrowth: combined.length ? combined.filter(point => !point.forecasted) : recorded,
+      followerForecast: combined.filter(point => point.forecasted),
+      followerGrowthSource: useSnapshots ? 'snapshots' : 'platform-insights',
+      followerHistoryDays: history.length
+    };
+  }
+}
+
+export default new FollowerHistoryService();
@@ -0,0 +1,260 @@
+/**
+ * Follower Snapshot Service
+ * Daily job that records real follower counts into follower_snapshots
+ *
+ * Once a day (UTC) every account/business with a Facebook, Instagram or LinkedIn
+ * connection gets a 'followers.snapshot' job on the job queue. The job records the
+ * connected page, Instagram account and every administered LinkedIn organization, plus
+ * the Facebook/Instagram handles of the business's tracked competitors.
+ *
+ * Competitor LinkedIn pages are not recorded: the LinkedIn scraper only estimates
+ * follower counts, and estimates don't belong in a history of real values.
+ */
+
+import dotenv from 'dotenv';
+import jobQueueService from './jobQueueService.js';
+import oauthTokenService from './oauthTokenService.js';
+import followerHistoryService, { ACCOUNT_TYPES, normalizeHandle } from './followerHistoryService.js';
+import facebookMetricsServiceV2 from './facebookMetricsServiceV2.js';
+import instagramMetricsServiceV2 from './instagramMetricsServiceV2.js';
+import linkedinMetricsServiceV2 from './linkedinMetricsServiceV2.js';
+import userBusinessInfoService from './userBusinessInfoService.js';
+
+dotenv.config();
+
+const HOUR = 60 * 60 * 1000;
+const JOB_TYPE = 'followers.snapshot';
+const SOCIAL_PROVIDERS = ['facebook', 'instagram', 'linkedin'];
+
+// Competitor counts come from paid scrapers; allow turning them off
+const RECORD_COMPETITORS = process.env.FOLLOWER_SNAPSHOT_COMPETITORS !== 'false';
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+class FollowerSnapshotService {
+  constructor() {
+    this.timer = null;
+    this.lastRun = null;
+
+    jobQueueService.registerHandler(JOB_TYPE, (payload, context) => this.snapshotBusiness(context), {
+      maxAttempts: 3,
+      timeoutMs: 15 * 60 * 1000
+    });
+  }
+
+  /**
+   * Check hourly for businesses that haven't been snapshotted today
+   */
+  start() {
+    if (this.timer) return;
+
+    console.log('📸 Follower snapshot scheduler started (daily, checked hourly)');
+    this.timer = setInterval(() => this.enqueueDue(), HOUR);
+    this.timer.unref();
+    setTimeout(() => this.enqueueDue(), 60 * 1000).unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue today's snapshot job for every connected business that doesn't have one yet
+   * @returns {Promise<number>} Jobs queued
+   */
+  async enqueueDue() {
+    let queued = 0;
+
+    try {
+      const connections = await oauthTokenService.getConnectionsForProviders(SOCIAL_PROVIDERS);
+      const scopes = new Map();
+      for (const row of connections) {
+        scopes.set(`${row.user_email}:${row.business_id || 'account'}`, {
+          email: row.user_email,
+          businessId: row.business_id || null
+        });
+      }
+
+      for (const [key, scope] of scopes) {
+        const dedupeKey = `${JOB_TYPE}:${key}:${today()}`;
+        if (await jobQueueService.findLatestByDedupeKey(dedupeKey)) continue;
+
+        await jobQueueService.enqueue(JOB_TYPE, { date: today() }, { scope, dedupeKey });
+        queued++;
+      }
+
+      if (queued > 0) {
+        console.log(`📸 Queued ${queued} follower snapshot job(s) for ${today()}`);
+      }
+    } catch (error) {
+      console.error('❌ Follower snapshot scheduling failed:', error.message);
+    } finally {
+      this.lastRun = new Date().toISOString();
+    }
+
+    return queued;
+  }
+
+  /**
+   * Job handler: record follower counts for one business
+   * @returns {Promise<object>} { recorded: [...], failed: [...] }
+   */
+  async snapshotBusiness({ scope, progress }) {
+    const summary = { recorded: [], failed: [] };
+
+    const steps = [
+      ['facebook', () => this.snapshotFacebook(scope)],
+      ['instagram', () => this.snapshotInstagram(scope)],
+      ['linkedin', () => this.snapshotLinkedIn(scope)]
+    ];
+    if (RECORD_COMPETITORS) {
+      steps.push(['competitors', () => this.snapshotCompetitors(scope)]);
+    }
+
+    for (const [index, [name, run]] of steps.entries()) {
+      await progress((index / steps.length) * 100, `Recording ${name} followers`);
+      try {
+        summary.recorded.push(...await run());
+      } catch (error) {
+        console.warn(`⚠️ ${name} follower snapshot failed: ${error.message}`);
+        summary.failed.push({ source: name, error: error.message });
+      }
+    }
+
+    // Nothing recorded at all and something broke - let the queue retry later
+    if (summary.recorded.length === 0 && summary.failed.length > 0) {
+      throw new Error(`No follower counts recorded: ${summary.failed.map(f => `${f.source}: ${f.error}`).join('; ')}`);
+    }
+
+    return summary;
+  }
+
+  async snapshotFacebook(scope) {
+    const tokens = await oauthTokenService.getTokens(scope, 'facebook');
+    if (!tokens?.access_token) return [];
+
+    const { pageId, pageName, pageAccessToken } = await facebookMetricsServiceV2.getPageAccessToken(tokens.access_token);
+    const { followersCount } = await facebookMetricsServiceV2.getFollowersCount(pageId, pageAccessToken);
+
+    const row = await followerHistoryService.recordSnapshot(scope, {
+      platform: 'facebook',
+      accountId: pageId,
+      accountName: pageName,
+      followers: followersCount,
+      source: 'daily_job'
+    });
+    return row ? [{ platform: 'facebook', account: pageName, followers: row.followers }] : [];
+  }
+
+  async snapshotInstagram(scope) {
+    const tokens = await oauthTokenService.getTokens(scope, 'instagram');
+    if (!tokens?.access_token) return [];
+
+    const account = await instagramMetricsServiceV2.getInstagramAccount(tokens.access_token);
+
+    const row = await followerHistoryService.recordSnapshot(scope, {
+      platform: 'instagram',
+      accountId: account.id,
+      accountName: account.username,
+      followers: account.followers,
+      source: 'daily_job'
+    });
+    return row ? [{ platform: 'instagram', account: account.username, followers: row.followers }] : [];
+  }
+
+  async snapshotLinkedIn(scope) {
+    const tokens = await oauthTokenService.getTokens(scope, 'linkedin');
+    if (!tokens?.access_token) return [];
+
+    const organizations = await linkedinMetricsServiceV2.getUserOrganizations(tokens.access_token);
+    const recorded = [];
+
+    for (const org of organizations || []) {
+      const followers = await linkedinMetricsServiceV2.getFollowerCount(tokens.access_token, org.urn);
+
+      const row = await followerHistoryService.recordSnapshot(scope, {
+        platform: 'linkedin',
+        accountId: org.urn,
+        accountName: org.name,
+        followers,
+        source: 'daily_job'
+      });
+      if (row) recorded.push({ platform: 'linkedin', account: org.name, followers: row.followers });
+
+      // LinkedIn rate limits per second
+      await new Promise(resolve => setTimeout(resolve, 300));
+    }
+
+    return recorded;
+  }
+
+  async snapshotCompetitors(scope) {
+    const competitors = await userBusinessInfoService.getCompetitors(scope);
+    const recorded = [];
+
+    for (const competitor of competitors) {
+      const handles = [
+        ['facebook', competitor.facebook],
+        ['instagram', competitor.instagram]
+      ].filter(([, handle]) => handle);
+
+      for (const [platform, handle] of handles) {
+        const count = await this.getCompetitorFollowers(platform, handle);
+        if (!count) continue;
+
+        const row = await followerHistoryService.recordSnapshot(scope, {
+          platform,
+          accountType: ACCOUNT_TYPES.COMPETITOR,
+          accountId: normalizeHandle(handle),
+          accountName: count.name || competitor.name || competitor.domain || handle,
+          followers: count.followers,
+          source: 'daily_job'
+        });
+        if (row) recorded.push({ platform, competitor: row.account_name, followers: row.followers });
+      }
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Public follower count for a competitor handle, scraped at most once a day
+   * @returns {Promise<{followers: number, name: string|null}|null>}
+   */
+  async getCompetitorFollowers(platform, handle) {
+    const existing = await followerHistoryService.getCompetitorCountForToday(platform, handle);
+    if (existing) {
+      return { followers: existing.followers, name: existing.account_name };
+    }
+
+    try {
+      if (platform === 'facebook') {
+        const facebookScraperService = (await import('./facebookScraperService.js')).default;
+        const metrics = await facebookScraperService.getFacebookMetrics(handle);
+        return metrics ? { followers: metrics.followers, name: metrics.pageName || null } : null;
+      }
+
+      const instagramScraperService = (await import('./instagramScraperService.js')).default;
+      const metrics = await instagramScraperService.getInstagramMetrics(handle);
+      return metrics ? { followers: metrics.followers, name: metrics.username || null } : null;
+    } catch (error) {
+      console.warn(`⚠️ Could not fetch ${platform} followers for competitor ${handle}: ${error.message}`);
+      return null;
+    }
+  }
+
+  getStatus() {
+    return {
+      running: !!this.timer,
+      recordCompetitors: RECORD_COMPETITORS,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+export default new FollowerSnapshotService();
@@ -0,0 +1,279 @@
+/**
+ * Health Score History Service
+ * Immutable snapshots of every calculated SEO health score, with rollups for trend charts
+ *
+ * health_score_cache / lighthouse_cache only keep the latest result per website, so
+ * each scoringService.calculateHealthScore result is also written here together with
+ * the Lighthouse category scores and Core Web Vitals it was based on.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { toBusinessScope } from './workspaceService.js';
+import alertService from './alertService.js';
+import webhookService from './webhookService.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export const HISTORY_PERIODS = ['daily', 'weekly', 'monthly'];
+
+// Numeric columns averaged in rollups
+const METRIC_COLUMNS = [
+  'overall_score',
+  'technical_score',
+  'user_experience_score',
+  'seo_health_score',
+  'core_vitals_score',
+  'performance_score',
+  'accessibility_score',
+  'best_practices_score',
+  'seo_score',
+  'lcp_ms',
+  'fid_ms',
+  'cls',
+  'fcp_ms',
+  'tbt_ms'
+];
+
+const PAGE_SIZE = 1000;
+const MAX_MONTHS = 24;
+
+/**
+ * Strip protocol, www and trailing slashes so "https://www.x.com/" and "x.com" match
+ */
+export function normalizeWebsite(website) {
+  return String(website || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/+$/, '');
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return value === null || value === undefined || Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Start of the bucket a timestamp falls in (UTC; weeks start on Monday)
+ */
+function bucketStart(date, period) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  if (period === 'weekly') {
+    const daysSinceMonday = (d.getUTCDay() + 6) % 7;
+    d.setUTCDate(d.getUTCDate() - daysSinceMonday);
+  } else if (period === 'monthly') {
+    d.setUTCDate(1);
+  }
+
+  return d.toISOString().split('T')[0];
+}
+
+class HealthScoreHistoryService {
+  /**
+   * Record a snapshot of a calculated health score
+   * Never throws - a failed snapshot must not fail the analysis that produced it.
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @param {object} snapshot - { website, healthScore, lighthouse, pagespeed, source }
+   * @returns {Promise<object|null>} Inserted row
+   */
+  async recordSnapshot(scopeOrEmail, { website, healthScore, lighthouse = null, pagespeed = null, source = 'analysis' }) {
+    if (!healthScore || healthScore.overall === null || healthScore.overall === undefined) {
+      return null;
+    }
+
+    const { email, businessId } = toBusinessScope(scopeOrEmail);
+    const categories = lighthouse?.categoryScores || {};
+    const labData = pagespeed?.mobile?.labData || {};
+    const vitals = lighthouse?.coreWebVitals || {};
+
+    try {
+      const previous = await this.getLatestSnapshot(scopeOrEmail, website);
+
+      const { data, error } = await supabase
+        .from('health_score_snapshots')
+        .insert({
+          user_email: email,
+          business_id: businessId,
+          website_url: normalizeWebsite(website),
+          overall_score: toNumber(healthScore.overall),
+          technical_score: toNumber(healthScore.technical),
+          user_experience_score: toNumber(healthScore.userExperience),
+          seo_health_score: toNumber(healthScore.seoHealth),
+          core_vitals_score: toNumber(healthScore.coreVitalsScore),
+          performance_score: toNumber(categories.performance ?? lighthouse?.performance),
+          accessibility_score: toNumber(categories.accessibility ?? lighthouse?.accessibility),
+          best_practices_score: toNumber(categories.bestPractices ?? lighthouse?.bestPractices),
+          seo_score: toNumber(categories.seo ?? lighthouse?.seo),
+          lcp_ms: toNumber(labData.lcp ?? vitals.lcp?.value),
+          fid_ms: toNumber(labData.fid ?? vitals.fid?.value),
+          cls: toNumber(labData.cls ?? vitals.cls?.value),
+          fcp_ms: toNumber(labData.fcp ?? vitals.fcp?.value),
+          tbt_ms: toNumber(labData.tbt ?? vitals.tbt?.value),
+          data_quality: healthScore.dataQuality || null,
+          source,
+          captured_at: healthScore.timestamp || new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      console.log(`📈 Health score snapshot recorded for ${data.website_url}: ${data.overall_score}`);
+      alertService.requestEvaluation(scopeOrEmail);
+
+      const score = toNumber(data.overall_score);
+      const previousScore = previous ? toNumber(previous.overall_score) : null;
+      if (previousScore !== score) {
+        webhookService.emit(scopeOrEmail, 'health_score.changed', {
+          website: data.website_url,
+          score,
+          previousScore,
+          change: previousScore === null ? null : Math.round((score - previousScore) * 10) / 10,
+          technical: data.technical_score,
+          userExperience: data.user_experience_score,
+          seoHealth: data.seo_health_score,
+          source,
+          capturedAt: data.captured_at,
+          previousCapturedAt: previous?.captured_at || null
+        });
+      }
+
+      return data;
+    } catch (error) {
+      console.error('❌ Failed to record health score snapshot:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Most recent snapshot of a website, or null
+   */
+  async getLatestSnapshot(scopeOrEmail, website) {
+    const { email, businessId } = toBusinessScope(scopeOrEmail);
+
+    let query = supabase
+      .from('health_score_snapshots')
+      .select('overall_score, captured_at')
+      .eq('user_email', email)
+      .eq('website_url', normalizeWebsite(website));
+
+    query = businessId ? query.eq('business_id', businessId) : query.is('business_id', null);
+
+    const { data, error } = await query
+      .order('captured_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  /**
+   * Raw snapshots for a website since a date, oldest first
+   */
+  async getSnapshots(scopeOrEmail, website, { since, until = new Date() } = {}) {
+    const { email, businessId } = toBusinessScope(scopeOrEmail);
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      let query = supabase
+        .from('health_score_snapshots')
+        .select(`captured_at, ${METRIC_COLUMNS.join(', ')}`)
+        .eq('user_email', email)
+        .eq('website_url', normalizeWebsite(website))
+        .gte('captured_at', since.toISOString())
+        .lte('captured_at', until.toISOString());
+
+      query = businessId ? query.eq('business_id', businessId) : query.is('business_id', null);
+
+      const { data, error } = await query
+        .order('captured_at', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return rows;
+  }
+
+  /**
+   * Health score trend rolled up per day, week or month
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @param {string} website - Website URL or domain
+   * @param {object} options - { period: 'daily'|'weekly'|'monthly', months }
+   * @returns {Promise<object>} { website, period, from, to, points, latest, change }
+   */
+  async getHistory(scopeOrEmail, website, { period = 'daily', months = 12 } = {}) {
+    if (!HISTORY_PERIODS.includes(period)) {
+      throw new Error(`period must be one of: ${HISTORY_PERIODS.join(', ')}`);
+    }
+
+    const monthCount = Math.min(Math.max(parseInt(months) || 12, 1), MAX_MONTHS);
+    const until = new Date();
+    const since = new Date(until);
+    since.setUTCMonth(since.getUTCMonth() - monthCount);
+
+    const snapshots = await this.getSnapshots(scopeOrEmail, website, { since, until });
+    const points = this.rollup(snapshots, period);
+
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    return {
+      website: normalizeWebsite(website),
+      period,
+      from: since.toISOString(),
+      to: until.toISOString(),
+      snapshotCount: snapshots.length,
+      points,
+      latest: snapshots.length ? snapshots[snapshots.length - 1] : null,
+      change: first && last && first.overall_score !== null && last.overall_score !== null
+        ? Math.round((last.overall_score - first.overall_score) * 10) / 10
+        : null
+    };
+  }
+
+  /**
+   * Group snapshots into buckets: averages for every metric plus min/max/last of the overall score
+   */
+  rollup(snapshots, period) {
+    const buckets = new Map();
+
+    for (const snapshot of snapshots) {
+      const key = bucketStart(new Date(snapshot.captured_at), period);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(snapshot);
+    }
+
+    return [...buckets.entries()].map(([date, rows]) => {
+      const point = { date, snapshots: rows.length };
+
+      for (const column of METRIC_COLUMNS) {
+        const values = rows.map(row => toNumber(row[column])).filter(value => value !== null);
+        const average = values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        // CLS is a small fraction; everything else is a score or milliseconds
+        point[column] = average === null ? null : column === 'cls'
+          ? Math.round(average * 1000) / 1000
+          : Math.round(average * 10) / 10;
+      }
+
+      const overall = rows.map(row => toNumber(row.overall_score)).filter(value => value !== null);
+      point.overall_min = overall.length ? Math.min(...overall) : null;
+      point.overall_max = overall.length ? Math.max(...overall) : null;
+      point.overall_last = overall.length ? overall[overall.length - 1] : null;
+
+      return point;
+    });
+  }
+}
+
+export default new HealthScoreHistoryService();
@@ -1,6 +1,7 @@
 import axios from 'axios';
 import https from 'https';
 import oauthTokenService from './oauthTokenService.js';
+import followerHistoryService from './followerHistoryService.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -128,8 +129,8 @@ class InstagramMetricsServiceV2 {
       // Step 2: Get Instagram Business Account (handles both token types)
       const account = await this.getInstagramAccount(tokens.access_token);
 
-      // Step 3: Get 30-day follower growth
-      const followerGrowth = await this.getFollowerGrowthTimeSeries(account.id, account.pageToken, account.followers, 30);
+      // Step 3: Get 30-day follower gains reported by Instagram (used until snapshots exist)
+      const insightsFollowerSeries = await this.getFollowerGrowthTimeSeries(account.id, account.pageToken, account.followers, 30);
 
       // Step 4: Get account-level insights
       const accountInsights = await this.getAccountInsights(account.id, account.pageToken, 30);
@@ -188,6 +189,17 @@ class InstagramMetricsServiceV2 {
         ? Math.min(Math.round((avgEngagement / 10) * 100), 100)
         : 0;
 
+      // Follower history from daily snapshots, forecast forward only
+      const { followerGrowth, followerForecast, followerGrowthSource } = await followerHistoryService.getFollowerGrowth(userEmail, {
+        platform: 'instagram',
+        accountId: account.id,
+        accountName: account.username,
+        currentFollowers: account.followers,
+        engagementMetrics: { likes: totals.likes, comments: totals.comments, reach: totalReach, engagementRate },
+        postsCount: topPosts.length,
+        platformSeries: insightsFollowerSeries
+      });
+
       // Calculate follower growth
       const followerGrowthData = followerGrowth.length > 1 ? {
         startFollowers: followerGrowth[0].followers,
@@ -238,6 +250,8 @@ class InstagramMetricsServiceV2 {
           engagementRate: parseFloat(engagementRate)
         },
         followerGrowth: followerGrowth,
+        followerForecast: followerForecast,
+        followerGrowthSource: followerGrowthSource,
         followerGrowthSummary: {
           growth: followerGrowthData.growth,
           startFollowers: followerGrowthData.startFollowers,
@@ -0,0 +1,636 @@
+/**
+ * Job Queue Service
+ * Table-backed queue (public.jobs) and in-process worker for long-running work:
+ * competitor analyses, PDF generation, AI insights and cache refreshes.
+ *
+ * - Jobs are rows, so queued and interrupted work survives restarts: a job whose
+ *   worker stops heart-beating is put back in the queue (every worker checks each minute).
+ * - Failed attempts are retried with exponential backoff up to maxAttempts;
+ *   handlers throw PermanentJobError for failures a retry can't fix. A timed-out
+ *   attempt is aborted and only retried once its handler has stopped.
+ * - Identical requests share one job through a dedupe key (unique while queued/running).
+ *
+ * Route modules register a handler per job type; server.js starts the worker.
+ */
+
+import crypto from 'crypto';
+import os from 'os';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { toBusinessScope } from './workspaceService.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const ACTIVE_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+
+// Everything except the (possibly large) artifact
+const JOB_COLUMNS = 'id, type, status, user_email, business_id, workspace_id, payload, dedupe_key, progress, progress_message, result, error, attempts, max_attempts, run_at, locked_by, locked_at, artifact_content_type, artifact_filename, created_at, started_at, finished_at, updated_at';
+
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const CONCURRENCY = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 1;
+const HEARTBEAT_INTERVAL = 30 * 1000;
+const STALE_AFTER = 3 * 60 * 1000;          // No heartbeat for this long = worker died
+const RECOVERY_INTERVAL = 60 * 1000;        // How often each worker looks for jobs other workers left behind
+const DEFAULT_TIMEOUT = 10 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const BACKOFF_BASE = 30 * 1000;
+const BACKOFF_MAX = 30 * 60 * 1000;
+
+/**
+ * A failure that retrying won't fix (missing connection, bad input)
+ * `result` is stored as the job's error payload for the client.
+ */
+export class PermanentJobError extends Error {
+  constructor(message, result = null) {
+    super(message);
+    this.name = 'PermanentJobError';
+    this.result = result;
+  }
+}
+
+/**
+ * Dedupe key for work done on behalf of a business scope
+ * Keys always carry the billed account and business, so two businesses (or two members of
+ * one workspace) never share - or fail to share - a job by accident.
+ * @param {string} type - Job type
+ * @param {object|string} scopeOrEmail - Business scope the job is enqueued with
+ * @param {...string} parts - What makes two requests identical (domain, data hash, ...)
+ */
+export function scopedDedupeKey(type, scopeOrEmail, ...parts) {
+  const { email, businessId } = toBusinessScope(scopeOrEmail);
+  return [type, email, businessId || 'account', ...parts].join(':');
+}
+
+function backoffDelay(attempt) {
+  const delay = Math.min(BACKOFF_BASE * 2 ** (attempt - 1), BACKOFF_MAX);
+  return delay + Math.floor(Math.random() * delay * 0.2);
+}
+
+// Exact business match - account-level jobs (no business) don't match a business scope or vice versa
+function matchBusiness(query, businessId) {
+  return businessId ? query.eq('business_id', businessId) : query.is('business_id', null);
+}
+
+function withTimeout(promise, ms, type) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(
+      new Error(`${type} job timed out after ${Math.round(ms / 1000)}s`),
+      { timedOut: true }
+    )), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.active = new Set();
+    this.pollTimer = null;
+    this.polling = false;
+    this.stopping = false;
+    this.lastRecoveryAt = 0;
+  }
+
+  /**
+   * Register the function that runs a job type
+   * @param {string} type - Job type, e.g. 'competitor.analyze'
+   * @param {Function} handler - async (payload, { job, scope, progress, signal }) => result;
+   *   signal aborts when the attempt times out - long-running handlers should stop on it
+   * @param {object} options - { maxAttempts, timeoutMs }
+   */
+  registerHandler(type, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS, timeoutMs = DEFAULT_TIMEOUT } = {}) {
+    this.handlers.set(type, { handler, maxAttempts, timeoutMs });
+  }
+
+  /**
+   * Enqueue a job, or return the identical job that is already queued/running
+   * @param {string} type - Registered job type
+   * @param {object} payload - Handler input (JSON)
+   * @param {object} options - { scope, dedupeKey, runAt }
+   * @returns {Promise<{job: object, deduplicated: boolean}>}
+   */
+  async enqueue(type, payload, { scope, dedupeKey = null, runAt = null } = {}) {
+    const registration = this.handlers.get(type);
+    if (!registration) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const { email, businessId, workspaceId } = toBusinessScope(scope);
+
+    if (dedupeKey) {
+      const existing = await this.findActiveByDedupeKey(dedupeKey);
+      if (existing) {
+        console.log(`♻️ Reusing ${existing.status} job ${existing.id} (${type})`);
+        return { job: existing, deduplicated: true };
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('jobs')
+      .insert({
+        type,
+        status: JOB_STATUS.QUEUED,
+        user_email: email,
+        business_id: businessId,
+        workspace_id: workspaceId,
+        payload,
+        dedupe_key: dedupeKey,
+        max_attempts: registration.maxAttempts,
+        run_at: (runAt ? new Date(runAt) : new Date()).toISOString()
+      })
+      .select(JOB_COLUMNS)
+      .single();
+
+    if (error) {
+      // Lost a race with an identical request - the unique index kept one job
+      if (error.code === '23505' && dedupeKey) {
+        const existing = await this.findActiveByDedupeKey(dedupeKey);
+        if (existing) return { job: existing, deduplicated: true };
+      }
+      throw error;
+    }
+
+    console.log(`📥 Job queued: ${type} (${data.id})`);
+    this.poll();
+    return { job: data, deduplicated: false };
+  }
+
+  async findActiveByDedupeKey(dedupeKey) {
+    const { data, error } = await supabase
+      .from('jobs')
+      .select(JOB_COLUMNS)
+      .eq('dedupe_key', dedupeKey)
+      .in('status', ACTIVE_STATUSES)
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  /**
+   * Most recent job with a dedupe key in any status
+   * Lets schedulers run something once per period even after the job has finished.
+   */
+  async findLatestByDedupeKey(dedupeKey) {
+    const { data, error } = await supabase
+      .from('jobs')
+      .select(JOB_COLUMNS)
+      .eq('dedupe_key', dedupeKey)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  /**
+   * Load a job if it belongs to the scope's account and business
+   * @returns {Promise<object|null>}
+   */
+  async getJob(jobId, scopeOrEmail) {
+    const { email, businessId } = toBusinessScope(scopeOrEmail);
+
+    const query = supabase
+      .from('jobs')
+      .select(JOB_COLUMNS)
+      .eq('id', jobId)
+      .eq('user_email', email);
+
+    const { data, error } = await matchBusiness(query, businessId).maybeSingle();
+
+    if (error) {
+      // Malformed uuid
+      if (error.code === '22P02') return null;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Load a finished job's file output
+   * @returns {Promise<{buffer: Buffer, contentType: string, filename: string}|null>}
+   */
+  async getArtifact(jobId, scopeOrEmail) {
+    const { email, businessId } = toBusinessScope(scopeOrEmail);
+
+    const query = supabase
+      .from('jobs')
+      .select('artifact, artifact_content_type, artifact_filename')
+      .eq('id', jobId)
+      .eq('user_email', email)
+      .eq('status', JOB_STATUS.SUCCEEDED);
+
+    const { data, error } = await matchBusiness(query, businessId).maybeSingle();
+
+    if (error) {
+      if (error.code === '22P02') return null;
+      throw error;
+    }
+    if (!data?.artifact) return null;
+
+    return {
+      buffer: Buffer.from(data.artifact, 'base64'),
+      contentType: data.artifact_content_type || 'application/octet-stream',
+      filename: data.artifact_filename || `job-${jobId}`
+    };
+  }
+
+  /**
+   * Recent jobs for a business, newest first (payload/result omitted)
+   */
+  async listJobs(scopeOrEmail, { type, status, limit = 20 } = {}) {
+    const { email, businessId } = toBusinessScope(scopeOrEmail);
+
+    let query = supabase
+      .from('jobs')
+      .select('id, type, status, progress, progress_message, attempts, max_attempts, run_at, created_at, started_at, finished_at, business_id')
+      .eq('user_email', email);
+
+    query = matchBusiness(query, businessId);
+    if (type) query = query.eq('type', type);
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(limit) || 20, 1), 100));
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Cancel a job that hasn't started yet
+   * @returns {Promise<boolean>} True if cancelled
+   */
+  async cancel(jobId, scopeOrEmail) {
+    const { email, businessId } = toBusinessScope(scopeOrEmail);
+
+    const query = supabase
+      .from('jobs')
+      .update({ status: JOB_STATUS.CANCELLED, finished_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('user_email', email)
+      .eq('status', JOB_STATUS.QUEUED);
+
+    const { data, error } = await matchBusiness(query, businessId).select('id');
+
+    if (error) {
+      if (error.code === '22P02') return false;
+      throw error;
+    }
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Start polling for work
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.stopping = false;
+    console.log(`⚙️ Job worker started (${this.workerId}, concurrency ${CONCURRENCY}, types: ${[...this.handlers.keys()].join(', ')})`);
+    this.pollTimer = setInterval(() => this.poll(), POLL_INTERVAL);
+    this.pollTimer.unref();
+
+    this.lastRecoveryAt = 0;
+    this.poll();
+  }
+
+  /**
+   * Stop claiming new jobs. Running jobs stop heart-beating when the process
+   * exits and are picked up again after restart.
+   */
+  stop() {
+    this.stopping = true;
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Put jobs whose worker died (no heartbeat) back in the queue. A job whose last
+   * allowed attempt was interrupted fails instead - it may be what crashed the worker.
+   */
+  async recoverStaleJobs() {
+    const staleBefore = new Date(Date.now() - STALE_AFTER).toISOString();
+
+    const { data: stale, error } = await supabase
+      .from('jobs')
+      .select('id, type, attempts, max_attempts, locked_by')
+      .eq('status', JOB_STATUS.RUNNING)
+      .lt('locked_at', staleBefore);
+
+    if (error) throw error;
+
+    let requeued = 0;
+    let failed = 0;
+    for (const job of stale || []) {
+      const now = new Date().toISOString();
+      const exhausted = job.attempts >= job.max_attempts;
+      const update = exhausted
+        ? {
+          status: JOB_STATUS.FAILED,
+          error: { message: 'Worker stopped while running the last attempt', attempt: job.attempts },
+          finished_at: now
+        }
+        : {
+          status: JOB_STATUS.QUEUED,
+          run_at: now,
+          progress_message: 'Requeued after worker restart'
+        };
+
+      // Conditioned on the stale lock, so a job that heart-beat in the meantime is left alone
+      const { data, error: updateError } = await supabase
+        .from('jobs')
+        .update({ ...update, locked_by: null, locked_at: null, updated_at: now })
+        .eq('id', job.id)
+        .eq('status', JOB_STATUS.RUNNING)
+        .eq('locked_by', job.locked_by)
+        .lt('locked_at', staleBefore)
+        .select('id');
+
+      if (updateError) throw updateError;
+      if (!data?.length) continue;
+
+      if (exhausted) {
+        failed++;
+        console.error(`❌ Job ${job.id} (${job.type}) failed: worker stopped during attempt ${job.attempts}/${job.max_attempts}`);
+      } else {
+        requeued++;
+      }
+    }
+
+    if (requeued || failed) {
+      console.log(`♻️ Recovered interrupted jobs: ${requeued} requeued, ${failed} failed`);
+    }
+  }
+
+  async poll() {
+    if (this.stopping || !this.pollTimer || this.polling) return;
+    this.polling = true;
+
+    try {
+      // Other instances can die at any time, not just before this one started
+      if (Date.now() - this.lastRecoveryAt >= RECOVERY_INTERVAL) {
+        this.lastRecoveryAt = Date.now();
+        await this.recoverStaleJobs().catch(error => console.error('❌ Job recovery failed:', error.message));
+      }
+
+      while (this.active.size < CONCURRENCY) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        const run = this.runJob(job).finally(() => {
+          this.active.delete(run);
+          this.poll();
+        });
+        this.active.add(run);
+      }
+    } catch (error) {
+      console.error('❌ Job poll failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Claim the oldest due job. The status check on update means two workers
+   * can't both claim the same row.
+   */
+  async claimNext() {
+    const { data: candidates, error } = await supabase
+      .from('jobs')
+      .select('id, attempts')
+      .eq('status', JOB_STATUS.QUEUED)
+      .in('type', [...this.handlers.keys()])
+      .lte('run_at', new Date().toISOString())
+      .order('run_at', { ascending: true })
+      .limit(5);
+
+    if (error) throw error;
+
+    for (const candidate of candidates || []) {
+      const now = new Date().toISOString();
+      const { data: claimed, error: claimError } = await supabase
+        .from('jobs')
+        .update({
+          status: JOB_STATUS.RUNNING,
+          locked_by: this.workerId,
+          locked_at: now,
+          started_at: now,
+          attempts: candidate.attempts + 1,
+          updated_at: now
+        })
+        .eq('id', candidate.id)
+        .eq('status', JOB_STATUS.QUEUED)
+        .select(JOB_COLUMNS)
+        .maybeSingle();
+
+      if (claimError) throw claimError;
+      if (claimed) return claimed;
+    }
+
+    return null;
+  }
+
+  async runJob(job) {
+    const { handler, timeoutMs } = this.handlers.get(job.type);
+    const scope = { email: job.user_email, businessId: job.business_id, workspaceId: job.workspace_id };
+    const startedAt = Date.now();
+
+    console.log(`▶️ Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.max_attempts}`);
+
+    const heartbeat = setInterval(() => {
+      this.touch(job.id, {}).catch(() => {});
+    }, HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+
+    const progress = (percent, message = null) => this.touch(job.id, {
+      progress: Math.max(0, Math.min(100, Math.round(percent))),
+      progress_message: message
+    }).catch(error => console.warn(`⚠️ Could not update job progress: ${error.message}`));
+
+    const controller = new AbortController();
+    const attempt = Promise.resolve().then(() => handler(job.payload || {}, { job, scope, progress, signal: controller.signal }));
+
+    try {
+      const output = await withTimeout(attempt, timeoutMs, job.type);
+      await this.complete(job, output);
+      console.log(`✅ Job ${job.id} (${job.type}) succeeded in ${Math.round((Date.now() - startedAt) / 1000)}s`);
+    } catch (error) {
+      if (error.timedOut) {
+        await this.settleTimedOut(job, attempt, controller, error);
+      } else {
+        await this.fail(job, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * A timed-out attempt keeps its lock (and heartbeat) until the handler has actually
+   * stopped, so a retry never runs next to it. A handler that ignores the abort signal
+   * for another timeout period is abandoned and the job fails without a retry.
+   */
+  async settleTimedOut(job, attempt, controller, error) {
+    const { timeoutMs } = this.handlers.get(job.type);
+    controller.abort(error);
+    this.touch(job.id, { progress_message: 'Timed out - stopping' }).catch(() => {});
+
+    const settled = await withTimeout(attempt.then(() => true, () => true), timeoutMs, job.type).catch(() => false);
+    if (settled) {
+      await this.fail(job, error);
+      return;
+    }
+
+    console.error(`❌ Job ${job.id} (${job.type}) did not stop after timing out - not retrying`);
+    await this.fail(job, new PermanentJobError(`${error.message} and did not stop`));
+  }
+
+  async touch(jobId, fields) {
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from('jobs')
+      .update({ ...fields, locked_at: now, updated_at: now })
+      .eq('id', jobId)
+      .eq('locked_by', this.workerId);
+
+    if (error) throw error;
+  }
+
+  async complete(job, output) {
+    const update = {
+      status: JOB_STATUS.SUCCEEDED,
+      progress: 100,
+      progress_message: null,
+      result: output ?? null,
+      error: null,
+      locked_by: null,
+      locked_at: null,
+      finished_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    // File outputs (PDFs) are stored next to the result and served by /api/jobs/:id/download
+    if (output?.artifact?.buffer) {
+      const { buffer, contentType, filename } = output.artifact;
+      update.result = { ...output, artifact: { filename, contentType, size: buffer.length } };
+      update.artifact = buffer.toString('base64');
+      update.artifact_content_type = contentType;
+      update.artifact_filename = filename;
+    }
+
+    const { data, error } = await this.updateOwned(job.id, update);
+    if (error) throw error;
+    if (!data?.length) {
+      console.warn(`⚠️ Job ${job.id} (${job.type}) finished after losing its lock - result discarded`);
+    }
+  }
+
+  async fail(job, error) {
+    const permanent = error instanceof PermanentJobError;
+    const retry = !permanent && job.attempts < job.max_attempts;
+    const now = Date.now();
+
+    const update = {
+      status: retry ? JOB_STATUS.QUEUED : JOB_STATUS.FAILED,
+      error: permanent && error.result
+        ? error.result
+        : { message: error.message, attempt: job.attempts },
+      locked_by: null,
+      locked_at: null,
+      updated_at: new Date(now).toISOString()
+    };
+
+    if (retry) {
+      const delay = backoffDelay(job.attempts);
+      update.run_at = new Date(now + delay).toISOString();
+      update.progress_message = `Attempt ${job.attempts} failed - retrying in ${Math.round(delay / 1000)}s`;
+      console.warn(`⚠️ Job ${job.id} (${job.type}) failed, retry in ${Math.round(delay / 1000)}s: ${error.message}`);
+    } else {
+      update.finished_at = update.updated_at;
+      console.error(`❌ Job ${job.id} (${job.type}) failed${permanent ? '' : ` after ${job.attempts} attempts`}: ${error.message}`);
+    }
+
+    const { data, error: updateError } = await this.updateOwned(job.id, update);
+    if (updateError) {
+      console.error(`❌ Could not record failure for job ${job.id}:`, updateError.message);
+    } else if (!data?.length) {
+      console.warn(`⚠️ Job ${job.id} (${job.type}) failed after losing its lock - outcome discarded`);
+    }
+  }
+
+  /**
+   * Update a job only while this worker still holds its lock, so a worker whose
+   * job was recovered and re-claimed can't overwrite the new owner's outcome
+   */
+  updateOwned(jobId, update) {
+    return supabase
+      .from('jobs')
+      .update(update)
+      .eq('id', jobId)
+      .eq('status', JOB_STATUS.RUNNING)
+      .eq('locked_by', this.workerId)
+      .select('id');
+  }
+
+  /**
+   * Client-facing view of a job
+   */
+  toResponse(job) {
+    const view = {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.progress || 0,
+      progressMessage: job.progress_message || null,
+      attempts: job.attempts,
+      maxAttempts: job.max_attempts,
+      nextAttemptAt: job.status === JOB_STATUS.QUEUED ? job.run_at : null,
+      createdAt: job.created_at,
+      startedAt: job.started_at || null,
+      finishedAt: job.finished_at || null,
+      statusUrl: `/api/jobs/${job.id}`
+    };
+
+    if (job.status === JOB_STATUS.SUCCEEDED) {
+      view.result = job.result;
+      if (job.artifact_filename) {
+        view.downloadUrl = `/api/jobs/${job.id}/download`;
+      }
+    }
+    if (job.error) {
+      view.error = job.error;
+    }
+
+    return view;
+  }
+
+  getStatus() {
+    return {
+      workerId: this.workerId,
+      running: !!this.pollTimer,
+      activeJobs: this.active.size,
+      concurrency: CONCURRENCY
+    };
+  }
+}
+
+export default new JobQueueService();
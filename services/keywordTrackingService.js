@@ -0,0 +1,602 @@
+/**
+ * Keyword Tracking Service
+ * Daily Search Console rankings for the keywords a business pins per domain
+ *
+ * The Search Console overview only shows whatever queries currently lead (capped by the
+ * plan's topQueries), so terms that matter but slip out of the top list disappear from
+ * view. Pinned keywords are queried one by one (exact query match, by date) and each day's
+ * average position, clicks, impressions and CTR is stored in keyword_rankings.
+ *
+ * A 'keywords.snapshot' job runs once a day for every business with pinned keywords and
+ * re-reads the last week, so GSC's partial recent numbers are replaced once final. Newly
+ * added keywords are backfilled with the last 90 days. Days without impressions have no
+ * row - the keyword didn't rank that day.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { google } from 'googleapis';
+import dotenv from 'dotenv';
+import { toBusinessScope, describeScope } from './workspaceService.js';
+import jobQueueService from './jobQueueService.js';
+import oauthTokenService from './oauthTokenService.js';
+import searchConsoleQueryService from './searchConsoleQueryService.js';
+import { getFeatureLimitForUser } from './planAccessService.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const HOUR = 60 * 60 * 1000;
+const JOB_TYPE = 'keywords.snapshot';
+const SNAPSHOT_DELAY = 30 * 1000;
+
+const BACKFILL_DAYS = 90;
+const REFRESH_DAYS = 7;
+const MAX_KEYWORD_LENGTH = 200;
+const MAX_KEYWORDS_PER_REQUEST = 100;
+const PAGE_SIZE = 1000;
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Bare host for a domain or URL (example.com for https://www.example.com/blog)
+ */
+export function normalizeDomain(value) {
+  const host = String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/^sc-domain:/, '')
+    .replace(/^https?:\/\//, '')
+    .split(/[/?#]/)[0]
+    .replace(/:\d+$/, '')
+    .replace(/^www\./, '');
+
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : null;
+}
+
+/**
+ * Keyword as Search Console reports queries: lowercased, single-spaced
+ */
+export function normalizeKeyword(value) {
+  return String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Position, clicks, impressions and CTR over a set of daily rows
+ * Position is impression-weighted, like Search Console's own totals.
+ * @returns {object|null} null when there are no rows
+ */
+export function summarizeRankings(rows) {
+  if (!rows || rows.length === 0) return null;
+
+  let clicks = 0;
+  let impressions = 0;
+  let weightedPosition = 0;
+  let weight = 0;
+  for (const row of rows) {
+    const rowImpressions = Number(row.impressions) || 0;
+    clicks += Number(row.clicks) || 0;
+    impressions += rowImpressions;
+    weightedPosition += Number(row.position) * Math.max(rowImpressions, 1);
+    weight += Math.max(rowImpressions, 1);
+  }
+
+  return {
+    position: round(weightedPosition / weight, 1),
+    clicks,
+    impressions,
+    ctr: impressions > 0 ? round(clicks / impressions, 4) : 0,
+    days: rows.length
+  };
+}
+
+// Keywords belong to one business; account-level scopes only see account-level keywords
+function matchBusiness(query, scope) {
+  return scope.businessId ? query.eq('business_id', scope.businessId) : query.is('business_id', null);
+}
+
+class KeywordTrackingService {
+  constructor() {
+    this.timer = null;
+    this.lastRun = null;
+
+    jobQueueService.registerHandler(JOB_TYPE, (payload, context) => this.snapshotForBusiness(context), {
+      maxAttempts: 3,
+      timeoutMs: 10 * 60 * 1000
+    });
+  }
+
+  /**
+   * Check hourly for businesses whose keywords haven't been recorded today
+   */
+  start() {
+    if (this.timer) return;
+
+    console.log('🔑 Keyword tracking scheduler started (daily, checked hourly)');
+    this.timer = setInterval(() => this.enqueueDue(), HOUR);
+    this.timer.unref();
+    setTimeout(() => this.enqueueDue(), 3 * 60 * 1000).unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue today's snapshot job for every business with pinned keywords
+   * @returns {Promise<number>} Jobs queued
+   */
+  async enqueueDue() {
+    let queued = 0;
+
+    try {
+      const scopes = new Map();
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+          .from('tracked_keywords')
+          .select('user_email, business_id, workspace_id')
+          .order('created_at', { ascending: true })
+          .range(from, from + PAGE_SIZE - 1);
+
+        if (error) throw error;
+        for (const row of data || []) {
+          scopes.set(`${row.user_email}:${row.business_id || 'account'}`, {
+            email: row.user_email,
+            businessId: row.business_id || null,
+            workspaceId: row.workspace_id || null
+          });
+        }
+        if (!data || data.length < PAGE_SIZE) break;
+      }
+
+      for (const [key, scope] of scopes) {
+        const dedupeKey = `${JOB_TYPE}:${key}:${today()}`;
+        if (await jobQueueService.findLatestByDedupeKey(dedupeKey)) continue;
+
+        await jobQueueService.enqueue(JOB_TYPE, {}, { scope, dedupeKey });
+        queued++;
+      }
+
+      if (queued > 0) {
+        console.log(`🔑 Queued ${queued} keyword snapshot job(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Keyword tracking scheduling failed:', error.message);
+    } finally {
+      this.lastRun = new Date().toISOString();
+    }
+
+    return queued;
+  }
+
+  /**
+   * Queue a snapshot for one business outside the daily run (new keywords, manual refresh)
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @param {object} options - { delayMs }
+   * @returns {Promise<{job: object, deduplicated: boolean}>}
+   */
+  async requestSnapshot(scopeOrEmail, { delayMs = SNAPSHOT_DELAY } = {}) {
+    const scope = toBusinessScope(scopeOrEmail);
+
+    return jobQueueService.enqueue(JOB_TYPE, {}, {
+      scope,
+      dedupeKey: `${JOB_TYPE}:${scope.email}:${scope.businessId || 'account'}`,
+      runAt: new Date(Date.now() + delayMs)
+    });
+  }
+
+  /**
+   * Daily metrics for one exact query
+   * @returns {Promise<Array>} [{ date, position, clicks, impressions, ctr }]
+   */
+  async fetchKeywordRankings(oauth2Client, siteUrl, keyword, startDate, endDate) {
+    const searchConsole = google.searchconsole({ version: 'v1', auth: oauth2Client });
+    const response = await searchConsole.searchanalytics.query({
+      siteUrl,
+      requestBody: {
+        startDate,
+        endDate,
+        dimensions: ['date'],
+        dimensionFilterGroups: [{
+          filters: [{ dimension: 'query', operator: 'equals', expression: keyword }]
+        }],
+        rowLimit: BACKFILL_DAYS + 1,
+        dataState: 'all'
+      }
+    });
+
+    return (response.data.rows || []).map(row => ({
+      date: row.keys[0],
+      position: round(row.position || 0, 2),
+      clicks: row.clicks || 0,
+      impressions: row.impressions || 0,
+      ctr: round(row.ctr || 0, 4)
+    }));
+  }
+
+  /**
+   * Job handler: record rankings for every pinned keyword of one business
+   * @returns {Promise<object>} { keywords, recorded, failed: [...], unresolved: [...] }
+   */
+  async snapshotForBusiness({ scope, progress }) {
+    const summary = { keywords: 0, recorded: 0, failed: [], unresolved: [] };
+
+    const { data: keywords, error } = await matchBusiness(
+      supabase
+        .from('tracked_keywords')
+        .select('*')
+        .eq('user_email', scope.email),
+      scope
+    ).order('domain', { ascending: true });
+
+    if (error) throw error;
+    if (!keywords || keywords.length === 0) {
+      return { ...summary, message: 'No tracked keywords' };
+    }
+
+    const oauth2Client = await oauthTokenService.getOAuthClient(scope);
+    if (!oauth2Client) {
+      throw new Error('Google connection expired - reconnect to resume keyword tracking');
+    }
+
+    // GSC never has today; yesterday arrives partial and is corrected on later runs
+    const endDate = addDays(today(), -1);
+    const siteUrls = new Map();
+    summary.keywords = keywords.length;
+
+    for (const [index, row] of keywords.entries()) {
+      await progress((index / keywords.length) * 100, `Checking "${row.keyword}"`);
+
+      try {
+        if (!siteUrls.has(row.domain)) {
+          siteUrls.set(row.domain, row.site_url || await searchConsoleQueryService.resolveSiteUrl(oauth2Client, row.domain));
+        }
+        const siteUrl = siteUrls.get(row.domain);
+        if (!siteUrl) {
+          if (!summary.unresolved.includes(row.domain)) summary.unresolved.push(row.domain);
+          continue;
+        }
+
+        const startDate = addDays(endDate, row.last_recorded_at ? -REFRESH_DAYS : -BACKFILL_DAYS);
+        const rankings = await this.fetchKeywordRankings(oauth2Client, siteUrl, row.keyword, startDate, endDate);
+
+        if (rankings.length > 0) {
+          const { error: upsertError } = await supabase
+            .from('keyword_rankings')
+            .upsert(rankings.map(ranking => ({
+              ...ranking,
+              keyword_id: row.id,
+              user_email: row.user_email,
+              business_id: row.business_id,
+              recorded_at: new Date().toISOString()
+            })), { onConflict: 'keyword_id,date' });
+
+          if (upsertError) throw upsertError;
+        }
+
+        const { error: updateError } = await supabase
+          .from('tracked_keywords')
+          .update({ site_url: siteUrl, last_recorded_at: new Date().toISOString() })
+          .eq('id', row.id);
+
+        if (updateError) throw updateError;
+        summary.recorded += rankings.length;
+      } catch (keywordError) {
+        console.warn(`⚠️ Keyword "${row.keyword}" snapshot failed for ${describeScope(scope)}: ${keywordError.message}`);
+        summary.failed.push({ keyword: row.keyword, error: keywordError.message });
+      }
+    }
+
+    if (summary.failed.length === keywords.length) {
+      throw new Error(`No keywords recorded: ${summary.failed[0].error}`);
+    }
+
+    console.log(`🔑 Recorded ${summary.recorded} keyword ranking day(s) for ${describeScope(scope)}`);
+    return summary;
+  }
+
+  async countKeywords(email) {
+    const { count, error } = await supabase
+      .from('tracked_keywords')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_email', email);
+
+    if (error) throw error;
+    return count || 0;
+  }
+
+  /**
+   * Pin keywords for a domain
+   * Already tracked keywords are skipped; the plan's seo.trackedKeywords limit applies to
+   * the whole account.
+   * @param {object} scope - Business scope
+   * @param {object} input - { domain, keywords: string[] | comma/newline separated string }
+   * @param {string} createdBy - Email of the member adding them
+   * @returns {Promise<object>} { added: [...rows], skipped: [...keywords], rejected: [...keywords], limit }
+   */
+  async addKeywords(scope, { domain, keywords } = {}, createdBy) {
+    const { email, businessId, workspaceId } = toBusinessScope(scope);
+
+    const normalizedDomain = normalizeDomain(domain);
+    if (!normalizedDomain) {
+      throw new Error('domain must be a domain name, e.g. example.com');
+    }
+
+    const list = Array.isArray(keywords) ? keywords : String(keywords ?? '').split(/[,\n]/);
+    const requested = [...new Set(list.map(normalizeKeyword).filter(Boolean))];
+    if (requested.length === 0) {
+      throw new Error('keywords must contain at least one keyword');
+    }
+    if (requested.length > MAX_KEYWORDS_PER_REQUEST) {
+      throw new Error(`At most ${MAX_KEYWORDS_PER_REQUEST} keywords can be added at once`);
+    }
+    const tooLong = requested.find(keyword => keyword.length > MAX_KEYWORD_LENGTH);
+    if (tooLong) {
+      throw new Error(`Keywords must be at most ${MAX_KEYWORD_LENGTH} characters`);
+    }
+
+    const { data: existing, error: existingError } = await matchBusiness(
+      supabase
+        .from('tracked_keywords')
+        .select('keyword')
+        .eq('user_email', email)
+        .eq('domain', normalizedDomain)
+        .in('keyword', requested),
+      { businessId }
+    );
+
+    if (existingError) throw existingError;
+
+    const tracked = new Set((existing || []).map(row => row.keyword));
+    const skipped = requested.filter(keyword => tracked.has(keyword));
+    let candidates = requested.filter(keyword => !tracked.has(keyword));
+
+    const limit = await getFeatureLimitForUser(email, 'seo.trackedKeywords');
+    let rejected = [];
+    if (limit !== -1 && candidates.length > 0) {
+      const remaining = Math.max(limit - await this.countKeywords(email), 0);
+      rejected = candidates.slice(remaining);
+      candidates = candidates.slice(0, remaining);
+    }
+
+    let added = [];
+    if (candidates.length > 0) {
+      const { data, error } = await supabase
+        .from('tracked_keywords')
+        .insert(candidates.map(keyword => ({
+          user_email: email,
+          business_id: businessId,
+          workspace_id: workspaceId,
+          domain: normalizedDomain,
+          keyword,
+          created_by: createdBy
+        })))
+        .select();
+
+      if (error) throw error;
+      added = data || [];
+
+      console.log(`🔑 Tracking ${added.length} new keyword(s) on ${normalizedDomain} for ${describeScope(scope)}`);
+
+      try {
+        await this.requestSnapshot(scope);
+      } catch (queueError) {
+        console.warn(`⚠️ Could not queue keyword backfill for ${describeScope(scope)}: ${queueError.message}`);
+      }
+    }
+
+    return { added, skipped, rejected, limit };
+  }
+
+  async getKeyword(keywordId, scopeOrEmail) {
+    const scope = toBusinessScope(scopeOrEmail);
+
+    const { data, error } = await matchBusiness(
+      supabase
+        .from('tracked_keywords')
+        .select('*')
+        .eq('id', keywordId)
+        .eq('user_email', scope.email),
+      scope
+    ).maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Stop tracking a keyword (its history is deleted with it)
+   * @returns {Promise<object|null>} Deleted row, null if not found
+   */
+  async removeKeyword(keywordId, scopeOrEmail) {
+    const existing = await this.getKeyword(keywordId, scopeOrEmail);
+    if (!existing) return null;
+
+    const { error } = await supabase
+      .from('tracked_keywords')
+      .delete()
+      .eq('id', existing.id);
+
+    if (error) throw error;
+    return existing;
+  }
+
+  /**
+   * Daily rankings for some keywords since a date, grouped by keyword id
+   * @returns {Promise<Map<string, Array>>} Rows oldest first
+   */
+  async getRankings(keywordIds, since) {
+    const byKeyword = new Map(keywordIds.map(id => [id, []]));
+    if (keywordIds.length === 0) return byKeyword;
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('keyword_rankings')
+        .select('keyword_id, date, position, clicks, impressions, ctr')
+        .in('keyword_id', keywordIds)
+        .gte('date', since)
+        .order('date', { ascending: true })
+        .order('keyword_id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw error;
+      for (const row of data || []) {
+        byKeyword.get(row.keyword_id)?.push(row);
+      }
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return byKeyword;
+  }
+
+  /**
+   * Tracked keywords with their latest day and period-over-period change
+   * Periods end on the newest date recorded for the business (GSC lags 2-3 days), so
+   * `days: 7` compares that day and the 6 before it with the 7 days preceding them.
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @param {object} options - { domain, days }
+   * @returns {Promise<object>} { days, period: {from, to}, keywords: [...] }
+   */
+  async listKeywords(scopeOrEmail, { domain = null, days = 7 } = {}) {
+    const scope = toBusinessScope(scopeOrEmail);
+    const periodDays = Math.min(Math.max(parseInt(days) || 7, 1), 45);
+
+    let query = matchBusiness(
+      supabase
+        .from('tracked_keywords')
+        .select('*')
+        .eq('user_email', scope.email),
+      scope
+    );
+    if (domain) {
+      const normalizedDomain = normalizeDomain(domain);
+      if (!normalizedDomain) throw new Error('domain must be a domain name, e.g. example.com');
+      query = query.eq('domain', normalizedDomain);
+    }
+
+    const { data: keywords, error } = await query
+      .order('domain', { ascending: true })
+      .order('keyword', { ascending: true });
+
+    if (error) throw error;
+
+    // Twice the period plus slack for the GSC delay
+    const rankings = await this.getRankings((keywords || []).map(row => row.id), addDays(today(), -(periodDays * 2 + 7)));
+    const lastDate = [...rankings.values()].flat().reduce((max, row) => (row.date > max ? row.date : max), '');
+
+    const periodEnd = lastDate || addDays(today(), -1);
+    const periodStart = addDays(periodEnd, -(periodDays - 1));
+    const previousStart = addDays(periodStart, -periodDays);
+
+    return {
+      days: periodDays,
+      period: { from: periodStart, to: periodEnd },
+      keywords: (keywords || []).map(row => {
+        const history = rankings.get(row.id) || [];
+        const current = summarizeRankings(history.filter(r => r.date >= periodStart && r.date <= periodEnd));
+        const previous = summarizeRankings(history.filter(r => r.date >= previousStart && r.date < periodStart));
+        const latest = history[history.length - 1] || null;
+
+        return {
+          ...this.toResponse(row),
+          latest: latest ? this.rankingToResponse(latest) : null,
+          current,
+          previous,
+          // Positive = moved up (a lower position number)
+          positionChange: current && previous ? round(previous.position - current.position, 1) : null,
+          clicksChange: current && previous ? current.clicks - previous.clicks : null
+        };
+      })
+    };
+  }
+
+  /**
+   * Keywords that gained and lost the most positions over a period
+   * Keywords that started or stopped ranking are listed separately.
+   * @param {object} options - { domain, days, limit }
+   * @returns {Promise<object>} { days, period, winners, losers, entered, dropped }
+   */
+  async getMovers(scopeOrEmail, { domain = null, days = 7, limit = 10 } = {}) {
+    const { days: periodDays, period, keywords } = await this.listKeywords(scopeOrEmail, { domain, days });
+    const max = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+
+    const moved = keywords.filter(keyword => keyword.positionChange !== null && keyword.positionChange !== 0);
+
+    return {
+      days: periodDays,
+      period,
+      winners: moved
+        .filter(keyword => keyword.positionChange > 0)
+        .sort((a, b) => b.positionChange - a.positionChange)
+        .slice(0, max),
+      losers: moved
+        .filter(keyword => keyword.positionChange < 0)
+        .sort((a, b) => a.positionChange - b.positionChange)
+        .slice(0, max),
+      entered: keywords.filter(keyword => keyword.current && !keyword.previous).slice(0, max),
+      dropped: keywords.filter(keyword => !keyword.current && keyword.previous).slice(0, max)
+    };
+  }
+
+  /**
+   * Daily ranking history of one keyword
+   * @param {object} options - { days } up to 480 (GSC keeps 16 months)
+   * @returns {Promise<object|null>} { keyword, history: [...] }, null if not found
+   */
+  async getHistory(keywordId, scopeOrEmail, { days = 90 } = {}) {
+    const keyword = await this.getKeyword(keywordId, scopeOrEmail);
+    if (!keyword) return null;
+
+    const historyDays = Math.min(Math.max(parseInt(days) || 90, 1), 480);
+    const rankings = await this.getRankings([keyword.id], addDays(today(), -historyDays));
+
+    return {
+      keyword,
+      history: (rankings.get(keyword.id) || []).map(row => this.rankingToResponse(row))
+    };
+  }
+
+  rankingToResponse(row) {
+    return {
+      date: row.date,
+      position: Number(row.position),
+      clicks: row.clicks,
+      impressions: row.impressions,
+      ctr: Number(row.ctr)
+    };
+  }
+
+  toResponse(row) {
+    return {
+      id: row.id,
+      businessId: row.business_id,
+      domain: row.domain,
+      siteUrl: row.site_url,
+      keyword: row.keyword,
+      createdBy: row.created_by,
+      lastRecordedAt: row.last_recorded_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+export default new KeywordTrackingService();
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import oauthTokenService from './oauthTokenService.js';
+import followerHistoryService from './followerHistoryService.js';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 
@@ -356,6 +357,23 @@ class LinkedInMetricsServiceV2 {
         }
       }
 
+      // Follower history from daily snapshots (LinkedIn's own gains until snapshots exist)
+      const followerHistory = await followerHistoryService.getFollowerGrowth(userEmail, {
+        platform: 'linkedin',
+        accountId: org.urn,
+        accountName: companyName || org.name,
+        currentFollowers: followers,
+        engagementMetrics: {
+          likes: engagementScore.likes,
+          comments: engagementScore.comments,
+          shares: engagementScore.shares,
+          engagementRate: parseFloat(engagementScore.engagementRate) || 0
+        },
+        postsCount: engagementScore.postsInPeriod,
+        platformSeries: followerGrowth
+      });
+      followerGrowth = followerHistory.followerGrowth;
+
       // ========================================
       // STEP 3: COMPILE RESULT
       // ========================================
@@ -401,6 +419,8 @@ class LinkedInMetricsServiceV2 {
         },
         engagementScore: engagementScore,
         followerGrowth: followerGrowth,
+        followerForecast: followerHistory.followerForecast,
+        followerGrowthSource: followerHistory.followerGrowthSource,
         topPosts: topPosts,
         reputationBenchmark: reputationBenchmark,
         lastUpdated: new Date().toISOString()
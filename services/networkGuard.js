@@ -0,0 +1,195 @@
+/**
+ * Network Guard
+ * Outgoing requests to customer-supplied URLs (webhooks, crawled sites, robots.txt, sitemaps)
+ * must never reach our own network: loopback, private ranges, link-local (cloud metadata
+ * at 169.254.169.254) and other non-public addresses are refused.
+ *
+ * The check runs on the address each connection actually uses - through the agents'
+ * DNS lookup - so a hostname that resolves differently on the second lookup (DNS
+ * rebinding) is still caught. Redirects are never followed by the HTTP client;
+ * guardedRequest() follows them itself and checks every hop.
+ */
+
+import axios from 'axios';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],        // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],       // link-local, cloud metadata
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],          // multicast
+  ['240.0.0.0', 4, 'ipv4'],          // reserved, broadcast
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],         // NAT64 - embeds an IPv4 address
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],             // unique local
+  ['fe80::', 10, 'ipv6'],            // link-local
+  ['ff00::', 8, 'ipv6']              // multicast
+];
+
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are matched against the IPv4 subnets too
+const blockList = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_SUBNETS) {
+  blockList.addSubnet(address, prefix, type);
+}
+
+const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * Thrown when a request would reach a non-public address
+ */
+export class BlockedAddressError extends Error {
+  constructor(host, address = null) {
+    super(address && address !== host
+      ? `${host} resolves to a private network address`
+      : `${host} is a private network address`);
+    this.name = 'BlockedAddressError';
+    this.code = 'EPRIVATEADDRESS';
+  }
+}
+
+/**
+ * Local development only: NETWORK_GUARD_ALLOW_PRIVATE=true lets webhooks and crawls reach localhost
+ */
+function privateAllowed() {
+  return process.env.NETWORK_GUARD_ALLOW_PRIVATE === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise non-public
+ */
+export function isPrivateAddress(address) {
+  const type = net.isIP(address);
+  if (type === 0) return false;
+  return blockList.check(address, type === 4 ? 'ipv4' : 'ipv6');
+}
+
+function unbracket(hostname) {
+  return String(hostname).replace(/^\[|\]$/g, '');
+}
+
+/**
+ * dns.lookup replacement for http(s) agents that refuses non-public addresses
+ */
+export function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked && !privateAllowed()) {
+      return callback(new BlockedAddressError(hostname, blocked.address));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+export const httpAgent = new http.Agent({ lookup: guardedLookup, keepAlive: false });
+export const httpsAgent = new https.Agent({ lookup: guardedLookup, keepAlive: false });
+
+/**
+ * Check a URL before requesting it: http(s) only, and a public host
+ * IP literals are checked here (connections to them skip DNS); hostnames are resolved
+ * now for an early, clear error and again by the agents when connecting.
+ * @param {string} value - Absolute URL
+ * @returns {Promise<URL>}
+ */
+export async function assertPublicUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`Invalid URL: ${value}`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`Only http and https URLs are allowed: ${value}`);
+  }
+  if (privateAllowed()) return url;
+
+  const host = unbracket(url.hostname);
+  if (net.isIP(host)) {
+    if (isPrivateAddress(host)) throw new BlockedAddressError(host);
+    return url;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch {
+    throw Object.assign(new Error(`Could not resolve ${host}`), { code: 'ENOTFOUND' });
+  }
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) throw new BlockedAddressError(host, blocked.address);
+
+  return url;
+}
+
+/**
+ * axios request that can only reach public addresses
+ * Redirects are followed here (up to maxRedirects) so each hop is checked.
+ * @param {object} config - axios config ({ url, method, ... }); maxRedirects, proxy and agents are set here
+ * @param {object} options - { maxRedirects }
+ * @returns {Promise<object>} axios response, plus `redirects`: [{ url, status }] and `finalUrl`
+ */
+export async function guardedRequest(config, { maxRedirects = 0 } = {}) {
+  const redirects = [];
+  let url = config.url;
+
+  for (let hop = 0; ; hop++) {
+    await assertPublicUrl(url);
+
+    const response = await axios.request({
+      timeout: DEFAULT_TIMEOUT,
+      ...config,
+      url,
+      maxRedirects: 0,
+      proxy: false,
+      httpAgent,
+      httpsAgent,
+      validateStatus: () => true
+    });
+
+    const location = response.headers?.location;
+    if (response.status >= 300 && response.status < 400 && location && hop < maxRedirects) {
+      redirects.push({ url, status: response.status });
+      url = new URL(location, url).toString();
+      continue;
+    }
+
+    const validateStatus = config.validateStatus || (status => status >= 200 && status < 300);
+    if (!validateStatus(response.status)) {
+      throw Object.assign(new Error(`HTTP ${response.status}`), { response });
+    }
+
+    return Object.assign(response, { redirects, finalUrl: url });
+  }
+}
+
+export default {
+  isPrivateAddress,
+  assertPublicUrl,
+  guardedRequest,
+  guardedLookup,
+  httpAgent,
+  httpsAgent
+};
@@ -0,0 +1,120 @@
+/**
+ * Notification Service
+ * In-app notifications for account owners (reconnect prompts, background job results)
+ *
+ * Notifications with a dedupe key are only created once while an unread copy exists,
+ * so a worker that runs every few minutes doesn't stack identical prompts.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { toBusinessScope } from './workspaceService.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export const NOTIFICATION_TYPES = {
+  RECONNECT_REQUIRED: 'connection.reconnect_required',
+  ANOMALY_DETECTED: 'traffic.anomaly_detected'
+};
+
+class NotificationService {
+  /**
+   * Create a notification
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @param {object} notification - { type, title, message, metadata, dedupeKey }
+   * @returns {Promise<object|null>} Created row, or null if deduplicated or the write failed
+   */
+  async notify(scopeOrEmail, { type, title, message, metadata = {}, dedupeKey = null }) {
+    const { email, businessId } = toBusinessScope(scopeOrEmail);
+
+    try {
+      if (dedupeKey) {
+        const { data: existing } = await supabase
+          .from('notifications')
+          .select('id')
+          .eq('user_email', email)
+          .eq('dedupe_key', dedupeKey)
+          .is('read_at', null)
+          .limit(1);
+
+        if (existing && existing.length > 0) {
+          return null;
+        }
+      }
+
+      const { data, error } = await supabase
+        .from('notifications')
+        .insert({
+          user_email: email,
+          business_id: businessId,
+          type,
+          title,
+          message,
+          metadata,
+          dedupe_key: dedupeKey
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      console.log(`🔔 Notification created: ${type}`);
+      return data;
+    } catch (error) {
+      console.error(`❌ Failed to create notification (${type}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List notifications for an account, newest first
+   * @param {string} email - User's email
+   * @param {object} options - { unreadOnly, limit }
+   */
+  async list(email, { unreadOnly = false, limit = 50 } = {}) {
+    let query = supabase
+      .from('notifications')
+      .select('*')
+      .eq('user_email', email);
+
+    if (unreadOnly) {
+      query = query.is('read_at', null);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200));
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Mark notifications as read
+   * @param {string} email - User's email
+   * @param {string|null} notificationId - One notification, or all when null
+   * @returns {Promise<number>} Rows updated
+   */
+  async markRead(email, notificationId = null) {
+    let query = supabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() }, { count: 'exact' })
+      .eq('user_email', email)
+      .is('read_at', null);
+
+    if (notificationId) {
+      query = query.eq('id', notificationId);
+    }
+
+    const { error, count } = await query;
+    if (error) throw error;
+    return count || 0;
+  }
+}
+
+export default new NotificationService();
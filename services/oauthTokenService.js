@@ -1,7 +1,11 @@
 /**
  * OAuth Token Service
  * Manages persistent OAuth connections for Google Analytics and Search Console
- * Tokens are stored in database and auto-refreshed when expired
+ * Tokens are stored in database (encrypted by tokenVault) and auto-refreshed when expired
+ *
+ * Connections can belong to a single business (business_id) or to the whole account
+ * (business_id NULL). Lookups with a business scope prefer the business's own
+ * connection and fall back to the account-level one.
  */
 
 import dotenv from 'dotenv';
@@ -9,6 +13,9 @@ dotenv.config();
 
 import { createClient } from '@supabase/supabase-js';
 import { google } from 'googleapis';
+import axios from 'axios';
+import { toBusinessScope } from './workspaceService.js';
+import tokenVault from './tokenVault.js';
 
 // Validate environment variables (optional for some services)
 if (!process.env.SUPABASE_URL) {
@@ -47,6 +54,17 @@ function normalizeEmail(email) {
   return email?.toLowerCase().trim() || '';
 }
 
+// Normalize a business scope or legacy email argument (email lowercased)
+function normalizeScope(scopeOrEmail) {
+  const scope = toBusinessScope(scopeOrEmail);
+  return { ...scope, email: normalizeEmail(scope.email) };
+}
+
+// Restrict a query to exactly one connection owner: the business, or the account-level row
+function matchBusiness(query, businessId) {
+  return businessId ? query.eq('business_id', businessId) : query.is('business_id', null);
+}
+
 // Bug #5 Fix: Validate timestamp is in milliseconds
 function normalizeTimestamp(timestamp) {
   if (!timestamp) return null;
@@ -60,15 +78,15 @@ function normalizeTimestamp(timestamp) {
 const oauthTokenService = {
   /**
    * Store OAuth tokens in database
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {object} tokens - OAuth tokens from provider
    * @param {string} provider - OAuth provider ('google' or 'facebook')
    * @returns {Promise<boolean>} Success status
    */
-  async storeTokens(userEmail, tokens, provider = 'google') {
+  async storeTokens(scopeOrEmail, tokens, provider = 'google') {
     try {
       // Bug #1 Fix: Normalize email
-      userEmail = normalizeEmail(userEmail);
+      const { email: userEmail, businessId } = normalizeScope(scopeOrEmail);
 
       if (!supabase) {
         console.warn('⚠️ Supabase not configured - tokens not persisted');
@@ -80,9 +98,12 @@ const oauthTokenService = {
 
       const tokenData = {
         user_email: userEmail,
+        business_id: businessId,
         provider: provider,
-        access_token: tokens.access_token,
-        refresh_token: tokens.refresh_token || null,
+        ...tokenVault.sealTokens({
+          access_token: tokens.access_token,
+          refresh_token: tokens.refresh_token || null
+        }),
         expires_at: expiresAt,
         scope: tokens.scope || null,
         updated_at: new Date().toISOString()
@@ -101,12 +122,20 @@ const oauthTokenService = {
         tokenData.provider_user_email = tokens.provider_user_email || null;
       }
 
-      // Check if user already has tokens for this provider
-      const { data: existing } = await supabase
-        .from('oauth_tokens')
-        .select('id')
-        .eq('user_email', userEmail)
-        .eq('provider', provider)
+      // New tokens (connect or refresh) clear any earlier refresh failure
+      tokenData.last_refreshed_at = new Date().toISOString();
+      tokenData.refresh_failed_at = null;
+      tokenData.refresh_error = null;
+
+      // Check if this business (or the account) already has tokens for this provider
+      const { data: existing } = await matchBusiness(
+        supabase
+          .from('oauth_tokens')
+          .select('id')
+          .eq('user_email', userEmail)
+          .eq('provider', provider),
+        businessId
+      )
         .order('updated_at', { ascending: false })
         .limit(1);
 
@@ -134,47 +163,67 @@ const oauthTokenService = {
     }
   },
 
+  /**
+   * Find the token row a scope uses: the business's own connection first,
+   * then the account-level connection
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @param {string} provider - OAuth provider
+   * @returns {Promise<object|null>} oauth_tokens row or null
+   */
+  async findTokenRow(scopeOrEmail, provider = 'google') {
+    const { email: userEmail, businessId } = normalizeScope(scopeOrEmail);
+
+    let query = supabase
+      .from('oauth_tokens')
+      .select('*')
+      .eq('user_email', userEmail)
+      .eq('provider', provider);
+
+    if (businessId) {
+      query = query.or(`business_id.eq.${businessId},business_id.is.null`);
+    }
+
+    const { data, error } = await query
+      .order('updated_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      return null;
+    }
+
+    return (businessId && data.find(row => row.business_id === businessId)) || data[0];
+  },
+
   /**
    * Get stored OAuth tokens for a user
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {string} provider - OAuth provider ('google' or 'facebook')
    * @returns {Promise<object|null>} OAuth tokens or null
    */
-  async getTokens(userEmail, provider = 'google') {
+  async getTokens(scopeOrEmail, provider = 'google') {
     try {
-      // Bug #1 Fix: Normalize email
-      userEmail = normalizeEmail(userEmail);
-
       if (!supabase) {
         console.warn('⚠️ Supabase not configured - cannot retrieve stored tokens');
         return null;
       }
 
-      const { data, error } = await supabase
-        .from('oauth_tokens')
-        .select('*')
-        .eq('user_email', userEmail)
-        .eq('provider', provider)
-        .order('updated_at', { ascending: false })
-        .limit(1);
-
-      if (error) {
-        throw error;
-      }
+      const tokenRow = await this.findTokenRow(scopeOrEmail, provider);
 
-      if (!data || data.length === 0) {
+      if (!tokenRow) {
         return null;
       }
 
-      const tokenRow = data[0];
-
       // Bug #5 Fix: Normalize timestamp when reading
       const expiresAt = normalizeTimestamp(tokenRow.expires_at);
+      const { access_token, refresh_token } = tokenVault.openTokens(tokenRow);
 
       // Bug #9 Fix: Use consistent field names (expires_at everywhere)
       const tokens = {
-        access_token: tokenRow.access_token,
-        refresh_token: tokenRow.refresh_token,
+        access_token,
+        refresh_token,
         expires_at: expiresAt,
         expiry_date: expiresAt, // Keep for backward compatibility
         scope: tokenRow.scope,
@@ -203,15 +252,13 @@ const oauthTokenService = {
 
   /**
    * Check if user has valid OAuth connection
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {string} provider - OAuth provider ('google' or 'facebook')
    * @returns {Promise<boolean>} True if connected
    */
-  async isConnected(userEmail, provider = 'google') {
+  async isConnected(scopeOrEmail, provider = 'google') {
     try {
-      // Bug #1 Fix: Normalize email
-      userEmail = normalizeEmail(userEmail);
-      const tokens = await this.getTokens(userEmail, provider);
+      const tokens = await this.getTokens(scopeOrEmail, provider);
       return tokens !== null && (tokens.access_token || tokens.refresh_token);
     } catch (error) {
       console.error('❌ Error checking connection:', error);
@@ -221,33 +268,32 @@ const oauthTokenService = {
 
   /**
    * Refresh expired access token using refresh token
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @returns {Promise<object|null>} New tokens or null
    */
-  async refreshTokens(userEmail, provider = 'google') {
+  async refreshTokens(scopeOrEmail, provider = 'google') {
+    const scope = normalizeScope(scopeOrEmail);
+    const refreshKey = `${scope.email}:${scope.businessId || ''}`;
     try {
-      // Bug #1 Fix: Normalize email
-      userEmail = normalizeEmail(userEmail);
-
-      // Only Google needs refresh really, but kept generic structure
+      // LinkedIn and Facebook/Instagram have their own refresh flows
       if (provider !== 'google') {
-        // For now, only Google refresh is implemented with googleapis
-        return await this.getTokens(userEmail, provider);
+        return await this.refreshProviderTokens(scope, provider);
       }
 
       // Bug #6 Fix: Check if refresh is already in progress for this user
-      if (refreshInProgress.get(userEmail)) {
+      if (refreshInProgress.get(refreshKey)) {
         console.log('⏳ Token refresh already in progress for user, waiting...');
         // Wait for the existing refresh to complete
         await new Promise(resolve => setTimeout(resolve, 1000));
-        return await this.getTokens(userEmail, provider);
+        return await this.getTokens(scope, provider);
       }
 
       // Mark refresh as in progress
-      refreshInProgress.set(userEmail, true);
+      refreshInProgress.set(refreshKey, true);
 
       try {
-        const tokens = await this.getTokens(userEmail, provider);
+        const tokenRow = await this.findTokenRow(scope, provider);
+        const tokens = await this.getTokens(scope, provider);
         if (!tokens || !tokens.refresh_token) {
           console.log('❌ No refresh token available for user');
           return null;
@@ -268,38 +314,149 @@ const oauthTokenService = {
           expires_at: normalizeTimestamp(credentials.expiry_date || credentials.expires_at),
           scope: credentials.scope || tokens.scope
         };
-        await this.storeTokens(userEmail, newTokens, provider);
+        // Write back to the row the tokens came from (business or account-level)
+        await this.storeTokens({ email: scope.email, businessId: tokenRow?.business_id || null }, newTokens, provider);
 
         return newTokens;
       } finally {
         // Bug #6 Fix: Clear the mutex after completion
-        refreshInProgress.delete(userEmail);
+        refreshInProgress.delete(refreshKey);
       }
     } catch (error) {
       console.error('❌ Error refreshing OAuth tokens:', error);
-      refreshInProgress.delete(userEmail);
+      refreshInProgress.delete(refreshKey);
 
       // If refresh fails, connection is broken
       if (error.message?.includes('invalid_grant')) {
         console.log('🔓 Invalid grant - disconnecting user');
-        await this.disconnect(userEmail);
+        await this.disconnect(scope);
       }
 
       return null;
     }
   },
 
+  /**
+   * Refresh LinkedIn or Facebook/Instagram tokens and store the result
+   * Throws with error.code = 'no_refresh_token' | 'token_invalid' | 'refresh_failed'
+   * so callers can tell a dead connection from a transient failure.
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @param {string} provider - 'linkedin' | 'facebook' | 'instagram'
+   * @returns {Promise<object>} New tokens
+   */
+  async refreshProviderTokens(scopeOrEmail, provider) {
+    const scope = normalizeScope(scopeOrEmail);
+    const tokenRow = await this.findTokenRow(scope, provider);
+    const tokens = await this.getTokens(scope, provider);
+
+    if (!tokenRow || !tokens) {
+      throw Object.assign(new Error(`No ${provider} connection`), { code: 'token_invalid' });
+    }
+
+    const rowScope = { email: scope.email, businessId: tokenRow.business_id || null };
+    let newTokens;
+
+    if (provider === 'linkedin') {
+      if (!tokens.refresh_token) {
+        throw Object.assign(new Error('No LinkedIn refresh token - reconnect required'), { code: 'no_refresh_token' });
+      }
+
+      try {
+        const response = await axios.post('https://www.linkedin.com/oauth/v2/accessToken', new URLSearchParams({
+          grant_type: 'refresh_token',
+          refresh_token: tokens.refresh_token,
+          client_id: process.env.LINKEDIN_CLIENT_ID || '',
+          client_secret: process.env.LINKEDIN_CLIENT_SECRET || ''
+        }).toString(), {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+
+        const { access_token, expires_in, refresh_token } = response.data;
+        newTokens = {
+          ...tokens,
+          access_token,
+          refresh_token: refresh_token || tokens.refresh_token,
+          expires_in,
+          expires_at: Date.now() + (expires_in * 1000)
+        };
+      } catch (error) {
+        const code = error.response?.data?.error === 'invalid_grant' ? 'token_invalid' : 'refresh_failed';
+        throw Object.assign(new Error(error.response?.data?.error_description || error.message), { code });
+      }
+    } else if (provider === 'facebook' || provider === 'instagram') {
+      newTokens = await this.extendFacebookToken(tokens);
+    } else {
+      throw Object.assign(new Error(`Refresh not supported for ${provider}`), { code: 'refresh_failed' });
+    }
+
+    const stored = await this.storeTokens(rowScope, newTokens, provider);
+    if (!stored) {
+      throw Object.assign(new Error('Failed to store refreshed tokens'), { code: 'refresh_failed' });
+    }
+
+    console.log(`✅ ${provider} token refreshed`);
+    return newTokens;
+  },
+
+  /**
+   * Check a Facebook token and extend it where possible
+   * User tokens are exchanged for a new 60-day token; Page tokens don't expire
+   * while the granting user token is valid, so a valid Page token is re-dated.
+   * @param {object} tokens - Stored Facebook/Instagram tokens
+   * @returns {Promise<object>} Updated tokens
+   */
+  async extendFacebookToken(tokens) {
+    const appAccessToken = `${process.env.FACEBOOK_APP_ID}|${process.env.FACEBOOK_APP_SECRET}`;
+
+    let info;
+    try {
+      const response = await axios.get('https://graph.facebook.com/v18.0/debug_token', {
+        params: { input_token: tokens.access_token, access_token: appAccessToken }
+      });
+      info = response.data.data;
+    } catch (error) {
+      throw Object.assign(new Error(error.response?.data?.error?.message || error.message), { code: 'refresh_failed' });
+    }
+
+    if (!info?.is_valid) {
+      throw Object.assign(new Error(info?.error?.message || 'Facebook token is no longer valid'), { code: 'token_invalid' });
+    }
+
+    if (info.type === 'PAGE') {
+      return {
+        ...tokens,
+        expires_at: info.expires_at ? info.expires_at * 1000 : Date.now() + (365 * 24 * 60 * 60 * 1000)
+      };
+    }
+
+    try {
+      const response = await axios.get('https://graph.facebook.com/v18.0/oauth/access_token', {
+        params: {
+          grant_type: 'fb_exchange_token',
+          client_id: process.env.FACEBOOK_APP_ID,
+          client_secret: process.env.FACEBOOK_APP_SECRET,
+          fb_exchange_token: tokens.access_token
+        }
+      });
+
+      return {
+        ...tokens,
+        access_token: response.data.access_token,
+        expires_at: Date.now() + ((response.data.expires_in || 60 * 24 * 60 * 60) * 1000)
+      };
+    } catch (error) {
+      throw Object.assign(new Error(error.response?.data?.error?.message || error.message), { code: 'refresh_failed' });
+    }
+  },
+
   /**
    * Get valid OAuth client (auto-refreshes if needed)
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @returns {Promise<OAuth2Client|null>} Configured OAuth client or null
    */
-  async getOAuthClient(userEmail) {
+  async getOAuthClient(scopeOrEmail) {
     try {
-      // Bug #1 Fix: Normalize email
-      userEmail = normalizeEmail(userEmail);
-
-      let tokens = await this.getTokens(userEmail);
+      let tokens = await this.getTokens(scopeOrEmail);
 
       if (!tokens) {
         console.log('❌ No tokens found for user');
@@ -314,7 +471,7 @@ const oauthTokenService = {
       // Refresh if expired or expiring soon
       if (expiryDate && expiryDate < fiveMinutesFromNow) {
         console.log('🔄 Token expired or expiring soon, refreshing...');
-        tokens = await this.refreshTokens(userEmail);
+        tokens = await this.refreshTokens(scopeOrEmail);
 
         if (!tokens) {
           console.log('❌ Failed to refresh tokens');
@@ -340,18 +497,19 @@ const oauthTokenService = {
   },
 
   /**
-   * Disconnect user's OAuth connection
-   * @param {string} userEmail - User's email
+   * Disconnect the OAuth connection a business (or account) is using
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {string} provider - OAuth provider ('google' or 'facebook')
    * @returns {Promise<boolean>} Success status
    */
-  async disconnect(userEmail, provider = 'google') {
+  async disconnect(scopeOrEmail, provider = 'google') {
     try {
       // Bug #1 Fix: Normalize email
-      userEmail = normalizeEmail(userEmail);
+      const { email: userEmail } = normalizeScope(scopeOrEmail);
 
       // Revoke tokens with provider
-      const tokens = await this.getTokens(userEmail, provider);
+      const tokenRow = supabase ? await this.findTokenRow(scopeOrEmail, provider) : null;
+      const tokens = await this.getTokens(scopeOrEmail, provider);
       if (tokens?.access_token) {
         try {
           if (provider === 'google') {
@@ -365,11 +523,14 @@ const oauthTokenService = {
 
       // Delete from database
       if (supabase) {
-        const { error } = await supabase
-          .from('oauth_tokens')
-          .delete()
-          .eq('user_email', userEmail)
-          .eq('provider', provider);
+        const { error } = await matchBusiness(
+          supabase
+            .from('oauth_tokens')
+            .delete()
+            .eq('user_email', userEmail)
+            .eq('provider', provider),
+          tokenRow?.business_id || null
+        );
 
         if (error) throw error;
       } else {
@@ -385,28 +546,212 @@ const oauthTokenService = {
 
   /**
    * Delete tokens from database (alias for disconnect)
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {string} provider - OAuth provider ('google' or 'facebook')
    * @returns {Promise<boolean>} Success status
    */
-  async deleteTokens(userEmail, provider = 'google') {
+  async deleteTokens(scopeOrEmail, provider = 'google') {
     // Bug #1 Fix: Normalize email (disconnect will also normalize, but be explicit)
-    userEmail = normalizeEmail(userEmail);
-    return this.disconnect(userEmail, provider);
+    return this.disconnect(normalizeScope(scopeOrEmail), provider);
+  },
+
+  /**
+   * List every connection row for an account (all businesses and providers)
+   * @param {string} userEmail - User's email
+   * @returns {Promise<Array>} oauth_tokens rows (tokens still encrypted - see tokenVault.openTokens)
+   */
+  async getAllTokenRows(userEmail) {
+    if (!supabase) return [];
+
+    const { data, error } = await supabase
+      .from('oauth_tokens')
+      .select('*')
+      .eq('user_email', normalizeEmail(userEmail));
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Connections of a provider whose access token expires before a point in time
+   * @param {string} provider - OAuth provider
+   * @param {number} beforeMs - Expiry cutoff (ms timestamp)
+   * @returns {Promise<Array>} oauth_tokens rows without token values
+   */
+  async getConnectionsExpiringBefore(provider, beforeMs) {
+    if (!supabase) return [];
+
+    const { data, error } = await supabase
+      .from('oauth_tokens')
+      .select('id, user_email, business_id, provider, expires_at, last_refreshed_at, refresh_failed_at, refresh_error')
+      .eq('provider', provider)
+      .not('expires_at', 'is', null)
+      .lt('expires_at', beforeMs)
+      .order('expires_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Every stored connection for the given providers (no token values)
+   * @param {string[]} providers - e.g. ['facebook', 'instagram', 'linkedin']
+   * @returns {Promise<Array>} [{ user_email, business_id, provider }]
+   */
+  async getConnectionsForProviders(providers) {
+    if (!supabase) return [];
+
+    const { data, error } = await supabase
+      .from('oauth_tokens')
+      .select('user_email, business_id, provider')
+      .in('provider', providers);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Mark a connection's last refresh attempt as failed
+   * @param {number} rowId - oauth_tokens id
+   * @param {string} message - Failure reason
+   */
+  async recordRefreshFailure(rowId, message) {
+    if (!supabase) return;
+
+    const { error } = await supabase
+      .from('oauth_tokens')
+      .update({
+        refresh_failed_at: new Date().toISOString(),
+        refresh_error: message
+      })
+      .eq('id', rowId);
+
+    if (error) {
+      console.error('❌ Error recording refresh failure:', error.message);
+    }
+  },
+
+  /**
+   * Re-encrypt stored tokens under the current vault key version
+   * Safe to run while the app is serving: each row is only updated if its key
+   * version is unchanged since it was read, so a concurrent storeTokens wins.
+   * @param {object} options - { batchSize }
+   * @returns {Promise<object>} { rotated, skipped, failed, remaining }
+   */
+  async reencryptAll({ batchSize = 100 } = {}) {
+    if (!supabase) throw new Error('Supabase not configured');
+
+    const activeVersion = tokenVault.getActiveKeyVersion();
+    const result = { rotated: 0, skipped: 0, failed: 0, remaining: 0 };
+    const failedIds = new Set();
+
+    while (true) {
+      let query = supabase
+        .from('oauth_tokens')
+        .select('id, access_token, refresh_token, encrypted_data_key, key_version')
+        .or(`key_version.is.null,key_version.neq.${activeVersion}`)
+        .order('id')
+        .limit(batchSize);
+
+      if (failedIds.size > 0) {
+        query = query.not('id', 'in', `(${[...failedIds].join(',')})`);
+      }
+
+      const { data: rows, error } = await query;
+      if (error) throw error;
+      if (!rows || rows.length === 0) break;
+
+      for (const row of rows) {
+        try {
+          const update = tokenVault.rotateRecord(row);
+
+          const guarded = row.key_version == null
+            ? supabase.from('oauth_tokens').update(update).eq('id', row.id).is('key_version', null)
+            : supabase.from('oauth_tokens').update(update).eq('id', row.id).eq('key_version', row.key_version);
+
+          const { data: updated, error: updateError } = await guarded.select('id');
+          if (updateError) throw updateError;
+
+          if (updated && updated.length > 0) {
+            result.rotated++;
+          } else {
+            result.skipped++; // Rewritten concurrently - already on the current key
+          }
+        } catch (rowError) {
+          console.error(`❌ Could not re-encrypt oauth_tokens row ${row.id}:`, rowError.message);
+          failedIds.add(row.id);
+          result.failed++;
+        }
+      }
+    }
+
+    const { count } = await supabase
+      .from('oauth_tokens')
+      .select('id', { count: 'exact', head: true })
+      .or(`key_version.is.null,key_version.neq.${activeVersion}`);
+    result.remaining = count || 0;
+
+    return result;
+  },
+
+  /**
+   * Revoke the grant at the provider so our app loses access entirely
+   * (deleting our copy of the tokens alone leaves the grant active)
+   * @param {string} provider - 'google' | 'facebook' | 'instagram' | 'linkedin'
+   * @param {object} tokens - { access_token, refresh_token }
+   * @returns {Promise<boolean>} True if the provider confirmed the revocation
+   */
+  async revokeGrant(provider, tokens) {
+    const token = tokens.refresh_token || tokens.access_token;
+    if (!token) return false;
+
+    try {
+      switch (provider) {
+        case 'google':
+          // Revoking the refresh token also invalidates its access tokens
+          await axios.post('https://oauth2.googleapis.com/revoke', new URLSearchParams({ token }).toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+          });
+          return true;
+
+        case 'facebook':
+        case 'instagram':
+          // Instagram is connected through Facebook Login - removing the app permissions revokes both
+          await axios.delete('https://graph.facebook.com/v18.0/me/permissions', {
+            params: { access_token: tokens.access_token }
+          });
+          return true;
+
+        case 'linkedin':
+          await axios.post('https://www.linkedin.com/oauth/v2/revoke', new URLSearchParams({
+            token: tokens.access_token,
+            client_id: process.env.LINKEDIN_CLIENT_ID || '',
+            client_secret: process.env.LINKEDIN_CLIENT_SECRET || ''
+          }).toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+          });
+          return true;
+
+        default:
+          console.warn(`⚠️ No revocation endpoint for provider: ${provider}`);
+          return false;
+      }
+    } catch (error) {
+      // Expired/already-revoked tokens are rejected by providers - nothing left to revoke
+      console.error(`❌ Failed to revoke ${provider} grant:`, error.response?.data || error.message);
+      return false;
+    }
   },
 
   /**
    * Get connection status with details
    * Bug #3 Fix: Now auto-refreshes expired tokens if refresh_token exists
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @returns {Promise<object>} Connection status details
    */
-  async getConnectionStatus(userEmail) {
+  async getConnectionStatus(scopeOrEmail) {
     try {
-      // Bug #1 Fix: Normalize email
-      userEmail = normalizeEmail(userEmail);
-
-      let tokens = await this.getTokens(userEmail);
+      let tokens = await this.getTokens(scopeOrEmail);
 
       if (!tokens) {
         return {
@@ -422,7 +767,7 @@ const oauthTokenService = {
       // Bug #3 Fix: Auto-refresh if expired but has refresh token
       if (isExpired && tokens.refresh_token) {
         console.log('🔄 Token expired, attempting auto-refresh in status check...');
-        const refreshedTokens = await this.refreshTokens(userEmail);
+        const refreshedTokens = await this.refreshTokens(scopeOrEmail);
 
         if (refreshedTokens) {
           tokens = refreshedTokens;
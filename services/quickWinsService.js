@@ -1,4 +1,7 @@
 import lighthouseService from './lighthouseService.js';
+import oauthTokenService from './oauthTokenService.js';
+import searchConsoleQueryService from './searchConsoleQueryService.js';
+import cannibalizationService from './cannibalizationService.js';
 import { createClient } from '@supabase/supabase-js';
 
 const supabase = createClient(
@@ -10,8 +13,10 @@ class QuickWinsService {
   /**
    * Get quick wins data from multiple sources
    * Priority: Cached opportunities > Fresh Lighthouse analysis > Fallback recommendations
+   * Keyword cannibalization found in the business's Search Console data is added to either.
+   * @param {object|null} scope - Business scope, needed for the Search Console checks
    */
-  async getQuickWinsData(email, domain, forceRefresh = false) {
+  async getQuickWinsData(email, domain, forceRefresh = false, scope = null) {
     const quickWinsData = {
       source: null,
       opportunities: [],
@@ -27,10 +32,12 @@ class QuickWinsService {
         performance: [],
         seo: [],
         accessibility: [],
-        bestPractices: []
+        bestPractices: [],
+        cannibalization: []
       },
       lastUpdated: null
     };
+    let cannibalization = null;
 
     try {
       // If not forcing refresh, try to get cached data first
@@ -44,11 +51,18 @@ class QuickWinsService {
 
       // Cache miss or force refresh - get fresh Lighthouse data
       console.log('🔦 Fetching fresh Lighthouse data for Quick Wins...');
-      const lighthouseData = await lighthouseService.analyzeSite(domain);
+      let lighthouseData;
+      [lighthouseData, cannibalization] = await Promise.all([
+        lighthouseService.analyzeSite(domain),
+        this.getCannibalizationOpportunities(scope, domain, forceRefresh)
+      ]);
       
       if (lighthouseData && lighthouseData.opportunities) {
         quickWinsData.source = 'lighthouse_fresh';
-        quickWinsData.opportunities = this.processLighthouseOpportunities(lighthouseData.opportunities);
+        quickWinsData.opportunities = [
+          ...this.processLighthouseOpportunities(lighthouseData.opportunities),
+          ...cannibalization
+        ].sort((a, b) => b.priority - a.priority);
         quickWinsData.summary = this.calculateOpportunitiesSummary(quickWinsData.opportunities);
         quickWinsData.categories = this.categorizeOpportunities(quickWinsData.opportunities);
         quickWinsData.lastUpdated = new Date().toISOString();
@@ -65,7 +79,10 @@ class QuickWinsService {
     // Fallback to generic recommendations
     try {
       quickWinsData.source = 'fallback_recommendations';
-      quickWinsData.opportunities = await this.getFallbackRecommendations(domain);
+      quickWinsData.opportunities = [
+        ...await this.getFallbackRecommendations(domain),
+        ...(cannibalization || await this.getCannibalizationOpportunities(scope, domain, forceRefresh))
+      ];
       quickWinsData.summary = this.calculateOpportunitiesSummary(quickWinsData.opportunities);
       quickWinsData.categories = this.categorizeOpportunities(quickWinsData.opportunities);
       quickWinsData.lastUpdated = new Date().toISOString();
@@ -169,6 +186,46 @@ class QuickWinsService {
     }
   }
 
+  /**
+   * Queries where several of the site's pages compete, as quick wins
+   * Empty when Google isn't connected or no Search Console property matches the domain.
+   */
+  async getCannibalizationOpportunities(scope, domain, forceRefresh = false) {
+    if (!scope || !domain) return [];
+
+    try {
+      const oauth2Client = await oauthTokenService.getOAuthClient(scope);
+      if (!oauth2Client) return [];
+
+      const siteUrl = await searchConsoleQueryService.resolveSiteUrl(oauth2Client, domain.split('/')[0]);
+      if (!siteUrl) return [];
+
+      const { queries } = await cannibalizationService.analyze(scope, oauth2Client, { siteUrl, limit: 10, forceRefresh });
+
+      return queries.map((query, index) => ({
+        id: `cannibal_${index}`,
+        title: `Consolidate pages competing for "${query.query}"`,
+        description: `${query.pages.length} pages split ${query.impressions.toLocaleString()} impressions for this query. ${query.recommendation.summary}.`,
+        impact: query.severity,
+        category: 'cannibalization',
+        savingsMs: 0,
+        savingsBytes: 0,
+        score: query.priority,
+        priority: query.priority,
+        estimatedEffort: query.recommendation.actions.some(action => action.action === 'differentiate') ? 'high' : 'medium',
+        tags: ['seo', 'cannibalization', 'content'],
+        query: query.query,
+        estimatedLostClicks: query.estimatedLostClicks,
+        primaryPage: query.primaryPage,
+        competingPages: query.pages,
+        actions: query.recommendation.actions
+      }));
+    } catch (error) {
+      console.warn('⚠️ Cannibalization check skipped for Quick Wins:', error.message);
+      return [];
+    }
+  }
+
   /**
    * Process Lighthouse opportunities into standardized format
    */
@@ -229,7 +286,8 @@ class QuickWinsService {
       performance: [],
       seo: [],
       accessibility: [],
-      bestPractices: []
+      bestPractices: [],
+      cannibalization: []
     };
 
     opportunities.forEach(opp => {
@@ -0,0 +1,157 @@
+/**
+ * Report Charts
+ * pdfkit drawing helpers shared by the PDF report services
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_COLORS = {
+  line: '#3b82f6',
+  marker: '#8b5cf6',
+  band: '#ede9fe',
+  grid: '#e5e7eb',
+  text: '#6b7280'
+};
+
+function toTime(value) {
+  const time = new Date(`${String(value).substring(0, 10)}T00:00:00Z`).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+function shortDate(time) {
+  return new Date(time).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+function formatValue(value) {
+  if (Math.abs(value) >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+  if (Math.abs(value) >= 1000) return `${(value / 1000).toFixed(1)}K`;
+  return `${Math.round(value * 10) / 10}`;
+}
+
+/**
+ * Line chart of a daily series with annotation markers (dashed lines, numbered; multi-day
+ * events get a shaded band). Without series points only the time axis and markers are drawn.
+ * Leaves doc.y below the chart.
+ * @param {PDFDocument} doc
+ * @param {object} options - { series: [{date, value}], annotations: [{date, endDate, title, category}],
+ *                             from, to, x, y, width, height, colors }
+ * @returns {Array} The annotations that were drawn, in marker-number order
+ */
+export function drawTimelineChart(doc, {
+  series = [],
+  annotations = [],
+  from = null,
+  to = null,
+  x = 50,
+  y = doc.y + 10,
+  width = 495,
+  height = 140,
+  colors = {}
+} = {}) {
+  const palette = { ...DEFAULT_COLORS, ...colors };
+  const points = series
+    .map(point => ({ time: toTime(point.date), value: Number(point.value) }))
+    .filter(point => point.time !== null && Number.isFinite(point.value))
+    .sort((a, b) => a.time - b.time);
+
+  const start = from ? toTime(from) : points[0]?.time ?? toTime(annotations[0]?.date);
+  const end = to ? toTime(to) : points[points.length - 1]?.time ?? start;
+  if (start === null || end === null) return [];
+
+  const span = Math.max(end - start, DAY);
+  const xAt = time => x + ((Math.min(Math.max(time, start), start + span) - start) / span) * width;
+
+  // Frame
+  doc.rect(x, y, width, height).strokeColor(palette.grid).lineWidth(0.5).stroke();
+
+  const visible = annotations
+    .filter(annotation => {
+      const first = toTime(annotation.date);
+      const last = toTime(annotation.endDate || annotation.date);
+      return first !== null && first <= start + span && last >= start;
+    })
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+  // Campaign-style ranges behind everything else
+  for (const annotation of visible) {
+    if (!annotation.endDate || annotation.endDate === annotation.date) continue;
+    const left = xAt(toTime(annotation.date));
+    const right = xAt(toTime(annotation.endDate));
+    if (right - left >= 1) {
+      doc.rect(left, y, right - left, height).fillColor(palette.band).fillOpacity(0.6).fill();
+      doc.fillOpacity(1);
+    }
+  }
+
+  if (points.length > 0) {
+    const values = points.map(point => point.value);
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (max === min) {
+      max += 1;
+      min -= 1;
+    }
+    const padding = (max - min) * 0.1;
+    min -= padding;
+    max += padding;
+    const yAt = value => y + height - ((value - min) / (max - min)) * height;
+
+    doc.moveTo(xAt(points[0].time), yAt(points[0].value));
+    for (const point of points.slice(1)) {
+      doc.lineTo(xAt(point.time), yAt(point.value));
+    }
+    doc.strokeColor(palette.line).lineWidth(1.5).stroke();
+
+    doc.fontSize(7).fillColor(palette.text)
+      .text(formatValue(max - padding), x + 3, y + 3, { lineBreak: false })
+      .text(formatValue(min + padding), x + 3, y + height - 10, { lineBreak: false });
+  }
+
+  // Markers on top of the line
+  visible.forEach((annotation, index) => {
+    const markerX = xAt(toTime(annotation.date));
+
+    doc.dash(2, { space: 2 })
+      .moveTo(markerX, y)
+      .lineTo(markerX, y + height)
+      .strokeColor(palette.marker)
+      .lineWidth(1)
+      .stroke()
+      .undash();
+
+    doc.circle(markerX, y, 6).fillColor(palette.marker).fill();
+    doc.fontSize(7).fillColor('#ffffff')
+      .text(String(index + 1), markerX - 6, y - 3, { width: 12, align: 'center', lineBreak: false });
+  });
+
+  // Date axis
+  doc.fontSize(8).fillColor(palette.text)
+    .text(shortDate(start), x, y + height + 4, { lineBreak: false })
+    .text(shortDate(start + span), x + width - 100, y + height + 4, { width: 100, align: 'right', lineBreak: false });
+
+  doc.x = x;
+  doc.y = y + height + 18;
+  return visible;
+}
+
+/**
+ * Numbered list matching the markers drawn by drawTimelineChart
+ * @param {PDFDocument} doc
+ * @param {Array} annotations - As returned by drawTimelineChart
+ * @param {object} options - { x, width, color }
+ */
+export function drawAnnotationLegend(doc, annotations, { x = 50, width = 495, color = DEFAULT_COLORS.text } = {}) {
+  annotations.forEach((annotation, index) => {
+    const first = toTime(annotation.date);
+    const range = annotation.endDate && annotation.endDate !== annotation.date
+      ? `${shortDate(first)} – ${shortDate(toTime(annotation.endDate))}`
+      : shortDate(first);
+    const category = annotation.category && annotation.category !== 'other'
+      ? ` (${annotation.category.replace(/_/g, ' ')})`
+      : '';
+
+    if (doc.y > 720) doc.addPage();
+    doc.fontSize(9).fillColor(color)
+      .text(`${index + 1}. ${range}: ${annotation.title}${category}`, x, doc.y + 3, { width });
+  });
+}
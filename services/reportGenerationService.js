@@ -1,5 +1,8 @@
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { toBusinessScope, applyBusinessScope, describeScope } from './workspaceService.js';
+import webhookService from './webhookService.js';
+import usageService from './usageService.js';
 
 dotenv.config();
 
@@ -8,23 +11,62 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
+export const REPORT_TYPES = ['dashboard', 'competitor', 'social', 'seo', 'overall'];
+
 /**
  * Report Generation Service
  * Aggregates metrics from all features and generates comprehensive reports
+ * Reports belong to a business; methods take a business scope or a plain email.
  */
 class ReportGenerationService {
+  /**
+   * Generate and save a report of the given type, and record it in the usage ledger
+   * @param {string} reportType - One of REPORT_TYPES
+   * @param {object} options - { usageReservationId } - quota unit reserved by the caller, if any
+   */
+  async generateReport(reportType, scopeOrEmail, periodStart, periodEnd, { usageReservationId = null } = {}) {
+    let report;
+    switch (reportType) {
+      case 'dashboard':
+        report = await this.generateDashboardReport(scopeOrEmail, periodStart, periodEnd);
+        break;
+      case 'competitor':
+        report = await this.generateCompetitorReport(scopeOrEmail, periodStart, periodEnd);
+        break;
+      case 'social':
+        report = await this.generateSocialReport(scopeOrEmail, periodStart, periodEnd);
+        break;
+      case 'seo':
+        report = await this.generateSEOReport(scopeOrEmail, periodStart, periodEnd);
+        break;
+      case 'overall':
+        report = await this.generateOverallReport(scopeOrEmail, periodStart, periodEnd);
+        break;
+      default:
+        throw new Error(`Invalid report type. Must be: ${REPORT_TYPES.join(', ')}`);
+    }
+
+    await usageService.record(scopeOrEmail, 'reports', {
+      resourceId: report.id,
+      metadata: { reportType },
+      reservationId: usageReservationId
+    });
+
+    return report;
+  }
+
   /**
    * Generate Dashboard Report
    * Includes overall site health, SEO metrics, and performance data
    */
-  async generateDashboardReport(userEmail, periodStart, periodEnd) {
+  async generateDashboardReport(scopeOrEmail, periodStart, periodEnd) {
     try {
-      console.log(`📊 Generating dashboard report for: ${userEmail}`);
+      console.log(`📊 Generating dashboard report for: ${describeScope(scopeOrEmail)}`);
 
       const reportData = {
-        seo: await this.getSEOMetrics(userEmail),
-        performance: await this.getPerformanceMetrics(userEmail),
-        analytics: await this.getAnalyticsMetrics(userEmail),
+        seo: await this.getSEOMetrics(scopeOrEmail),
+        performance: await this.getPerformanceMetrics(scopeOrEmail),
+        analytics: await this.getAnalyticsMetrics(scopeOrEmail),
         period: {
           start: periodStart,
           end: periodEnd
@@ -38,7 +80,7 @@ class ReportGenerationService {
         avgPageLoadTime: reportData.performance?.avgLoadTime || 0
       };
 
-      return await this.saveReport(userEmail, 'dashboard', 'Dashboard Overview Report', reportData, metricsSummary, periodStart, periodEnd);
+      return await this.saveReport(scopeOrEmail, 'dashboard', 'Dashboard Overview Report', reportData, metricsSummary, periodStart, periodEnd);
     } catch (error) {
       console.error('❌ Error generating dashboard report:', error);
       throw error;
@@ -48,16 +90,19 @@ class ReportGenerationService {
   /**
    * Generate Competitor Analysis Report
    */
-  async generateCompetitorReport(userEmail, periodStart, periodEnd) {
+  async generateCompetitorReport(scopeOrEmail, periodStart, periodEnd) {
     try {
-      console.log(`🎯 Generating competitor report for: ${userEmail}`);
+      console.log(`🎯 Generating competitor report for: ${describeScope(scopeOrEmail)}`);
 
       // Get competitor analysis history from localStorage (stored in browser)
       // For backend, we'll fetch from competitor_cache
-      const { data: competitorData } = await supabase
-        .from('competitor_cache')
-        .select('*')
-        .eq('user_email', userEmail)
+      const { data: competitorData } = await applyBusinessScope(
+        supabase
+          .from('competitor_cache')
+          .select('*')
+          .eq('user_email', toBusinessScope(scopeOrEmail).email),
+        scopeOrEmail
+      )
         .gte('updated_at', periodStart)
         .lte('updated_at', periodEnd)
         .order('updated_at', { ascending: false });
@@ -80,7 +125,7 @@ class ReportGenerationService {
         uniqueCompetitors: reportData.summary.uniqueCompetitors
       };
 
-      return await this.saveReport(userEmail, 'competitor', 'Competitor Intelligence Report', reportData, metricsSummary, periodStart, periodEnd);
+      return await this.saveReport(scopeOrEmail, 'competitor', 'Competitor Intelligence Report', reportData, metricsSummary, periodStart, periodEnd);
     } catch (error) {
       console.error('❌ Error generating competitor report:', error);
       throw error;
@@ -90,14 +135,14 @@ class ReportGenerationService {
   /**
    * Generate Social Media Performance Report
    */
-  async generateSocialReport(userEmail, periodStart, periodEnd) {
+  async generateSocialReport(scopeOrEmail, periodStart, periodEnd) {
     try {
-      console.log(`📱 Generating social media report for: ${userEmail}`);
+      console.log(`📱 Generating social media report for: ${describeScope(scopeOrEmail)}`);
 
       const { data: socialLogs } = await supabase
         .from('social_media_fetch_log')
         .select('*')
-        .eq('user_email', userEmail)
+        .eq('user_email', toBusinessScope(scopeOrEmail).email)
         .gte('created_at', periodStart)
         .lte('created_at', periodEnd)
         .order('created_at', { ascending: false });
@@ -135,7 +180,7 @@ class ReportGenerationService {
         platforms: Object.keys(platformMetrics).length
       };
 
-      return await this.saveReport(userEmail, 'social', 'Social Media Performance Report', reportData, metricsSummary, periodStart, periodEnd);
+      return await this.saveReport(scopeOrEmail, 'social', 'Social Media Performance Report', reportData, metricsSummary, periodStart, periodEnd);
     } catch (error) {
       console.error('❌ Error generating social report:', error);
       throw error;
@@ -145,14 +190,14 @@ class ReportGenerationService {
   /**
    * Generate SEO Report
    */
-  async generateSEOReport(userEmail, periodStart, periodEnd) {
+  async generateSEOReport(scopeOrEmail, periodStart, periodEnd) {
     try {
-      console.log(`🔍 Generating SEO report for: ${userEmail}`);
+      console.log(`🔍 Generating SEO report for: ${describeScope(scopeOrEmail)}`);
 
       const reportData = {
-        technicalSEO: await this.getTechnicalSEOMetrics(userEmail),
-        searchConsole: await this.getSearchConsoleMetrics(userEmail),
-        lighthouse: await this.getLighthouseMetrics(userEmail),
+        technicalSEO: await this.getTechnicalSEOMetrics(scopeOrEmail),
+        searchConsole: await this.getSearchConsoleMetrics(scopeOrEmail),
+        lighthouse: await this.getLighthouseMetrics(scopeOrEmail),
         period: {
           start: periodStart,
           end: periodEnd
@@ -166,7 +211,7 @@ class ReportGenerationService {
         avgPosition: reportData.searchConsole?.avgPosition || 0
       };
 
-      return await this.saveReport(userEmail, 'seo', 'SEO Analysis Report', reportData, metricsSummary, periodStart, periodEnd);
+      return await this.saveReport(scopeOrEmail, 'seo', 'SEO Analysis Report', reportData, metricsSummary, periodStart, periodEnd);
     } catch (error) {
       console.error('❌ Error generating SEO report:', error);
       throw error;
@@ -177,15 +222,15 @@ class ReportGenerationService {
    * Generate Overall Accumulated Report
    * Combines all metrics from all features
    */
-  async generateOverallReport(userEmail, periodStart, periodEnd) {
+  async generateOverallReport(scopeOrEmail, periodStart, periodEnd) {
     try {
-      console.log(`📈 Generating overall report for: ${userEmail}`);
+      console.log(`📈 Generating overall report for: ${describeScope(scopeOrEmail)}`);
 
       const [dashboard, competitor, social, seo] = await Promise.allSettled([
-        this.generateDashboardReport(userEmail, periodStart, periodEnd),
-        this.generateCompetitorReport(userEmail, periodStart, periodEnd),
-        this.generateSocialReport(userEmail, periodStart, periodEnd),
-        this.generateSEOReport(userEmail, periodStart, periodEnd)
+        this.generateDashboardReport(scopeOrEmail, periodStart, periodEnd),
+        this.generateCompetitorReport(scopeOrEmail, periodStart, periodEnd),
+        this.generateSocialReport(scopeOrEmail, periodStart, periodEnd),
+        this.generateSEOReport(scopeOrEmail, periodStart, periodEnd)
       ]);
 
       const reportData = {
@@ -208,7 +253,7 @@ class ReportGenerationService {
         ...this.extractKeyMetrics(reportData)
       };
 
-      return await this.saveReport(userEmail, 'overall', 'Complete Business Report', reportData, metricsSummary, periodStart, periodEnd);
+      return await this.saveReport(scopeOrEmail, 'overall', 'Complete Business Report', reportData, metricsSummary, periodStart, periodEnd);
     } catch (error) {
       console.error('❌ Error generating overall report:', error);
       throw error;
@@ -218,8 +263,10 @@ class ReportGenerationService {
   /**
    * Save report to database
    */
-  async saveReport(userEmail, reportType, reportTitle, reportData, metricsSummary, periodStart, periodEnd) {
+  async saveReport(scopeOrEmail, reportType, reportTitle, reportData, metricsSummary, periodStart, periodEnd) {
     try {
+      const { email: userEmail, businessId } = toBusinessScope(scopeOrEmail);
+
       // Get user ID
       const { data: userData } = await supabase
         .from('users_table')
@@ -234,6 +281,7 @@ class ReportGenerationService {
       const reportRecord = {
         user_id: userData.id,
         user_email: userEmail,
+        business_id: businessId,
         report_type: reportType,
         report_title: reportTitle,
         report_data: reportData,
@@ -254,6 +302,16 @@ class ReportGenerationService {
       }
 
       console.log(`✅ Report saved: ${reportType} - ${data.id}`);
+
+      webhookService.emit(scopeOrEmail, 'report.generated', {
+        reportId: data.id,
+        reportType,
+        title: reportTitle,
+        periodStart,
+        periodEnd,
+        metricsSummary
+      });
+
       return data;
     } catch (error) {
       console.error('❌ Error saving report:', error);
@@ -264,12 +322,15 @@ class ReportGenerationService {
   /**
    * Get user reports
    */
-  async getUserReports(userEmail, reportType = null) {
+  async getUserReports(scopeOrEmail, reportType = null) {
     try {
-      let query = supabase
-        .from('reports')
-        .select('*')
-        .eq('user_email', userEmail)
+      let query = applyBusinessScope(
+        supabase
+          .from('reports')
+          .select('*')
+          .eq('user_email', toBusinessScope(scopeOrEmail).email),
+        scopeOrEmail
+      )
         .order('created_at', { ascending: false });
 
       if (reportType) {
@@ -289,16 +350,43 @@ class ReportGenerationService {
     }
   }
 
+  /**
+   * Saved report of a type covering exactly this period, if one exists
+   */
+  async findReportForPeriod(scopeOrEmail, reportType, periodStart, periodEnd) {
+    const { data, error } = await applyBusinessScope(
+      supabase
+        .from('reports')
+        .select('*')
+        .eq('user_email', toBusinessScope(scopeOrEmail).email),
+      scopeOrEmail
+    )
+      .eq('report_type', reportType)
+      .eq('report_period_start', periodStart)
+      .eq('report_period_end', periodEnd)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data?.[0] || null;
+  }
+
   /**
    * Delete report
    */
-  async deleteReport(reportId, userEmail) {
+  async deleteReport(reportId, scopeOrEmail) {
     try {
-      const { error } = await supabase
-        .from('reports')
-        .delete()
-        .eq('id', reportId)
-        .eq('user_email', userEmail);
+      const { error } = await applyBusinessScope(
+        supabase
+          .from('reports')
+          .delete()
+          .eq('id', reportId)
+          .eq('user_email', toBusinessScope(scopeOrEmail).email),
+        scopeOrEmail
+      );
 
       if (error) {
         throw error;
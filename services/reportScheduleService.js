@@ -0,0 +1,458 @@
+/**
+ * Report Schedule Service
+ * Weekly/monthly report schedules per business, delivered by email
+ *
+ * The scheduler checks for due schedules every few minutes and queues a
+ * 'report.scheduled' job for each. The job generates the report for the last full
+ * week (Monday-Sunday) or calendar month before the scheduled run, saves it through
+ * reportGenerationService.saveReport and emails the PDF to the schedule's recipients.
+ * All times are UTC.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { toBusinessScope, applyBusinessScope, describeScope } from './workspaceService.js';
+import jobQueueService, { PermanentJobError } from './jobQueueService.js';
+import reportGenerationService, { REPORT_TYPES } from './reportGenerationService.js';
+import comprehensiveReportService from './comprehensiveReportService.js';
+import emailService from './emailService.js';
+import usageService from './usageService.js';
+import annotationService from './annotationService.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export const SCHEDULE_FREQUENCIES = ['weekly', 'monthly'];
+
+const JOB_TYPE = 'report.scheduled';
+const DAY = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL = 5 * 60 * 1000;
+const MAX_RECIPIENTS = 20;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * First run time strictly after `after` for a schedule
+ * @param {object} schedule - { frequency, day_of_week, day_of_month, hour_utc }
+ * @param {Date} after
+ * @returns {Date}
+ */
+export function computeNextRun({ frequency, day_of_week = 1, day_of_month = 1, hour_utc = 7 }, after = new Date()) {
+  if (frequency === 'monthly') {
+    let next = new Date(Date.UTC(after.getUTCFullYear(), after.getUTCMonth(), day_of_month, hour_utc));
+    if (next <= after) {
+      next = new Date(Date.UTC(after.getUTCFullYear(), after.getUTCMonth() + 1, day_of_month, hour_utc));
+    }
+    return next;
+  }
+
+  const next = new Date(Date.UTC(after.getUTCFullYear(), after.getUTCMonth(), after.getUTCDate(), hour_utc));
+  next.setUTCDate(next.getUTCDate() + ((day_of_week - next.getUTCDay() + 7) % 7));
+  if (next <= after) {
+    next.setUTCDate(next.getUTCDate() + 7);
+  }
+  return next;
+}
+
+/**
+ * Reporting period for a run: the last full Monday-Sunday week, or the previous calendar month
+ * @returns {{periodStart: string, periodEnd: string}} ISO timestamps (end is inclusive)
+ */
+export function getReportPeriod(frequency, runAt) {
+  const run = new Date(runAt);
+
+  let start;
+  let endExclusive;
+
+  if (frequency === 'monthly') {
+    start = new Date(Date.UTC(run.getUTCFullYear(), run.getUTCMonth() - 1, 1));
+    endExclusive = new Date(Date.UTC(run.getUTCFullYear(), run.getUTCMonth(), 1));
+  } else {
+    endExclusive = new Date(Date.UTC(run.getUTCFullYear(), run.getUTCMonth(), run.getUTCDate()));
+    endExclusive.setUTCDate(endExclusive.getUTCDate() - ((endExclusive.getUTCDay() + 6) % 7));
+    start = new Date(endExclusive.getTime() - 7 * DAY);
+  }
+
+  return {
+    periodStart: start.toISOString(),
+    periodEnd: new Date(endExclusive.getTime() - 1).toISOString()
+  };
+}
+
+function formatPeriod(periodStart, periodEnd) {
+  const format = value => new Date(value).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+  return `${format(periodStart)} – ${format(periodEnd)}`;
+}
+
+function parseInteger(value, name, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+class ReportScheduleService {
+  constructor() {
+    this.timer = null;
+    this.lastRun = null;
+
+    jobQueueService.registerHandler(JOB_TYPE, (payload, context) => this.runSchedule(payload, context), {
+      maxAttempts: 3,
+      timeoutMs: 15 * 60 * 1000
+    });
+  }
+
+  /**
+   * Validate schedule fields from a request body
+   * @param {object} input - { reportType, frequency, recipients, dayOfWeek, dayOfMonth, hourUtc, enabled }
+   * @param {object|null} existing - Current row when updating (missing fields keep their values)
+   * @returns {object} Column values
+   */
+  validate(input, existing = null) {
+    const values = {};
+
+    const reportType = input.reportType ?? existing?.report_type;
+    if (!REPORT_TYPES.includes(reportType)) {
+      throw new Error(`reportType must be one of: ${REPORT_TYPES.join(', ')}`);
+    }
+    values.report_type = reportType;
+
+    const frequency = input.frequency ?? existing?.frequency;
+    if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+      throw new Error(`frequency must be one of: ${SCHEDULE_FREQUENCIES.join(', ')}`);
+    }
+    values.frequency = frequency;
+
+    const recipients = input.recipients ?? existing?.recipients;
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      throw new Error('recipients must be a non-empty array of email addresses');
+    }
+    const normalized = [...new Set(recipients.map(r => String(r).trim().toLowerCase()))];
+    const invalid = normalized.filter(r => !EMAIL_PATTERN.test(r));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid recipient email(s): ${invalid.join(', ')}`);
+    }
+    if (normalized.length > MAX_RECIPIENTS) {
+      throw new Error(`A schedule can have at most ${MAX_RECIPIENTS} recipients`);
+    }
+    values.recipients = normalized;
+
+    values.day_of_week = parseInteger(input.dayOfWeek ?? existing?.day_of_week ?? 1, 'dayOfWeek', 0, 6);
+    values.day_of_month = parseInteger(input.dayOfMonth ?? existing?.day_of_month ?? 1, 'dayOfMonth', 1, 28);
+    values.hour_utc = parseInteger(input.hourUtc ?? existing?.hour_utc ?? 7, 'hourUtc', 0, 23);
+
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+      throw new Error('enabled must be a boolean');
+    }
+    values.enabled = input.enabled ?? existing?.enabled ?? true;
+
+    return values;
+  }
+
+  async listSchedules(scopeOrEmail) {
+    const { data, error } = await applyBusinessScope(
+      supabase
+        .from('report_schedules')
+        .select('*')
+        .eq('user_email', toBusinessScope(scopeOrEmail).email),
+      scopeOrEmail
+    )
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getSchedule(scheduleId, scopeOrEmail) {
+    const { data, error } = await applyBusinessScope(
+      supabase
+        .from('report_schedules')
+        .select('*')
+        .eq('id', scheduleId)
+        .eq('user_email', toBusinessScope(scopeOrEmail).email),
+      scopeOrEmail
+    )
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Create a schedule for the business in scope
+   * @param {object} scope - Business scope
+   * @param {object} input - See validate()
+   * @param {string} createdBy - Email of the user creating it
+   */
+  async createSchedule(scope, input, createdBy) {
+    const { email, businessId, workspaceId } = toBusinessScope(scope);
+    const values = this.validate(input);
+
+    const { data, error } = await supabase
+      .from('report_schedules')
+      .insert({
+        ...values,
+        user_email: email,
+        business_id: businessId,
+        workspace_id: workspaceId,
+        next_run_at: computeNextRun(values).toISOString(),
+        created_by: createdBy
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🗓️ Report schedule created for ${describeScope(scope)}: ${data.frequency} ${data.report_type}`);
+    return data;
+  }
+
+  /**
+   * Update a schedule; the next run is recalculated from the new timing
+   * @returns {Promise<{before: object, after: object}|null>} null if not found
+   */
+  async updateSchedule(scheduleId, scope, input) {
+    const existing = await this.getSchedule(scheduleId, scope);
+    if (!existing) return null;
+
+    const values = this.validate(input, existing);
+
+    const { data, error } = await supabase
+      .from('report_schedules')
+      .update({
+        ...values,
+        next_run_at: computeNextRun(values).toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { before: existing, after: data };
+  }
+
+  /**
+   * @returns {Promise<object|null>} Deleted row, or null if not found
+   */
+  async deleteSchedule(scheduleId, scope) {
+    const existing = await this.getSchedule(scheduleId, scope);
+    if (!existing) return null;
+
+    const { error } = await supabase
+      .from('report_schedules')
+      .delete()
+      .eq('id', existing.id);
+
+    if (error) throw error;
+    return existing;
+  }
+
+  /**
+   * Queue delivery of a schedule's report for the period ending before `runAt`
+   * Used by the scheduler and by "send now" (which reports on the last completed period).
+   * @returns {Promise<{job: object, deduplicated: boolean}>}
+   */
+  async enqueueRun(schedule, runAt = new Date()) {
+    const { periodStart, periodEnd } = getReportPeriod(schedule.frequency, runAt);
+
+    return jobQueueService.enqueue(JOB_TYPE, { scheduleId: schedule.id, periodStart, periodEnd }, {
+      scope: {
+        email: schedule.user_email,
+        businessId: schedule.business_id,
+        workspaceId: schedule.workspace_id
+      },
+      dedupeKey: `${JOB_TYPE}:${schedule.id}:${periodStart}`
+    });
+  }
+
+  start() {
+    if (this.timer) return;
+
+    console.log(`🗓️ Report scheduler started (checking every ${CHECK_INTERVAL / 60000} min)`);
+    this.timer = setInterval(() => this.enqueueDue(), CHECK_INTERVAL);
+    this.timer.unref();
+    setTimeout(() => this.enqueueDue(), 30 * 1000).unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue a job for every enabled schedule whose next run has passed, then move
+   * next_run_at forward so it isn't queued again
+   * @returns {Promise<number>} Jobs queued
+   */
+  async enqueueDue() {
+    let queued = 0;
+
+    try {
+      const now = new Date();
+      const { data: due, error } = await supabase
+        .from('report_schedules')
+        .select('*')
+        .eq('enabled', true)
+        .lte('next_run_at', now.toISOString())
+        .order('next_run_at', { ascending: true })
+        .limit(100);
+
+      if (error) throw error;
+
+      for (const schedule of due || []) {
+        try {
+          const { deduplicated } = await this.enqueueRun(schedule, new Date(schedule.next_run_at));
+          if (!deduplicated) queued++;
+
+          await supabase
+            .from('report_schedules')
+            .update({ next_run_at: computeNextRun(schedule, now).toISOString() })
+            .eq('id', schedule.id);
+        } catch (error) {
+          console.error(`❌ Could not queue scheduled report ${schedule.id}:`, error.message);
+        }
+      }
+
+      if (queued > 0) {
+        console.log(`🗓️ Queued ${queued} scheduled report(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Report scheduling failed:', error.message);
+    } finally {
+      this.lastRun = new Date().toISOString();
+    }
+
+    return queued;
+  }
+
+  /**
+   * Job handler: generate, save and email one scheduled report
+   */
+  async runSchedule({ scheduleId, periodStart, periodEnd }, { scope, progress }) {
+    const schedule = await this.getSchedule(scheduleId, scope);
+    if (!schedule) {
+      throw new PermanentJobError('Report schedule no longer exists');
+    }
+
+    try {
+      // A retry after a failed send reuses the report saved by the earlier attempt
+      await progress(10, 'Generating report');
+      let report = await reportGenerationService.findReportForPeriod(scope, schedule.report_type, periodStart, periodEnd);
+      if (!report) {
+        // Reserved atomically so concurrent schedules and manual reports cannot overshoot the limit
+        const quota = await usageService.reserve(scope, 'reports', { metadata: { reportType: schedule.report_type, scheduleId } });
+        if (!quota.allowed) {
+          throw new PermanentJobError(`Monthly report limit of the ${quota.plan} plan reached (${quota.used}/${quota.limit}) - resets ${quota.resetsAt.split('T')[0]}`);
+        }
+        try {
+          report = await reportGenerationService.generateReport(schedule.report_type, scope, periodStart, periodEnd, {
+            usageReservationId: quota.reservationId
+          });
+        } catch (error) {
+          await usageService.release(quota.reservationId);
+          throw error;
+        }
+      }
+
+      await progress(60, 'Rendering PDF');
+      const annotations = await annotationService.forRange(scope, periodStart, periodEnd);
+      const pdfBuffer = await comprehensiveReportService.generateSavedReport(report, { annotations });
+
+      await progress(80, 'Sending email');
+      const period = formatPeriod(periodStart, periodEnd);
+      const delivery = await emailService.sendMail({
+        to: schedule.recipients,
+        subject: `${report.report_title} – ${period}`,
+        text: [
+          `Your ${schedule.frequency} ${report.report_title} for ${period} is attached.`,
+          '',
+          ...comprehensiveReportService.formatMetricsSummary(report.metrics_summary),
+          '',
+          'You receive this email because a report schedule was set up for this business in Claryx.'
+        ].join('\n'),
+        attachments: [{
+          filename: `${schedule.report_type}-report-${periodStart.split('T')[0]}.pdf`,
+          content: pdfBuffer,
+          contentType: 'application/pdf'
+        }]
+      });
+
+      await this.recordRun(schedule.id, { status: 'sent', reportId: report.id });
+
+      return {
+        reportId: report.id,
+        periodStart,
+        periodEnd,
+        recipients: delivery.accepted,
+        rejected: delivery.rejected
+      };
+    } catch (error) {
+      await this.recordRun(schedule.id, { status: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  async recordRun(scheduleId, { status, reportId = null, error = null }) {
+    const update = {
+      last_run_at: new Date().toISOString(),
+      last_status: status,
+      last_error: error
+    };
+    if (reportId) update.last_report_id = reportId;
+
+    const { error: updateError } = await supabase
+      .from('report_schedules')
+      .update(update)
+      .eq('id', scheduleId);
+
+    if (updateError) {
+      console.error(`❌ Could not record run for report schedule ${scheduleId}:`, updateError.message);
+    }
+  }
+
+  /**
+   * Client-facing view of a schedule
+   */
+  toResponse(schedule) {
+    return {
+      id: schedule.id,
+      reportType: schedule.report_type,
+      frequency: schedule.frequency,
+      recipients: schedule.recipients,
+      dayOfWeek: schedule.day_of_week,
+      dayOfMonth: schedule.day_of_month,
+      hourUtc: schedule.hour_utc,
+      enabled: schedule.enabled,
+      nextRunAt: schedule.enabled ? schedule.next_run_at : null,
+      lastRunAt: schedule.last_run_at,
+      lastStatus: schedule.last_status,
+      lastError: schedule.last_error,
+      lastReportId: schedule.last_report_id,
+      createdBy: schedule.created_by,
+      createdAt: schedule.created_at,
+      updatedAt: schedule.updated_at
+    };
+  }
+
+  getStatus() {
+    return {
+      running: !!this.timer,
+      smtpConfigured: emailService.isConfigured(),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+export default new ReportScheduleService();
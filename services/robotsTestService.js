@@ -0,0 +1,175 @@
+/**
+ * Robots Test Service
+ * Checks URLs against a site's robots.txt (live or a draft) for search and AI crawlers, and
+ * warns when the pages earning the most Search Console clicks are blocked
+ */
+
+import robotsTxtService, { parseRobotsTxt, evaluate, KNOWN_CRAWLERS } from './robotsTxtService.js';
+import siteCrawlerService, { CRAWLER_USER_AGENT } from './siteCrawlerService.js';
+import searchConsoleQueryService from './searchConsoleQueryService.js';
+import oauthTokenService from './oauthTokenService.js';
+import { describeScope } from './workspaceService.js';
+
+const MAX_URLS = 100;
+const TOP_PAGES = 100;
+const TOP_PAGES_DAYS = 28;
+const SEARCH_CRAWLERS = KNOWN_CRAWLERS.filter(crawler => crawler.category === 'search').map(crawler => crawler.token);
+
+/**
+ * Host a robots.txt applies to, from a domain or URL (www is kept - it has its own robots.txt)
+ */
+function hostOf(value) {
+  return String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .split(/[/?#]/)[0];
+}
+
+class RobotsTestService {
+  /**
+   * Crawlers to test: known tokens by default, any product token on request
+   */
+  resolveCrawlers(tokens) {
+    const requested = (Array.isArray(tokens) ? tokens : String(tokens || '').split(','))
+      .map(token => String(token).trim().toLowerCase())
+      .filter(Boolean);
+    if (requested.length === 0) return KNOWN_CRAWLERS;
+
+    return [...new Set(requested)].map(token =>
+      KNOWN_CRAWLERS.find(crawler => crawler.token === token) || { token, name: token, owner: null, category: 'custom' }
+    );
+  }
+
+  testUrl(robots, crawlers, url) {
+    const verdicts = crawlers.map(crawler => ({ token: crawler.token, name: crawler.name, ...evaluate(robots, crawler.token, url) }));
+    return {
+      url,
+      verdicts,
+      blockedFor: verdicts.filter(verdict => !verdict.allowed).map(verdict => verdict.token)
+    };
+  }
+
+  /**
+   * Top Search Console pages of the host that are blocked for a search crawler
+   * @returns {Promise<object>} { available, siteUrl, checked, blocked: [{ url, clicks, impressions, blockedFor }], reason }
+   */
+  async checkTopPages(scope, host, robots, crawlers) {
+    const oauth2Client = await oauthTokenService.getOAuthClient(scope);
+    if (!oauth2Client) {
+      return { available: false, reason: 'Google account not connected or authentication expired' };
+    }
+
+    const siteUrl = await searchConsoleQueryService.resolveSiteUrl(oauth2Client, host.replace(/^www\./, ''));
+    if (!siteUrl) {
+      return { available: false, reason: `No Search Console property found for ${host}` };
+    }
+
+    const { rows } = await searchConsoleQueryService.runQuery(scope, oauth2Client, searchConsoleQueryService.normalizeQuery({
+      siteUrl,
+      days: TOP_PAGES_DAYS,
+      dimensions: ['page'],
+      rowLimit: TOP_PAGES
+    }));
+
+    const pages = rows.filter(row => {
+      try {
+        return new URL(row.page).hostname.toLowerCase() === host;
+      } catch {
+        return false;
+      }
+    });
+
+    const blocked = pages
+      .map(row => ({ row, test: this.testUrl(robots, crawlers, row.page) }))
+      .filter(({ test }) => test.blockedFor.length > 0)
+      .map(({ row, test }) => ({ url: row.page, clicks: row.clicks, impressions: row.impressions, blockedFor: test.blockedFor }));
+
+    return { available: true, siteUrl, checked: pages.length, blocked };
+  }
+
+  /**
+   * @param {object} scope - Business scope (for the Search Console lookup)
+   * @param {object} input - { domain, urls, robotsTxt (draft content to test instead of the live file),
+   *                           crawlers (tokens; default all known), checkTopPages (default true) }
+   */
+  async run(scope, { domain, urls, robotsTxt, crawlers: tokens, checkTopPages = true } = {}) {
+    const list = (Array.isArray(urls) ? urls : String(urls || '').split(/[\n,]/))
+      .map(url => String(url).trim())
+      .filter(Boolean);
+    if (list.length > MAX_URLS) {
+      throw new Error(`At most ${MAX_URLS} URLs can be tested at once`);
+    }
+
+    const host = hostOf(domain || list.find(url => /^https?:\/\//i.test(url)));
+    if (!host) {
+      throw new Error('domain is required (or pass absolute URLs)');
+    }
+    // Validates the host and refuses private network addresses
+    await siteCrawlerService.resolveTarget(host);
+
+    const origin = `https://${host}`;
+    const crawlers = this.resolveCrawlers(tokens);
+    const file = typeof robotsTxt === 'string'
+      ? { url: `${origin}/robots.txt`, availability: 'provided', httpStatus: null, robots: parseRobotsTxt(robotsTxt), size: Buffer.byteLength(robotsTxt), error: null }
+      : await robotsTxtService.fetchFile(origin, CRAWLER_USER_AGENT);
+    const { robots } = file;
+
+    const results = list.map(url => {
+      let target = url;
+      if (/^https?:\/\//i.test(url)) {
+        if (hostOf(url) !== host) {
+          return { url, error: `Governed by ${hostOf(url)}/robots.txt, not ${host}`, verdicts: [], blockedFor: [] };
+        }
+      } else {
+        target = new URL(url.startsWith('/') ? url : `/${url}`, origin).toString();
+      }
+      return this.testUrl(robots, crawlers, target);
+    });
+
+    const warnings = [];
+    if (file.availability === 'unreachable') {
+      warnings.push(`robots.txt could not be fetched (${file.error}) - crawlers treat the whole site as disallowed until it responds`);
+    }
+    for (const crawler of crawlers.filter(crawler => SEARCH_CRAWLERS.includes(crawler.token))) {
+      if (robots && !robots.unreachable && !evaluate(robots, crawler.token, '/').allowed) {
+        warnings.push(`${crawler.name} is blocked from the home page`);
+      }
+    }
+
+    let topPages = null;
+    if (checkTopPages && checkTopPages !== 'false') {
+      try {
+        topPages = await this.checkTopPages(scope, host, robots, crawlers);
+        for (const page of topPages.blocked || []) {
+          const search = crawlers.filter(crawler => SEARCH_CRAWLERS.includes(crawler.token) && page.blockedFor.includes(crawler.token));
+          if (search.length > 0) {
+            warnings.push(`Top page ${page.url} (${page.clicks} clicks in ${TOP_PAGES_DAYS} days) is blocked for ${search.map(crawler => crawler.name).join(', ')}`);
+          }
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not check top pages against robots.txt for ${describeScope(scope)}: ${error.message}`);
+        topPages = { available: false, reason: error.message };
+      }
+    }
+
+    return {
+      domain: host,
+      robotsTxt: {
+        url: file.url,
+        availability: file.availability,
+        httpStatus: file.httpStatus,
+        size: file.size,
+        groups: robots?.groups?.map(group => ({ agents: group.agents, rules: group.rules.length })) || [],
+        sitemaps: robots?.sitemaps || [],
+        parseWarnings: robots?.warnings || []
+      },
+      crawlers,
+      results,
+      topPages,
+      warnings
+    };
+  }
+}
+
+export default new RobotsTestService();
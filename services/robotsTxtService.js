@@ -0,0 +1,315 @@
+/**
+ * Robots.txt Service
+ * Parses robots.txt and answers whether a crawler may fetch a URL
+ *
+ * Follows RFC 9309 (Robots Exclusion Protocol) as Google implements it:
+ * - a crawler obeys every group naming its product token, else the * groups
+ * - the longest matching Allow/Disallow path wins and Allow wins ties
+ * - `*` matches any characters and a trailing `$` anchors the end of the URL; paths longer
+ *   than 2048 characters are ignored
+ * - paths are compared after percent-encoding normalization
+ * - only the first 500 KiB are parsed; /robots.txt itself is always allowed
+ * - a 4xx robots.txt allows everything, while a 5xx or unreachable one disallows everything
+ */
+
+import { guardedRequest } from './networkGuard.js';
+
+const FETCH_TIMEOUT = 15000;
+const MAX_ROBOTS_BYTES = 500 * 1024;
+const MAX_REDIRECTS = 5;
+const MAX_PATTERN_LENGTH = 2048;
+const UNRESERVED = /[A-Za-z0-9\-._~]/;
+
+export const KNOWN_CRAWLERS = [
+  { token: 'googlebot', name: 'Googlebot', owner: 'Google', category: 'search' },
+  { token: 'bingbot', name: 'Bingbot', owner: 'Microsoft', category: 'search' },
+  { token: 'gptbot', name: 'GPTBot', owner: 'OpenAI', category: 'ai' },
+  { token: 'oai-searchbot', name: 'OAI-SearchBot', owner: 'OpenAI', category: 'ai' },
+  { token: 'chatgpt-user', name: 'ChatGPT-User', owner: 'OpenAI', category: 'ai' },
+  { token: 'claudebot', name: 'ClaudeBot', owner: 'Anthropic', category: 'ai' },
+  { token: 'google-extended', name: 'Google-Extended', owner: 'Google', category: 'ai' },
+  { token: 'applebot-extended', name: 'Applebot-Extended', owner: 'Apple', category: 'ai' },
+  { token: 'perplexitybot', name: 'PerplexityBot', owner: 'Perplexity', category: 'ai' },
+  { token: 'ccbot', name: 'CCBot', owner: 'Common Crawl', category: 'ai' },
+  { token: 'meta-externalagent', name: 'Meta-ExternalAgent', owner: 'Meta', category: 'ai' },
+  { token: 'bytespider', name: 'Bytespider', owner: 'ByteDance', category: 'ai' },
+  { token: 'amazonbot', name: 'Amazonbot', owner: 'Amazon', category: 'ai' }
+];
+
+// Recognized but not part of the standard; Google ignores them
+const NON_STANDARD_FIELDS = ['crawl-delay', 'host', 'noindex', 'clean-param', 'request-rate', 'visit-time'];
+
+/**
+ * Percent-encoding normalization: non-ASCII characters are encoded, hex digits uppercased
+ * and encoded unreserved characters decoded, so /caf%c3%a9, /café and /caf%C3%A9 compare equal
+ */
+export function normalizePath(value) {
+  return String(value)
+    .replace(/[^\x21-\x7e]+/g, chars => encodeURIComponent(chars))
+    .replace(/%([0-9a-f]{2})/gi, (match, hex) => {
+      const char = String.fromCharCode(parseInt(hex, 16));
+      return UNRESERVED.test(char) ? char : `%${hex.toUpperCase()}`;
+    });
+}
+
+/**
+ * @param {string} content - robots.txt body
+ * @returns {object} { groups: [{ agents, rules: [{ allow, path, line }] }], sitemaps, warnings: [{ line, message }], truncated }
+ */
+export function parseRobotsTxt(content) {
+  let text = String(content || '');
+  let truncated = false;
+  if (Buffer.byteLength(text) > MAX_ROBOTS_BYTES) {
+    text = Buffer.from(text).subarray(0, MAX_ROBOTS_BYTES).toString('utf8');
+    truncated = true;
+  }
+
+  const groups = [];
+  const sitemaps = [];
+  const warnings = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      warnings.push({ line: lineNumber, message: 'Not a "field: value" line - ignored' });
+      return;
+    }
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      // Only the product token counts: "Googlebot/2.1" is googlebot
+      const token = value.split(/[\s/]/)[0].toLowerCase();
+      if (token) current.agents.push(token);
+      lastWasAgent = true;
+    } else if (field === 'allow' || field === 'disallow') {
+      lastWasAgent = false;
+      if (!current) {
+        warnings.push({ line: lineNumber, message: `${field === 'allow' ? 'Allow' : 'Disallow'} before any user-agent line - ignored` });
+        return;
+      }
+      // An empty Disallow allows everything - same as no rule
+      if (!value) return;
+      const path = normalizePath(value);
+      if (path.length > MAX_PATTERN_LENGTH) {
+        warnings.push({ line: lineNumber, message: `Path is longer than ${MAX_PATTERN_LENGTH} characters - ignored` });
+        return;
+      }
+      if (!value.startsWith('/') && !value.startsWith('*')) {
+        warnings.push({ line: lineNumber, message: `Path "${value}" should start with "/" and will match nothing` });
+      }
+      current.rules.push({ allow: field === 'allow', path, line: lineNumber });
+    } else if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else {
+      lastWasAgent = false;
+      warnings.push({
+        line: lineNumber,
+        message: NON_STANDARD_FIELDS.includes(field)
+          ? `"${field}" is not part of the standard and is ignored by Google`
+          : `Unknown directive "${field}" - ignored`
+      });
+    }
+  });
+
+  if (truncated) {
+    warnings.push({ line: null, message: 'File is larger than 500 KiB - rules after that point are ignored' });
+  }
+
+  return { groups, sitemaps, warnings, truncated };
+}
+
+/**
+ * Whether a robots.txt path pattern matches a URL path (path + query)
+ * Google's matcher: the set of path positions the pattern can have reached is carried
+ * along the pattern, so the work is bounded by pattern x path length whatever the
+ * wildcards - no backtracking. Runs of `*` act as one; only a trailing `$` anchors.
+ */
+export function matchesPattern(pattern, path) {
+  if (pattern.length > MAX_PATTERN_LENGTH) return false;
+
+  const pathLength = path.length;
+  // Ascending positions in path after the part of the pattern matched so far
+  let positions = [0];
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+
+    if (char === '$' && index === pattern.length - 1) {
+      return positions[positions.length - 1] === pathLength;
+    }
+
+    if (char === '*') {
+      while (pattern[index + 1] === '*') index++;
+      const from = positions[0];
+      positions = Array.from({ length: pathLength - from + 1 }, (_, offset) => from + offset);
+      continue;
+    }
+
+    const next = [];
+    for (const position of positions) {
+      if (position < pathLength && path[position] === char) next.push(position + 1);
+    }
+    if (next.length === 0) return false;
+    positions = next;
+  }
+
+  return true;
+}
+
+/**
+ * Groups that apply to a crawler: the groups naming its token, else the * groups
+ * @param {object} robots - From parseRobotsTxt
+ * @param {string} token - Crawler product token, e.g. 'googlebot'
+ * @returns {Array} Matching groups (empty when nothing applies)
+ */
+export function groupsFor(robots, token) {
+  const name = String(token).toLowerCase();
+  const named = robots.groups.filter(group => group.agents.includes(name));
+  return named.length > 0 ? named : robots.groups.filter(group => group.agents.includes('*'));
+}
+
+/**
+ * Decide a URL for a crawler, with the rule that decided it
+ * @param {object} robots - From parseRobotsTxt or fetch (null = no robots.txt, everything allowed)
+ * @param {string} token - Crawler product token
+ * @param {string} url - Absolute URL or path
+ * @returns {object} { allowed, rule: { allow, path, line } | null, group: 'named'|'*'|null, reason }
+ */
+export function evaluate(robots, token, url) {
+  let path = url;
+  if (/^https?:\/\//i.test(url)) {
+    const parsed = new URL(url);
+    path = `${parsed.pathname}${parsed.search}`;
+  }
+  path = normalizePath(path || '/');
+
+  if (path === '/robots.txt') {
+    return { allowed: true, rule: null, group: null, reason: 'robots.txt itself is always allowed' };
+  }
+  if (!robots) {
+    return { allowed: true, rule: null, group: null, reason: 'No robots.txt' };
+  }
+  if (robots.unreachable) {
+    return { allowed: false, rule: null, group: null, reason: 'robots.txt unreachable - the whole site is treated as disallowed' };
+  }
+
+  const groups = groupsFor(robots, token);
+  let best = null;
+  for (const rule of groups.flatMap(group => group.rules)) {
+    if (!matchesPattern(rule.path, path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  const group = groups.length === 0 ? null : groups[0].agents.includes(String(token).toLowerCase()) ? 'named' : '*';
+  if (!best) {
+    return { allowed: true, rule: null, group, reason: group ? 'No rule matches' : 'No group applies to this crawler' };
+  }
+  return {
+    allowed: best.allow,
+    rule: { allow: best.allow, path: best.path, line: best.line },
+    group,
+    reason: `${best.allow ? 'Allow' : 'Disallow'}: ${best.path}`
+  };
+}
+
+/**
+ * @param {object} robots - From parseRobotsTxt or fetch (null = no robots.txt, everything allowed)
+ * @param {string} token - Crawler product token
+ * @param {string} url - Absolute URL or path
+ * @returns {boolean}
+ */
+export function isAllowed(robots, token, url) {
+  return evaluate(robots, token, url).allowed;
+}
+
+const robotsTxtService = {
+  /**
+   * Fetch a site's robots.txt and classify the response
+   * @param {string} origin - e.g. https://example.com
+   * @param {string} userAgent - User-Agent header to send
+   * @returns {Promise<object>} { url, availability: 'available'|'missing'|'unreachable', httpStatus, robots, content, size, error }
+   *   robots is the parsed file, null when missing (allow all), { unreachable: true } when unreachable
+   */
+  async fetchFile(origin, userAgent) {
+    const url = `${origin}/robots.txt`;
+    try {
+      // Every redirect hop is checked - a site's robots.txt must not lead into our network
+      const response = await guardedRequest({
+        method: 'get',
+        url,
+        timeout: FETCH_TIMEOUT,
+        responseType: 'text',
+        transformResponse: data => data,
+        headers: { 'User-Agent': userAgent, 'Accept': 'text/plain,*/*' },
+        validateStatus: () => true
+      }, { maxRedirects: MAX_REDIRECTS });
+
+      if (response.status >= 300 && response.status < 400) {
+        throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+      }
+
+      // 429 is a server-side condition too (RFC 9309 treats it like a 5xx)
+      if (response.status >= 500 || response.status === 429) {
+        return {
+          url,
+          availability: 'unreachable',
+          httpStatus: response.status,
+          robots: { groups: [], sitemaps: [], warnings: [], unreachable: true },
+          size: null,
+          error: `HTTP ${response.status}`
+        };
+      }
+      if (response.status >= 400) {
+        return { url, availability: 'missing', httpStatus: response.status, robots: null, size: null, error: null };
+      }
+
+      const content = typeof response.data === 'string' ? response.data : '';
+      return {
+        url,
+        availability: 'available',
+        httpStatus: response.status,
+        robots: parseRobotsTxt(content),
+        content,
+        size: Buffer.byteLength(content),
+        error: null
+      };
+    } catch (error) {
+      console.log(`   ⚠️ robots.txt unavailable for ${origin}: ${error.message}`);
+      return {
+        url,
+        availability: 'unreachable',
+        httpStatus: null,
+        robots: { groups: [], sitemaps: [], warnings: [], unreachable: true },
+        size: null,
+        error: error.code || error.message
+      };
+    }
+  },
+
+  /**
+   * Fetch and parse a site's robots.txt
+   * @param {string} origin - e.g. https://example.com
+   * @param {string} userAgent - User-Agent header to send
+   * @returns {Promise<object|null>} Parsed robots.txt ({ unreachable: true } when it can't be read), null when there is none
+   */
+  async fetch(origin, userAgent) {
+    return (await this.fetchFile(origin, userAgent)).robots;
+  }
+};
+
+export default robotsTxtService;
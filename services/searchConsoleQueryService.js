@@ -0,0 +1,476 @@
+/**
+ * Search Console Query Service
+ * Free-form Search Analytics queries: any mix of dimensions and filters, more rows than
+ * one API page, and an optional comparison period
+ *
+ * The API returns at most 25,000 rows per request, so larger results are read page by
+ * page with startRow. A comparison period runs the same query over earlier dates and is
+ * joined on the dimension values (dates shifted by the period offset).
+ *
+ * Responses are cached in search_console_query_cache under a hash of the account, the
+ * business and the normalized query, so any change to the query shape is a new entry.
+ */
+
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { google } from 'googleapis';
+import dotenv from 'dotenv';
+import { toBusinessScope, describeScope } from './workspaceService.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export const SEARCH_DIMENSIONS = ['query', 'page', 'country', 'device', 'searchAppearance', 'date'];
+export const SEARCH_TYPES = ['web', 'image', 'video', 'news', 'discover', 'googleNews'];
+
+// API operator names, plus the short forms accepted in requests
+const FILTER_OPERATORS = {
+  equals: 'equals',
+  notEquals: 'notEquals',
+  contains: 'contains',
+  notContains: 'notContains',
+  includingRegex: 'includingRegex',
+  excludingRegex: 'excludingRegex',
+  regex: 'includingRegex',
+  notRegex: 'excludingRegex'
+};
+export const SEARCH_FILTER_OPERATORS = Object.keys(FILTER_OPERATORS);
+
+const FILTER_DIMENSIONS = SEARCH_DIMENSIONS.filter(dimension => dimension !== 'date');
+const AGGREGATION_TYPES = ['auto', 'byPage', 'byProperty'];
+const COMPARE_MODES = ['previous', 'year'];
+
+const API_PAGE_SIZE = 25000;
+const MAX_ROWS = 50000;
+const DEFAULT_ROWS = 1000;
+const MAX_FILTERS = 10;
+const MAX_EXPRESSION_LENGTH = 4096;       // RE2 pattern limit in the API
+const HISTORY_DAYS = 486;                  // Search Console keeps 16 months
+
+const HOUR = 60 * 60 * 1000;
+const RECENT_CACHE_TTL = 6 * HOUR;         // recent days are still being revised
+const HISTORICAL_CACHE_TTL = 24 * HOUR;
+const RECENT_DAYS = 3;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * HOUR));
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function parseDate(value, field) {
+  const date = String(value).trim();
+  if (!DATE_PATTERN.test(date) || Number.isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+    throw new Error(`${field} must be a date (YYYY-MM-DD)`);
+  }
+  return date;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function percentChange(current, previous) {
+  return previous > 0 ? round(((current - previous) / previous) * 100, 1) : null;
+}
+
+class SearchConsoleQueryService {
+  /**
+   * Validate a query from a request body and fill in defaults
+   * @param {object} input - { siteUrl, dimensions, filters: [{dimension, operator, expression}],
+   *                           startDate, endDate | days, type, aggregationType, dataState,
+   *                           rowLimit, startRow, compare: 'previous'|'year', compareStartDate, compareEndDate }
+   * @returns {object} Normalized query (also the cache key shape)
+   */
+  normalizeQuery(input = {}) {
+    const siteUrl = String(input.siteUrl ?? '').trim();
+    if (!siteUrl) {
+      throw new Error('siteUrl is required');
+    }
+
+    const dimensions = [...new Set(toList(input.dimensions))];
+    const unknownDimension = dimensions.find(dimension => !SEARCH_DIMENSIONS.includes(dimension));
+    if (unknownDimension) {
+      throw new Error(`Unknown dimension "${unknownDimension}" - use: ${SEARCH_DIMENSIONS.join(', ')}`);
+    }
+
+    const rawFilters = Array.isArray(input.filters) ? input.filters : [];
+    if (rawFilters.length > MAX_FILTERS) {
+      throw new Error(`At most ${MAX_FILTERS} filters are allowed`);
+    }
+    const filters = rawFilters.map((filter, index) => {
+      const dimension = filter?.dimension;
+      if (!FILTER_DIMENSIONS.includes(dimension)) {
+        throw new Error(`filters[${index}].dimension must be one of: ${FILTER_DIMENSIONS.join(', ')}`);
+      }
+      const operator = FILTER_OPERATORS[filter.operator ?? 'equals'];
+      if (!operator) {
+        throw new Error(`filters[${index}].operator must be one of: ${SEARCH_FILTER_OPERATORS.join(', ')}`);
+      }
+      const expression = String(filter.expression ?? '').trim();
+      if (!expression || expression.length > MAX_EXPRESSION_LENGTH) {
+        throw new Error(`filters[${index}].expression must be 1-${MAX_EXPRESSION_LENGTH} characters`);
+      }
+      return { dimension, operator, expression };
+    });
+
+    const earliest = addDays(today(), -HISTORY_DAYS);
+    let endDate = input.endDate ? parseDate(input.endDate, 'endDate') : today();
+    let startDate;
+    if (input.startDate) {
+      startDate = parseDate(input.startDate, 'startDate');
+    } else {
+      const days = Math.min(Math.max(parseInt(input.days) || 28, 1), HISTORY_DAYS);
+      startDate = addDays(endDate, -(days - 1));
+    }
+    if (startDate > endDate) {
+      throw new Error('startDate must not be after endDate');
+    }
+    if (endDate < earliest) {
+      throw new Error('Search Console only keeps the last 16 months of data');
+    }
+    if (startDate < earliest) startDate = earliest;
+    if (endDate > today()) endDate = today();
+
+    const type = input.type ?? 'web';
+    if (!SEARCH_TYPES.includes(type)) {
+      throw new Error(`type must be one of: ${SEARCH_TYPES.join(', ')}`);
+    }
+
+    const aggregationType = input.aggregationType ?? 'auto';
+    if (!AGGREGATION_TYPES.includes(aggregationType)) {
+      throw new Error(`aggregationType must be one of: ${AGGREGATION_TYPES.join(', ')}`);
+    }
+
+    const dataState = input.dataState ?? 'all';
+    if (!['all', 'final'].includes(dataState)) {
+      throw new Error('dataState must be "all" or "final"');
+    }
+
+    const rowLimit = Math.min(Math.max(parseInt(input.rowLimit) || DEFAULT_ROWS, 1), MAX_ROWS);
+    const startRow = Math.max(parseInt(input.startRow) || 0, 0);
+
+    let comparison = null;
+    if (input.compareStartDate || input.compareEndDate) {
+      if (!input.compareStartDate || !input.compareEndDate) {
+        throw new Error('compareStartDate and compareEndDate must be given together');
+      }
+      comparison = {
+        startDate: parseDate(input.compareStartDate, 'compareStartDate'),
+        endDate: parseDate(input.compareEndDate, 'compareEndDate')
+      };
+      if (comparison.startDate > comparison.endDate) {
+        throw new Error('compareStartDate must not be after compareEndDate');
+      }
+    } else if (input.compare) {
+      if (!COMPARE_MODES.includes(input.compare)) {
+        throw new Error(`compare must be one of: ${COMPARE_MODES.join(', ')}`);
+      }
+      if (input.compare === 'previous') {
+        const length = daysBetween(startDate, endDate) + 1;
+        comparison = { startDate: addDays(startDate, -length), endDate: addDays(startDate, -1) };
+      } else {
+        const shift = date => {
+          const d = new Date(`${date}T00:00:00Z`);
+          d.setUTCFullYear(d.getUTCFullYear() - 1);
+          return d.toISOString().split('T')[0];
+        };
+        comparison = { startDate: shift(startDate), endDate: shift(endDate) };
+      }
+    }
+    if (comparison && comparison.endDate < earliest) {
+      throw new Error('The comparison period is older than the 16 months Search Console keeps');
+    }
+
+    return {
+      siteUrl,
+      startDate,
+      endDate,
+      dimensions,
+      filters,
+      type,
+      aggregationType,
+      dataState,
+      rowLimit,
+      startRow,
+      comparison
+    };
+  }
+
+  /**
+   * Search Console property for a domain among the sites the connected account can read
+   * Prefers the domain property, then the https/http URL-prefix properties.
+   * @param {object} oauth2Client - From oauthTokenService.getOAuthClient
+   * @param {string} domain - Bare domain (a leading www. is ignored)
+   * @returns {Promise<string|null>} siteUrl
+   */
+  async resolveSiteUrl(oauth2Client, domain) {
+    const host = String(domain).toLowerCase().replace(/^www\./, '');
+    const searchConsole = google.searchconsole({ version: 'v1', auth: oauth2Client });
+    const response = await searchConsole.sites.list();
+    const available = new Set(
+      (response.data.siteEntry || [])
+        .filter(site => site.permissionLevel !== 'siteUnverifiedUser')
+        .map(site => site.siteUrl)
+    );
+
+    const candidates = [
+      `sc-domain:${host}`,
+      `https://${host}/`,
+      `https://www.${host}/`,
+      `http://${host}/`,
+      `http://www.${host}/`
+    ];
+    return candidates.find(candidate => available.has(candidate)) || null;
+  }
+
+  cacheKey(scope, query) {
+    const { email, businessId } = toBusinessScope(scope);
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ email, businessId: businessId || null, query }))
+      .digest('hex');
+  }
+
+  async getCached(cacheKey) {
+    const { data, error } = await supabase
+      .from('search_console_query_cache')
+      .select('response, created_at')
+      .eq('cache_key', cacheKey)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (error) {
+      console.warn(`⚠️ Search Console query cache lookup failed: ${error.message}`);
+      return null;
+    }
+    return data ? { ...data.response, cached: true, cachedAt: data.created_at } : null;
+  }
+
+  async saveCached(scope, cacheKey, query, response) {
+    const { email, businessId } = toBusinessScope(scope);
+    const recent = query.endDate >= addDays(today(), -RECENT_DAYS);
+    const ttl = recent ? RECENT_CACHE_TTL : HISTORICAL_CACHE_TTL;
+
+    const { error } = await supabase
+      .from('search_console_query_cache')
+      .upsert({
+        user_email: email,
+        business_id: businessId,
+        cache_key: cacheKey,
+        site_url: query.siteUrl,
+        query,
+        response,
+        row_count: response.rows.length,
+        created_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + ttl).toISOString()
+      }, { onConflict: 'cache_key' });
+
+    if (error) {
+      console.warn(`⚠️ Could not cache Search Console query for ${describeScope(scope)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read up to rowLimit rows from startRow, one API page (25,000 rows) at a time
+   * @returns {Promise<{rows: Array, exhausted: boolean}>} exhausted when the API ran out of rows
+   */
+  async fetchRows(searchConsole, query, { startDate, endDate, dimensions, startRow, rowLimit }) {
+    const rows = [];
+    let exhausted = false;
+
+    while (rows.length < rowLimit) {
+      const pageSize = Math.min(API_PAGE_SIZE, rowLimit - rows.length);
+      const requestBody = {
+        startDate,
+        endDate,
+        dimensions,
+        type: query.type,
+        aggregationType: query.aggregationType,
+        dataState: query.dataState,
+        rowLimit: pageSize,
+        startRow: startRow + rows.length
+      };
+      if (query.filters.length > 0) {
+        requestBody.dimensionFilterGroups = [{ groupType: 'and', filters: query.filters }];
+      }
+
+      const response = await searchConsole.searchanalytics.query({ siteUrl: query.siteUrl, requestBody });
+      const page = response.data.rows || [];
+      rows.push(...page);
+
+      if (page.length < pageSize) {
+        exhausted = true;
+        break;
+      }
+    }
+
+    return { rows, exhausted };
+  }
+
+  /**
+   * Flatten an API row to { <dimension>: value, clicks, impressions, ctr, position }
+   */
+  toRow(apiRow, dimensions) {
+    const row = {};
+    dimensions.forEach((dimension, index) => {
+      row[dimension] = apiRow.keys?.[index] ?? null;
+    });
+    row.clicks = apiRow.clicks || 0;
+    row.impressions = apiRow.impressions || 0;
+    row.ctr = round(apiRow.ctr || 0, 4);
+    row.position = round(apiRow.position || 0, 2);
+    return row;
+  }
+
+  /**
+   * Join key for a row; dates are shifted onto the current period so day N lines up with day N
+   */
+  joinKey(row, dimensions, shiftDays = 0) {
+    return JSON.stringify(dimensions.map(dimension =>
+      dimension === 'date' && shiftDays ? addDays(row.date, shiftDays) : row[dimension]
+    ));
+  }
+
+  /**
+   * Metric deltas between two periods
+   * Position change is previous minus current, so positive means it moved up.
+   */
+  compareMetrics(current, previous) {
+    if (!previous) return null;
+    return {
+      clicks: current.clicks - previous.clicks,
+      clicksPercent: percentChange(current.clicks, previous.clicks),
+      impressions: current.impressions - previous.impressions,
+      impressionsPercent: percentChange(current.impressions, previous.impressions),
+      ctr: round(current.ctr - previous.ctr, 4),
+      position: round(previous.position - current.position, 2)
+    };
+  }
+
+  /**
+   * Run a normalized query (cached)
+   * @param {object} scope - Business scope
+   * @param {object} oauth2Client - From oauthTokenService.getOAuthClient
+   * @param {object} query - From normalizeQuery
+   * @param {object} options - { forceRefresh }
+   * @returns {Promise<object>} { query, rows, rowCount, totals, hasMore, nextStartRow, comparison }
+   */
+  async runQuery(scope, oauth2Client, query, { forceRefresh = false } = {}) {
+    const cacheKey = this.cacheKey(scope, query);
+    if (!forceRefresh) {
+      const cached = await this.getCached(cacheKey);
+      if (cached) return cached;
+    }
+
+    const searchConsole = google.searchconsole({ version: 'v1', auth: oauth2Client });
+    const { dimensions } = query;
+
+    console.log(`🔎 Search Console query for ${describeScope(scope)}: [${dimensions.join(', ') || 'totals'}] ${query.startDate} → ${query.endDate}, ${query.filters.length} filter(s)`);
+
+    const [current, totals] = await Promise.all([
+      this.fetchRows(searchConsole, query, {
+        startDate: query.startDate,
+        endDate: query.endDate,
+        dimensions,
+        startRow: query.startRow,
+        rowLimit: query.rowLimit
+      }),
+      this.fetchRows(searchConsole, query, {
+        startDate: query.startDate,
+        endDate: query.endDate,
+        dimensions: [],
+        startRow: 0,
+        rowLimit: 1
+      })
+    ]);
+
+    const rows = current.rows.map(row => this.toRow(row, dimensions));
+    const response = {
+      query,
+      rows,
+      rowCount: rows.length,
+      totals: totals.rows[0] ? this.toRow(totals.rows[0], []) : { clicks: 0, impressions: 0, ctr: 0, position: 0 },
+      hasMore: !current.exhausted,
+      nextStartRow: current.exhausted ? null : query.startRow + rows.length,
+      comparison: null
+    };
+
+    if (query.comparison) {
+      const shiftDays = daysBetween(query.comparison.startDate, query.startDate);
+
+      // Rows beyond this page's position in the ranking may still match, so read as deep as the current page goes
+      const [previous, previousTotals] = await Promise.all([
+        this.fetchRows(searchConsole, query, {
+          ...query.comparison,
+          dimensions,
+          startRow: 0,
+          rowLimit: Math.min(query.startRow + query.rowLimit, MAX_ROWS)
+        }),
+        this.fetchRows(searchConsole, query, { ...query.comparison, dimensions: [], startRow: 0, rowLimit: 1 })
+      ]);
+
+      const previousByKey = new Map(
+        previous.rows.map(row => {
+          const flat = this.toRow(row, dimensions);
+          return [this.joinKey(flat, dimensions, shiftDays), flat];
+        })
+      );
+
+      for (const row of rows) {
+        const match = previousByKey.get(this.joinKey(row, dimensions));
+        row.previous = match
+          ? { clicks: match.clicks, impressions: match.impressions, ctr: match.ctr, position: match.position }
+          : null;
+        row.change = this.compareMetrics(row, row.previous);
+      }
+
+      const comparedTotals = previousTotals.rows[0] ? this.toRow(previousTotals.rows[0], []) : null;
+      response.comparison = {
+        ...query.comparison,
+        totals: comparedTotals,
+        change: this.compareMetrics(response.totals, comparedTotals)
+      };
+    }
+
+    await this.saveCached(scope, cacheKey, query, response);
+    return { ...response, cached: false };
+  }
+
+  /**
+   * Drop cached query results for an account (only the scoped business when one is given)
+   */
+  async clearCache(scopeOrEmail) {
+    const { email, businessId } = toBusinessScope(scopeOrEmail);
+    let query = supabase
+      .from('search_console_query_cache')
+      .delete()
+      .eq('user_email', email);
+    if (businessId) query = query.eq('business_id', businessId);
+
+    const { error } = await query;
+    if (error) throw error;
+  }
+}
+
+export default new SearchConsoleQueryService();
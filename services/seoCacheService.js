@@ -1,4 +1,8 @@
 import { createClient } from '@supabase/supabase-js';
+import { toBusinessScope, applyBusinessScope } from './workspaceService.js';
+import alertService from './alertService.js';
+import anomalyDetectionService from './anomalyDetectionService.js';
+import searchConsoleQueryService from './searchConsoleQueryService.js';
 
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -24,13 +28,15 @@ const seoCacheService = {
   },
 
   /**
-   * Get user ID from email
+   * Get user ID from email (or business scope)
    */
-  async getUserIdByEmail(email) {
+  async getUserIdByEmail(scopeOrEmail) {
     if (!supabase) {
       throw new Error('Supabase client not initialized');
     }
 
+    const { email } = toBusinessScope(scopeOrEmail);
+
     // Lookup user by email
 
     const { data, error } = await supabase
@@ -56,13 +62,15 @@ const seoCacheService = {
   /**
    * Get cached Search Console data
    */
-  async getSearchConsoleCache(email, days = 30, ignoreExpiry = false) {
+  async getSearchConsoleCache(scopeOrEmail, days = 30, ignoreExpiry = false) {
     try {
       if (!supabase) {
         console.warn('⚠️ Supabase not configured, skipping cache');
         return null;
       }
 
+      const { email } = toBusinessScope(scopeOrEmail);
+
       // Get user with plan info
       const { data: userData, error: userError } = await supabase
         .from('users_table')
@@ -78,10 +86,15 @@ const seoCacheService = {
       const userId = userData.id;
       const currentPlan = userData.plan;
 
-      const { data, error } = await supabase
-        .from('search_console_cache')
-        .select('*')
-        .eq('user_id', userId)
+      const { data, error } = await applyBusinessScope(
+        supabase
+          .from('search_console_cache')
+          .select('*')
+          .eq('user_id', userId),
+        scopeOrEmail
+      )
+        .order('updated_at', { ascending: false })
+        .limit(1)
         .single();
 
       if (error) {
@@ -165,13 +178,15 @@ const seoCacheService = {
   /**
    * Save Search Console data to cache
    */
-  async saveSearchConsoleCache(email, data) {
+  async saveSearchConsoleCache(scopeOrEmail, data) {
     try {
       if (!supabase) {
         console.warn('⚠️ Supabase not configured, skipping cache save');
         return false;
       }
 
+      const { email, businessId } = toBusinessScope(scopeOrEmail);
+
       // Get user with plan info
       const { data: userData, error: userError } = await supabase
         .from('users_table')
@@ -186,6 +201,7 @@ const seoCacheService = {
 
       const cacheData = {
         user_id: userData.id,
+        business_id: businessId,
         site_url: data.siteUrl || '',
         domain: data.domain || '',
         total_clicks: data.totalClicks || 0,
@@ -208,10 +224,13 @@ const seoCacheService = {
       };
 
       // Delete existing cache entry first (more reliable than upsert)
-      await supabase
-        .from('search_console_cache')
-        .delete()
-        .eq('user_id', userData.id);
+      await applyBusinessScope(
+        supabase
+          .from('search_console_cache')
+          .delete()
+          .eq('user_id', userData.id),
+        scopeOrEmail
+      );
 
       // Insert new cache entry
       const { error } = await supabase
@@ -224,6 +243,9 @@ const seoCacheService = {
       }
 
       console.log('✅ Search Console data cached successfully');
+      // Fresh data - let alert rules and anomaly detection re-check (both run as background jobs)
+      alertService.requestEvaluation(scopeOrEmail);
+      anomalyDetectionService.requestDetection(scopeOrEmail);
       return true;
     } catch (error) {
       console.error('❌ Error in saveSearchConsoleCache:', error);
@@ -234,23 +256,28 @@ const seoCacheService = {
   /**
    * Get cached Google Analytics data
    */
-  async getGoogleAnalyticsCache(email) {
+  async getGoogleAnalyticsCache(scopeOrEmail) {
     try {
       if (!supabase) {
         console.warn('⚠️ Supabase not configured, skipping cache');
         return null;
       }
 
-      const userId = await this.getUserIdByEmail(email);
+      const userId = await this.getUserIdByEmail(scopeOrEmail);
       if (!userId) {
         console.warn('⚠️ User not found in database');
         return null;
       }
 
-      const { data, error } = await supabase
-        .from('google_analytics_cache')
-        .select('*')
-        .eq('user_id', userId)
+      const { data, error } = await applyBusinessScope(
+        supabase
+          .from('google_analytics_cache')
+          .select('*')
+          .eq('user_id', userId),
+        scopeOrEmail
+      )
+        .order('updated_at', { ascending: false })
+        .limit(1)
         .single();
 
       if (error) {
@@ -293,14 +320,14 @@ const seoCacheService = {
   /**
    * Save Google Analytics data to cache
    */
-  async saveGoogleAnalyticsCache(email, data) {
+  async saveGoogleAnalyticsCache(scopeOrEmail, data) {
     try {
       if (!supabase) {
         console.warn('⚠️ Supabase not configured, skipping cache save');
         return false;
       }
 
-      const userId = await this.getUserIdByEmail(email);
+      const userId = await this.getUserIdByEmail(scopeOrEmail);
       if (!userId) {
         console.warn('⚠️ User not found in database, cannot save cache');
         return false;
@@ -308,6 +335,7 @@ const seoCacheService = {
 
       const cacheData = {
         user_id: userId,
+        business_id: toBusinessScope(scopeOrEmail).businessId,
         property_id: data.propertyId || null,
         active_users: data.activeUsers || 0,
         sessions: data.sessions || 0,
@@ -330,7 +358,7 @@ const seoCacheService = {
       const { error } = await supabase
         .from('google_analytics_cache')
         .upsert(cacheData, {
-          onConflict: 'user_id',
+          onConflict: 'user_id,business_id',
           ignoreDuplicates: false
         });
 
@@ -340,6 +368,8 @@ const seoCacheService = {
       }
 
       console.log('✅ Google Analytics data cached successfully');
+      alertService.requestEvaluation(scopeOrEmail);
+      anomalyDetectionService.requestDetection(scopeOrEmail);
       return true;
     } catch (error) {
       console.error('❌ Error in saveGoogleAnalyticsCache:', error);
@@ -350,23 +380,28 @@ const seoCacheService = {
   /**
    * Get cached Social Media metrics
    */
-  async getSocialMediaCache(email) {
+  async getSocialMediaCache(scopeOrEmail) {
     try {
       if (!supabase) {
         console.warn('⚠️ Supabase not configured, skipping cache');
         return null;
       }
 
-      const userId = await this.getUserIdByEmail(email);
+      const userId = await this.getUserIdByEmail(scopeOrEmail);
       if (!userId) {
         console.warn('⚠️ User not found in database');
         return null;
       }
 
-      const { data, error } = await supabase
-        .from('google_analytics_cache')
-        .select('*')
-        .eq('user_id', userId)
+      const { data, error } = await applyBusinessScope(
+        supabase
+          .from('google_analytics_cache')
+          .select('*')
+          .eq('user_id', userId),
+        scopeOrEmail
+      )
+        .order('updated_at', { ascending: false })
+        .limit(1)
         .single();
 
       if (error) {
@@ -406,22 +441,23 @@ const seoCacheService = {
   /**
    * Clear cache for a user (useful for manual refresh)
    */
-  async clearUserCache(email) {
+  async clearUserCache(scopeOrEmail) {
     try {
       if (!supabase) {
         console.warn('⚠️ Supabase not configured');
         return false;
       }
 
-      const userId = await this.getUserIdByEmail(email);
+      const userId = await this.getUserIdByEmail(scopeOrEmail);
       if (!userId) {
         return false;
       }
 
-      // Delete both caches
-      await supabase.from('search_console_cache').delete().eq('user_id', userId);
-      await supabase.from('google_analytics_cache').delete().eq('user_id', userId);
-      await supabase.from('lighthouse_cache').delete().eq('user_id', userId);
+      // Delete both caches (only the scoped business when one is given)
+      for (const table of ['search_console_cache', 'google_analytics_cache', 'lighthouse_cache']) {
+        await applyBusinessScope(supabase.from(table).delete().eq('user_id', userId), scopeOrEmail);
+      }
+      await searchConsoleQueryService.clearCache(scopeOrEmail);
 
       console.log('✅ Cache cleared for user');
       return true;
@@ -433,28 +469,33 @@ const seoCacheService = {
 
   /**
    * Get cached Lighthouse data for a specific domain
-   * @param {string} email - User email
+   * @param {object|string} scopeOrEmail - Business scope or user email
    * @param {string} domain - Domain to get Lighthouse data for
    * @param {boolean} ignoreExpiry - If true, return data even if expired (for fallback)
    */
-  async getLighthouseCache(email, domain, ignoreExpiry = false) {
+  async getLighthouseCache(scopeOrEmail, domain, ignoreExpiry = false) {
     try {
       if (!supabase) {
         console.warn('⚠️ Supabase not configured, skipping cache');
         return null;
       }
 
-      const userId = await this.getUserIdByEmail(email);
+      const userId = await this.getUserIdByEmail(scopeOrEmail);
       if (!userId) {
         console.warn('⚠️ User not found in database');
         return null;
       }
 
-      const { data, error } = await supabase
-        .from('lighthouse_cache')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('domain', domain)
+      const { data, error } = await applyBusinessScope(
+        supabase
+          .from('lighthouse_cache')
+          .select('*')
+          .eq('user_id', userId)
+          .eq('domain', domain),
+        scopeOrEmail
+      )
+        .order('updated_at', { ascending: false })
+        .limit(1)
         .single();
 
       if (error) {
@@ -487,11 +528,11 @@ const seoCacheService = {
 
   /**
    * Save Lighthouse data to cache
-   * @param {string} email - User email
+   * @param {object|string} scopeOrEmail - Business scope or user email
    * @param {string} domain - Domain the data is for
    * @param {object} lighthouseData - Lighthouse analysis results
    */
-  async saveLighthouseCache(email, domain, lighthouseData) {
+  async saveLighthouseCache(scopeOrEmail, domain, lighthouseData) {
     try {
       if (!supabase) {
         console.warn('⚠️ Supabase not configured, skipping cache save');
@@ -503,7 +544,7 @@ const seoCacheService = {
         return false;
       }
 
-      const userId = await this.getUserIdByEmail(email);
+      const userId = await this.getUserIdByEmail(scopeOrEmail);
       if (!userId) {
         console.warn('⚠️ User not found in database, cannot save cache');
         return false;
@@ -511,6 +552,7 @@ const seoCacheService = {
 
       const cacheData = {
         user_id: userId,
+        business_id: toBusinessScope(scopeOrEmail).businessId,
         domain: domain,
         lighthouse_data: lighthouseData,
         updated_at: new Date().toISOString(),
@@ -518,11 +560,14 @@ const seoCacheService = {
       };
 
       // Delete existing cache entry first (more reliable than upsert with schema cache issues)
-      await supabase
-        .from('lighthouse_cache')
-        .delete()
-        .eq('user_id', userId)
-        .eq('domain', domain);
+      await applyBusinessScope(
+        supabase
+          .from('lighthouse_cache')
+          .delete()
+          .eq('user_id', userId)
+          .eq('domain', domain),
+        scopeOrEmail
+      );
 
       // Insert new cache entry
       const { error } = await supabase
@@ -535,6 +580,7 @@ const seoCacheService = {
       }
 
       console.log('✅ Lighthouse data cached successfully for domain:', domain);
+      alertService.requestEvaluation(scopeOrEmail);
       return true;
     } catch (error) {
       console.error('❌ Error in saveLighthouseCache:', error);
@@ -544,12 +590,12 @@ const seoCacheService = {
 
   /**
    * Get cached SE Ranking backlinks data
-   * @param {string} email - User email
+   * @param {object|string} scopeOrEmail - Business scope or user email
    * @param {string} domain - Domain to get cached data for
    * @param {boolean} ignoreExpiry - Whether to return expired cache (default: false)
    * @returns {Object|null} Cached backlinks data or null
    */
-  async getSERankingCache(email, domain, ignoreExpiry = false) {
+  async getSERankingCache(scopeOrEmail, domain, ignoreExpiry = false) {
     if (!supabase) {
       console.warn('⚠️ Supabase not configured, skipping SE Ranking cache check');
       return null;
@@ -557,7 +603,7 @@ const seoCacheService = {
 
     try {
       // Get user ID
-      const userId = await this.getUserIdByEmail(email);
+      const userId = await this.getUserIdByEmail(scopeOrEmail);
       if (!userId) {
         console.warn('⚠️ User not found, cannot retrieve SE Ranking cache');
         return null;
@@ -569,11 +615,16 @@ const seoCacheService = {
       console.log(`🔍 Checking SE Ranking cache for domain: ${cleanDomain}`);
 
       // Query cache
-      const { data, error } = await supabase
-        .from('se_ranking_cache')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('domain', cleanDomain)
+      const { data, error } = await applyBusinessScope(
+        supabase
+          .from('se_ranking_cache')
+          .select('*')
+          .eq('user_id', userId)
+          .eq('domain', cleanDomain),
+        scopeOrEmail
+      )
+        .order('updated_at', { ascending: false })
+        .limit(1)
         .maybeSingle();
 
       if (error) {
@@ -614,13 +665,13 @@ const seoCacheService = {
 
   /**
    * Save SE Ranking backlinks data to cache
-   * @param {string} email - User email
+   * @param {object|string} scopeOrEmail - Business scope or user email
    * @param {string} domain - Domain to cache data for
    * @param {Object} backlinksData - SE Ranking backlinks data to cache
    * @param {number} cacheDurationHours - Cache duration in hours (default: 24)
    * @returns {boolean} Success status
    */
-  async saveSERankingCache(email, domain, backlinksData, cacheDurationHours = 24) {
+  async saveSERankingCache(scopeOrEmail, domain, backlinksData, cacheDurationHours = 24) {
     if (!supabase) {
       console.warn('⚠️ Supabase not configured, skipping SE Ranking cache save');
       return false;
@@ -628,7 +679,7 @@ const seoCacheService = {
 
     try {
       // Get user ID
-      const userId = await this.getUserIdByEmail(email);
+      const userId = await this.getUserIdByEmail(scopeOrEmail);
       if (!userId) {
         console.warn('⚠️ User not found, cannot save SE Ranking cache');
         return false;
@@ -646,17 +697,21 @@ const seoCacheService = {
       const { cached, cacheAge, lastUpdated, ...cleanData } = backlinksData;
 
       // Delete existing cache entry first (more reliable than upsert)
-      await supabase
-        .from('se_ranking_cache')
-        .delete()
-        .eq('user_id', userId)
-        .eq('domain', cleanDomain);
+      await applyBusinessScope(
+        supabase
+          .from('se_ranking_cache')
+          .delete()
+          .eq('user_id', userId)
+          .eq('domain', cleanDomain),
+        scopeOrEmail
+      );
 
       // Insert new cache entry
       const { error } = await supabase
         .from('se_ranking_cache')
         .insert({
           user_id: userId,
+          business_id: toBusinessScope(scopeOrEmail).businessId,
           domain: cleanDomain,
           backlinks_data: cleanData,
           updated_at: now.toISOString(),
@@ -716,13 +771,13 @@ const seoCacheService = {
 
   /**
    * Get cached competitor intelligence data
-   * @param {string} email - User email
+   * @param {object|string} scopeOrEmail - Business scope or user email
    * @param {string} userDomain - User's own domain
    * @param {string} competitorDomain - Competitor domain
    * @param {boolean} ignoreExpiry - Whether to return expired cache (default: false)
    * @returns {Object|null} Cached competitor data or null
    */
-  async getCompetitorCache(email, userDomain, competitorDomain, ignoreExpiry = false) {
+  async getCompetitorCache(scopeOrEmail, userDomain, competitorDomain, ignoreExpiry = false) {
     if (!supabase) {
       console.warn('⚠️ Supabase not configured, skipping competitor cache check');
       return null;
@@ -730,7 +785,7 @@ const seoCacheService = {
 
     try {
       // Get user ID
-      const userId = await this.getUserIdByEmail(email);
+      const userId = await this.getUserIdByEmail(scopeOrEmail);
       if (!userId) {
         console.warn('⚠️ User not found, cannot retrieve competitor cache');
         return null;
@@ -743,12 +798,17 @@ const seoCacheService = {
       console.log(`🔍 Checking competitor cache: ${cleanUserDomain} vs ${cleanCompetitorDomain}`);
 
       // Query cache
-      const { data, error } = await supabase
-        .from('competitor_cache')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('user_domain', cleanUserDomain)
-        .eq('competitor_domain', cleanCompetitorDomain)
+      const { data, error } = await applyBusinessScope(
+        supabase
+          .from('competitor_cache')
+          .select('*')
+          .eq('user_id', userId)
+          .eq('user_domain', cleanUserDomain)
+          .eq('competitor_domain', cleanCompetitorDomain),
+        scopeOrEmail
+      )
+        .order('updated_at', { ascending: false })
+        .limit(1)
         .maybeSingle();
 
       if (error) {
@@ -807,14 +867,14 @@ const seoCacheService = {
 
   /**
    * Save competitor intelligence data to cache
-   * @param {string} email - User email
+   * @param {object|string} scopeOrEmail - Business scope or user email
    * @param {string} userDomain - User's own domain
    * @param {string} competitorDomain - Competitor domain
    * @param {Object} competitorData - Competitor analysis data
    * @param {number} cacheDurationDays - Cache duration in days (default: 7)
    * @returns {boolean} Success status
    */
-  async saveCompetitorCache(email, userDomain, competitorDomain, competitorData, cacheDurationDays = 7) {
+  async saveCompetitorCache(scopeOrEmail, userDomain, competitorDomain, competitorData, cacheDurationDays = 7) {
     if (!supabase) {
       console.warn('⚠️ Supabase not configured, skipping competitor cache save');
       return false;
@@ -822,7 +882,7 @@ const seoCacheService = {
 
     try {
       // Get user ID
-      const userId = await this.getUserIdByEmail(email);
+      const userId = await this.getUserIdByEmail(scopeOrEmail);
       if (!userId) {
         console.warn('⚠️ User not found, cannot save competitor cache');
         return false;
@@ -849,6 +909,7 @@ const seoCacheService = {
         .upsert(
           {
             user_id: userId,
+            business_id: toBusinessScope(scopeOrEmail).businessId,
             user_domain: cleanUserDomain,
             competitor_domain: cleanCompetitorDomain,
             lighthouse_data: competitor.lighthouse || null,
@@ -869,7 +930,7 @@ const seoCacheService = {
             expires_at: expiresAt.toISOString()
           },
           {
-            onConflict: 'user_id,user_domain,competitor_domain',
+            onConflict: 'user_id,business_id,user_domain,competitor_domain',
             ignoreDuplicates: false
           });
 
@@ -0,0 +1,881 @@
+/**
+ * Site Crawler Service
+ * Bounded multi-page crawl for technical SEO: walks internal links and sitemap URLs and
+ * reports per-page issues
+ *
+ * - Bounded by a page cap (also capped by the plan's seo.crawlPages), a link depth, a
+ *   worker concurrency and an overall time budget; only the site's own host (with or
+ *   without www) is fetched.
+ * - Obeys robots.txt for the ClaryxBot token (falling back to the * group); blocked URLs
+ *   are recorded but not fetched.
+ * - Redirects are followed hop by hop so chains and loops are visible.
+ * - Pages, robots.txt and sitemaps are all fetched through the network guard, so neither
+ *   a link, a redirect nor a sitemap entry can point the crawler at a private address.
+ *
+ * Each crawl is stored as a run (crawl_runs) with one crawl_pages row per URL and its
+ * issues, so two runs of the same site can be diffed into new and resolved issues.
+ * Crawls run as 'crawl.site' jobs.
+ */
+
+import { JSDOM } from 'jsdom';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { toBusinessScope, describeScope } from './workspaceService.js';
+import jobQueueService from './jobQueueService.js';
+import robotsTxtService, { isAllowed } from './robotsTxtService.js';
+import sitemapService from './sitemapService.js';
+import { getFeatureLimitForUser } from './planAccessService.js';
+import { assertPublicUrl, guardedRequest } from './networkGuard.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const JOB_TYPE = 'crawl.site';
+export const CRAWLER_USER_AGENT = 'Mozilla/5.0 (compatible; ClaryxBot/1.0)';
+export const CRAWLER_ROBOTS_TOKEN = 'claryxbot';
+
+const DEFAULT_OPTIONS = { maxPages: 100, maxDepth: 3, concurrency: 4, includeSitemap: true };
+const MAX_DEPTH = 10;
+const MAX_CONCURRENCY = 8;
+const TIME_BUDGET = 15 * 60 * 1000;
+const FETCH_TIMEOUT = 15000;
+const MAX_REDIRECTS = 10;
+const MAX_FETCH_BYTES = 5 * 1024 * 1024;
+const OVERSIZED_BYTES = 1024 * 1024;          // HTML document alone, before any assets
+const RUNS_KEPT_PER_DOMAIN = 10;
+const INSERT_BATCH = 200;
+const PAGE_SIZE = 1000;
+const MAX_DIFF_ITEMS = 500;
+const SAMPLE_SIZE = 5;
+
+export const CRAWL_ISSUES = {
+  broken_page: 'error',
+  redirect_loop: 'error',
+  redirect_chain: 'warning',
+  missing_title: 'error',
+  duplicate_title: 'warning',
+  missing_meta_description: 'warning',
+  duplicate_meta_description: 'notice',
+  missing_canonical: 'warning',
+  non_indexable: 'notice',
+  hreflang_invalid_code: 'error',
+  hreflang_missing_return_link: 'error',
+  hreflang_broken_target: 'error',
+  hreflang_missing_self_reference: 'warning',
+  oversized_page: 'warning'
+};
+
+const HREFLANG_PATTERN = /^(x-default|[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?)$/i;
+
+function bareHost(host) {
+  return String(host).toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Absolute crawlable form of a link (no fragment), or null for non-http(s) links
+ */
+export function normalizeUrl(href, base) {
+  try {
+    const url = new URL(href, base);
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    url.hash = '';
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+function addIssue(page, type, detail = null) {
+  page.issues.push({ type, severity: CRAWL_ISSUES[type], detail });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class SiteCrawlerService {
+  constructor() {
+    jobQueueService.registerHandler(JOB_TYPE, (payload, context) => this.runCrawl(payload, context), {
+      maxAttempts: 1,
+      timeoutMs: TIME_BUDGET + 5 * 60 * 1000
+    });
+  }
+
+  /**
+   * Bare domain for a domain or URL, refusing hosts that resolve to private networks
+   * @returns {Promise<string>} e.g. example.com
+   */
+  async resolveTarget(input) {
+    const host = String(input ?? '')
+      .trim()
+      .toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .split(/[/?#]/)[0]
+      .replace(/:\d+$/, '');
+
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host)) {
+      throw new Error('domain must be a domain name, e.g. example.com');
+    }
+
+    await assertPublicUrl(`https://${host}/`);
+
+    return host.replace(/^www\./, '');
+  }
+
+  /**
+   * Crawl options from a request, within the plan's page cap
+   */
+  async resolveOptions(email, input = {}) {
+    const planLimit = await getFeatureLimitForUser(email, 'seo.crawlPages');
+    const requested = parseInt(input.maxPages) || DEFAULT_OPTIONS.maxPages;
+
+    return {
+      maxPages: Math.max(planLimit === -1 ? requested : Math.min(requested, planLimit), 1),
+      maxDepth: Math.min(Math.max(parseInt(input.maxDepth) || DEFAULT_OPTIONS.maxDepth, 0), MAX_DEPTH),
+      concurrency: Math.min(Math.max(parseInt(input.concurrency) || DEFAULT_OPTIONS.concurrency, 1), MAX_CONCURRENCY),
+      includeSitemap: input.includeSitemap !== undefined
+        ? input.includeSitemap !== false && input.includeSitemap !== 'false'
+        : DEFAULT_OPTIONS.includeSitemap,
+      planLimit
+    };
+  }
+
+  /**
+   * Create a run and queue its crawl; a crawl already queued or running for the domain is reused
+   * @param {object} scope - Business scope
+   * @param {object} input - { domain, maxPages, maxDepth, concurrency, includeSitemap }
+   * @param {string} createdBy - Email of the requesting member
+   * @returns {Promise<object>} { run, job, deduplicated }
+   */
+  async startCrawl(scope, input, createdBy) {
+    const { email, businessId, workspaceId } = toBusinessScope(scope);
+    const domain = await this.resolveTarget(input.domain);
+    const dedupeKey = `${JOB_TYPE}:${email}:${businessId || 'account'}:${domain}`;
+
+    const active = await jobQueueService.findActiveByDedupeKey(dedupeKey);
+    if (active?.payload?.runId) {
+      const run = await this.getRun(active.payload.runId, scope);
+      if (run) return { run, job: active, deduplicated: true };
+    }
+
+    const { planLimit, ...options } = await this.resolveOptions(email, input);
+
+    const { data: run, error } = await supabase
+      .from('crawl_runs')
+      .insert({
+        user_email: email,
+        business_id: businessId,
+        workspace_id: workspaceId,
+        domain,
+        start_url: `https://${domain}/`,
+        status: 'queued',
+        options,
+        created_by: createdBy
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { job } = await jobQueueService.enqueue(JOB_TYPE, { runId: run.id }, { scope, dedupeKey });
+    await supabase.from('crawl_runs').update({ job_id: job.id }).eq('id', run.id);
+
+    console.log(`🕷️ Crawl of ${domain} queued for ${describeScope(scope)} (up to ${options.maxPages} pages)`);
+    return { run: { ...run, job_id: job.id }, job, deduplicated: false };
+  }
+
+  /**
+   * Job handler: crawl, store the pages and finish the run
+   */
+  async runCrawl({ runId }, { scope, progress }) {
+    const run = await this.getRun(runId, scope);
+    if (!run) throw new Error(`Crawl run ${runId} not found`);
+
+    await supabase
+      .from('crawl_runs')
+      .update({ status: 'running', started_at: new Date().toISOString() })
+      .eq('id', run.id);
+
+    try {
+      const { pages, summary } = await this.crawl(run.start_url, run.options, progress);
+
+      await progress(95, 'Saving results');
+      await this.storePages(run.id, pages);
+
+      const { error } = await supabase
+        .from('crawl_runs')
+        .update({
+          status: 'completed',
+          summary,
+          pages_crawled: summary.pagesCrawled,
+          issue_count: summary.issueCount,
+          finished_at: new Date().toISOString()
+        })
+        .eq('id', run.id);
+
+      if (error) throw error;
+
+      await this.pruneRuns(scope, run.domain);
+      console.log(`✅ Crawled ${summary.pagesCrawled} page(s) of ${run.domain}: ${summary.issueCount} issue(s)`);
+      return { runId: run.id, summary };
+    } catch (error) {
+      await supabase
+        .from('crawl_runs')
+        .update({ status: 'failed', error: error.message, finished_at: new Date().toISOString() })
+        .eq('id', run.id);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a URL, following internal redirects one hop at a time
+   * @returns {Promise<object>} { chain, finalUrl, status, headers, body, loadMs, error, loop, external }
+   */
+  async fetchPage(url, isInternal) {
+    const chain = [];
+    const started = Date.now();
+    let current = url;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      let response;
+      try {
+        // One hop per request, each checked by the network guard
+        response = await guardedRequest({
+          method: 'get',
+          url: current,
+          timeout: FETCH_TIMEOUT,
+          maxContentLength: MAX_FETCH_BYTES,
+          responseType: 'text',
+          transformResponse: data => data,
+          headers: {
+            'User-Agent': CRAWLER_USER_AGENT,
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+          },
+          validateStatus: () => true
+        });
+      } catch (error) {
+        const tooLarge = /maxContentLength/i.test(error.message);
+        return {
+          chain,
+          finalUrl: current,
+          status: null,
+          error: tooLarge ? `Larger than ${MAX_FETCH_BYTES / 1024 / 1024} MB` : (error.code || error.message),
+          tooLarge,
+          loadMs: Date.now() - started
+        };
+      }
+
+      const location = response.headers.location;
+      if (response.status >= 300 && response.status < 400 && location) {
+        chain.push({ url: current, status: response.status });
+        const next = normalizeUrl(location, current);
+        if (!next) {
+          return { chain, finalUrl: current, status: response.status, error: 'Invalid redirect target', loadMs: Date.now() - started };
+        }
+        if (chain.some(hopEntry => hopEntry.url === next)) {
+          return { chain, finalUrl: next, status: response.status, loop: true, loadMs: Date.now() - started };
+        }
+        if (!isInternal(next)) {
+          return { chain, finalUrl: next, status: response.status, external: true, loadMs: Date.now() - started };
+        }
+        current = next;
+        continue;
+      }
+
+      return {
+        chain,
+        finalUrl: current,
+        status: response.status,
+        headers: response.headers,
+        body: typeof response.data === 'string' ? response.data : '',
+        loadMs: Date.now() - started
+      };
+    }
+
+    return { chain, finalUrl: current, status: null, loop: true, error: `More than ${MAX_REDIRECTS} redirects`, loadMs: Date.now() - started };
+  }
+
+  /**
+   * SEO fields and links of an HTML document
+   */
+  parseHtml(html, url) {
+    const dom = new JSDOM(html, { url });
+    try {
+      const document = dom.window.document;
+      const metaContent = names => [...document.querySelectorAll('meta[name]')]
+        .filter(meta => names.includes(meta.getAttribute('name').toLowerCase()))
+        .map(meta => (meta.getAttribute('content') || '').trim())
+        .filter(Boolean);
+      const linksWithRel = rel => [...document.querySelectorAll('link[rel][href]')]
+        .filter(link => link.getAttribute('rel').toLowerCase().split(/\s+/).includes(rel));
+
+      const canonical = linksWithRel('canonical')[0];
+
+      return {
+        title: document.querySelector('title')?.textContent.trim() || null,
+        metaDescription: metaContent(['description'])[0] || null,
+        canonical: canonical ? normalizeUrl(canonical.getAttribute('href'), url) : null,
+        metaRobots: metaContent(['robots', 'googlebot']).join(', ') || null,
+        hreflang: linksWithRel('alternate')
+          .filter(link => link.hasAttribute('hreflang'))
+          .map(link => ({ lang: link.getAttribute('hreflang').trim(), href: normalizeUrl(link.getAttribute('href'), url) })),
+        links: [...document.querySelectorAll('a[href]')]
+          .map(anchor => normalizeUrl(anchor.getAttribute('href'), url))
+          .filter(Boolean)
+      };
+    } finally {
+      dom.window.close();
+    }
+  }
+
+  /**
+   * Crawl a site
+   * @param {string} startUrl - e.g. https://example.com/
+   * @param {object} options - { maxPages, maxDepth, concurrency, includeSitemap }
+   * @param {Function} progress - (percent, message) job progress callback
+   * @returns {Promise<object>} { pages: Map<url, page>, summary }
+   */
+  async crawl(startUrl, options = {}, progress = async () => {}) {
+    const { maxPages, maxDepth, concurrency, includeSitemap } = { ...DEFAULT_OPTIONS, ...options };
+    const started = Date.now();
+    const siteHost = bareHost(new URL(startUrl).hostname);
+    const isInternal = url => bareHost(new URL(url).hostname) === siteHost;
+    const origin = new URL(startUrl).origin;
+
+    const robots = await robotsTxtService.fetch(origin, CRAWLER_USER_AGENT);
+    const pages = new Map();
+    const inlinks = new Map();
+    const queue = [];
+    const seen = new Set();
+    let fetched = 0;
+    let active = 0;
+
+    const enqueue = (url, depth, source, from = null) => {
+      if (!url || !isInternal(url)) return;
+      if (from && from !== url) {
+        if (!inlinks.has(url)) inlinks.set(url, new Set());
+        inlinks.get(url).add(from);
+      }
+      if (seen.has(url) || depth > maxDepth) return;
+      seen.add(url);
+      queue.push({ url, depth, source });
+    };
+
+    enqueue(startUrl, 0, 'start');
+
+    let sitemapUrls = 0;
+    if (includeSitemap) {
+      try {
+        const sitemaps = await sitemapService.discover(origin, robots, CRAWLER_USER_AGENT);
+        const { urls } = await sitemapService.readUrls(sitemaps, { userAgent: CRAWLER_USER_AGENT, maxUrls: maxPages * 2 });
+        sitemapUrls = urls.length;
+        for (const { loc } of urls) {
+          enqueue(normalizeUrl(loc, origin), Math.min(1, maxDepth), 'sitemap');
+        }
+      } catch (error) {
+        console.log(`   ⚠️ Sitemap seeding failed for ${origin}: ${error.message}`);
+      }
+    }
+
+    const visit = async ({ url, depth, source }) => {
+      const page = {
+        url,
+        depth,
+        source,
+        statusCode: null,
+        error: null,
+        redirectChain: [],
+        finalUrl: url,
+        contentType: null,
+        sizeBytes: null,
+        loadMs: null,
+        title: null,
+        metaDescription: null,
+        canonical: null,
+        metaRobots: null,
+        xRobotsTag: null,
+        indexable: false,
+        indexability: null,
+        hreflang: [],
+        outlinks: 0,
+        issues: []
+      };
+      pages.set(url, page);
+
+      if (!isAllowed(robots, CRAWLER_ROBOTS_TOKEN, url)) {
+        page.indexability = 'blocked_by_robots';
+        return;
+      }
+
+      fetched++;
+      const result = await this.fetchPage(url, isInternal);
+      page.statusCode = result.status;
+      page.error = result.error || null;
+      page.redirectChain = result.chain;
+      page.finalUrl = result.finalUrl;
+      page.loadMs = result.loadMs;
+
+      if (result.loop) {
+        addIssue(page, 'redirect_loop', { chain: result.chain.map(hop => hop.url) });
+        page.indexability = 'redirect_loop';
+        return;
+      }
+      if (result.chain.length > 0) {
+        if (result.chain.length >= 2) {
+          addIssue(page, 'redirect_chain', { hops: result.chain.length, chain: [...result.chain.map(hop => hop.url), result.finalUrl] });
+        }
+        // The target is crawled (and judged) as its own URL
+        page.indexability = 'redirected';
+        enqueue(result.finalUrl, depth, source, url);
+        return;
+      }
+      if (result.tooLarge) {
+        addIssue(page, 'oversized_page', { sizeBytes: null, limitBytes: MAX_FETCH_BYTES });
+        page.indexability = 'fetch_failed';
+        return;
+      }
+      if (result.status === null || result.status >= 400) {
+        page.indexability = result.status ? `status_${result.status}` : 'fetch_failed';
+        return;
+      }
+
+      page.contentType = result.headers['content-type'] || null;
+      page.sizeBytes = Buffer.byteLength(result.body);
+      page.xRobotsTag = result.headers['x-robots-tag'] || null;
+
+      if (!/html/i.test(page.contentType || '')) {
+        page.indexability = 'not_html';
+        return;
+      }
+      if (page.sizeBytes > OVERSIZED_BYTES) {
+        addIssue(page, 'oversized_page', { sizeBytes: page.sizeBytes, limitBytes: OVERSIZED_BYTES });
+      }
+
+      const parsed = this.parseHtml(result.body, url);
+      page.title = parsed.title;
+      page.metaDescription = parsed.metaDescription;
+      page.canonical = parsed.canonical;
+      page.metaRobots = parsed.metaRobots;
+      page.hreflang = parsed.hreflang;
+      page.outlinks = parsed.links.length;
+
+      const noindex = /noindex|none/i.test(`${page.metaRobots || ''} ${page.xRobotsTag || ''}`);
+      if (result.status !== 200) {
+        page.indexability = `status_${result.status}`;
+      } else if (noindex) {
+        page.indexability = 'noindex';
+      } else if (page.canonical && page.canonical !== url) {
+        page.indexability = 'canonicalized';
+      } else {
+        page.indexable = true;
+      }
+
+      if (!page.title) addIssue(page, 'missing_title');
+      if (!page.metaDescription) addIssue(page, 'missing_meta_description');
+      if (!page.canonical) addIssue(page, 'missing_canonical');
+
+      for (const link of parsed.links) {
+        enqueue(link, depth + 1, 'link', url);
+      }
+      for (const alternate of parsed.hreflang) {
+        enqueue(alternate.href, depth + 1, 'hreflang', null);
+      }
+    };
+
+    const worker = async () => {
+      while (Date.now() - started < TIME_BUDGET) {
+        if (queue.length === 0) {
+          if (active === 0) return;
+          await sleep(50);
+          continue;
+        }
+        // Blocked URLs are recorded without a fetch, so they need their own bound
+        if (fetched >= maxPages || pages.size >= maxPages * 2) return;
+
+        const item = queue.shift();
+        active++;
+        try {
+          await visit(item);
+        } catch (error) {
+          const page = pages.get(item.url);
+          if (page) {
+            page.error = error.message;
+            page.indexability = 'fetch_failed';
+          }
+        } finally {
+          active--;
+        }
+
+        if (pages.size % 10 === 0) {
+          await progress(Math.min((fetched / maxPages) * 90, 90), `Crawled ${fetched} of up to ${maxPages} pages`);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, () => worker()));
+
+    for (const [url, page] of pages) {
+      page.inlinks = inlinks.get(url)?.size || 0;
+    }
+    this.analyzeSite(pages, inlinks);
+
+    return { pages, summary: this.summarize(pages, { queueLeft: queue.length, sitemapUrls, started, robots }) };
+  }
+
+  /**
+   * Cross-page checks: broken pages and the links to them, duplicates, non-indexable pages, hreflang
+   */
+  analyzeSite(pages, inlinks) {
+    const linkedFrom = url => [...(inlinks.get(url) || [])].slice(0, SAMPLE_SIZE);
+
+    for (const page of pages.values()) {
+      const broken = !page.redirectChain.length && page.indexability !== 'blocked_by_robots' &&
+        (page.statusCode === null ? page.error && !page.issues.length : page.statusCode >= 400);
+      if (broken) {
+        addIssue(page, 'broken_page', { status: page.statusCode, error: page.error, linkedFrom: linkedFrom(page.url) });
+      }
+      if (!page.indexable && ['noindex', 'canonicalized', 'blocked_by_robots'].includes(page.indexability)) {
+        addIssue(page, 'non_indexable', {
+          reason: page.indexability,
+          canonical: page.indexability === 'canonicalized' ? page.canonical : undefined,
+          linkedFrom: linkedFrom(page.url)
+        });
+      }
+    }
+
+    // Duplicates only matter among pages that compete in the index
+    const indexable = [...pages.values()].filter(page => page.indexable);
+    for (const [field, type] of [['title', 'duplicate_title'], ['metaDescription', 'duplicate_meta_description']]) {
+      const groups = new Map();
+      for (const page of indexable) {
+        const key = page[field]?.toLowerCase().replace(/\s+/g, ' ');
+        if (!key) continue;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(page);
+      }
+      for (const group of groups.values()) {
+        if (group.length < 2) continue;
+        for (const page of group) {
+          addIssue(page, type, {
+            value: page[field],
+            duplicates: group.filter(other => other !== page).slice(0, SAMPLE_SIZE).map(other => other.url),
+            count: group.length
+          });
+        }
+      }
+    }
+
+    for (const page of pages.values()) {
+      if (page.hreflang.length === 0) continue;
+
+      const invalid = page.hreflang.filter(alternate => !HREFLANG_PATTERN.test(alternate.lang) || !alternate.href);
+      if (invalid.length > 0) {
+        addIssue(page, 'hreflang_invalid_code', { values: invalid.map(alternate => alternate.lang) });
+      }
+      if (!page.hreflang.some(alternate => alternate.href === page.url)) {
+        addIssue(page, 'hreflang_missing_self_reference');
+      }
+
+      for (const alternate of page.hreflang) {
+        if (!alternate.href || alternate.href === page.url) continue;
+        const target = pages.get(alternate.href);
+        if (!target || target.indexability === 'blocked_by_robots') continue;
+
+        if (!target.indexable) {
+          addIssue(page, 'hreflang_broken_target', { lang: alternate.lang, href: alternate.href, reason: target.indexability });
+        } else if (!target.hreflang.some(back => back.href === page.url)) {
+          addIssue(page, 'hreflang_missing_return_link', { lang: alternate.lang, href: alternate.href });
+        }
+      }
+    }
+  }
+
+  summarize(pages, { queueLeft, sitemapUrls, started, robots }) {
+    const all = [...pages.values()];
+    const issues = {};
+    const severity = { error: 0, warning: 0, notice: 0 };
+    for (const page of all) {
+      for (const issue of page.issues) {
+        issues[issue.type] = (issues[issue.type] || 0) + 1;
+        severity[issue.severity]++;
+      }
+    }
+
+    return {
+      pagesCrawled: all.filter(page => page.statusCode !== null || page.error).length,
+      urlsDiscovered: pages.size + queueLeft,
+      htmlPages: all.filter(page => /html/i.test(page.contentType || '')).length,
+      indexablePages: all.filter(page => page.indexable).length,
+      blockedByRobots: all.filter(page => page.indexability === 'blocked_by_robots').length,
+      redirects: all.filter(page => page.redirectChain.length > 0).length,
+      brokenLinks: all
+        .filter(page => page.issues.some(issue => issue.type === 'broken_page'))
+        .reduce((sum, page) => sum + page.inlinks, 0),
+      sitemapUrls,
+      robotsTxt: robots ? (robots.unreachable ? 'unreachable' : 'available') : 'missing',
+      truncated: queueLeft > 0,
+      durationMs: Date.now() - started,
+      issueCount: Object.values(issues).reduce((sum, count) => sum + count, 0),
+      issues,
+      severity
+    };
+  }
+
+  async storePages(runId, pages) {
+    // A retried run starts from a clean slate
+    await supabase.from('crawl_pages').delete().eq('run_id', runId);
+
+    const rows = [...pages.values()].map(page => ({
+      run_id: runId,
+      url: page.url,
+      depth: page.depth,
+      source: page.source,
+      status_code: page.statusCode,
+      error: page.error,
+      redirect_chain: page.redirectChain,
+      final_url: page.finalUrl,
+      content_type: page.contentType,
+      size_bytes: page.sizeBytes,
+      load_ms: page.loadMs,
+      title: page.title,
+      meta_description: page.metaDescription,
+      canonical: page.canonical,
+      meta_robots: page.metaRobots,
+      x_robots_tag: page.xRobotsTag,
+      indexable: page.indexable,
+      indexability: page.indexability,
+      hreflang: page.hreflang,
+      inlinks: page.inlinks,
+      outlinks: page.outlinks,
+      issues: page.issues
+    }));
+
+    for (let i = 0; i < rows.length; i += INSERT_BATCH) {
+      const { error } = await supabase.from('crawl_pages').insert(rows.slice(i, i + INSERT_BATCH));
+      if (error) throw error;
+    }
+  }
+
+  /**
+   * Keep the newest runs per domain; older runs and their pages are deleted
+   */
+  async pruneRuns(scope, domain) {
+    const { email, businessId } = toBusinessScope(scope);
+    let query = supabase
+      .from('crawl_runs')
+      .select('id')
+      .eq('user_email', email)
+      .eq('domain', domain)
+      .in('status', ['completed', 'failed']);
+    query = businessId ? query.eq('business_id', businessId) : query.is('business_id', null);
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .range(RUNS_KEPT_PER_DOMAIN, RUNS_KEPT_PER_DOMAIN + 100);
+
+    if (error || !data?.length) return;
+    await supabase.from('crawl_runs').delete().in('id', data.map(row => row.id));
+  }
+
+  async getRun(runId, scopeOrEmail) {
+    const { email, businessId } = toBusinessScope(scopeOrEmail);
+    let query = supabase
+      .from('crawl_runs')
+      .select('*')
+      .eq('id', runId)
+      .eq('user_email', email);
+    query = businessId ? query.eq('business_id', businessId) : query.is('business_id', null);
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Runs newest first
+   * @param {object} filters - { domain, limit }
+   */
+  async listRuns(scopeOrEmail, { domain, limit } = {}) {
+    const { email, businessId } = toBusinessScope(scopeOrEmail);
+    let query = supabase
+      .from('crawl_runs')
+      .select('*')
+      .eq('user_email', email);
+    query = businessId ? query.eq('business_id', businessId) : query.is('business_id', null);
+    if (domain) query = query.eq('domain', bareHost(String(domain).replace(/^https?:\/\//, '').split('/')[0]));
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(Math.min(parseInt(limit) || 20, 100));
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getAllPages(runId) {
+    const pages = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('crawl_pages')
+        .select('*')
+        .eq('run_id', runId)
+        .order('url', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw error;
+      pages.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+    return pages;
+  }
+
+  /**
+   * Pages of a run
+   * @param {object} filters - { issueType, indexable, limit, offset }
+   */
+  async getPages(runId, { issueType, indexable, limit, offset } = {}) {
+    const size = Math.min(parseInt(limit) || 100, 500);
+    const start = Math.max(parseInt(offset) || 0, 0);
+
+    let query = supabase
+      .from('crawl_pages')
+      .select('*', { count: 'exact' })
+      .eq('run_id', runId);
+    if (issueType) query = query.contains('issues', [{ type: issueType }]);
+    if (indexable !== undefined) query = query.eq('indexable', indexable === true || indexable === 'true');
+
+    const { data, error, count } = await query
+      .order('depth', { ascending: true })
+      .order('url', { ascending: true })
+      .range(start, start + size - 1);
+
+    if (error) throw error;
+    return { pages: data || [], total: count || 0 };
+  }
+
+  /**
+   * Every issue of a run, flattened and grouped by type
+   * @param {object} filters - { type, severity }
+   * @returns {Promise<object>} { [type]: { severity, count, items: [{ url, detail }] } }
+   */
+  async getIssues(runId, { type, severity } = {}) {
+    const grouped = {};
+    for (const page of await this.getAllPages(runId)) {
+      for (const issue of page.issues || []) {
+        if ((type && issue.type !== type) || (severity && issue.severity !== severity)) continue;
+        if (!grouped[issue.type]) grouped[issue.type] = { severity: issue.severity, count: 0, items: [] };
+        grouped[issue.type].count++;
+        grouped[issue.type].items.push({ url: page.url, detail: issue.detail });
+      }
+    }
+    return grouped;
+  }
+
+  /**
+   * Compare a run with an earlier one of the same domain (default: the previous completed run)
+   * @returns {Promise<object|null>} null when either run is missing
+   */
+  async diffRuns(scopeOrEmail, runId, againstId = null) {
+    const current = await this.getRun(runId, scopeOrEmail);
+    if (!current) return null;
+
+    let base;
+    if (againstId) {
+      base = await this.getRun(againstId, scopeOrEmail);
+    } else {
+      const runs = await this.listRuns(scopeOrEmail, { domain: current.domain, limit: 100 });
+      base = runs.find(run => run.status === 'completed' && run.id !== current.id && run.created_at < current.created_at) || null;
+    }
+    if (!base) return null;
+
+    const [basePages, currentPages] = await Promise.all([this.getAllPages(base.id), this.getAllPages(current.id)]);
+    const issueKeys = pages => new Map(
+      pages.flatMap(page => (page.issues || []).map(issue => [`${issue.type}|${page.url}`, { url: page.url, ...issue }]))
+    );
+    const before = issueKeys(basePages);
+    const after = issueKeys(currentPages);
+    const beforePages = new Map(basePages.map(page => [page.url, page]));
+    const afterPages = new Map(currentPages.map(page => [page.url, page]));
+
+    const countChange = {};
+    for (const type of new Set([...Object.keys(base.summary?.issues || {}), ...Object.keys(current.summary?.issues || {})])) {
+      countChange[type] = (current.summary?.issues?.[type] || 0) - (base.summary?.issues?.[type] || 0);
+    }
+
+    return {
+      base: this.toResponse(base),
+      current: this.toResponse(current),
+      newIssues: [...after].filter(([key]) => !before.has(key)).map(([, issue]) => issue).slice(0, MAX_DIFF_ITEMS),
+      resolvedIssues: [...before].filter(([key]) => !after.has(key)).map(([, issue]) => issue).slice(0, MAX_DIFF_ITEMS),
+      unchangedIssues: [...after.keys()].filter(key => before.has(key)).length,
+      issueCountChange: countChange,
+      pagesAdded: [...afterPages.keys()].filter(url => !beforePages.has(url)).slice(0, MAX_DIFF_ITEMS),
+      pagesRemoved: [...beforePages.keys()].filter(url => !afterPages.has(url)).slice(0, MAX_DIFF_ITEMS),
+      statusChanges: [...afterPages.values()]
+        .filter(page => beforePages.has(page.url) && beforePages.get(page.url).status_code !== page.status_code)
+        .map(page => ({ url: page.url, before: beforePages.get(page.url).status_code, after: page.status_code }))
+        .slice(0, MAX_DIFF_ITEMS)
+    };
+  }
+
+  async deleteRun(runId, scopeOrEmail) {
+    const existing = await this.getRun(runId, scopeOrEmail);
+    if (!existing) return null;
+
+    const { error } = await supabase.from('crawl_runs').delete().eq('id', existing.id);
+    if (error) throw error;
+    return existing;
+  }
+
+  pageToResponse(row) {
+    return {
+      url: row.url,
+      depth: row.depth,
+      source: row.source,
+      statusCode: row.status_code,
+      error: row.error,
+      redirectChain: row.redirect_chain,
+      finalUrl: row.final_url,
+      contentType: row.content_type,
+      sizeBytes: row.size_bytes,
+      loadMs: row.load_ms,
+      title: row.title,
+      metaDescription: row.meta_description,
+      canonical: row.canonical,
+      metaRobots: row.meta_robots,
+      xRobotsTag: row.x_robots_tag,
+      indexable: row.indexable,
+      indexability: row.indexability,
+      hreflang: row.hreflang,
+      inlinks: row.inlinks,
+      outlinks: row.outlinks,
+      issues: row.issues
+    };
+  }
+
+  toResponse(row) {
+    return {
+      id: row.id,
+      businessId: row.business_id,
+      domain: row.domain,
+      startUrl: row.start_url,
+      status: row.status,
+      options: row.options,
+      summary: row.summary,
+      pagesCrawled: row.pages_crawled,
+      issueCount: row.issue_count,
+      jobId: row.job_id,
+      error: row.error,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+  }
+}
+
+export default new SiteCrawlerService();
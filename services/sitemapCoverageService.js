@@ -0,0 +1,274 @@
+/**
+ * Sitemap Coverage Service
+ * Reconciles a site's XML sitemaps with the pages Search Console shows in search
+ *
+ * Every URL listed in the sitemaps (sitemap indexes included) is fetched without following
+ * redirects and classified:
+ * - ok: 200 (or non-HTML 2xx), indexable and self-canonical
+ * - broken: 4xx/5xx or no response
+ * - redirected: a sitemap should list the redirect target instead
+ * - canonicalized: the page's rel="canonical" points at another URL
+ * - noindex: robots meta tag or X-Robots-Tag header
+ * - blocked_by_robots: disallowed by robots.txt, so Google can't read the page at all
+ * - off_site: on another host than the site (not fetched); for sc-domain: properties every
+ *   subdomain of the domain belongs to the site
+ *
+ * The URLs are then compared with the property's pages for the period: pages earning clicks
+ * that no sitemap lists, and healthy sitemap URLs with no impressions at all.
+ *
+ * Reports are 'sitemap.coverage' job results (GET /api/jobs/:id).
+ */
+
+import jobQueueService, { PermanentJobError } from './jobQueueService.js';
+import searchConsoleQueryService from './searchConsoleQueryService.js';
+import oauthTokenService from './oauthTokenService.js';
+import robotsTxtService, { isAllowed } from './robotsTxtService.js';
+import sitemapService from './sitemapService.js';
+import siteCrawlerService, { CRAWLER_USER_AGENT, CRAWLER_ROBOTS_TOKEN, normalizeUrl } from './siteCrawlerService.js';
+import { toBusinessScope, describeScope } from './workspaceService.js';
+
+const JOB_TYPE = 'sitemap.coverage';
+const DEFAULT_DAYS = 28;
+const MAX_SITEMAP_URLS = 50000;
+const MAX_CHECKED_URLS = 10000;
+const CONCURRENCY = 6;
+const TIME_BUDGET = 20 * 60 * 1000;
+const MAX_LISTED = 1000;                  // per report list, to keep the job result small
+
+export const COVERAGE_STATUSES = ['ok', 'broken', 'redirected', 'canonicalized', 'noindex', 'blocked_by_robots', 'off_site'];
+
+function bareHost(host) {
+  return String(host).toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Site origin of a Search Console property, e.g. sc-domain:example.com -> https://example.com
+ */
+export function propertyOrigin(siteUrl) {
+  if (siteUrl.startsWith('sc-domain:')) {
+    return `https://${siteUrl.substring('sc-domain:'.length)}`;
+  }
+  return new URL(siteUrl).origin;
+}
+
+class SitemapCoverageService {
+  constructor() {
+    jobQueueService.registerHandler(JOB_TYPE, (payload, context) => this.buildReport(context.scope, payload, context.progress), {
+      maxAttempts: 1,
+      timeoutMs: TIME_BUDGET + 5 * 60 * 1000
+    });
+  }
+
+  dedupeKey(scope, siteUrl) {
+    const { email, businessId } = toBusinessScope(scope);
+    return `${JOB_TYPE}:${email}:${businessId || 'account'}:${siteUrl}`;
+  }
+
+  /**
+   * Queue a report; one already queued or running for the property is reused
+   * @param {object} scope - Business scope
+   * @param {object} options - { siteUrl, days }
+   * @returns {Promise<object>} { job, deduplicated }
+   */
+  async requestReport(scope, { siteUrl, days }) {
+    // Refuses properties whose host resolves to a private network before anything is fetched
+    await siteCrawlerService.resolveTarget(new URL(propertyOrigin(siteUrl)).hostname);
+
+    return jobQueueService.enqueue(JOB_TYPE, {
+      siteUrl,
+      days: Math.min(Math.max(parseInt(days) || DEFAULT_DAYS, 1), 480)
+    }, {
+      scope,
+      dedupeKey: this.dedupeKey(scope, siteUrl)
+    });
+  }
+
+  /**
+   * Most recent report job for a property (any status), or null
+   */
+  async getLatest(scope, siteUrl) {
+    return jobQueueService.findLatestByDedupeKey(this.dedupeKey(scope, siteUrl));
+  }
+
+  /**
+   * Fetch one sitemap URL and classify it
+   * @param {Function} robotsFor - url => parsed robots.txt of that URL's origin
+   */
+  async checkUrl(entry, robotsFor, isInternal) {
+    const result = {
+      url: entry.loc,
+      sitemap: entry.sitemap,
+      lastmod: entry.lastmod,
+      status: 'ok',
+      statusCode: null,
+      redirectTarget: null,
+      canonical: null,
+      robots: null,
+      error: null
+    };
+
+    if (!isInternal(entry.loc)) {
+      result.status = 'off_site';
+      return result;
+    }
+    if (!isAllowed(await robotsFor(entry.loc), CRAWLER_ROBOTS_TOKEN, entry.loc)) {
+      result.status = 'blocked_by_robots';
+      return result;
+    }
+
+    // Redirects are not followed: the first hop is what the sitemap gets wrong
+    const fetched = await siteCrawlerService.fetchPage(entry.loc, () => false);
+    result.statusCode = fetched.status;
+
+    if (fetched.chain.length > 0) {
+      result.status = 'redirected';
+      result.redirectTarget = fetched.finalUrl;
+      return result;
+    }
+    if (fetched.status === null || fetched.status >= 400) {
+      result.status = 'broken';
+      result.error = fetched.error || null;
+      return result;
+    }
+
+    result.robots = fetched.headers['x-robots-tag'] || null;
+    if (/html/i.test(fetched.headers['content-type'] || '')) {
+      const parsed = siteCrawlerService.parseHtml(fetched.body, entry.loc);
+      result.canonical = parsed.canonical;
+      result.robots = [parsed.metaRobots, result.robots].filter(Boolean).join(', ') || null;
+    }
+
+    if (/noindex|none/i.test(result.robots || '')) {
+      result.status = 'noindex';
+    } else if (result.canonical && result.canonical !== entry.loc) {
+      result.status = 'canonicalized';
+    }
+    return result;
+  }
+
+  /**
+   * Job handler: build the coverage report for a property
+   * @returns {Promise<object>} { siteUrl, origin, period, sitemaps, summary, problemUrls, missingFromSitemap, zeroImpressionUrls }
+   */
+  async buildReport(scope, { siteUrl, days = DEFAULT_DAYS }, progress = async () => {}) {
+    const started = Date.now();
+    const origin = propertyOrigin(siteUrl);
+    const siteHost = bareHost(new URL(origin).hostname);
+    // A domain property covers every subdomain; a URL-prefix property only its own host
+    const domainProperty = siteUrl.startsWith('sc-domain:');
+    const isInternal = url => {
+      try {
+        const host = bareHost(new URL(url).hostname);
+        return host === siteHost || (domainProperty && host.endsWith(`.${siteHost}`));
+      } catch {
+        return false;
+      }
+    };
+
+    const oauth2Client = await oauthTokenService.getOAuthClient(scope);
+    if (!oauth2Client) {
+      throw new PermanentJobError('Google account not connected or authentication expired. Please reconnect.');
+    }
+
+    await progress(5, 'Reading sitemaps');
+    const robots = await robotsTxtService.fetch(origin, CRAWLER_USER_AGENT);
+    // robots.txt applies per origin, so subdomain URLs are judged by their own file
+    const robotsByOrigin = new Map([[origin, Promise.resolve(robots)]]);
+    const robotsFor = url => {
+      const urlOrigin = new URL(url).origin;
+      if (!robotsByOrigin.has(urlOrigin)) {
+        robotsByOrigin.set(urlOrigin, robotsTxtService.fetch(urlOrigin, CRAWLER_USER_AGENT));
+      }
+      return robotsByOrigin.get(urlOrigin);
+    };
+    const sitemapUrls = await sitemapService.discover(origin, robots, CRAWLER_USER_AGENT);
+    const { urls, sitemaps, truncated: sitemapsTruncated } = await sitemapService.readUrls(sitemapUrls, {
+      userAgent: CRAWLER_USER_AGENT,
+      maxUrls: MAX_SITEMAP_URLS
+    });
+    const entries = urls
+      .map(entry => ({ ...entry, loc: normalizeUrl(entry.loc, origin) }))
+      .filter(entry => entry.loc);
+
+    await progress(10, 'Loading Search Console pages');
+    const pageQuery = searchConsoleQueryService.normalizeQuery({
+      siteUrl,
+      days,
+      dimensions: ['page'],
+      rowLimit: MAX_SITEMAP_URLS
+    });
+    const search = await searchConsoleQueryService.runQuery(scope, oauth2Client, pageQuery);
+    const searchPages = new Map(
+      search.rows
+        .filter(row => isInternal(row.page))
+        .map(row => [normalizeUrl(row.page, origin), row])
+    );
+
+    // Check URLs with a small worker pool; anything left when the budget runs out is unchecked
+    const checked = new Map();
+    const toCheck = entries.slice(0, MAX_CHECKED_URLS);
+    let next = 0;
+    const worker = async () => {
+      while (next < toCheck.length && Date.now() - started < TIME_BUDGET) {
+        const entry = toCheck[next++];
+        try {
+          checked.set(entry.loc, await this.checkUrl(entry, robotsFor, isInternal));
+        } catch (error) {
+          checked.set(entry.loc, { url: entry.loc, sitemap: entry.sitemap, lastmod: entry.lastmod, status: 'broken', statusCode: null, redirectTarget: null, canonical: null, robots: null, error: error.message });
+        }
+        if (checked.size % 50 === 0) {
+          await progress(10 + (checked.size / toCheck.length) * 85, `Checked ${checked.size} of ${toCheck.length} sitemap URLs`);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: CONCURRENCY }, () => worker()));
+
+    const counts = Object.fromEntries(COVERAGE_STATUSES.map(status => [status, 0]));
+    for (const result of checked.values()) counts[result.status]++;
+
+    const withSearch = result => {
+      const row = searchPages.get(result.url);
+      return { ...result, clicks: row?.clicks || 0, impressions: row?.impressions || 0 };
+    };
+
+    const problemUrls = [...checked.values()]
+      .filter(result => result.status !== 'ok')
+      .map(withSearch)
+      .sort((a, b) => b.impressions - a.impressions || a.url.localeCompare(b.url));
+
+    const listed = new Set(entries.map(entry => entry.loc));
+    const missingFromSitemap = [...searchPages.entries()]
+      .filter(([url, row]) => row.clicks > 0 && !listed.has(url))
+      .map(([url, row]) => ({ url, clicks: row.clicks, impressions: row.impressions, ctr: row.ctr, position: row.position }))
+      .sort((a, b) => b.clicks - a.clicks || b.impressions - a.impressions);
+
+    // Problem URLs are already reported above; unchecked URLs are included
+    const zeroImpressionUrls = entries
+      .filter(entry => !searchPages.has(entry.loc) && (checked.get(entry.loc)?.status ?? 'ok') === 'ok')
+      .map(entry => ({ url: entry.loc, lastmod: entry.lastmod, sitemap: entry.sitemap, checked: checked.has(entry.loc) }));
+
+    console.log(`🗺️ Sitemap coverage for ${siteUrl} (${describeScope(scope)}): ${entries.length} URLs, ${problemUrls.length} with problems, ${missingFromSitemap.length} missing`);
+
+    return {
+      siteUrl,
+      origin,
+      period: { startDate: pageQuery.startDate, endDate: pageQuery.endDate },
+      sitemaps,
+      summary: {
+        sitemapUrls: entries.length,
+        checkedUrls: checked.size,
+        truncated: sitemapsTruncated || checked.size < entries.length,
+        ...counts,
+        searchPages: searchPages.size,
+        searchDataTruncated: search.hasMore,
+        missingFromSitemap: missingFromSitemap.length,
+        zeroImpressionUrls: zeroImpressionUrls.length
+      },
+      problemUrls: problemUrls.slice(0, MAX_LISTED),
+      missingFromSitemap: missingFromSitemap.slice(0, MAX_LISTED),
+      zeroImpressionUrls: zeroImpressionUrls.slice(0, MAX_LISTED)
+    };
+  }
+}
+
+export default new SitemapCoverageService();
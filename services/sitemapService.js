@@ -0,0 +1,154 @@
+/**
+ * Sitemap Service
+ * Finds a site's XML sitemaps and reads the page URLs they list, following sitemap
+ * indexes into their child sitemaps (gzipped sitemaps included)
+ *
+ * Sitemap locations come from robots.txt and sitemap indexes and may name any host, so
+ * every request (and redirect hop) goes through the network guard.
+ */
+
+import zlib from 'zlib';
+import { guardedRequest } from './networkGuard.js';
+
+const FETCH_TIMEOUT = 20000;
+const MAX_REDIRECTS = 5;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;   // protocol limit (uncompressed)
+const DEFAULT_MAX_SITEMAPS = 50;
+const COMMON_PATHS = ['/sitemap.xml', '/sitemap_index.xml', '/sitemap-index.xml'];
+
+function decodeXml(value) {
+  return value
+    .replace(/^<!\[CDATA\[|\]\]>$/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .trim();
+}
+
+/**
+ * Parse one sitemap document
+ * @returns {object} { type: 'index'|'urlset'|'unknown', locations: [{ loc, lastmod }] }
+ */
+export function parseSitemapXml(xml) {
+  const text = String(xml || '');
+  const type = /<sitemapindex[\s>]/i.test(text) ? 'index' : /<urlset[\s>]/i.test(text) ? 'urlset' : 'unknown';
+  const entryTag = type === 'index' ? 'sitemap' : 'url';
+
+  const locations = [];
+  const entryPattern = new RegExp(`<${entryTag}[\\s>][\\s\\S]*?<\\/${entryTag}>`, 'gi');
+  for (const entry of text.match(entryPattern) || []) {
+    const loc = entry.match(/<loc>([\s\S]*?)<\/loc>/i);
+    if (!loc) continue;
+    const lastmod = entry.match(/<lastmod>([\s\S]*?)<\/lastmod>/i);
+    locations.push({ loc: decodeXml(loc[1]), lastmod: lastmod ? decodeXml(lastmod[1]) : null });
+  }
+
+  return { type, locations };
+}
+
+const sitemapService = {
+  /**
+   * Sitemap URLs for a site: the robots.txt Sitemap lines, else the common locations that respond
+   * @param {string} origin - e.g. https://example.com
+   * @param {object|null} robots - From robotsTxtService (its sitemaps list is used)
+   * @param {string} userAgent
+   * @returns {Promise<Array<string>>}
+   */
+  async discover(origin, robots, userAgent) {
+    if (robots?.sitemaps?.length > 0) {
+      return [...new Set(robots.sitemaps)];
+    }
+
+    for (const path of COMMON_PATHS) {
+      try {
+        // Bare domains usually redirect to www or https - follow, and list where it ends up
+        const response = await guardedRequest({
+          method: 'head',
+          url: `${origin}${path}`,
+          timeout: FETCH_TIMEOUT,
+          headers: { 'User-Agent': userAgent },
+          validateStatus: () => true
+        }, { maxRedirects: MAX_REDIRECTS });
+        if (response.status === 200) return [response.finalUrl];
+      } catch {
+        continue;
+      }
+    }
+    return [];
+  },
+
+  /**
+   * Download one sitemap (gunzipping .gz files)
+   * @returns {Promise<string>} XML
+   */
+  async fetchSitemap(url, userAgent) {
+    const response = await guardedRequest({
+      method: 'get',
+      url,
+      timeout: FETCH_TIMEOUT,
+      responseType: 'arraybuffer',
+      maxContentLength: MAX_SITEMAP_BYTES,
+      headers: { 'User-Agent': userAgent, 'Accept': 'application/xml,text/xml,*/*' }
+    }, { maxRedirects: MAX_REDIRECTS });
+
+    let body = Buffer.from(response.data);
+    // gzip magic bytes - .xml.gz files are served as application/octet-stream or x-gzip
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+      body = zlib.gunzipSync(body, { maxOutputLength: MAX_SITEMAP_BYTES });
+    }
+    return body.toString('utf8');
+  },
+
+  /**
+   * Read page URLs from sitemaps, descending into sitemap indexes
+   * @param {Array<string>} sitemapUrls - Starting sitemaps
+   * @param {object} options - { userAgent, maxUrls, maxSitemaps }
+   * @returns {Promise<object>} { urls: [{ loc, lastmod, sitemap }], sitemaps: [{ url, type, urlCount, error }], truncated }
+   */
+  async readUrls(sitemapUrls, { userAgent, maxUrls = Infinity, maxSitemaps = DEFAULT_MAX_SITEMAPS } = {}) {
+    const queue = [...sitemapUrls];
+    const visited = new Set();
+    const seenUrls = new Set();
+    const urls = [];
+    const sitemaps = [];
+    let truncated = false;
+
+    while (queue.length > 0) {
+      const sitemapUrl = queue.shift();
+      if (visited.has(sitemapUrl)) continue;
+      if (visited.size >= maxSitemaps || urls.length >= maxUrls) {
+        truncated = true;
+        break;
+      }
+      visited.add(sitemapUrl);
+
+      try {
+        const { type, locations } = parseSitemapXml(await this.fetchSitemap(sitemapUrl, userAgent));
+        sitemaps.push({ url: sitemapUrl, type, urlCount: locations.length, error: null });
+
+        if (type === 'index') {
+          queue.push(...locations.map(location => location.loc));
+          continue;
+        }
+
+        for (const location of locations) {
+          if (seenUrls.has(location.loc)) continue;
+          if (urls.length >= maxUrls) {
+            truncated = true;
+            break;
+          }
+          seenUrls.add(location.loc);
+          urls.push({ ...location, sitemap: sitemapUrl });
+        }
+      } catch (error) {
+        sitemaps.push({ url: sitemapUrl, type: null, urlCount: 0, error: error.response ? `HTTP ${error.response.status}` : error.message });
+      }
+    }
+
+    return { urls, sitemaps, truncated };
+  }
+};
+
+export default sitemapService;
@@ -6,6 +6,8 @@
 
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { toBusinessScope } from './workspaceService.js';
+import tokenVault from './tokenVault.js';
 
 dotenv.config();
 
@@ -14,6 +16,11 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
+// Exact business match - one business's connection never changes another's
+function matchBusiness(query, businessId) {
+  return businessId ? query.eq('business_id', businessId) : query.is('business_id', null);
+}
+
 class SocialConnectionService {
   /**
    * Get all connected social accounts for a user
@@ -60,20 +67,24 @@ class SocialConnectionService {
   /**
    * Get social handles with OAuth priority
    * Returns: { platform: { source: 'oauth'|'business_info', username, connected, ... } }
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    */
-  async getSocialHandlesWithPriority(userEmail) {
+  async getSocialHandlesWithPriority(scopeOrEmail) {
     try {
       console.log(`\n📱 Getting social handles for: [USER_EMAIL]`);
+      const { email: userEmail, businessId } = toBusinessScope(scopeOrEmail);
 
       // 1. Get OAuth connections (highest priority)
       const oauthConnections = await this.getConnectedAccounts(userEmail);
 
-      // 2. Get business info handles (fallback)
-      const { data: businessInfo, error } = await supabase
+      // 2. Get business info handles (fallback) - the scoped business, or the primary one
+      const businessQuery = supabase
         .from('user_business_info')
-        .select('facebook_handle, instagram_handle, linkedin_handle, twitter_handle, youtube_handle, tiktok_handle')
-        .eq('user_email', userEmail)
-        .single();
+        .select('facebook_handle, instagram_handle, linkedin_handle, twitter_handle, youtube_handle, tiktok_handle');
+      const { data: businessInfo, error } = await (businessId
+        ? businessQuery.eq('id', businessId)
+        : businessQuery.eq('user_email', userEmail).order('created_at', { ascending: true }).limit(1)
+      ).single();
 
       if (error && error.code !== 'PGRST116') {
         console.error('⚠️ Error fetching business info:', error);
@@ -190,32 +201,45 @@ class SocialConnectionService {
 
   /**
    * Update connection status after OAuth
+   * @param {object|string} scopeOrEmail - Business scope or user's email (only that business's row changes)
    */
-  async updateConnection(userEmail, platform, connectionData) {
+  async updateConnection(scopeOrEmail, platform, connectionData) {
     try {
+      const { email: userEmail, businessId } = toBusinessScope(scopeOrEmail);
       console.log(`💾 Updating ${platform} connection for [USER_EMAIL]`);
 
-      const { error } = await supabase
-        .from('social_connections_v2')
-        .upsert({
-          user_email: userEmail,
-          platform: platform,
-          is_connected: true,
-          connection_status: 'connected',
-          provider_user_id: connectionData.providerId,
-          provider_username: connectionData.username,
-          provider_email: connectionData.email,
-          account_name: connectionData.accountName,
-          profile_url: connectionData.profileUrl,
-          platform_metadata: connectionData.metadata || {},
-          connected_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        }, {
-          onConflict: 'user_email,platform'
-        });
+      const connection = {
+        is_connected: true,
+        connection_status: 'connected',
+        provider_user_id: connectionData.providerId,
+        provider_username: connectionData.username,
+        provider_email: connectionData.email,
+        account_name: connectionData.accountName,
+        profile_url: connectionData.profileUrl,
+        platform_metadata: connectionData.metadata || {},
+        connected_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+
+      const { data: updated, error } = await matchBusiness(
+        supabase
+          .from('social_connections_v2')
+          .update(connection)
+          .eq('user_email', userEmail)
+          .eq('platform', platform),
+        businessId
+      ).select('id');
 
       if (error) throw error;
 
+      if (!updated?.length) {
+        const { error: insertError } = await supabase
+          .from('social_connections_v2')
+          .insert({ ...connection, user_email: userEmail, business_id: businessId, platform });
+
+        if (insertError) throw insertError;
+      }
+
       console.log(`✅ ${platform} connection updated`);
       return true;
 
@@ -228,32 +252,37 @@ class SocialConnectionService {
   /**
    * Disconnect a platform
    * Also cleans up OAuth tokens and cached social media data
+   * @param {object|string} scopeOrEmail - Business scope or user's email (other businesses keep their connection)
    */
-  async disconnectPlatform(userEmail, platform) {
+  async disconnectPlatform(scopeOrEmail, platform) {
     try {
+      const { email: userEmail, businessId } = toBusinessScope(scopeOrEmail);
       console.log(`🔌 Disconnecting ${platform} for [USER_EMAIL]`);
 
       // 1. Delete OAuth tokens so the platform shows as disconnected
       console.log(`   🔑 Deleting OAuth tokens for ${platform}...`);
       const oauthTokenService = (await import('./oauthTokenService.js')).default;
-      await oauthTokenService.deleteTokens(userEmail, platform);
+      await oauthTokenService.deleteTokens(scopeOrEmail, platform);
 
       // 2. Invalidate cached social media data so stale data isn't shown
       console.log(`   🗑️ Invalidating social media cache for ${platform}...`);
       const socialMediaCacheService = (await import('./socialMediaCacheService.js')).default;
-      await socialMediaCacheService.invalidateCache(userEmail, platform);
+      await socialMediaCacheService.invalidateCache(scopeOrEmail, platform);
 
       // 3. Update connection status in social_connections_v2 table
-      const { error } = await supabase
-        .from('social_connections_v2')
-        .update({
-          is_connected: false,
-          connection_status: 'disconnected',
-          disconnected_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        })
-        .eq('user_email', userEmail)
-        .eq('platform', platform);
+      const { error } = await matchBusiness(
+        supabase
+          .from('social_connections_v2')
+          .update({
+            is_connected: false,
+            connection_status: 'disconnected',
+            disconnected_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+          })
+          .eq('user_email', userEmail)
+          .eq('platform', platform),
+        businessId
+      );
 
       if (error) throw error;
 
@@ -319,9 +348,11 @@ class SocialConnectionService {
         return null;
       }
 
+      const { access_token, refresh_token } = tokenVault.openTokens(data);
+
       return {
-        accessToken: data.access_token,
-        refreshToken: data.refresh_token,
+        accessToken: access_token,
+        refreshToken: refresh_token,
         expiresAt: data.expires_at,
         scope: data.scope
       };
@@ -2,12 +2,16 @@
  * Social Media Cache Service
  * Manages caching for LinkedIn, Facebook, and Instagram metrics
  * Uses Supabase for persistent storage with automatic expiration
+ *
+ * Cache methods take a business scope ({ email, businessId }) or a plain email.
  */
 
 import dotenv from 'dotenv';
 dotenv.config();
 
 import { createClient } from '@supabase/supabase-js';
+import { toBusinessScope, applyBusinessScope, describeScope } from './workspaceService.js';
+import alertService from './alertService.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -19,31 +23,35 @@ const CACHE_DURATION_MINUTES = 180; // 3 hours cache duration
 const socialMediaCacheService = {
   /**
    * Get cached social media data (alias for getCachedMetrics)
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {string} platform - Platform ('linkedin', 'facebook', 'instagram')
    * @param {string} period - Time period (optional)
    * @returns {Promise<object|null>} Cached data or null if expired/missing
    */
-  async getCachedData(userEmail, platform, period = 'month') {
-    return this.getCachedMetrics(userEmail, platform, period);
+  async getCachedData(scopeOrEmail, platform, period = 'month') {
+    return this.getCachedMetrics(scopeOrEmail, platform, period);
   },
 
   /**
    * Get cached metrics (main method)
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {string} platform - Platform ('linkedin', 'facebook', 'instagram')
    * @param {string} period - Time period
    * @returns {Promise<object|null>} Cached data or null if expired/missing
    */
-  async getCachedMetrics(userEmail, platform, period = 'month', ignoreExpiration = false, filterId = null) {
+  async getCachedMetrics(scopeOrEmail, platform, period = 'month', ignoreExpiration = false, filterId = null) {
+    const { email: userEmail } = toBusinessScope(scopeOrEmail);
     try {
-      console.log(`📦 Checking cache for ${platform} - ${userEmail} ${filterId ? `(ID: ${filterId})` : ''} ${ignoreExpiration ? '(ignoring expiration)' : ''}`);
+      console.log(`📦 Checking cache for ${platform} - ${describeScope(scopeOrEmail)} ${filterId ? `(ID: ${filterId})` : ''} ${ignoreExpiration ? '(ignoring expiration)' : ''}`);
 
-      let query = supabase
-        .from('social_media_cache')
-        .select('*')
-        .eq('user_email', userEmail)
-        .eq('platform', platform);
+      let query = applyBusinessScope(
+        supabase
+          .from('social_media_cache')
+          .select('*')
+          .eq('user_email', userEmail)
+          .eq('platform', platform),
+        scopeOrEmail
+      );
 
       // Filter by specific ID if provided (for LinkedIn organizations)
       if (platform === 'linkedin') {
@@ -183,29 +191,30 @@ const socialMediaCacheService = {
 
   /**
    * Store social media data in cache (alias for cacheMetrics)
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {string} platform - Platform ('linkedin', 'facebook', 'instagram')
    * @param {object} data - Data to cache
    * @param {string|number} periodOrDuration - Period or cache duration
    * @returns {Promise<boolean>} Success status
    */
-  async setCachedData(userEmail, platform, data, periodOrDuration = CACHE_DURATION_MINUTES) {
+  async setCachedData(scopeOrEmail, platform, data, periodOrDuration = CACHE_DURATION_MINUTES) {
     const cacheDuration = typeof periodOrDuration === 'number' ? periodOrDuration : CACHE_DURATION_MINUTES;
-    return this.cacheMetrics(userEmail, platform, data, periodOrDuration);
+    return this.cacheMetrics(scopeOrEmail, platform, data, periodOrDuration);
   },
 
   /**
    * Cache metrics (main method)
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {string} platform - Platform ('linkedin', 'facebook', 'instagram')
    * @param {object} data - Data to cache
    * @param {string} period - Time period
    * @returns {Promise<boolean>} Success status
    */
-  async cacheMetrics(userEmail, platform, data, period = 'month') {
+  async cacheMetrics(scopeOrEmail, platform, data, period = 'month') {
     const cacheDuration = CACHE_DURATION_MINUTES;
+    const { email: userEmail, businessId } = toBusinessScope(scopeOrEmail);
     try {
-      console.log(`💾 Caching ${platform} data for ${userEmail} (${cacheDuration} min)`);
+      console.log(`💾 Caching ${platform} data for ${describeScope(scopeOrEmail)} (${cacheDuration} min)`);
 
       const expiresAt = new Date(Date.now() + cacheDuration * 60 * 1000).toISOString();
 
@@ -287,6 +296,7 @@ const socialMediaCacheService = {
 
       const cacheEntry = {
         user_email: userEmail,
+        business_id: businessId,
         platform: platform,
         account_id: data.accountId || data.companyId || null,
         account_name: data.companyName || data.pageName || data.username || data.account?.username || null,
@@ -352,7 +362,7 @@ const socialMediaCacheService = {
 
       if (platform === 'linkedin' && cacheEntry.linkedin_company_id) {
         // LinkedIn: Use upsert with the existing constraint
-        const conflictColumns = 'user_email,platform,period,linkedin_company_id';
+        const conflictColumns = 'user_email,business_id,platform,period,linkedin_company_id';
         console.log(`🔑 LinkedIn: Using upsert with conflict columns: ${conflictColumns}`);
 
         const result = await supabase
@@ -368,12 +378,15 @@ const socialMediaCacheService = {
         console.log(`🔑 ${platform}: Using delete + insert pattern`);
 
         // Delete existing entry for this user/platform/period
-        const { error: deleteError } = await supabase
-          .from('social_media_cache')
-          .delete()
-          .eq('user_email', userEmail)
-          .eq('platform', platform)
-          .eq('period', cacheEntry.period);
+        const { error: deleteError } = await applyBusinessScope(
+          supabase
+            .from('social_media_cache')
+            .delete()
+            .eq('user_email', userEmail)
+            .eq('platform', platform)
+            .eq('period', cacheEntry.period),
+          scopeOrEmail
+        );
 
         if (deleteError) {
           console.log(`⚠️ Delete error (non-fatal): ${deleteError.message}`);
@@ -394,6 +407,7 @@ const socialMediaCacheService = {
         throw error;
       }
       console.log(`✅ Cache saved for ${platform}`);
+      alertService.requestEvaluation(scopeOrEmail);
 
       // Auto-sync account name to business info
       if (cacheEntry.account_name) {
@@ -412,16 +426,12 @@ const socialMediaCacheService = {
             const userBusinessInfoService = (await import('./userBusinessInfoService.js')).default;
 
             // Get existing business info
-            const { data: existing } = await supabase
-              .from('user_business_info')
-              .select('*')
-              .eq('user_email', userEmail)
-              .single();
+            const existing = await userBusinessInfoService.getUserBusinessInfo(scopeOrEmail);
 
             if (existing) {
               // Update only if different
               if (existing[field] !== cacheEntry.account_name) {
-                await userBusinessInfoService.upsertBusinessInfo(userEmail, {
+                await userBusinessInfoService.upsertBusinessInfo(scopeOrEmail, {
                   ...existing,
                   [field]: cacheEntry.account_name
                 });
@@ -446,19 +456,23 @@ const socialMediaCacheService = {
 
   /**
    * Invalidate cache for a platform
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {string} platform - Platform to invalidate
    * @returns {Promise<boolean>} Success status
    */
-  async invalidateCache(userEmail, platform) {
+  async invalidateCache(scopeOrEmail, platform) {
+    const { email: userEmail } = toBusinessScope(scopeOrEmail);
     try {
-      console.log(`🗑️ Invalidating cache for ${platform} - ${userEmail}`);
+      console.log(`🗑️ Invalidating cache for ${platform} - ${describeScope(scopeOrEmail)}`);
 
-      const { error } = await supabase
-        .from('social_media_cache')
-        .update({ expires_at: new Date().toISOString() })
-        .eq('user_email', userEmail)
-        .eq('platform', platform);
+      const { error } = await applyBusinessScope(
+        supabase
+          .from('social_media_cache')
+          .update({ expires_at: new Date().toISOString() })
+          .eq('user_email', userEmail)
+          .eq('platform', platform),
+        scopeOrEmail
+      );
 
       if (error) throw error;
 
@@ -472,21 +486,25 @@ const socialMediaCacheService = {
 
   /**
    * Clear all cache for a user
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @returns {Promise<boolean>} Success status
    */
-  async clearAllCache(userEmail) {
+  async clearAllCache(scopeOrEmail) {
+    const { email: userEmail } = toBusinessScope(scopeOrEmail);
     try {
-      console.log(`🗑️ Clearing all cache for ${userEmail}`);
+      console.log(`🗑️ Clearing all cache for ${describeScope(scopeOrEmail)}`);
 
-      const { error } = await supabase
-        .from('social_media_cache')
-        .delete()
-        .eq('user_email', userEmail);
+      const { error } = await applyBusinessScope(
+        supabase
+          .from('social_media_cache')
+          .delete()
+          .eq('user_email', userEmail),
+        scopeOrEmail
+      );
 
       if (error) throw error;
 
-      console.log(`✅ All cache cleared for ${userEmail}`);
+      console.log(`✅ All cache cleared for ${describeScope(scopeOrEmail)}`);
       return true;
     } catch (error) {
       console.error(`❌ Error clearing cache:`, error);
@@ -537,7 +555,7 @@ const socialMediaCacheService = {
       const { error } = await supabase
         .from('social_media_fetch_history')
         .insert({
-          user_email: userEmail,
+          user_email: toBusinessScope(userEmail).email,
           platform: platform,
           fetch_type: fetchType,
           fetch_status: status,
@@ -565,7 +583,7 @@ const socialMediaCacheService = {
       const { data, error } = await supabase
         .from('social_media_cache')
         .select('platform, last_fetched_at, expires_at, data_available')
-        .eq('user_email', userEmail);
+        .eq('user_email', toBusinessScope(userEmail).email);
 
       if (error) throw error;
 
@@ -635,7 +653,8 @@ const socialMediaCacheService = {
       const { error } = await supabase
         .from('social_connections_v2')
         .upsert({
-          user_email: userEmail,
+          // Connection status is tracked per account, not per business
+          user_email: toBusinessScope(userEmail).email,
           platform: platform,
           is_connected: isConnected,
           connection_status: isConnected ? 'connected' : 'disconnected',
@@ -664,7 +683,7 @@ const socialMediaCacheService = {
       const { data, error } = await supabase
         .from('social_connections_v2')
         .select('*')
-        .eq('user_email', userEmail);
+        .eq('user_email', toBusinessScope(userEmail).email);
 
       if (error) throw error;
       return data || [];
@@ -677,19 +696,23 @@ const socialMediaCacheService = {
   /**
    * Get cached LinkedIn organizations for a user
    * Returns all unique organizations stored in cache for this user
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @returns {Promise<Array>} Array of organization objects {id, name, urn, picture}
    */
-  async getCachedOrganizations(userEmail) {
+  async getCachedOrganizations(scopeOrEmail) {
+    const { email: userEmail } = toBusinessScope(scopeOrEmail);
     try {
-      console.log(`📦 Fetching cached LinkedIn organizations for ${userEmail}`);
+      console.log(`📦 Fetching cached LinkedIn organizations for ${describeScope(scopeOrEmail)}`);
 
-      const { data, error } = await supabase
-        .from('social_media_cache')
-        .select('linkedin_company_id, linkedin_company_urn, account_name, updated_at')
-        .eq('user_email', userEmail)
-        .eq('platform', 'linkedin')
-        .not('linkedin_company_id', 'is', null)
+      const { data, error } = await applyBusinessScope(
+        supabase
+          .from('social_media_cache')
+          .select('linkedin_company_id, linkedin_company_urn, account_name, updated_at')
+          .eq('user_email', userEmail)
+          .eq('platform', 'linkedin')
+          .not('linkedin_company_id', 'is', null),
+        scopeOrEmail
+      )
         .order('updated_at', { ascending: false });
 
       if (error) {
@@ -728,18 +751,20 @@ const socialMediaCacheService = {
   /**
    * Cache personal LinkedIn analytics (user-level, not org-level)
    * Used for personal profile metrics like impressions, reactions, profile views
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {object} personalData - Personal analytics data {profile, personalAnalytics}
    * @returns {Promise<boolean>} Success status
    */
-  async cachePersonalAnalytics(userEmail, personalData) {
+  async cachePersonalAnalytics(scopeOrEmail, personalData) {
+    const { email: userEmail, businessId } = toBusinessScope(scopeOrEmail);
     try {
-      console.log(`💾 Caching personal LinkedIn analytics for ${userEmail}`);
+      console.log(`💾 Caching personal LinkedIn analytics for ${describeScope(scopeOrEmail)}`);
 
       const expiresAt = new Date(Date.now() + CACHE_DURATION_MINUTES * 60 * 1000).toISOString();
 
       const cacheEntry = {
         user_email: userEmail,
+        business_id: businessId,
         platform: 'linkedin', // Use 'linkedin' for constraint compatibility
         account_id: personalData.profile?.id || null,
         account_name: personalData.profile?.name || null,
@@ -776,7 +801,7 @@ const socialMediaCacheService = {
       const { error } = await supabase
         .from('social_media_cache')
         .upsert(cacheEntry, {
-          onConflict: 'user_email,platform,period,linkedin_company_id',
+          onConflict: 'user_email,business_id,platform,period,linkedin_company_id',
           ignoreDuplicates: false
         });
 
@@ -795,20 +820,24 @@ const socialMediaCacheService = {
 
   /**
    * Get cached personal LinkedIn analytics for a user
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {boolean} ignoreExpiration - If true, return expired data
    * @returns {Promise<object|null>} Cached personal analytics or null
    */
-  async getCachedPersonalAnalytics(userEmail, ignoreExpiration = false) {
+  async getCachedPersonalAnalytics(scopeOrEmail, ignoreExpiration = false) {
+    const { email: userEmail } = toBusinessScope(scopeOrEmail);
     try {
-      console.log(`📦 Fetching cached personal LinkedIn analytics for ${userEmail}`);
+      console.log(`📦 Fetching cached personal LinkedIn analytics for ${describeScope(scopeOrEmail)}`);
 
-      let query = supabase
-        .from('social_media_cache')
-        .select('*')
-        .eq('user_email', userEmail)
-        .eq('platform', 'linkedin')
-        .eq('linkedin_company_id', 'personal'); // Personal data marker
+      let query = applyBusinessScope(
+        supabase
+          .from('social_media_cache')
+          .select('*')
+          .eq('user_email', userEmail)
+          .eq('platform', 'linkedin')
+          .eq('linkedin_company_id', 'personal'), // Personal data marker
+        scopeOrEmail
+      );
 
       if (!ignoreExpiration) {
         query = query.gt('expires_at', new Date().toISOString());
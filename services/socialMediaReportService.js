@@ -2,6 +2,7 @@ import PDFDocument from 'pdfkit';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { drawTimelineChart, drawAnnotationLegend } from './reportCharts.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -209,9 +210,39 @@ class SocialMediaReportService {
       }
     }
 
+    this.addFollowerTimeline(doc, reportData);
+
     doc.addPage();
   }
 
+  /**
+   * Follower counts over the report period with the business's annotations as markers
+   * (just the markers on a time axis when there is no follower history)
+   */
+  addFollowerTimeline(doc, reportData) {
+    const annotations = reportData.annotations || [];
+    const series = (reportData.data?.followerGrowth || [])
+      .filter(point => point.date && point.followers !== undefined)
+      .map(point => ({ date: point.date, value: point.followers }));
+
+    if (series.length < 2 && annotations.length === 0) return;
+    if (doc.y > 540) doc.addPage();
+
+    doc.fontSize(14)
+      .fillColor(this.colors.primary)
+      .text(series.length >= 2 ? 'Followers & Events' : 'Events This Period', 50, doc.y + 25);
+
+    const drawn = drawTimelineChart(doc, {
+      series,
+      annotations,
+      from: reportData.timelineRange?.from,
+      to: reportData.timelineRange?.to,
+      y: doc.y + 15,
+      colors: { line: this.colors.accent, text: this.colors.secondary }
+    });
+    drawAnnotationLegend(doc, drawn, { color: this.colors.secondary });
+  }
+
   addContentPerformance(doc, reportData) {
     const { data } = reportData;
 
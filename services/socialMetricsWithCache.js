@@ -275,12 +275,12 @@ class SocialMetricsWithCache {
 
   /**
    * Invalidate cache for a platform
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {string} platform - Platform name
    * @returns {boolean} Success status
    */
-  async invalidateCache(userEmail, platform) {
-    return await socialMediaCacheService.invalidateCache(userEmail, platform);
+  async invalidateCache(scopeOrEmail, platform) {
+    return await socialMediaCacheService.invalidateCache(scopeOrEmail, platform);
   }
 
   /**
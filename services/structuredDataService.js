@@ -0,0 +1,415 @@
+/**
+ * Structured Data Service
+ * Extracts schema.org entities from a page's JSON-LD, Microdata and RDFa and validates them
+ * against Google's rich result requirements for the common types
+ *
+ * Every format is normalized to JSON-LD-shaped objects ({ '@type', ...properties }, nested
+ * items as objects), so one set of rules validates all three. Missing required properties are
+ * errors (the entity can't produce a rich result); missing recommended ones are warnings.
+ * Types without rules (WebSite, WebPage...) are listed but not validated.
+ */
+
+import { JSDOM } from 'jsdom';
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const DATE_PROPERTIES = ['datePublished', 'dateModified', 'startDate', 'endDate', 'priceValidUntil', 'validFrom'];
+
+// Subtypes validated with their parent type's rules; LocalBusiness is checked before Organization
+const TYPE_FAMILIES = {
+  LocalBusiness: ['LocalBusiness', 'Restaurant', 'Store', 'FoodEstablishment', 'CafeOrCoffeeShop', 'Bakery', 'BarOrPub',
+    'Dentist', 'MedicalBusiness', 'LegalService', 'ProfessionalService', 'HomeAndConstructionBusiness', 'AutomotiveBusiness',
+    'HealthAndBeautyBusiness', 'LodgingBusiness', 'Hotel', 'RealEstateAgent', 'FinancialService', 'TravelAgency'],
+  Organization: ['Organization', 'Corporation', 'NGO', 'OnlineBusiness', 'OnlineStore', 'EducationalOrganization', 'NewsMediaOrganization'],
+  Product: ['Product', 'ProductGroup', 'IndividualProduct', 'ProductModel'],
+  Article: ['Article', 'NewsArticle', 'BlogPosting', 'TechArticle', 'Report', 'ScholarlyArticle'],
+  FAQPage: ['FAQPage'],
+  BreadcrumbList: ['BreadcrumbList'],
+  Event: ['Event', 'MusicEvent', 'BusinessEvent', 'SportsEvent', 'TheaterEvent', 'Festival', 'EducationEvent',
+    'ExhibitionEvent', 'SocialEvent', 'ComedyEvent', 'FoodEvent', 'ScreeningEvent']
+};
+
+/**
+ * Rules per type: required, oneOf (at least one of each group), recommended and nested rules
+ * for object-valued properties; check() covers what the declarative rules can't express
+ */
+export const SCHEMA_RULES = {
+  Organization: {
+    recommended: ['name', 'url', 'logo', 'sameAs', 'contactPoint']
+  },
+  LocalBusiness: {
+    required: ['name', 'address'],
+    recommended: ['telephone', 'url', 'image', 'geo', 'openingHoursSpecification', 'priceRange'],
+    nested: {
+      address: { recommended: ['streetAddress', 'addressLocality', 'postalCode', 'addressCountry'] },
+      geo: { required: ['latitude', 'longitude'] }
+    }
+  },
+  Product: {
+    required: ['name'],
+    oneOf: [['offers', 'review', 'aggregateRating']],
+    recommended: ['image', 'description', 'brand', 'sku', 'offers', 'aggregateRating'],
+    nested: {
+      offers: { oneOf: [['price', 'lowPrice', 'priceSpecification']], recommended: ['priceCurrency', 'availability'] },
+      aggregateRating: { required: ['ratingValue'], oneOf: [['ratingCount', 'reviewCount']] },
+      review: { required: ['author', 'reviewRating'] }
+    }
+  },
+  Article: {
+    recommended: ['headline', 'image', 'datePublished', 'dateModified', 'author'],
+    nested: {
+      author: { recommended: ['name', 'url'] }
+    }
+  },
+  FAQPage: {
+    required: ['mainEntity'],
+    nested: {
+      mainEntity: {
+        required: ['name', 'acceptedAnswer'],
+        nested: { acceptedAnswer: { required: ['text'] } }
+      }
+    }
+  },
+  BreadcrumbList: {
+    required: ['itemListElement'],
+    check(entity, addIssue) {
+      const items = toArray(entity.itemListElement);
+      items.forEach((item, index) => {
+        const path = `itemListElement[${index}]`;
+        if (!item || typeof item !== 'object') {
+          addIssue('error', path, 'Must be a ListItem');
+          return;
+        }
+        if (!isPresent(item.position)) addIssue('error', `${path}.position`, 'Missing required property');
+        if (!isPresent(item.name) && !isPresent(item.item?.name)) addIssue('error', `${path}.name`, 'Missing required property');
+        // Google allows the last crumb (the current page) to omit its URL
+        if (index < items.length - 1 && !isPresent(item.item)) addIssue('error', `${path}.item`, 'Required on every item except the last');
+      });
+    }
+  },
+  Event: {
+    required: ['name', 'startDate', 'location'],
+    recommended: ['description', 'endDate', 'eventStatus', 'eventAttendanceMode', 'image', 'offers', 'organizer', 'performer'],
+    nested: {
+      location: { oneOf: [['address', 'url']], recommended: ['name'] },
+      offers: { recommended: ['price', 'priceCurrency', 'availability', 'url', 'validFrom'] }
+    }
+  }
+};
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isPresent(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim().length > 0;
+  if (Array.isArray(value)) return value.some(isPresent);
+  return true;
+}
+
+/**
+ * Short type name: https://schema.org/Product, schema:Product and Product are all Product
+ */
+function typeName(value) {
+  return String(value).trim().split(/[/#:]/).pop();
+}
+
+function typesOf(node) {
+  return toArray(node?.['@type']).map(typeName).filter(Boolean);
+}
+
+/**
+ * Rule family of a type list, e.g. ['Restaurant'] -> 'LocalBusiness'
+ */
+export function familyOf(types) {
+  return Object.keys(TYPE_FAMILIES).find(family => types.some(type => TYPE_FAMILIES[family].includes(type))) || null;
+}
+
+function addValue(item, name, value) {
+  if (item[name] === undefined) {
+    item[name] = value;
+  } else {
+    item[name] = [...toArray(item[name]), value];
+  }
+}
+
+function parseJsonLd(document, parseErrors) {
+  const nodes = [];
+  const scripts = [...document.querySelectorAll('script')]
+    .filter(script => (script.getAttribute('type') || '').trim().toLowerCase() === 'application/ld+json');
+
+  scripts.forEach((script, index) => {
+    const source = script.textContent
+      .replace(/^\s*<!--/, '')
+      .replace(/-->\s*$/, '')
+      .replace(/^\s*\/\/\s*<!\[CDATA\[/, '')
+      .replace(/\/\/\s*\]\]>\s*$/, '');
+    try {
+      const parsed = JSON.parse(source);
+      for (const block of toArray(parsed)) {
+        // @graph holds several top-level nodes; a bare block is a node itself
+        nodes.push(...(block?.['@graph'] ? toArray(block['@graph']) : [block]));
+      }
+    } catch (error) {
+      parseErrors.push({ format: 'json-ld', block: index + 1, message: `Invalid JSON: ${error.message}` });
+    }
+  });
+
+  // Resolve { "@id": ... } references to nodes of the same page (one level deep)
+  const byId = new Map(nodes.filter(node => node?.['@id'] && node['@type']).map(node => [node['@id'], node]));
+  const resolve = value => {
+    if (Array.isArray(value)) return value.map(resolve);
+    if (value && typeof value === 'object' && Object.keys(value).length === 1 && value['@id'] && byId.has(value['@id'])) {
+      return byId.get(value['@id']);
+    }
+    return value;
+  };
+
+  return {
+    blocks: scripts.length,
+    items: nodes
+      .filter(node => node && typeof node === 'object')
+      .map(node => Object.fromEntries(Object.entries(node).filter(([key]) => key !== '@context').map(([key, value]) => [key, resolve(value)])))
+  };
+}
+
+function microdataValue(element) {
+  if (element.hasAttribute('content')) return element.getAttribute('content').trim();
+  const tag = element.tagName.toLowerCase();
+  if (['a', 'area', 'link'].includes(tag)) return element.href || element.getAttribute('href');
+  if (['img', 'audio', 'video', 'source', 'iframe', 'embed', 'track'].includes(tag)) return element.src || element.getAttribute('src');
+  if (tag === 'object') return element.getAttribute('data');
+  if (tag === 'time' && element.hasAttribute('datetime')) return element.getAttribute('datetime').trim();
+  if (['data', 'meter'].includes(tag)) return element.getAttribute('value');
+  return element.textContent.replace(/\s+/g, ' ').trim();
+}
+
+function microdataItem(element) {
+  const item = {};
+  const types = (element.getAttribute('itemtype') || '').trim().split(/\s+/).filter(Boolean).map(typeName);
+  if (types.length > 0) item['@type'] = types.length === 1 ? types[0] : types;
+  if (element.hasAttribute('itemid')) item['@id'] = element.getAttribute('itemid');
+
+  const visit = node => {
+    for (const child of node.children) {
+      if (child.hasAttribute('itemprop')) {
+        const value = child.hasAttribute('itemscope') ? microdataItem(child) : microdataValue(child);
+        for (const name of child.getAttribute('itemprop').trim().split(/\s+/)) {
+          addValue(item, typeName(name), value);
+        }
+      }
+      // A nested item's own properties belong to it, not to this item
+      if (!child.hasAttribute('itemscope')) visit(child);
+    }
+  };
+  visit(element);
+  return item;
+}
+
+function rdfaValue(element) {
+  if (element.hasAttribute('content')) return element.getAttribute('content').trim();
+  for (const attribute of ['resource', 'href', 'src']) {
+    if (element.hasAttribute(attribute)) return element[attribute] || element.getAttribute(attribute);
+  }
+  if (element.hasAttribute('datetime')) return element.getAttribute('datetime').trim();
+  return element.textContent.replace(/\s+/g, ' ').trim();
+}
+
+function rdfaItem(element) {
+  const item = {};
+  const types = (element.getAttribute('typeof') || '').trim().split(/\s+/).filter(Boolean).map(typeName);
+  if (types.length > 0) item['@type'] = types.length === 1 ? types[0] : types;
+  if (element.hasAttribute('resource')) item['@id'] = element.getAttribute('resource');
+
+  const visit = node => {
+    for (const child of node.children) {
+      if (child.hasAttribute('property')) {
+        const value = child.hasAttribute('typeof') ? rdfaItem(child) : rdfaValue(child);
+        for (const name of child.getAttribute('property').trim().split(/\s+/)) {
+          addValue(item, typeName(name), value);
+        }
+      }
+      if (!child.hasAttribute('typeof')) visit(child);
+    }
+  };
+  visit(element);
+  return item;
+}
+
+/**
+ * Validate one entity
+ * @param {object} entity - JSON-LD-shaped node
+ * @returns {object} { family, errors: [{ property, message }], warnings: [...] }
+ */
+export function validateEntity(entity) {
+  const family = familyOf(typesOf(entity));
+  const errors = [];
+  const warnings = [];
+  const addIssue = (severity, property, message) => {
+    (severity === 'error' ? errors : warnings).push({ property, message });
+  };
+
+  if (typesOf(entity).length === 0) {
+    addIssue('error', '@type', 'Missing @type');
+    return { family, errors, warnings };
+  }
+  if (!family) return { family, errors, warnings };
+
+  const checkNode = (node, rules, path) => {
+    for (const property of rules.required || []) {
+      if (!isPresent(node[property])) addIssue('error', `${path}${property}`, 'Missing required property');
+    }
+    for (const group of rules.oneOf || []) {
+      if (!group.some(property => isPresent(node[property]))) {
+        addIssue('error', `${path}${group.join('|')}`, `At least one of ${group.join(', ')} is required`);
+      }
+    }
+    for (const property of rules.recommended || []) {
+      if (!isPresent(node[property])) addIssue('warning', `${path}${property}`, 'Missing recommended property');
+    }
+    for (const property of DATE_PROPERTIES) {
+      for (const value of toArray(node[property])) {
+        if (typeof value === 'string' && value.trim() && !ISO_DATE.test(value.trim())) {
+          addIssue((rules.required || []).includes(property) ? 'error' : 'warning', `${path}${property}`, `"${value}" is not an ISO 8601 date`);
+        }
+      }
+    }
+    for (const [property, nestedRules] of Object.entries(rules.nested || {})) {
+      const values = toArray(node[property]);
+      values.forEach((value, index) => {
+        const nestedPath = `${path}${property}${values.length > 1 ? `[${index}]` : ''}.`;
+        if (value && typeof value === 'object') {
+          checkNode(value, nestedRules, nestedPath);
+        } else if (isPresent(value) && (nestedRules.required || nestedRules.oneOf)) {
+          addIssue('error', nestedPath.slice(0, -1), 'Must be an object with its own properties, not text');
+        }
+      });
+    }
+  };
+
+  const rules = SCHEMA_RULES[family];
+  checkNode(entity, rules, '');
+  rules.check?.(entity, addIssue);
+
+  return { family, errors, warnings };
+}
+
+/**
+ * 0-100: error-free rich result entities score full marks less 10 per warning (floor 60),
+ * entities with errors score 0 and other types 80; no markup at all is 0
+ */
+export function scoreStructuredData(entities, parseErrors = []) {
+  const scores = [
+    ...entities.map(entity => {
+      if (entity.errors.length > 0) return 0;
+      if (!entity.family) return 80;
+      return Math.max(100 - entity.warnings.length * 10, 60);
+    }),
+    ...parseErrors.map(() => 0)
+  ];
+  return scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : 0;
+}
+
+const structuredDataService = {
+  /**
+   * Extract the top-level entities of a page
+   * @param {string} html
+   * @param {string} url - Page URL (resolves relative links)
+   * @returns {object} { entities: [{ format, item }], parseErrors, counts: { jsonLdBlocks, jsonLd, microdata, rdfa } }
+   */
+  extract(html, url) {
+    const dom = new JSDOM(html, { url });
+    try {
+      const document = dom.window.document;
+      const parseErrors = [];
+      const jsonLd = parseJsonLd(document, parseErrors);
+      const microdata = [...document.querySelectorAll('[itemscope]')]
+        .filter(element => !element.hasAttribute('itemprop'))
+        .map(microdataItem);
+      const rdfa = [...document.querySelectorAll('[typeof]')]
+        .filter(element => !element.parentElement?.closest('[typeof]'))
+        .map(rdfaItem);
+
+      return {
+        entities: [
+          ...jsonLd.items.map(item => ({ format: 'json-ld', item })),
+          ...microdata.map(item => ({ format: 'microdata', item })),
+          ...rdfa.map(item => ({ format: 'rdfa', item }))
+        ],
+        parseErrors,
+        counts: { jsonLdBlocks: jsonLd.blocks, jsonLd: jsonLd.items.length, microdata: microdata.length, rdfa: rdfa.length }
+      };
+    } finally {
+      dom.window.close();
+    }
+  },
+
+  /**
+   * Extract and validate a page's structured data
+   * @returns {object} { entities: [{ format, type, types, family, name, errors, warnings, eligible, item }], parseErrors, counts, summary, score }
+   */
+  analyze(html, url) {
+    const { entities: extracted, parseErrors, counts } = this.extract(html, url);
+
+    const entities = extracted.map(({ format, item }) => {
+      const types = typesOf(item);
+      const { family, errors, warnings } = validateEntity(item);
+      const label = toArray(item.name ?? item.headline)[0];
+      return {
+        format,
+        type: types[0] || null,
+        types,
+        family,
+        name: typeof label === 'string' ? label : null,
+        errors,
+        warnings,
+        // Rich result types only; other types have nothing to be eligible for
+        eligible: family ? errors.length === 0 : null,
+        item
+      };
+    });
+
+    const byType = {};
+    for (const entity of entities) {
+      const key = entity.type || 'Unknown';
+      byType[key] = (byType[key] || 0) + 1;
+    }
+
+    return {
+      entities,
+      parseErrors,
+      counts,
+      summary: {
+        entities: entities.length,
+        validated: entities.filter(entity => entity.family).length,
+        eligible: entities.filter(entity => entity.eligible).length,
+        errors: entities.reduce((sum, entity) => sum + entity.errors.length, 0) + parseErrors.length,
+        warnings: entities.reduce((sum, entity) => sum + entity.warnings.length, 0),
+        byType
+      },
+      score: scoreStructuredData(entities, parseErrors)
+    };
+  },
+
+  /**
+   * Compact view of an analysis for side-by-side comparisons
+   * @param {object|null} structuredData - technicalSEOService.checkStructuredData result
+   * @returns {object|null} { entities, types, eligibleTypes, errors, warnings, score }
+   */
+  summarize(structuredData) {
+    if (!structuredData?.entities) return null;
+    const families = entities => [...new Set(entities.map(entity => entity.family || entity.type).filter(Boolean))];
+
+    return {
+      entities: structuredData.entities.length,
+      types: families(structuredData.entities),
+      eligibleTypes: families(structuredData.entities.filter(entity => entity.eligible)),
+      errors: structuredData.summary.errors,
+      warnings: structuredData.summary.warnings,
+      score: structuredData.score
+    };
+  }
+};
+
+export default structuredDataService;
@@ -1,5 +1,7 @@
 // services/technicalSEOService.js - FREE additional technical checks
 import axios from 'axios';
+import robotsTxtService, { isAllowed } from './robotsTxtService.js';
+import structuredDataService from './structuredDataService.js';
 
 const technicalSEOService = {
   async getTechnicalSEOData(domain) {
@@ -82,36 +84,42 @@ const technicalSEOService = {
 
   async checkRobotsTxt(url) {
     try {
-      const robotsUrl = `${url}/robots.txt`;
-      const response = await axios.get(robotsUrl, { 
-        timeout: 30000,
-        headers: { 
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-          'Accept': 'text/plain,*/*'
-        },
-        validateStatus: function (status) {
-          return status >= 200 && status < 500; // Accept 404 as valid response
-        }
-      });
-      
-      if (response.status === 404) {
-        console.log(`   ⚠️ No robots.txt found at ${robotsUrl}`);
+      const origin = new URL(url).origin;
+      const file = await robotsTxtService.fetchFile(origin, 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+
+      if (file.availability === 'missing') {
+        console.log(`   ⚠️ No robots.txt found at ${file.url}`);
+        return {
+          exists: false,
+          score: 0,
+          issue: `No robots.txt found (${file.httpStatus})`
+        };
+      }
+      if (file.availability === 'unreachable') {
+        console.log(`   ⚠️ robots.txt unreachable at ${file.url}`);
         return {
           exists: false,
           score: 0,
-          issue: 'No robots.txt found (404)'
+          issue: `robots.txt unreachable (${file.error}) - search engines treat the site as disallowed`
         };
       }
 
-      const content = response.data;
+      const { robots } = file;
+      // A site-wide block for Google is the most damaging robots.txt mistake
+      const blocksGooglebot = !isAllowed(robots, 'googlebot', '/');
       console.log(`   ✓ robots.txt found`);
-      
+
       return {
         exists: true,
-        content: content.substring(0, 500),
-        hasUserAgent: content.includes('User-agent'),
-        hasSitemap: content.toLowerCase().includes('sitemap'),
-        score: content.includes('User-agent') ? 100 : 50
+        content: file.content.substring(0, 500),
+        hasUserAgent: robots.groups.length > 0,
+        hasSitemap: robots.sitemaps.length > 0,
+        sitemaps: robots.sitemaps,
+        groups: robots.groups.length,
+        blocksGooglebot,
+        warnings: robots.warnings.map(warning => warning.message),
+        score: blocksGooglebot ? 0 : robots.groups.length > 0 ? 100 : 50,
+        ...(blocksGooglebot ? { issue: 'robots.txt blocks Googlebot from the home page' } : {})
       };
     } catch (error) {
       console.log(`   ⚠️ robots.txt check failed: ${error.message}`);
@@ -316,26 +324,26 @@ const technicalSEOService = {
         };
       }
       
-      const html = response.data;
-      
-      // Check for JSON-LD structured data
-      const jsonLdMatch = html.match(/<script[^>]*type="application\/ld\+json"[^>]*>([^<]+)<\/script>/gi);
-      const microdataMatch = html.match(/itemtype="/gi);
-      
-      let score = 0;
-      if (jsonLdMatch && jsonLdMatch.length > 0) score += 60;
-      if (microdataMatch && microdataMatch.length > 0) score += 40;
-      
-      console.log(`   ✓ Structured data checked (Score: ${Math.min(score, 100)}/100)`);
-      
+      const analysis = structuredDataService.analyze(typeof response.data === 'string' ? response.data : '', url);
+      const { counts, summary } = analysis;
+
+      console.log(`   ✓ Structured data checked: ${summary.entities} entities, ${summary.errors} errors (Score: ${analysis.score}/100)`);
+
       return {
-        hasJsonLd: !!(jsonLdMatch && jsonLdMatch.length > 0),
-        hasMicrodata: !!(microdataMatch && microdataMatch.length > 0),
-        jsonLdCount: jsonLdMatch ? jsonLdMatch.length : 0,
-        microdataCount: microdataMatch ? microdataMatch.length : 0,
-        score: Math.min(score, 100)
+        hasJsonLd: counts.jsonLd > 0,
+        hasMicrodata: counts.microdata > 0,
+        hasRdfa: counts.rdfa > 0,
+        jsonLdCount: counts.jsonLd,
+        microdataCount: counts.microdata,
+        rdfaCount: counts.rdfa,
+        // The raw items stay out of cached analyses - the findings are what the UI shows
+        entities: analysis.entities.map(({ item, ...entity }) => entity),
+        parseErrors: analysis.parseErrors,
+        summary,
+        score: analysis.score,
+        ...(summary.entities === 0 ? { issue: 'No structured data found' } : {})
       };
-      
+
     } catch (error) {
       const errorMsg = error.code === 'ENOTFOUND' ? 'Domain not found' :
                        error.code === 'ECONNREFUSED' ? 'Connection refused' :
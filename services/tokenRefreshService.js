@@ -0,0 +1,299 @@
+/**
+ * Token Refresh Service
+ * Background worker that refreshes OAuth tokens before they expire
+ *
+ * Every run looks for connections expiring within the provider's lookahead window
+ * (Google access tokens last an hour and are taken only when they expire before the
+ * next run; LinkedIn ~60 days, Facebook user tokens 60 days) and refreshes them. Connections that can't be refreshed are flagged in
+ * oauth_tokens / social_connections_v2 and the account gets a reconnect notification.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import oauthTokenService from './oauthTokenService.js';
+import notificationService, { NOTIFICATION_TYPES } from './notificationService.js';
+import { toBusinessScope } from './workspaceService.js';
+import webhookService from './webhookService.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const RUN_INTERVAL = (parseInt(process.env.TOKEN_REFRESH_INTERVAL_MINUTES) || 15) * MINUTE;
+
+// Refresh when a token expires within this window. Google access tokens are also refreshed
+// on use, so the scheduler only takes those that would lapse before its next run.
+const REFRESH_WINDOWS = {
+  google: RUN_INTERVAL + 2 * MINUTE,
+  linkedin: 7 * DAY,
+  facebook: 7 * DAY,
+  instagram: 7 * DAY
+};
+
+// After a failure, wait before trying the same connection again
+const RETRY_AFTER_FAILURE = 6 * 60 * MINUTE;
+
+// Providers mirrored in social_connections_v2
+const SOCIAL_PLATFORMS = ['facebook', 'instagram', 'linkedin'];
+
+const PROVIDER_NAMES = {
+  google: 'Google (Search Console & Analytics)',
+  facebook: 'Facebook',
+  instagram: 'Instagram',
+  linkedin: 'LinkedIn'
+};
+
+function matchBusiness(query, businessId) {
+  return businessId ? query.eq('business_id', businessId) : query.is('business_id', null);
+}
+
+class TokenRefreshService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the periodic refresh loop (first run shortly after startup)
+   */
+  start() {
+    if (this.timer) return;
+
+    console.log(`🔁 Token refresh scheduler started (every ${RUN_INTERVAL / MINUTE} min)`);
+    this.timer = setInterval(() => this.runOnce(), RUN_INTERVAL);
+    this.timer.unref();
+    setTimeout(() => this.runOnce(), 30 * 1000).unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Refresh every connection that is inside its provider's window
+   * @returns {Promise<object>} { refreshed, failed, skipped }
+   */
+  async runOnce() {
+    if (this.running) {
+      console.log('⏳ Token refresh run already in progress, skipping');
+      return null;
+    }
+
+    this.running = true;
+    const summary = { refreshed: 0, failed: 0, skipped: 0 };
+
+    try {
+      for (const [provider, window] of Object.entries(REFRESH_WINDOWS)) {
+        const rows = await oauthTokenService.getConnectionsExpiringBefore(provider, Date.now() + window);
+
+        for (const row of rows) {
+          if (row.refresh_failed_at && Date.now() - new Date(row.refresh_failed_at).getTime() < RETRY_AFTER_FAILURE) {
+            summary.skipped++;
+            continue;
+          }
+
+          const ok = await this.refreshConnection(row);
+          summary[ok ? 'refreshed' : 'failed']++;
+        }
+      }
+
+      if (summary.refreshed || summary.failed) {
+        console.log(`🔁 Token refresh run: ${summary.refreshed} refreshed, ${summary.failed} failed, ${summary.skipped} waiting to retry`);
+      }
+    } catch (error) {
+      console.error('❌ Token refresh run failed:', error.message);
+    } finally {
+      this.running = false;
+      this.lastRun = new Date().toISOString();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Refresh one connection and record the outcome
+   * @param {object} row - oauth_tokens row (no token values needed)
+   * @returns {Promise<boolean>} True if refreshed
+   */
+  async refreshConnection(row) {
+    const scope = { email: row.user_email, businessId: row.business_id || null };
+
+    try {
+      if (row.provider === 'google') {
+        const tokens = await oauthTokenService.refreshTokens(scope, 'google');
+        if (!tokens) {
+          throw Object.assign(new Error('Google refresh failed'), { code: 'refresh_failed' });
+        }
+      } else {
+        await oauthTokenService.refreshProviderTokens(scope, row.provider);
+      }
+
+      if (SOCIAL_PLATFORMS.includes(row.provider)) {
+        await this.updateSocialConnection(row, { ok: true });
+      }
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Could not refresh ${row.provider} token: ${error.message}`);
+
+      await oauthTokenService.recordRefreshFailure(row.id, error.message);
+
+      if (SOCIAL_PLATFORMS.includes(row.provider)) {
+        await this.updateSocialConnection(row, { ok: false, error: error.message });
+      }
+
+      // One prompt per failure streak; a retry that fails again doesn't re-notify
+      if (!row.refresh_failed_at) {
+        await this.notifyReconnect(row, error.message);
+
+        if (SOCIAL_PLATFORMS.includes(row.provider)) {
+          webhookService.emit(scope, 'social.connection.expired', {
+            platform: row.provider,
+            expiresAt: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+            expired: !!row.expires_at && row.expires_at < Date.now(),
+            reason: error.message
+          });
+        }
+      }
+      return false;
+    }
+  }
+
+  async updateSocialConnection(row, { ok, error = null }) {
+    const now = new Date().toISOString();
+
+    try {
+      const select = await matchBusiness(
+        supabase
+          .from('social_connections_v2')
+          .select('id, error_count')
+          .eq('user_email', row.user_email)
+          .eq('platform', row.provider),
+        row.business_id
+      ).limit(1);
+
+      const connection = select.data?.[0];
+      if (!connection) return;
+
+      const update = ok
+        ? {
+            connection_status: 'connected',
+            last_token_refresh: now,
+            last_error: null,
+            error_count: 0,
+            updated_at: now
+          }
+        : {
+            connection_status: row.expires_at && row.expires_at < Date.now() ? 'expired' : 'error',
+            last_error: error,
+            last_error_at: now,
+            error_count: (connection.error_count || 0) + 1,
+            updated_at: now
+          };
+
+      if (ok) {
+        const tokenRow = await oauthTokenService.findTokenRow(
+          { email: row.user_email, businessId: row.business_id || null },
+          row.provider
+        );
+        if (tokenRow?.expires_at) {
+          update.token_expires_at = new Date(tokenRow.expires_at).toISOString();
+        }
+      }
+
+      const { error: updateError } = await supabase
+        .from('social_connections_v2')
+        .update(update)
+        .eq('id', connection.id);
+
+      if (updateError) throw updateError;
+    } catch (updateError) {
+      console.error(`❌ Error flagging ${row.provider} connection:`, updateError.message);
+    }
+  }
+
+  async notifyReconnect(row, reason) {
+    const name = PROVIDER_NAMES[row.provider] || row.provider;
+    const expiry = row.expires_at ? new Date(row.expires_at) : null;
+    const expired = expiry && expiry.getTime() < Date.now();
+
+    await notificationService.notify({ email: row.user_email, businessId: row.business_id || null }, {
+      type: NOTIFICATION_TYPES.RECONNECT_REQUIRED,
+      title: `Reconnect ${name}`,
+      message: expired
+        ? `Your ${name} connection expired and could not be renewed automatically. Reconnect it to keep your data up to date.`
+        : `Your ${name} connection could not be renewed${expiry ? ` and expires on ${expiry.toISOString().split('T')[0]}` : ''}. Reconnect it to avoid interruptions.`,
+      metadata: {
+        provider: row.provider,
+        businessId: row.business_id || null,
+        expiresAt: expiry ? expiry.toISOString() : null,
+        reason
+      },
+      dedupeKey: `reconnect:${row.provider}:${row.business_id || 'account'}`
+    });
+  }
+
+  /**
+   * Token health for every provider a business uses
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @returns {Promise<object>} { [provider]: { status, connected, expiresAt, lastRefreshedAt, ... } }
+   */
+  async getConnectionHealth(scopeOrEmail) {
+    const scope = toBusinessScope(scopeOrEmail);
+    const health = {};
+
+    for (const provider of Object.keys(REFRESH_WINDOWS)) {
+      const row = await oauthTokenService.findTokenRow(scope, provider);
+
+      if (!row) {
+        health[provider] = { connected: false, status: 'not_connected' };
+        continue;
+      }
+
+      const expiresAt = row.expires_at || null;
+      // Google access tokens last an hour and are renewed on use, so only a failed refresh matters
+      const tracksExpiry = provider !== 'google';
+
+      let status = 'healthy';
+      if (tracksExpiry && expiresAt && expiresAt < Date.now()) {
+        status = 'expired';
+      } else if (row.refresh_failed_at) {
+        status = 'refresh_failed';
+      } else if (tracksExpiry && expiresAt && expiresAt < Date.now() + REFRESH_WINDOWS[provider]) {
+        status = 'expiring_soon';
+      }
+
+      health[provider] = {
+        connected: true,
+        status,
+        reconnectRequired: status === 'expired' || status === 'refresh_failed',
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+        lastRefreshedAt: row.last_refreshed_at || null,
+        refreshFailedAt: row.refresh_failed_at || null,
+        refreshError: row.refresh_error || null,
+        businessLevel: !!row.business_id
+      };
+    }
+
+    return health;
+  }
+
+  getStatus() {
+    return {
+      running: !!this.timer,
+      intervalMinutes: RUN_INTERVAL / MINUTE,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+export default new TokenRefreshService();
@@ -0,0 +1,255 @@
+/**
+ * Token Vault
+ * Envelope encryption for stored OAuth access/refresh tokens (all providers) and webhook signing secrets
+ *
+ * Every token record gets its own random data key. The tokens are encrypted with
+ * the data key (AES-256-GCM) and the data key is wrapped with the master key.
+ * Records carry the master key version that wrapped their data key, so rotating
+ * the master key only re-wraps data keys - the token ciphertext never changes.
+ *
+ * Configuration:
+ *   TOKEN_VAULT_MASTER_KEY     32-byte key, base64 (current key)
+ *   TOKEN_VAULT_KEY_VERSION    Integer version of the current key (default 1)
+ *   TOKEN_VAULT_PREVIOUS_KEYS  Retired keys still needed for reading, "1:<base64>,2:<base64>"
+ *
+ * Rotation: add the current key to TOKEN_VAULT_PREVIOUS_KEYS, set the new key and a
+ * higher TOKEN_VAULT_KEY_VERSION, restart, then run scripts/rotate-token-keys.js.
+ * Rows are re-wrapped while the app keeps serving; the old key can be dropped
+ * once the script reports nothing left on older versions.
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TOKEN_PREFIX = 'enc1';
+
+function decodeKey(value, label) {
+  const key = Buffer.from(value.trim(), 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`${label} must be ${KEY_BYTES} bytes, base64 encoded`);
+  }
+  return key;
+}
+
+function loadKeyring() {
+  const keys = new Map();
+  const activeVersion = parseInt(process.env.TOKEN_VAULT_KEY_VERSION) || 1;
+
+  for (const entry of (process.env.TOKEN_VAULT_PREVIOUS_KEYS || '').split(',')) {
+    if (!entry.trim()) continue;
+    const [version, value] = entry.split(':');
+    keys.set(parseInt(version), decodeKey(value || '', `TOKEN_VAULT_PREVIOUS_KEYS version ${version}`));
+  }
+
+  if (process.env.TOKEN_VAULT_MASTER_KEY) {
+    keys.set(activeVersion, decodeKey(process.env.TOKEN_VAULT_MASTER_KEY, 'TOKEN_VAULT_MASTER_KEY'));
+  } else {
+    console.warn('⚠️ TOKEN_VAULT_MASTER_KEY is not set - OAuth tokens cannot be stored');
+  }
+
+  return { keys, activeVersion };
+}
+
+const keyring = loadKeyring();
+
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join(':');
+}
+
+function decrypt(key, payload, aad) {
+  const [iv, tag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function getMasterKey(version) {
+  const key = keyring.keys.get(version);
+  if (!key) {
+    throw new Error(`Token vault key version ${version} is not configured`);
+  }
+  return key;
+}
+
+// The key version is bound into the wrapped key so a row can't claim another version
+function wrapDataKey(dataKey, version) {
+  return encrypt(getMasterKey(version), dataKey, `data-key:v${version}`);
+}
+
+function unwrapDataKey(record) {
+  const version = parseInt(record.key_version);
+  return decrypt(getMasterKey(version), record.encrypted_data_key, `data-key:v${version}`);
+}
+
+function sealValue(dataKey, value, field) {
+  if (value == null) return null;
+  return `${TOKEN_PREFIX}:${encrypt(dataKey, Buffer.from(String(value), 'utf8'), field)}`;
+}
+
+function openValue(dataKey, value, field) {
+  if (value == null) return null;
+  if (!value.startsWith(`${TOKEN_PREFIX}:`)) {
+    throw new Error(`${field} is not a vault ciphertext`);
+  }
+  return decrypt(dataKey, value.slice(TOKEN_PREFIX.length + 1), field).toString('utf8');
+}
+
+const tokenVault = {
+  /**
+   * Whether a master key is configured for new writes
+   */
+  isConfigured() {
+    return keyring.keys.has(keyring.activeVersion);
+  },
+
+  getActiveKeyVersion() {
+    return keyring.activeVersion;
+  },
+
+  /**
+   * Encrypt a token pair under a fresh data key
+   * @param {object} tokens - { access_token, refresh_token }
+   * @returns {object} { access_token, refresh_token, encrypted_data_key, key_version } ready to persist
+   */
+  sealTokens({ access_token, refresh_token }) {
+    if (!this.isConfigured()) {
+      throw new Error('TOKEN_VAULT_MASTER_KEY is not set - refusing to store OAuth tokens unencrypted');
+    }
+
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    try {
+      return {
+        access_token: sealValue(dataKey, access_token, 'access_token'),
+        refresh_token: sealValue(dataKey, refresh_token, 'refresh_token'),
+        encrypted_data_key: wrapDataKey(dataKey, keyring.activeVersion),
+        key_version: keyring.activeVersion
+      };
+    } finally {
+      dataKey.fill(0);
+    }
+  },
+
+  /**
+   * Decrypt the token pair of a stored record
+   * Records written before the vault existed (no key_version) are returned as stored.
+   * @param {object} record - { access_token, refresh_token, encrypted_data_key, key_version }
+   * @returns {object} { access_token, refresh_token }
+   */
+  openTokens(record) {
+    if (!this.isSealed(record)) {
+      return { access_token: record.access_token ?? null, refresh_token: record.refresh_token ?? null };
+    }
+
+    const dataKey = unwrapDataKey(record);
+    try {
+      return {
+        access_token: openValue(dataKey, record.access_token, 'access_token'),
+        refresh_token: openValue(dataKey, record.refresh_token, 'refresh_token')
+      };
+    } finally {
+      dataKey.fill(0);
+    }
+  },
+
+  /**
+   * Encrypt a single credential (e.g. a webhook signing secret) under a fresh data key
+   * @param {string} value - Plaintext
+   * @param {string} field - Column the ciphertext is stored in (bound into the ciphertext)
+   * @returns {object} { [field], encrypted_data_key, key_version } ready to persist
+   */
+  sealSecret(value, field) {
+    if (!this.isConfigured()) {
+      throw new Error(`TOKEN_VAULT_MASTER_KEY is not set - refusing to store ${field} unencrypted`);
+    }
+
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    try {
+      return {
+        [field]: sealValue(dataKey, value, field),
+        encrypted_data_key: wrapDataKey(dataKey, keyring.activeVersion),
+        key_version: keyring.activeVersion
+      };
+    } finally {
+      dataKey.fill(0);
+    }
+  },
+
+  /**
+   * Decrypt a credential written by sealSecret
+   * @param {object} record - Stored record with the ciphertext in `field`
+   * @param {string} field - Column name
+   * @returns {string|null}
+   */
+  openSecret(record, field) {
+    if (!this.isSealed(record)) {
+      throw new Error(`${field} is not sealed`);
+    }
+
+    const dataKey = unwrapDataKey(record);
+    try {
+      return openValue(dataKey, record[field], field);
+    } finally {
+      dataKey.fill(0);
+    }
+  },
+
+  isSealed(record) {
+    return record?.key_version != null && !!record.encrypted_data_key;
+  },
+
+  /**
+   * Whether a record is unencrypted or wrapped with a non-current key
+   */
+  needsRotation(record) {
+    return !this.isSealed(record) || parseInt(record.key_version) !== keyring.activeVersion;
+  },
+
+  /**
+   * Bring a record up to the current key version
+   * Sealed records only have their data key re-wrapped; legacy records are encrypted.
+   * @param {object} record - Stored record
+   * @returns {object} Fields to write back
+   */
+  rotateRecord(record) {
+    if (!this.isConfigured()) {
+      throw new Error('TOKEN_VAULT_MASTER_KEY is not set');
+    }
+
+    if (!this.isSealed(record)) {
+      return this.sealTokens(record);
+    }
+
+    const dataKey = unwrapDataKey(record);
+    try {
+      return {
+        encrypted_data_key: wrapDataKey(dataKey, keyring.activeVersion),
+        key_version: keyring.activeVersion
+      };
+    } finally {
+      dataKey.fill(0);
+    }
+  },
+
+  /**
+   * Key configuration summary (no key material)
+   */
+  getStatus() {
+    return {
+      configured: this.isConfigured(),
+      activeVersion: keyring.activeVersion,
+      availableVersions: [...keyring.keys.keys()].sort((a, b) => a - b)
+    };
+  }
+};
+
+export default tokenVault;
@@ -0,0 +1,268 @@
+/**
+ * Usage Service
+ * Usage ledger for metered features and per-billing-period quotas
+ *
+ * Every report, AI insight generation, chat message, competitor analysis and PDF
+ * export is recorded in usage_events against the billed account (business and
+ * workspace are kept for breakdowns). Quotas come from PLAN_FEATURES via
+ * USAGE_QUOTAS and are checked by counting the current billing period's rows.
+ *
+ * Billing periods are monthly windows anchored on the Stripe subscription's period
+ * end (so they follow the customer's billing day); accounts without a subscription
+ * use calendar months (UTC).
+ *
+ * Quota-limited actions reserve their row up front (reserve) and complete or release
+ * it once the action has run, so the check and the count cannot race.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { toBusinessScope, describeScope } from './workspaceService.js';
+import { getUserPlan } from './planAccessService.js';
+import { USAGE_QUOTAS, getFeatureLimit } from '../config/planFeatures.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export const USAGE_FEATURES = Object.keys(USAGE_QUOTAS);
+
+/**
+ * Same day and time `months` months after `date`, clamped to the end of shorter months
+ */
+function addMonths(date, months) {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1,
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return target;
+}
+
+/**
+ * Billing period containing `now`
+ * @param {string|Date|null} anchor - Any period boundary (e.g. subscription_current_period_end)
+ * @param {Date} now
+ * @returns {{start: Date, end: Date}} end is exclusive
+ */
+export function getBillingPeriod(anchor = null, now = new Date()) {
+  if (!anchor) {
+    return {
+      start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+      end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    };
+  }
+
+  const base = new Date(anchor);
+  let offset = (now.getUTCFullYear() - base.getUTCFullYear()) * 12 + now.getUTCMonth() - base.getUTCMonth();
+
+  while (addMonths(base, offset) > now) offset--;
+  while (addMonths(base, offset + 1) <= now) offset++;
+
+  return { start: addMonths(base, offset), end: addMonths(base, offset + 1) };
+}
+
+class UsageService {
+  /**
+   * Record one metered action
+   * Never throws - metering must not fail the action that was just performed.
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @param {string} feature - One of USAGE_FEATURES
+   * @param {object} details - { resourceId, metadata, reservationId } - with a reservationId the
+   *   row reserved by reserve() is completed instead of adding a second one
+   */
+  async record(scopeOrEmail, feature, { resourceId = null, metadata = {}, reservationId = null } = {}) {
+    const { email, businessId, workspaceId } = toBusinessScope(scopeOrEmail);
+    if (!email || !USAGE_FEATURES.includes(feature)) {
+      console.warn(`⚠️ Usage not recorded: ${feature} for ${email || 'unknown account'}`);
+      return null;
+    }
+
+    try {
+      if (reservationId) {
+        const { data, error } = await supabase
+          .from('usage_events')
+          .update({ resource_id: resourceId ? String(resourceId) : null, metadata })
+          .eq('id', reservationId)
+          .select('id')
+          .maybeSingle();
+
+        if (error) throw error;
+        // The reservation was given back meanwhile (e.g. a retried job) - record the action anyway
+        if (data) return data;
+      }
+
+      const { data, error } = await supabase
+        .from('usage_events')
+        .insert({
+          user_email: email,
+          business_id: businessId,
+          workspace_id: workspaceId,
+          feature,
+          resource_id: resourceId ? String(resourceId) : null,
+          metadata
+        })
+        .select('id')
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error(`❌ Failed to record ${feature} usage for ${describeScope(scopeOrEmail)}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check the quota and take one unit of it in a single step
+   * consume_usage() counts and inserts under a per-account, per-feature lock, so two
+   * concurrent requests cannot both take the last unit. Unlimited plans always get a row;
+   * a refused request gets none.
+   * @param {object|string} scopeOrEmail - Business scope or user's email (the account is billed)
+   * @param {string} feature - One of USAGE_FEATURES
+   * @param {object} details - { metadata }
+   * @returns {Promise<object>} { allowed, plan, used, limit, resetsAt, reservationId }
+   */
+  async reserve(scopeOrEmail, feature, { metadata = {} } = {}) {
+    const { email, businessId, workspaceId } = toBusinessScope(scopeOrEmail);
+    if (!email || !USAGE_FEATURES.includes(feature)) {
+      throw new Error(`Cannot reserve ${feature} usage for ${email || 'unknown account'}`);
+    }
+
+    const [plan, period] = await Promise.all([getUserPlan(email), this.getCurrentPeriod(email)]);
+    const limitPath = USAGE_QUOTAS[feature];
+    const limit = limitPath ? getFeatureLimit(plan, limitPath) : -1;
+
+    const { data, error } = await supabase
+      .rpc('consume_usage', {
+        p_user_email: email,
+        p_business_id: businessId,
+        p_workspace_id: workspaceId,
+        p_feature: feature,
+        p_limit: limit,
+        p_period_start: period.start.toISOString(),
+        p_period_end: period.end.toISOString(),
+        p_metadata: metadata
+      })
+      .single();
+
+    if (error) throw error;
+
+    return {
+      allowed: data.allowed,
+      plan,
+      used: data.used,
+      limit: limit === -1 ? null : limit,
+      resetsAt: period.end.toISOString(),
+      reservationId: data.event_id
+    };
+  }
+
+  /**
+   * Give back a reserved unit (the action it was reserved for did not happen)
+   * Never throws.
+   * @param {string} reservationId - usage_events id returned by reserve()
+   */
+  async release(reservationId) {
+    if (!reservationId) return;
+
+    const { error } = await supabase
+      .from('usage_events')
+      .delete()
+      .eq('id', reservationId);
+
+    if (error) {
+      console.error(`❌ Failed to release usage reservation ${reservationId}:`, error.message);
+    }
+  }
+
+  /**
+   * Current billing period of an account
+   * @returns {Promise<{start: Date, end: Date}>}
+   */
+  async getCurrentPeriod(email) {
+    const { data } = await supabase
+      .from('users_table')
+      .select('subscription_current_period_end')
+      .eq('email', email)
+      .maybeSingle();
+
+    return getBillingPeriod(data?.subscription_current_period_end || null);
+  }
+
+  /**
+   * Actions per feature in the current billing period (whole account, all businesses)
+   * @param {string} email - Account email
+   * @returns {Promise<object>} { period: { start, end }, counts: { [feature]: number } }
+   */
+  async getCounts(email) {
+    const period = await this.getCurrentPeriod(email);
+
+    const counts = await Promise.all(USAGE_FEATURES.map(async feature => {
+      const { count, error } = await supabase
+        .from('usage_events')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_email', email)
+        .eq('feature', feature)
+        .gte('created_at', period.start.toISOString())
+        .lt('created_at', period.end.toISOString());
+
+      if (error) throw error;
+      return [feature, count || 0];
+    }));
+
+    return { period, counts: Object.fromEntries(counts) };
+  }
+
+  /**
+   * Usage against the plan's quotas
+   * @param {string} email - Account email
+   * @returns {Promise<object>} { plan, period, usage: { [feature]: { used, limit, remaining, unlimited } } }
+   */
+  async getSummary(email) {
+    const [plan, { period, counts }] = await Promise.all([getUserPlan(email), this.getCounts(email)]);
+
+    const usage = {};
+    for (const feature of USAGE_FEATURES) {
+      const limitPath = USAGE_QUOTAS[feature];
+      const limit = limitPath ? getFeatureLimit(plan, limitPath) : -1;
+      const unlimited = limit === -1;
+
+      usage[feature] = {
+        used: counts[feature],
+        limit: unlimited ? null : limit,
+        remaining: unlimited ? null : Math.max(limit - counts[feature], 0),
+        unlimited
+      };
+    }
+
+    return {
+      plan,
+      period: { start: period.start.toISOString(), end: period.end.toISOString() },
+      usage
+    };
+  }
+
+  /**
+   * Whether an account may perform one more metered action this period
+   * @param {string} email - Account email
+   * @param {string} feature - One of USAGE_FEATURES
+   * @returns {Promise<object>} { allowed, plan, used, limit, resetsAt }
+   */
+  async checkQuota(email, feature) {
+    const summary = await this.getSummary(email);
+    const { used, limit, unlimited } = summary.usage[feature];
+
+    return {
+      allowed: unlimited || used < limit,
+      plan: summary.plan,
+      used,
+      limit,
+      resetsAt: summary.period.end
+    };
+  }
+}
+
+export default new UsageService();
@@ -139,7 +139,7 @@ const userAnalyticsService = {
       const reportUrl = `https://analyticsdata.googleapis.com/v1beta/properties/${propertyId}:runReport`;
 
       // Map dateRange to GA4 format
-      const startDate = dateRange === '7days' ? '7daysAgo' : '30daysAgo';
+      const startDate = { '7days': '7daysAgo', '90days': '90daysAgo' }[dateRange] || '30daysAgo';
       console.log(`📅 Using date range: ${startDate} to today`);
 
       const requestBody = {
@@ -188,7 +188,7 @@ const userAnalyticsService = {
             };
           }
           // Retry the request with new token
-          return this.getUserAnalyticsData(email, propertyId);
+          return this.getUserAnalyticsData(email, propertyId, dateRange);
         }
 
         throw new Error(`GA API returned ${response.status}: ${errorText}`);
@@ -210,6 +210,7 @@ const userAnalyticsService = {
         conversions: metrics.conversions,
         revenue: metrics.totalRevenue,
         daily: metrics.daily,
+        timeZone: data.metadata?.timeZone || null, // property time zone the daily dates are in
         dataAvailable: true,
         connected: true,
         lastUpdated: new Date().toISOString()
@@ -406,7 +407,8 @@ const userAnalyticsService = {
           date: formattedDate,
           visitors: 0,
           sessions: 0,
-          pageViews: 0
+          pageViews: 0,
+          conversions: 0
         };
 
         row.metricValues.forEach((metricValue, index) => {
@@ -434,6 +436,7 @@ const userAnalyticsService = {
               break;
             case 'conversions':
               metrics.conversions += value;
+              dailyData.conversions = value;
               break;
             case 'totalRevenue':
               metrics.totalRevenue += value;
@@ -1,5 +1,6 @@
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import workspaceService, { toBusinessScope } from './workspaceService.js';
 
 dotenv.config();
 
@@ -11,30 +12,36 @@ const supabase = createClient(
 /**
  * User Business Info Service
  * Manages user's business information, social media handles, and competitor data
+ *
+ * Methods accept a business scope ({ email, businessId }) or a plain email.
+ * A plain email (or a scope without businessId) targets the user's primary business.
  */
 class UserBusinessInfoService {
   /**
-   * Get user's business info
-   * @param {string} userEmail - User's email
+   * Get business info for a business scope
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @returns {Object} Business info
    */
-  async getUserBusinessInfo(userEmail) {
+  async getUserBusinessInfo(scopeOrEmail) {
     try {
-      const { data, error } = await supabase
+      const { email, businessId } = toBusinessScope(scopeOrEmail);
+
+      let query = supabase
         .from('user_business_info')
-        .select('*')
-        .eq('user_email', userEmail)
-        .single();
+        .select('*');
+
+      query = businessId
+        ? query.eq('id', businessId)
+        : query.eq('user_email', email).order('created_at', { ascending: true });
+
+      const { data, error } = await query.limit(1);
 
       if (error) {
-        if (error.code === 'PGRST116') {
-          // No rows found - not an error
-          return null;
-        }
         throw error;
       }
       
-      return data;
+      // No rows found - not an error
+      return data?.[0] || null;
     } catch (error) {
       console.error('❌ Error fetching user business info:', error);
       throw error;
@@ -42,13 +49,27 @@ class UserBusinessInfoService {
   }
 
   /**
-   * Create or update user's business info
-   * @param {string} userEmail - User's email
+   * Resolve the business row ID a scope points at
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @returns {string|null} user_business_info.id
+   */
+  async getBusinessId(scopeOrEmail) {
+    const { businessId } = toBusinessScope(scopeOrEmail);
+    if (businessId) return businessId;
+
+    const current = await this.getUserBusinessInfo(scopeOrEmail);
+    return current?.id || null;
+  }
+
+  /**
+   * Create or update business info
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {Object} businessInfo - Business information
    * @returns {Object} Created/updated business info
    */
-  async upsertBusinessInfo(userEmail, businessInfo) {
+  async upsertBusinessInfo(scopeOrEmail, businessInfo) {
     try {
+      const { email: userEmail, workspaceId } = toBusinessScope(scopeOrEmail);
       const {
         business_name,
         business_domain,
@@ -73,12 +94,26 @@ class UserBusinessInfoService {
         updated_at: new Date().toISOString()
       };
 
-      const { data, error } = await supabase
-        .from('user_business_info')
-        .upsert(upsertData, { 
-          onConflict: 'user_email',
-          returning: 'representation'
-        })
+      // Businesses are no longer unique per email - update the scoped row or create one
+      const existingId = await this.getBusinessId(scopeOrEmail);
+
+      let query;
+      if (existingId) {
+        query = supabase
+          .from('user_business_info')
+          .update(upsertData)
+          .eq('id', existingId);
+      } else {
+        const workspace = workspaceId
+          ? { id: workspaceId }
+          : await workspaceService.getOrCreateDefaultWorkspace(userEmail);
+
+        query = supabase
+          .from('user_business_info')
+          .insert({ ...upsertData, workspace_id: workspace.id });
+      }
+
+      const { data, error } = await query
         .select()
         .single();
 
@@ -96,19 +131,25 @@ class UserBusinessInfoService {
 
   /**
    * Add or update competitors
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {Array} competitors - Array of competitor objects
    * @returns {Object} Updated business info
    */
-  async updateCompetitors(userEmail, competitors) {
+  async updateCompetitors(scopeOrEmail, competitors) {
     try {
+      const businessId = await this.getBusinessId(scopeOrEmail);
+
+      if (!businessId) {
+        throw new Error('User business info not found. Please complete business setup first.');
+      }
+
       const { data, error } = await supabase
         .from('user_business_info')
         .update({ 
           competitors: competitors,
           updated_at: new Date().toISOString()
         })
-        .eq('user_email', userEmail)
+        .eq('id', businessId)
         .select()
         .single();
 
@@ -126,14 +167,14 @@ class UserBusinessInfoService {
 
   /**
    * Add a single competitor
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {Object} competitor - Competitor object
    * @returns {Object} Updated business info
    */
-  async addCompetitor(userEmail, competitor) {
+  async addCompetitor(scopeOrEmail, competitor) {
     try {
       // Get current competitors
-      const current = await this.getUserBusinessInfo(userEmail);
+      const current = await this.getUserBusinessInfo(scopeOrEmail);
       
       if (!current) {
         throw new Error('User business info not found. Please complete business setup first.');
@@ -171,7 +212,7 @@ class UserBusinessInfoService {
         });
       }
 
-      return await this.updateCompetitors(userEmail, competitors);
+      return await this.updateCompetitors(scopeOrEmail, competitors);
     } catch (error) {
       console.error('❌ Error adding competitor:', error);
       throw error;
@@ -180,13 +221,13 @@ class UserBusinessInfoService {
 
   /**
    * Remove a competitor
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @param {string} competitorId - Competitor ID to remove
    * @returns {Object} Updated business info
    */
-  async removeCompetitor(userEmail, competitorId) {
+  async removeCompetitor(scopeOrEmail, competitorId) {
     try {
-      const current = await this.getUserBusinessInfo(userEmail);
+      const current = await this.getUserBusinessInfo(scopeOrEmail);
       
       if (!current) {
         throw new Error('User business info not found');
@@ -194,7 +235,7 @@ class UserBusinessInfoService {
 
       const competitors = (current.competitors || []).filter(c => c.id !== competitorId);
       
-      return await this.updateCompetitors(userEmail, competitors);
+      return await this.updateCompetitors(scopeOrEmail, competitors);
     } catch (error) {
       console.error('❌ Error removing competitor:', error);
       throw error;
@@ -203,12 +244,12 @@ class UserBusinessInfoService {
 
   /**
    * Get all competitors for a user
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @returns {Array} List of competitors
    */
-  async getCompetitors(userEmail) {
+  async getCompetitors(scopeOrEmail) {
     try {
-      const businessInfo = await this.getUserBusinessInfo(userEmail);
+      const businessInfo = await this.getUserBusinessInfo(scopeOrEmail);
       
       if (!businessInfo) {
         return [];
@@ -223,12 +264,12 @@ class UserBusinessInfoService {
 
   /**
    * Check if user has completed business setup
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @returns {boolean} Setup status
    */
-  async isSetupCompleted(userEmail) {
+  async isSetupCompleted(scopeOrEmail) {
     try {
-      const businessInfo = await this.getUserBusinessInfo(userEmail);
+      const businessInfo = await this.getUserBusinessInfo(scopeOrEmail);
       return businessInfo?.setup_completed || false;
     } catch (error) {
       console.error('❌ Error checking setup status:', error);
@@ -238,18 +279,24 @@ class UserBusinessInfoService {
 
   /**
    * Mark setup as completed
-   * @param {string} userEmail - User's email
+   * @param {object|string} scopeOrEmail - Business scope or user's email
    * @returns {Object} Updated business info
    */
-  async markSetupCompleted(userEmail) {
+  async markSetupCompleted(scopeOrEmail) {
     try {
+      const businessId = await this.getBusinessId(scopeOrEmail);
+
+      if (!businessId) {
+        throw new Error('User business info not found');
+      }
+
       const { data, error } = await supabase
         .from('user_business_info')
         .update({ 
           setup_completed: true,
           updated_at: new Date().toISOString()
         })
-        .eq('user_email', userEmail)
+        .eq('id', businessId)
         .select()
         .single();
 
@@ -0,0 +1,667 @@
+/**
+ * Webhook Service
+ * Outgoing webhooks: subscriptions to platform events, signed delivery, retries and replay
+ *
+ * emit() is called where an event happens (analysis finished, report saved, plan changed, ...).
+ * It stores one webhook_deliveries row per matching subscription and queues a
+ * 'webhook.deliver' job for it, so the caller never waits on a customer's endpoint.
+ * Failed attempts are retried by the job queue with exponential backoff (up to
+ * MAX_ATTEMPTS, roughly an hour in total) and every attempt is logged.
+ *
+ * Events of a business go to that business's subscriptions; events without a business
+ * (e.g. plan.changed) go to every subscription of the account.
+ *
+ * Each request carries:
+ *   X-Claryx-Event        event type
+ *   X-Claryx-Delivery     delivery id (new for each replay)
+ *   X-Claryx-Signature    t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the subscription secret>
+ * Receivers should recompute the signature over the raw body and reject stale timestamps.
+ *
+ * Endpoints must be public: URLs resolving to private, loopback or link-local addresses
+ * are refused when subscribing and again on every connection (see networkGuard.js).
+ * Redirects are not followed, and only the status code and timing of a response are kept.
+ */
+
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { toBusinessScope, applyBusinessScope, describeScope } from './workspaceService.js';
+import jobQueueService, { PermanentJobError } from './jobQueueService.js';
+import tokenVault from './tokenVault.js';
+import { assertPublicUrl, guardedRequest } from './networkGuard.js';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export const WEBHOOK_EVENTS = [
+  'analysis.completed',
+  'report.generated',
+  'health_score.changed',
+  'social.connection.expired',
+  'plan.changed',
+  'ai_insights.generated',
+  'anomaly.detected'
+];
+
+// Sent by POST /api/webhooks/:id/test only - not subscribable
+export const TEST_EVENT = 'webhook.test';
+
+// Sent to the subscriptions chosen as alert rule channels - not subscribable
+export const ALERT_EVENT = 'alert.triggered';
+
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  RETRYING: 'retrying',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+const JOB_TYPE = 'webhook.deliver';
+const MAX_ATTEMPTS = 8;
+const REQUEST_TIMEOUT = 10 * 1000;
+const MAX_SUBSCRIPTIONS = 20;
+const SECRET_FIELD = 'secret';
+
+/**
+ * Signature header for a request body
+ * @param {string} secret - Subscription signing secret
+ * @param {string} body - Raw JSON body as sent
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} "t=<timestamp>,v1=<hex digest>"
+ */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function generateEventId() {
+  return `evt_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+class WebhookService {
+  constructor() {
+    jobQueueService.registerHandler(JOB_TYPE, (payload, context) => this.deliver(payload, context), {
+      maxAttempts: MAX_ATTEMPTS,
+      timeoutMs: 2 * 60 * 1000
+    });
+  }
+
+  /**
+   * Validate subscription fields from a request body
+   * @param {object} input - { url, events, description, enabled }
+   * @param {object|null} existing - Current row when updating
+   * @returns {Promise<object>} Column values
+   */
+  async validate(input, existing = null) {
+    const values = {};
+
+    let url;
+    try {
+      url = new URL(input.url ?? existing?.url);
+    } catch {
+      throw new Error('url must be a valid URL');
+    }
+    const allowed = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+    if (!allowed.includes(url.protocol)) {
+      throw new Error(`url must use ${allowed.join(' or ')}`);
+    }
+    // The host must resolve to a public address
+    await assertPublicUrl(url.toString());
+    values.url = url.toString();
+
+    const events = input.events ?? existing?.events;
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new Error(`events must be a non-empty array of: *, ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown event type(s): ${unknown.join(', ')}`);
+    }
+    values.events = events.includes('*') ? ['*'] : [...new Set(events)];
+
+    const description = input.description ?? existing?.description ?? null;
+    values.description = description === null ? null : String(description).trim().substring(0, 200) || null;
+
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+      throw new Error('enabled must be a boolean');
+    }
+    values.enabled = input.enabled ?? existing?.enabled ?? true;
+
+    return values;
+  }
+
+  async listSubscriptions(scopeOrEmail) {
+    const { data, error } = await applyBusinessScope(
+      supabase
+        .from('webhook_subscriptions')
+        .select('*')
+        .eq('user_email', toBusinessScope(scopeOrEmail).email),
+      scopeOrEmail
+    )
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getSubscription(subscriptionId, scopeOrEmail) {
+    const { data, error } = await applyBusinessScope(
+      supabase
+        .from('webhook_subscriptions')
+        .select('*')
+        .eq('id', subscriptionId)
+        .eq('user_email', toBusinessScope(scopeOrEmail).email),
+      scopeOrEmail
+    )
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Create a subscription with a new signing secret
+   * @returns {Promise<{subscription: object, secret: string}>} The secret is only ever returned here and by rotateSecret
+   */
+  async createSubscription(scope, input, createdBy) {
+    const { email, businessId, workspaceId } = toBusinessScope(scope);
+    const values = await this.validate(input);
+
+    const existing = await this.listSubscriptions(scope);
+    if (existing.length >= MAX_SUBSCRIPTIONS) {
+      throw new Error(`A business can have at most ${MAX_SUBSCRIPTIONS} webhook subscriptions`);
+    }
+
+    const secret = generateSecret();
+
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .insert({
+        ...values,
+        ...tokenVault.sealSecret(secret, SECRET_FIELD),
+        user_email: email,
+        business_id: businessId,
+        workspace_id: workspaceId,
+        created_by: createdBy
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🪝 Webhook subscription created for ${describeScope(scope)}: ${data.url}`);
+    return { subscription: data, secret };
+  }
+
+  /**
+   * @returns {Promise<{before: object, after: object}|null>} null if not found
+   */
+  async updateSubscription(subscriptionId, scope, input) {
+    const existing = await this.getSubscription(subscriptionId, scope);
+    if (!existing) return null;
+
+    const values = await this.validate(input, existing);
+
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { before: existing, after: data };
+  }
+
+  /**
+   * Delete a subscription (its delivery log is kept)
+   */
+  async deleteSubscription(subscriptionId, scope) {
+    const existing = await this.getSubscription(subscriptionId, scope);
+    if (!existing) return null;
+
+    const { error } = await supabase
+      .from('webhook_subscriptions')
+      .delete()
+      .eq('id', existing.id);
+
+    if (error) throw error;
+    return existing;
+  }
+
+  /**
+   * Replace the signing secret; deliveries sent from now on use the new one
+   * @returns {Promise<{subscription: object, secret: string}|null>} null if not found
+   */
+  async rotateSecret(subscriptionId, scope) {
+    const existing = await this.getSubscription(subscriptionId, scope);
+    if (!existing) return null;
+
+    const secret = generateSecret();
+
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .update({ ...tokenVault.sealSecret(secret, SECRET_FIELD), updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { subscription: data, secret };
+  }
+
+  /**
+   * Publish an event to the matching subscriptions
+   * Never throws - webhooks must not fail the operation that produced the event.
+   * @param {object|string} scopeOrEmail - Business scope or user's email
+   * @param {string} type - One of WEBHOOK_EVENTS
+   * @param {object} data - Event data
+   * @returns {Promise<number>} Deliveries queued
+   */
+  async emit(scopeOrEmail, type, data = {}) {
+    const scope = toBusinessScope(scopeOrEmail);
+    if (!scope.email) return 0;
+
+    try {
+      let query = supabase
+        .from('webhook_subscriptions')
+        .select('*')
+        .eq('user_email', scope.email)
+        .eq('enabled', true);
+
+      if (scope.businessId) {
+        query = query.or(`business_id.is.null,business_id.eq.${scope.businessId}`);
+      }
+
+      const { data: subscriptions, error } = await query;
+      if (error) throw error;
+
+      const matching = (subscriptions || []).filter(subscription =>
+        subscription.events.includes('*') || subscription.events.includes(type)
+      );
+      if (matching.length === 0) return 0;
+
+      const event = {
+        id: generateEventId(),
+        type,
+        createdAt: new Date().toISOString(),
+        businessId: scope.businessId,
+        data
+      };
+
+      for (const subscription of matching) {
+        await this.queueDelivery(subscription, event);
+      }
+
+      console.log(`🪝 ${type} queued for ${matching.length} webhook(s) of ${describeScope(scope)}`);
+      return matching.length;
+    } catch (error) {
+      console.warn(`⚠️ Could not queue ${type} webhooks for ${describeScope(scope)}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Send a webhook.test event to one subscription, even if it is disabled
+   */
+  async sendTest(subscription) {
+    const event = {
+      id: generateEventId(),
+      type: TEST_EVENT,
+      createdAt: new Date().toISOString(),
+      businessId: subscription.business_id,
+      data: { subscriptionId: subscription.id, message: 'Test event - your endpoint is receiving webhooks' }
+    };
+
+    return this.queueDelivery(subscription, event, { force: true });
+  }
+
+  /**
+   * Send an event to one subscription whatever its event filter (alert rule channels)
+   * @returns {Promise<{delivery: object, job: object}>}
+   */
+  async sendToSubscription(subscription, type, data) {
+    const event = {
+      id: generateEventId(),
+      type,
+      createdAt: new Date().toISOString(),
+      businessId: subscription.business_id,
+      data
+    };
+
+    return this.queueDelivery(subscription, event);
+  }
+
+  /**
+   * Store a delivery and queue the job that sends it
+   * @param {object} options - { replayOf, force } force = send even if the subscription is disabled
+   * @returns {Promise<{delivery: object, job: object}>}
+   */
+  async queueDelivery(subscription, event, { replayOf = null, force = false } = {}) {
+    const { data: delivery, error } = await supabase
+      .from('webhook_deliveries')
+      .insert({
+        subscription_id: subscription.id,
+        user_email: subscription.user_email,
+        business_id: subscription.business_id,
+        event_id: event.id,
+        event_type: event.type,
+        payload: event,
+        status: DELIVERY_STATUS.PENDING,
+        replay_of: replayOf
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { job } = await jobQueueService.enqueue(JOB_TYPE, { deliveryId: delivery.id, force }, {
+      scope: { email: subscription.user_email, businessId: subscription.business_id, workspaceId: subscription.workspace_id },
+      dedupeKey: `${JOB_TYPE}:${delivery.id}`
+    });
+
+    return { delivery, job };
+  }
+
+  /**
+   * Job handler: send one delivery attempt
+   * Throws on a failed attempt so the job queue retries it with backoff.
+   * @param {object} payload - { deliveryId, force }
+   */
+  async deliver({ deliveryId, force = false }, { job }) {
+    const { data: delivery, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('id', deliveryId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!delivery) {
+      throw new PermanentJobError('Webhook delivery no longer exists');
+    }
+    if (delivery.status === DELIVERY_STATUS.DELIVERED) {
+      return { deliveryId, status: delivery.status };
+    }
+
+    const { data: subscription } = delivery.subscription_id
+      ? await supabase.from('webhook_subscriptions').select('*').eq('id', delivery.subscription_id).maybeSingle()
+      : { data: null };
+
+    if (!subscription || (!subscription.enabled && !force)) {
+      const reason = subscription ? 'Subscription is disabled' : 'Subscription was deleted';
+      await this.updateDelivery(delivery.id, { status: DELIVERY_STATUS.FAILED, last_error: reason });
+      throw new PermanentJobError(reason);
+    }
+
+    const attempt = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+    let statusCode = null;
+    let failure = null;
+
+    try {
+      // The response body is never read - a receiver's reply could echo an internal service
+      const response = await guardedRequest({
+        method: 'post',
+        url: subscription.url,
+        data: body,
+        timeout: REQUEST_TIMEOUT,
+        responseType: 'stream',
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Claryx-Webhooks/1.0',
+          'X-Claryx-Event': delivery.event_type,
+          'X-Claryx-Delivery': delivery.id,
+          'X-Claryx-Signature': signPayload(tokenVault.openSecret(subscription, SECRET_FIELD), body)
+        }
+      });
+      response.data?.destroy?.();
+
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        failure = `Endpoint responded with HTTP ${statusCode}`;
+      }
+    } catch (requestError) {
+      failure = requestError.code ? `${requestError.code}: ${requestError.message}` : requestError.message;
+    }
+
+    const { error: attemptError } = await supabase
+      .from('webhook_delivery_attempts')
+      .insert({
+        delivery_id: delivery.id,
+        user_email: delivery.user_email,
+        attempt,
+        url: subscription.url,
+        status_code: statusCode,
+        error: failure,
+        duration_ms: Date.now() - startedAt
+      });
+    if (attemptError) {
+      console.error('❌ Failed to log webhook attempt:', attemptError.message);
+    }
+
+    if (!failure) {
+      await this.updateDelivery(delivery.id, {
+        status: DELIVERY_STATUS.DELIVERED,
+        attempts: attempt,
+        last_status_code: statusCode,
+        last_error: null,
+        delivered_at: new Date().toISOString()
+      });
+      return { deliveryId, status: DELIVERY_STATUS.DELIVERED, statusCode, attempts: attempt };
+    }
+
+    const finalAttempt = job.attempts >= job.max_attempts;
+    await this.updateDelivery(delivery.id, {
+      status: finalAttempt ? DELIVERY_STATUS.FAILED : DELIVERY_STATUS.RETRYING,
+      attempts: attempt,
+      last_status_code: statusCode,
+      last_error: failure
+    });
+
+    console.warn(`⚠️ Webhook ${delivery.event_type} to ${subscription.url} failed (attempt ${attempt}): ${failure}`);
+    throw new Error(failure);
+  }
+
+  async updateDelivery(deliveryId, values) {
+    const { error } = await supabase
+      .from('webhook_deliveries')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', deliveryId);
+
+    if (error) {
+      console.error('❌ Failed to update webhook delivery:', error.message);
+    }
+  }
+
+  /**
+   * Delivery log, newest first
+   * @param {object} options - { subscriptionId, status, eventType, limit }
+   */
+  async listDeliveries(scopeOrEmail, { subscriptionId = null, status = null, eventType = null, limit = 50 } = {}) {
+    let query = applyBusinessScope(
+      supabase
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('user_email', toBusinessScope(scopeOrEmail).email),
+      scopeOrEmail
+    );
+
+    if (subscriptionId) query = query.eq('subscription_id', subscriptionId);
+    if (status) query = query.eq('status', status);
+    if (eventType) query = query.eq('event_type', eventType);
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200));
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * A delivery with its attempt log
+   * @returns {Promise<object|null>}
+   */
+  async getDelivery(deliveryId, scopeOrEmail) {
+    const { data: delivery, error } = await applyBusinessScope(
+      supabase
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('id', deliveryId)
+        .eq('user_email', toBusinessScope(scopeOrEmail).email),
+      scopeOrEmail
+    )
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!delivery) return null;
+
+    const { data: attempts, error: attemptsError } = await supabase
+      .from('webhook_delivery_attempts')
+      .select('*')
+      .eq('delivery_id', delivery.id)
+      .order('attempt', { ascending: true });
+
+    if (attemptsError) throw attemptsError;
+    return { ...delivery, delivery_attempts: attempts || [] };
+  }
+
+  /**
+   * Send a logged delivery again: same event id and payload, new delivery id and signature
+   * @returns {Promise<{delivery: object, job: object}|null>} null if not found
+   */
+  async replayDelivery(deliveryId, scopeOrEmail) {
+    const original = await this.getDelivery(deliveryId, scopeOrEmail);
+    if (!original) return null;
+
+    const { data: subscription } = original.subscription_id
+      ? await supabase.from('webhook_subscriptions').select('*').eq('id', original.subscription_id).maybeSingle()
+      : { data: null };
+
+    if (!subscription) {
+      throw new Error('The subscription of this delivery was deleted');
+    }
+
+    return this.queueDelivery(subscription, original.payload, { replayOf: original.id, force: true });
+  }
+
+  /**
+   * Re-wrap signing secrets onto the current token vault key
+   * (see scripts/rotate-token-keys.js)
+   * @returns {Promise<object>} { rotated, skipped, failed, remaining }
+   */
+  async reencryptAll({ batchSize = 100 } = {}) {
+    const activeVersion = tokenVault.getActiveKeyVersion();
+    const result = { rotated: 0, skipped: 0, failed: 0, remaining: 0 };
+    const failedIds = new Set();
+
+    while (true) {
+      let query = supabase
+        .from('webhook_subscriptions')
+        .select('id, encrypted_data_key, key_version')
+        .neq('key_version', activeVersion)
+        .order('id')
+        .limit(batchSize);
+
+      if (failedIds.size > 0) {
+        query = query.not('id', 'in', `(${[...failedIds].join(',')})`);
+      }
+
+      const { data: rows, error } = await query;
+      if (error) throw error;
+      if (!rows || rows.length === 0) break;
+
+      for (const row of rows) {
+        try {
+          const { data: updated, error: updateError } = await supabase
+            .from('webhook_subscriptions')
+            .update(tokenVault.rotateRecord(row))
+            .eq('id', row.id)
+            .eq('key_version', row.key_version)
+            .select('id');
+          if (updateError) throw updateError;
+
+          if (updated && updated.length > 0) {
+            result.rotated++;
+          } else {
+            result.skipped++; // Secret rotated concurrently - already on the current key
+          }
+        } catch (rowError) {
+          console.error(`❌ Could not re-encrypt webhook_subscriptions row ${row.id}:`, rowError.message);
+          failedIds.add(row.id);
+          result.failed++;
+        }
+      }
+    }
+
+    const { count } = await supabase
+      .from('webhook_subscriptions')
+      .select('id', { count: 'exact', head: true })
+      .neq('key_version', activeVersion);
+    result.remaining = count || 0;
+
+    return result;
+  }
+
+  /**
+   * Client-facing view of a subscription (never includes the secret)
+   */
+  toResponse(subscription) {
+    return {
+      id: subscription.id,
+      url: subscription.url,
+      events: subscription.events,
+      description: subscription.description,
+      enabled: subscription.enabled,
+      businessId: subscription.business_id,
+      createdBy: subscription.created_by,
+      createdAt: subscription.created_at,
+      updatedAt: subscription.updated_at
+    };
+  }
+
+  deliveryToResponse(delivery) {
+    const response = {
+      id: delivery.id,
+      subscriptionId: delivery.subscription_id,
+      eventId: delivery.event_id,
+      eventType: delivery.event_type,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      lastStatusCode: delivery.last_status_code,
+      lastError: delivery.last_error,
+      replayOf: delivery.replay_of,
+      createdAt: delivery.created_at,
+      deliveredAt: delivery.delivered_at
+    };
+
+    if (delivery.delivery_attempts) {
+      response.payload = delivery.payload;
+      response.attemptLog = delivery.delivery_attempts.map(attempt => ({
+        attempt: attempt.attempt,
+        url: attempt.url,
+        statusCode: attempt.status_code,
+        error: attempt.error,
+        durationMs: attempt.duration_ms,
+        attemptedAt: attempt.attempted_at
+      }));
+    }
+
+    return response;
+  }
+}
+
+export default new WebhookService();
@@ -0,0 +1,564 @@
+/**
+ * Workspace Service
+ * Manages agency workspaces and the client businesses they contain.
+ *
+ * A "business scope" identifies whose data a request operates on:
+ *   { email, businessId, workspaceId }
+ * - email: the account that owns the data (plan, users_table row)
+ * - businessId: user_business_info.id (null = account-level/legacy data)
+ * Cache and report services accept either a scope or a plain email string.
+ *
+ * Team access: the workspace creator is always an owner; other people join
+ * through invitations as owner, editor or viewer (workspace_members).
+ */
+
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Ordered from most to least privileged
+export const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+const INVITATION_TTL_DAYS = 7;
+
+function normalizeEmail(email) {
+  return email?.toLowerCase().trim() || '';
+}
+
+function hashInviteToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Normalize a business scope or legacy email argument
+ * @param {object|string} scopeOrEmail - Business scope or user email
+ * @returns {object} { email, businessId, workspaceId }
+ */
+export function toBusinessScope(scopeOrEmail) {
+  if (scopeOrEmail && typeof scopeOrEmail === 'object') {
+    return {
+      email: scopeOrEmail.email,
+      businessId: scopeOrEmail.businessId || null,
+      workspaceId: scopeOrEmail.workspaceId || null
+    };
+  }
+  return { email: scopeOrEmail, businessId: null, workspaceId: null };
+}
+
+/**
+ * Restrict a Supabase query to the scope's business (no-op for account-level scopes)
+ * @param {object} query - Supabase query builder
+ * @param {object|string} scopeOrEmail - Business scope or user email
+ * @returns {object} Query builder
+ */
+export function applyBusinessScope(query, scopeOrEmail) {
+  const { businessId } = toBusinessScope(scopeOrEmail);
+  return businessId ? query.eq('business_id', businessId) : query;
+}
+
+/**
+ * Short label for logs
+ */
+export function describeScope(scopeOrEmail) {
+  const { email, businessId } = toBusinessScope(scopeOrEmail);
+  return businessId ? `${email} [business ${businessId.substring(0, 8)}]` : email;
+}
+
+class WorkspaceService {
+  /**
+   * List workspaces the user can access, with their businesses
+   * @param {string} userEmail - User's email
+   * @returns {Array} Workspaces with nested businesses
+   */
+  async getWorkspacesForUser(userEmail) {
+    userEmail = normalizeEmail(userEmail);
+    const columns = '*, businesses:user_business_info(id, business_name, business_domain, setup_completed, created_at)';
+
+    const { data: owned, error } = await supabase
+      .from('workspaces')
+      .select(columns)
+      .eq('owner_email', userEmail)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const { data: memberships, error: memberError } = await supabase
+      .from('workspace_members')
+      .select('workspace_id, role')
+      .eq('email', userEmail);
+
+    if (memberError) throw memberError;
+
+    const ownedIds = new Set((owned || []).map(workspace => workspace.id));
+    const joined = (memberships || []).filter(m => !ownedIds.has(m.workspace_id));
+
+    let shared = [];
+    if (joined.length > 0) {
+      const { data, error: sharedError } = await supabase
+        .from('workspaces')
+        .select(columns)
+        .in('id', joined.map(m => m.workspace_id))
+        .order('created_at', { ascending: true });
+
+      if (sharedError) throw sharedError;
+
+      const roleByWorkspace = new Map(joined.map(m => [m.workspace_id, m.role]));
+      shared = (data || []).map(workspace => ({ ...workspace, role: roleByWorkspace.get(workspace.id) }));
+    }
+
+    return [
+      ...(owned || []).map(workspace => ({ ...workspace, role: 'owner' })),
+      ...shared
+    ];
+  }
+
+  /**
+   * Get a workspace by ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Object|null} Workspace
+   */
+  async getWorkspace(workspaceId) {
+    const { data, error } = await supabase
+      .from('workspaces')
+      .select('*')
+      .eq('id', workspaceId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Create a workspace owned by the user
+   * @param {string} userEmail - Owner's email
+   * @param {string} name - Workspace name
+   * @returns {Object} Created workspace
+   */
+  async createWorkspace(userEmail, name) {
+    const { data, error } = await supabase
+      .from('workspaces')
+      .insert({
+        name: name || 'My Workspace',
+        owner_email: normalizeEmail(userEmail)
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`✅ Workspace created: ${data.name}`);
+    return data;
+  }
+
+  /**
+   * Get the user's default workspace, creating it on first use
+   * @param {string} userEmail - Owner's email
+   * @returns {Object} Workspace
+   */
+  async getOrCreateDefaultWorkspace(userEmail) {
+    userEmail = normalizeEmail(userEmail);
+
+    const { data, error } = await supabase
+      .from('workspaces')
+      .select('*')
+      .eq('owner_email', userEmail)
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) throw error;
+    if (data && data.length > 0) return data[0];
+
+    return this.createWorkspace(userEmail, 'My Workspace');
+  }
+
+  /**
+   * Get the user's role in a workspace
+   * @param {string} userEmail - User's email
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<string|null>} 'owner' | 'editor' | 'viewer', or null without access
+   */
+  async getWorkspaceRole(userEmail, workspaceId) {
+    userEmail = normalizeEmail(userEmail);
+
+    const workspace = await this.getWorkspace(workspaceId);
+    if (!workspace) return null;
+    if (workspace.owner_email === userEmail) return 'owner';
+
+    const { data, error } = await supabase
+      .from('workspace_members')
+      .select('role')
+      .eq('workspace_id', workspaceId)
+      .eq('email', userEmail)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.role || null;
+  }
+
+  /**
+   * Check whether a user can access a workspace
+   * @param {string} userEmail - User's email
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<boolean>}
+   */
+  async canAccessWorkspace(userEmail, workspaceId) {
+    return !!(await this.getWorkspaceRole(userEmail, workspaceId));
+  }
+
+  /**
+   * List workspace members, including the implicit owner
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Array} [{ email, role, isCreator, created_at }]
+   */
+  async getMembers(workspaceId) {
+    const workspace = await this.getWorkspace(workspaceId);
+    if (!workspace) return [];
+
+    const { data, error } = await supabase
+      .from('workspace_members')
+      .select('email, role, invited_by, created_at')
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return [
+      { email: workspace.owner_email, role: 'owner', isCreator: true, created_at: workspace.created_at },
+      ...(data || [])
+        .filter(member => member.email !== workspace.owner_email)
+        .map(member => ({ ...member, isCreator: false }))
+    ];
+  }
+
+  /**
+   * Change a member's role
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} memberEmail - Member's email
+   * @param {string} role - New role
+   * @returns {Object} Updated member
+   */
+  async updateMemberRole(workspaceId, memberEmail, role) {
+    if (!WORKSPACE_ROLES.includes(role)) {
+      throw new Error(`Invalid role: ${role}`);
+    }
+
+    const { data, error } = await supabase
+      .from('workspace_members')
+      .update({ role, updated_at: new Date().toISOString() })
+      .eq('workspace_id', workspaceId)
+      .eq('email', normalizeEmail(memberEmail))
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Remove a member from a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} memberEmail - Member's email
+   * @returns {Promise<boolean>} true if a membership was removed
+   */
+  async removeMember(workspaceId, memberEmail) {
+    const { data, error } = await supabase
+      .from('workspace_members')
+      .delete()
+      .eq('workspace_id', workspaceId)
+      .eq('email', normalizeEmail(memberEmail))
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Invite someone to a workspace
+   * The raw token is returned once so it can be sent to the invitee; only its hash is stored.
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} email - Invitee's email
+   * @param {string} role - Role granted on acceptance
+   * @param {string} invitedBy - Inviting user's email
+   * @returns {Object} { invitation, token }
+   */
+  async createInvitation(workspaceId, email, role, invitedBy) {
+    if (!WORKSPACE_ROLES.includes(role)) {
+      throw new Error(`Invalid role: ${role}`);
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const { data, error } = await supabase
+      .from('workspace_invitations')
+      .insert({
+        workspace_id: workspaceId,
+        email: normalizeEmail(email),
+        role,
+        token_hash: hashInviteToken(token),
+        invited_by: normalizeEmail(invitedBy),
+        expires_at: expiresAt.toISOString()
+      })
+      .select('id, workspace_id, email, role, invited_by, expires_at, created_at')
+      .single();
+
+    if (error) throw error;
+
+    console.log(`✉️ Invitation created for workspace ${workspaceId} (${role})`);
+    return { invitation: data, token };
+  }
+
+  /**
+   * List pending invitations for a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Array} Invitations (without token hashes)
+   */
+  async getPendingInvitations(workspaceId) {
+    const { data, error } = await supabase
+      .from('workspace_invitations')
+      .select('id, workspace_id, email, role, invited_by, expires_at, created_at')
+      .eq('workspace_id', workspaceId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Revoke a pending invitation
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<boolean>} true if an invitation was revoked
+   */
+  async revokeInvitation(workspaceId, invitationId) {
+    const { data, error } = await supabase
+      .from('workspace_invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', invitationId)
+      .eq('workspace_id', workspaceId)
+      .is('accepted_at', null)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Accept an invitation as the signed-in user
+   * @param {string} token - Raw invite token
+   * @param {string} userEmail - Accepting user's email (must match the invitation)
+   * @returns {Object} { member, workspace }
+   */
+  async acceptInvitation(token, userEmail) {
+    userEmail = normalizeEmail(userEmail);
+
+    const { data: invitation, error } = await supabase
+      .from('workspace_invitations')
+      .select('*')
+      .eq('token_hash', hashInviteToken(token))
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!invitation || invitation.revoked_at || invitation.accepted_at) {
+      throw new Error('Invitation is invalid or has already been used');
+    }
+    if (new Date(invitation.expires_at) < new Date()) {
+      throw new Error('Invitation has expired');
+    }
+    if (invitation.email !== userEmail) {
+      throw new Error('Invitation was sent to a different email address');
+    }
+
+    const { data: member, error: memberError } = await supabase
+      .from('workspace_members')
+      .upsert({
+        workspace_id: invitation.workspace_id,
+        email: userEmail,
+        role: invitation.role,
+        invited_by: invitation.invited_by,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'workspace_id,email' })
+      .select()
+      .single();
+
+    if (memberError) throw memberError;
+
+    await supabase
+      .from('workspace_invitations')
+      .update({ accepted_at: new Date().toISOString() })
+      .eq('id', invitation.id);
+
+    const workspace = await this.getWorkspace(invitation.workspace_id);
+
+    console.log(`✅ Invitation accepted: joined ${workspace?.name} as ${invitation.role}`);
+    return { member, workspace };
+  }
+
+  /**
+   * List businesses in a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Array} Business profiles
+   */
+  async getBusinesses(workspaceId) {
+    const { data, error } = await supabase
+      .from('user_business_info')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Get a business profile by ID
+   * @param {string} businessId - user_business_info.id
+   * @returns {Object|null} Business profile
+   */
+  async getBusiness(businessId) {
+    const { data, error } = await supabase
+      .from('user_business_info')
+      .select('*')
+      .eq('id', businessId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Add a client business to a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} businessInfo - Business fields (business_domain required)
+   * @returns {Object} Created business
+   */
+  async createBusiness(workspaceId, businessInfo) {
+    const workspace = await this.getWorkspace(workspaceId);
+    if (!workspace) {
+      throw new Error('Workspace not found');
+    }
+
+    const { data, error } = await supabase
+      .from('user_business_info')
+      .insert({
+        workspace_id: workspaceId,
+        user_email: workspace.owner_email,
+        business_name: businessInfo.business_name || null,
+        business_domain: businessInfo.business_domain,
+        business_description: businessInfo.business_description || null,
+        business_industry: businessInfo.business_industry || null,
+        facebook_handle: businessInfo.facebook_handle || null,
+        instagram_handle: businessInfo.instagram_handle || null,
+        linkedin_handle: businessInfo.linkedin_handle || null,
+        competitors: [],
+        setup_completed: false
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`✅ Business added to workspace ${workspace.name}: ${data.business_domain}`);
+    return data;
+  }
+
+  /**
+   * Delete a business and (via ON DELETE CASCADE) all its scoped data
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} businessId - Business ID
+   * @returns {Promise<boolean>}
+   */
+  async deleteBusiness(workspaceId, businessId) {
+    const { error } = await supabase
+      .from('user_business_info')
+      .delete()
+      .eq('id', businessId)
+      .eq('workspace_id', workspaceId);
+
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Resolve the business scope for a request
+   * @param {string} userEmail - Authenticated user's email
+   * @param {string|null} businessId - Requested business (null = user's primary business)
+   * @returns {Object} { scope, business, role } - scope is null when access is denied
+   */
+  async resolveBusinessScope(userEmail, businessId = null) {
+    userEmail = normalizeEmail(userEmail);
+
+    if (businessId) {
+      const business = await this.getBusiness(businessId);
+      if (!business || !business.workspace_id) {
+        return { scope: null, business: null, role: null };
+      }
+
+      const role = await this.getWorkspaceRole(userEmail, business.workspace_id);
+      if (!role) {
+        return { scope: null, business: null, role: null };
+      }
+
+      return {
+        business,
+        role,
+        scope: { email: business.user_email, businessId: business.id, workspaceId: business.workspace_id }
+      };
+    }
+
+    // No business requested - fall back to the user's first (primary) business
+    const { data, error } = await supabase
+      .from('user_business_info')
+      .select('*')
+      .eq('user_email', userEmail)
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) throw error;
+
+    let business = data?.[0] || null;
+
+    // Invited teammates may not own a business - use the first one shared with them
+    if (!business) {
+      const { data: memberships, error: memberError } = await supabase
+        .from('workspace_members')
+        .select('workspace_id')
+        .eq('email', userEmail)
+        .order('created_at', { ascending: true })
+        .limit(1);
+
+      if (memberError) throw memberError;
+
+      if (memberships?.length > 0) {
+        const [shared] = await this.getBusinesses(memberships[0].workspace_id);
+        if (shared) {
+          return this.resolveBusinessScope(userEmail, shared.id);
+        }
+      }
+    }
+
+    // The user's own business (or account-level data) - always the owner
+    return {
+      business,
+      role: 'owner',
+      scope: {
+        email: userEmail,
+        businessId: business?.id || null,
+        workspaceId: business?.workspace_id || null
+      }
+    };
+  }
+}
+
+export default new WorkspaceService();
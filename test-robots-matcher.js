@@ -0,0 +1,116 @@
+// Test Robots Matcher - RFC 9309 path matching and rule precedence
+// Usage: node test-robots-matcher.js
+
+import { matchesPattern, parseRobotsTxt, isAllowed, evaluate } from './services/robotsTxtService.js';
+
+let failures = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(`  ✅ ${name}`);
+  } else {
+    failures++;
+    console.log(`  ❌ ${name}${detail ? ` - ${detail}` : ''}`);
+  }
+}
+
+function checkPattern(pattern, matching, notMatching) {
+  for (const path of matching) {
+    check(`${pattern} matches ${path}`, matchesPattern(pattern, path));
+  }
+  for (const path of notMatching) {
+    check(`${pattern} does not match ${path}`, !matchesPattern(pattern, path));
+  }
+}
+
+console.log('\n🧪 Testing robots.txt matcher\n');
+
+console.log('📖 Path examples (RFC 9309 / Google)');
+checkPattern('/fish',
+  ['/fish', '/fish.html', '/fish/salmon.html', '/fishheads', '/fishheads/yummy.html', '/fish.php?id=anything'],
+  ['/Fish.asp', '/catfish', '/?id=fish', '/desert/fish']);
+checkPattern('/fish*',
+  ['/fish', '/fish.html', '/fishheads/yummy.html'],
+  ['/Fish.asp', '/catfish']);
+checkPattern('/fish/',
+  ['/fish/', '/fish/?id=anything', '/fish/salmon.htm'],
+  ['/fish', '/fish.html', '/animals/fish/', '/Fish/Salmon.asp']);
+checkPattern('/*.php',
+  ['/index.php', '/filename.php', '/folder/filename.php', '/folder/filename.php?parameters', '/folder/any.php.file.html', '/filename.php/'],
+  ['/', '/windows.PHP']);
+checkPattern('/*.php$',
+  ['/filename.php', '/folder/filename.php'],
+  ['/filename.php?parameters', '/filename.php/', '/filename.php5', '/windows.PHP']);
+checkPattern('/fish*.php',
+  ['/fish.php', '/fishheads/catfish.php?parameters'],
+  ['/Fish.PHP']);
+checkPattern('/', ['/', '/anything/at/all'], []);
+checkPattern('/$', ['/'], ['/page']);
+checkPattern('/a$b', ['/a$b', '/a$bc'], ['/a', '/ab']);
+
+console.log('\n✳️ Wildcards');
+checkPattern('/a*****b', ['/ab', '/a/x/b', '/axxbyy'], ['/a', '/ba']);
+checkPattern('*.gif$', ['/img/x.gif', '/x.gif'], ['/x.gif?size=1', '/x.gifs']);
+checkPattern('/**$', ['/', '/anything'], []);
+
+const heavyPattern = `/${'*a'.repeat(1000)}$`;
+const heavyPath = `/${'a'.repeat(5000)}b`;
+let started = Date.now();
+const heavyResult = matchesPattern(heavyPattern, heavyPath);
+let elapsed = Date.now() - started;
+check('many wildcards against a near-miss path finish quickly', !heavyResult && elapsed < 2000, `${elapsed}ms`);
+
+started = Date.now();
+const longResult = matchesPattern(`/${'*'.repeat(2000)}x`, `/${'y'.repeat(100000)}`);
+elapsed = Date.now() - started;
+check('a run of stars acts as one', !longResult && elapsed < 2000, `${elapsed}ms`);
+
+const tooLong = parseRobotsTxt(`User-agent: *\nDisallow: /${'a*'.repeat(1500)}\n`);
+check('over-long paths are ignored with a warning',
+  tooLong.groups[0].rules.length === 0 && tooLong.warnings.some(warning => /longer than/.test(warning.message)));
+check('over-long patterns never match', !matchesPattern(`/${'a'.repeat(3000)}`, `/${'a'.repeat(3000)}`));
+
+console.log('\n⚖️ Rule precedence (RFC 9309 section 5.2 example)');
+const robots = parseRobotsTxt([
+  'User-Agent: *',
+  'Disallow: *.gif$',
+  'Disallow: /example/',
+  'Allow: /publications/',
+  '',
+  'User-Agent: foobot',
+  'Disallow:/',
+  'Allow:/example/page.html',
+  'Allow:/example/allowed.gif',
+  '',
+  'User-Agent: barbot',
+  'User-Agent: bazbot',
+  'Disallow: /example/page.html',
+  '',
+  'User-Agent: quxbot'
+].join('\n'));
+
+check('foobot may fetch /example/page.html', isAllowed(robots, 'foobot', '/example/page.html'));
+check('foobot may fetch /example/allowed.gif', isAllowed(robots, 'foobot', '/example/allowed.gif'));
+check('foobot may not fetch /example/other.html', !isAllowed(robots, 'foobot', '/example/other.html'));
+check('barbot may not fetch /example/page.html', !isAllowed(robots, 'barbot', '/example/page.html'));
+check('bazbot may not fetch /example/page.html', !isAllowed(robots, 'bazbot', '/example/page.html'));
+check('barbot may fetch /example/other.html', isAllowed(robots, 'barbot', '/example/other.html'));
+check('quxbot may fetch anything', isAllowed(robots, 'quxbot', '/example/page.html'));
+check('other crawlers may not fetch .gif files', !isAllowed(robots, 'otherbot', 'https://example.com/images/x.gif'));
+check('other crawlers may fetch /publications/', isAllowed(robots, 'otherbot', '/publications/2024.html'));
+check('other crawlers may not fetch /example/', !isAllowed(robots, 'otherbot', '/example/'));
+
+const ties = parseRobotsTxt('User-agent: *\nAllow: /p\nDisallow: /\nAllow: /folder\nDisallow: /folder\n');
+check('longest match wins', isAllowed(ties, 'anybot', '/page'));
+check('Allow wins a tie', evaluate(ties, 'anybot', '/folder/page').rule?.allow === true);
+
+const encoded = parseRobotsTxt('User-agent: *\nDisallow: /caf%c3%a9\n');
+check('percent-encoding is normalized', !isAllowed(encoded, 'anybot', '/café') && !isAllowed(encoded, 'anybot', '/caf%C3%A9'));
+check('robots.txt itself is always allowed', isAllowed(parseRobotsTxt('User-agent: *\nDisallow: /\n'), 'anybot', '/robots.txt'));
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed\n`);
+  process.exit(1);
+}
+
+console.log('\n✅ All robots matcher checks passed\n');
@@ -0,0 +1,162 @@
+// Test Tier Validation - quota checks use the billed account and fail closed
+// Usage: node test-tier-validation.js
+// No database needed: the usage ledger calls are replaced in-process.
+
+import { EventEmitter } from 'events';
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:1';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test';
+
+const { default: usageService } = await import('./services/usageService.js');
+const { validateReportLimit, validateAIInsightsLimit } = await import('./middleware/tierValidation.js');
+
+let failures = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(`  ✅ ${name}`);
+  } else {
+    failures++;
+    console.log(`  ❌ ${name}${detail ? ` - ${detail}` : ''}`);
+  }
+}
+
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.writableFinished = false;
+  res.body = null;
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+    res.writableFinished = true;
+    return res;
+  };
+  return res;
+}
+
+function memberRequest() {
+  return {
+    user: { email: 'member@agency.test' },
+    businessScope: { email: 'owner@agency.test', businessId: 'b1', workspaceId: 'w1' },
+    body: {}
+  };
+}
+
+async function run(middleware, req) {
+  const res = fakeResponse();
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+// Ledger stand-ins - each test sets the quota outcome
+let reserveCalls = [];
+let released = [];
+let reserveResult = null;
+
+usageService.reserve = async (scope, feature) => {
+  reserveCalls.push({ scope, feature });
+  if (reserveResult instanceof Error) throw reserveResult;
+  return reserveResult;
+};
+usageService.release = async reservationId => {
+  released.push(reservationId);
+};
+
+function reset(result) {
+  reserveCalls = [];
+  released = [];
+  reserveResult = result;
+}
+
+const granted = { allowed: true, plan: 'growth', used: 3, limit: 20, resetsAt: '2026-11-01T00:00:00.000Z', reservationId: 'r1' };
+
+console.log('\n🧪 Testing tier validation\n');
+
+console.log('📊 Quota is checked against the workspace owner');
+reset(granted);
+{
+  const req = memberRequest();
+  const { nextCalled } = await run(validateReportLimit, req);
+  check('request passes while under quota', nextCalled);
+  check('reserved once, for reports', reserveCalls.length === 1 && reserveCalls[0].feature === 'reports');
+  check('billed to businessScope.email, not the member',
+    reserveCalls[0]?.scope?.email === 'owner@agency.test', JSON.stringify(reserveCalls[0]?.scope));
+  check('reservation attached to the request', req.usageReservation?.reservationId === 'r1');
+}
+
+console.log('\n🚫 Exhausted quota is refused');
+reset({ ...granted, allowed: false, used: 20, reservationId: null });
+{
+  const { res, nextCalled } = await run(validateReportLimit, memberRequest());
+  check('403 returned', res.statusCode === 403, `got ${res.statusCode}`);
+  check('handler not reached', !nextCalled);
+  check('reported usage and limit', res.body?.usage === 20 && res.body?.limit === 20);
+}
+
+console.log('\n💥 Errors fail closed');
+reset(new Error('connection refused'));
+{
+  const reports = await run(validateReportLimit, memberRequest());
+  check('report check returns 5xx', reports.res.statusCode >= 500, `got ${reports.res.statusCode}`);
+  check('report handler not reached', !reports.nextCalled);
+
+  const insights = await run(validateAIInsightsLimit, memberRequest());
+  check('AI insights check returns 5xx', insights.res.statusCode >= 500, `got ${insights.res.statusCode}`);
+  check('AI insights handler not reached', !insights.nextCalled);
+}
+
+console.log('\n🔐 Missing business scope');
+reset(granted);
+{
+  const { res, nextCalled } = await run(validateReportLimit, { user: { email: 'member@agency.test' }, body: {} });
+  check('401 returned', res.statusCode === 401, `got ${res.statusCode}`);
+  check('handler not reached and nothing reserved', !nextCalled && reserveCalls.length === 0);
+}
+
+console.log('\n↩️ Reservations of failed requests are given back');
+reset(granted);
+{
+  const { res } = await run(validateReportLimit, memberRequest());
+  res.status(500).json({ success: false });
+  res.emit('close');
+  check('released after an error response', released.includes('r1'));
+}
+reset(granted);
+{
+  const { res } = await run(validateReportLimit, memberRequest());
+  res.json({ success: true });
+  res.emit('close');
+  check('kept after a successful response', released.length === 0);
+}
+reset(granted);
+{
+  const { res } = await run(validateReportLimit, memberRequest());
+  res.emit('close');
+  check('released when the client disconnects first', released.includes('r1'));
+}
+
+console.log('\n🤖 AI insights');
+reset({ ...granted, allowed: false, plan: 'starter', used: 0, limit: 0, reservationId: null });
+{
+  const { nextCalled } = await run(validateAIInsightsLimit, memberRequest());
+  check('plans without AI insights reach the locked payload', nextCalled);
+  check('reserved for aiInsights', reserveCalls[0]?.feature === 'aiInsights');
+}
+reset({ ...granted, allowed: false, used: 50, limit: 50, reservationId: null });
+{
+  const { res, nextCalled } = await run(validateAIInsightsLimit, memberRequest());
+  check('exhausted quota returns 403', res.statusCode === 403 && !nextCalled, `got ${res.statusCode}`);
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} check(s) failed\n`);
+  process.exit(1);
+}
+
+console.log('\n✅ All tier validation checks passed\n');
+process.exit(0);